@@ -1,18 +1,30 @@
-import React, { useCallback, useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import SidebarLeft from './components/SidebarLeft.jsx';
 import SidebarRight from './components/SidebarRight.jsx';
 import Canvas from './components/Canvas.jsx';
 import CanvasCNF from './components/CanvasCNF.jsx';
+import CYKTable from './components/CYKTable.jsx';
+import LL1Panel from './components/LL1Panel.jsx';
+import DerivationPanel from './components/DerivationPanel.jsx';
+import ParseTreeCanvas from './components/ParseTreeCanvas.jsx';
+import LRAutomatonCanvas from './components/LRAutomatonCanvas.jsx';
+import LRTablePanel from './components/LRTablePanel.jsx';
+import PDACanvas from './components/PDACanvas.jsx';
+import PDAPanel from './components/PDAPanel.jsx';
+import FiniteAutomatonCanvas from './components/FiniteAutomatonCanvas.jsx';
 import Footer from './components/Footer.jsx';
 import PopUp from './components/PopUp.jsx';
 import LogsModal from './components/LogsModal.jsx';
+import WordsModal from './components/WordsModal.jsx';
 import useEdgeSwipe from './controls/useEdgeSwipe.js';
+import useShareLink from './controls/useShareLink.js';
 import formatGrammar from './algorithm/logging/formatGrammar.js';
 import { getGrammarChangeMessage, getAnalyzeModeMessage, getStepPopupMessage } from './algorithm/logging/getInfoMessage.js';
 import { stepManager } from './algorithm/steps.js';
-import { applyHighlights, buildStepLog, hasProductions, isCNFStage, shouldResetFooter } from './algorithm/logging/stepUiHelpers.js';
+import { applyHighlights, buildStepLog, getLanguageCheck, getStepGrammar, hasProductions, isCNFStage, shouldResetFooter } from './algorithm/logging/stepUiHelpers.js';
 import { highlightManager } from './algorithm/rendering/highlightElements.js';
 import generateIsProductiveSteps from './algorithm/visualization/step_1_searchProductive.js';
+import classifyRegularGrammar from './algorithm/regularGrammar.js';
 
 /**
  * Root-Controller fuer die Visualisierung und Analyse einer CFG.
@@ -28,13 +40,22 @@ export default function App() {
     const [treeLayout, setTreeLayout] = useState(null);
     const [infoMessage, setInfoMessage] = useState('');
     const [isLogsModalOpen, setIsLogsModalOpen] = useState(false);
+    const [wordsModal, setWordsModal] = useState(null);
     const [currentLogs, setCurrentLogs] = useState([]);
     const [totalLogs, setTotalLogs] = useState([]);
     const [cnfGraph, setCnfGraph] = useState(null);
+    const [stepGrammar, setStepGrammar] = useState(null);
+    const [languageCheck, setLanguageCheck] = useState(null);
     const [viewportCenterTrigger, setViewportCenterTrigger] = useState(0);
     const [footerResetTrigger, setFooterResetTrigger] = useState(0);
     const [forceFooterDefault, setForceFooterDefault] = useState(false);
     const lastGrammarChangeSourceRef = useRef('input');
+    const sidebarLeftRef = useRef(null);
+    const canvasRef = useRef(null);
+    const cnfCanvasRef = useRef(null);
+    const pendingProjectRef = useRef(null);
+    const [pendingViewports, setPendingViewports] = useState(null);
+    const regularType = useMemo(() => (hasProductions(grammar) ? classifyRegularGrammar(grammar) : null), [grammar]);
 
     /**
      * Synchronisiert die CFG-Eingabe mit Logs/Steps der Produktivitaet.
@@ -49,13 +70,16 @@ export default function App() {
             setFooterResetTrigger(prev => prev + 1);
         }
 
-        if (source === 'input' || source === 'example') {
+        if (source === 'input' || source === 'example' || source === 'import' || source === 'project') {
             setSidebarRightOpen(false);
             setSidebarRightLocked(true);
         } else if (source === 'analyze') {
             setSidebarRightLocked(false);
         }
 
+        setStepGrammar(null);
+        setLanguageCheck(null);
+
         if (hasProductions(parsedGrammar)) {
             setGrammar(parsedGrammar);
             const formattedLogs = formatGrammar(parsedGrammar);
@@ -94,6 +118,13 @@ export default function App() {
             return shouldShowCNF;
         });
         setCnfGraph(shouldShowCNF ? (currentStep.cnfGraph || null) : null);
+        setStepGrammar(getStepGrammar(currentStep, grammar));
+        setLanguageCheck(getLanguageCheck(stepManager.getSteps(), status.currentIndex));
+
+        // Die FIRST/FOLLOW-Tabelle steht in der rechten Sidebar
+        if (currentStep.state?.firstFollow && status.currentIndex === 0) {
+            setSidebarRightOpen(true);
+        }
 
         setInfoMessage(getStepPopupMessage(currentStep));
 
@@ -114,6 +145,48 @@ export default function App() {
         return unsubscribe;
     }, [handleStepStatus]);
 
+    /**
+     * Stellt Schritte und Schrittposition eines geladenen Projekts wieder her,
+     * sobald dessen Grammatik uebernommen ist.
+     */
+    useEffect(() => {
+        const project = pendingProjectRef.current;
+        if (!project) return;
+        pendingProjectRef.current = null;
+
+        if (project.steps.length > 0) {
+            stepManager.initializeSteps(project.steps);
+            stepManager.jumpToStep(Math.min(project.currentIndex, project.steps.length - 1));
+            if (project.view) setShowCNFCanvas(project.view === 'cnf');
+        }
+        setPendingViewports(project.viewports);
+    }, [grammar]);
+
+    useEffect(() => {
+        if (!pendingViewports) return;
+        canvasRef.current?.restoreView(pendingViewports.grammar);
+        cnfCanvasRef.current?.restoreView(pendingViewports.cnf);
+        setPendingViewports(null);
+    }, [pendingViewports]);
+
+    /**
+     * Liefert den Zustand der Zeichenflaechen fuer die Projektdatei.
+     */
+    const getViewports = () => ({
+        grammar: canvasRef.current?.getView() || null,
+        cnf: cnfCanvasRef.current?.getView() || null,
+    });
+
+    /**
+     * Uebernimmt eine geladene Projektdatei (Grammatik, Schritte, Viewports).
+     */
+    const handleProjectLoad = (project) => {
+        const hasSteps = project.steps.length > 0;
+        handleAnalyzeFlag(hasSteps);
+        pendingProjectRef.current = hasProductions(project.grammar) ? project : null;
+        handleGrammarChange(project.grammar, { source: hasSteps ? 'analyze' : 'project' });
+    };
+
     /**
      * UI-Handler fuer die linke CFG-Seitenleiste.
      */
@@ -169,6 +242,43 @@ export default function App() {
         return () => mq.removeEventListener('change', handler);
     }, []);
 
+    /**
+     * Oeffnet eine ueber das URL-Fragment geteilte Grammatik samt Schritt und Ansicht.
+     */
+    const openSharedSession = (session) => {
+        sidebarLeftRef.current?.restoreProject({
+            input: session.input,
+            ebnfMode: session.ebnfMode,
+            grammar: null,
+            steps: session.step !== null ? null : [],
+            currentIndex: session.step ?? 0,
+            viewports: {},
+            view: session.view,
+        });
+    };
+
+    useShareLink({
+        getSession: () => sidebarLeftRef.current?.getSession(),
+        onOpen: openSharedSession,
+        onOpenError: (error) => setInfoMessage(error.message),
+        grammar,
+        analyzeFlag,
+        showCNFCanvas,
+    });
+
+    /**
+     * Kopiert den Link auf die aktuelle Sitzung in die Zwischenablage.
+     */
+    const copyShareLink = () => {
+        if (!navigator.clipboard) {
+            setInfoMessage('Link bitte aus der Adresszeile kopieren');
+            return;
+        }
+        navigator.clipboard.writeText(window.location.href)
+            .then(() => setInfoMessage('Link in die Zwischenablage kopiert'))
+            .catch(() => setInfoMessage('Link konnte nicht kopiert werden, bitte aus der Adresszeile übernehmen'));
+    };
+
     useEdgeSwipe({
         onOpenLeft: openSidebarLeft,
         onOpenRight: openSidebarRight,
@@ -214,6 +324,13 @@ export default function App() {
                     >
                         GitHub
                     </button>
+                    <button
+                        className="github-button"
+                        onClick={copyShareLink}
+                        title="Link auf Grammatik und aktuellen Schritt kopieren"
+                    >
+                        Link teilen
+                    </button>
                     <button
                         className={`cnf-toggle-button ${showCNFCanvas ? 'active' : ''}`}
                         onClick={toggleCNFCanvas}
@@ -227,31 +344,51 @@ export default function App() {
 
             <div className="app-main">
                 <SidebarLeft
+                    ref={sidebarLeftRef}
                     open={sidebarLeftOpen}
                     toggleSidebarLeft={toggleSidebarLeft}
                     onGrammarChange={handleGrammarChange}
                     onAnalyzeFlag={handleAnalyzeFlag}
+                    onInfoMessage={setInfoMessage}
+                    getViewports={getViewports}
+                    onProjectLoad={handleProjectLoad}
+                    regularType={regularType}
                 ></SidebarLeft>
                 <div className="canvas-area">
                     <Canvas
+                        ref={canvasRef}
                         grammar={grammar}
                         onConnectedProductionsChange={handleConnectedProductionsChange}
                     ></Canvas>
                     <CanvasCNF
+                        ref={cnfCanvasRef}
                         grammar={grammar}
                         cnfGraph={showCNFCanvas ? cnfGraph : null}
                         className={showCNFCanvas ? 'canvas-cnf-active' : ''}
                         viewportCenterOn={showCNFCanvas ? viewportCenterTrigger : null}
                     ></CanvasCNF>
+                    <ParseTreeCanvas />
+                    <LRAutomatonCanvas />
+                    <PDACanvas />
+                    <FiniteAutomatonCanvas />
+                    <CYKTable />
+                    <LL1Panel />
+                    <LRTablePanel />
+                    <PDAPanel />
+                    <DerivationPanel grammar={grammar} />
                 </div>
                 <SidebarRight
                     grammar={grammar}
+                    stepGrammar={stepGrammar}
+                    languageCheck={languageCheck}
                     open={sidebarRightOpen}
                     locked={sidebarRightLocked}
                     toggleSidebarRight={toggleSidebarRight}
                     onOpenLogsModal={() => setIsLogsModalOpen(true)}
+                    onOpenWordsModal={() => setWordsModal({ listAll: false })}
                     currentLogs={currentLogs}
                     onCurrentLogsChange={setCurrentLogs}
+                    onInfoMessage={setInfoMessage}
                 ></SidebarRight>
             </div>
 
@@ -261,11 +398,20 @@ export default function App() {
                 logs={totalLogs}
             />
 
+            <WordsModal
+                isOpen={wordsModal !== null}
+                onClose={() => setWordsModal(null)}
+                grammar={grammar}
+                listAll={wordsModal?.listAll}
+            />
+
             <Footer
                 visible={grammar && Object.keys(grammar.productions || {}).length > 0}
                 analyzeFlag={analyzeFlag}
                 footerResetTrigger={footerResetTrigger}
                 forceDefaultFooter={forceFooterDefault}
+                regularType={regularType}
+                onShowAllWords={() => setWordsModal({ listAll: true })}
             />
         </div>
     );
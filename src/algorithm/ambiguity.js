@@ -0,0 +1,173 @@
+import { EPSILON, isEpsilon, isNonTerminal, parseSymbols } from './grammarSymbols.js';
+import { getStartSymbol } from './parseGrammar.js';
+import { countWordDerivations, sortWords } from './enumerateWords.js';
+
+export const MAX_AMBIGUITY_LENGTH = 10;
+
+/**
+ * Beschraenkte Mehrdeutigkeitspruefung: sucht unter allen Woertern bis zur
+ * Laenge maxLength (laengen-lexikographisch) das erste mit mindestens zwei
+ * Ableitungsbaeumen. Mehrdeutigkeit ist unentscheidbar; ohne Fund ist die
+ * Grammatik nur fuer Woerter bis maxLength eindeutig.
+ * Liefert { witness, trees, lengths: [{ length, words, ambiguous }], truncated }.
+ */
+export default function findAmbiguity(grammar, maxLength) {
+	const limit = Math.max(0, Math.min(maxLength, MAX_AMBIGUITY_LENGTH));
+	const startSymbol = getStartSymbol(grammar);
+	const { buckets, truncated } = countWordDerivations(grammar.productions, startSymbol, limit);
+	const lengths = [];
+
+	for (let length = 0; length < buckets.length; length++) {
+		const ambiguous = sortWords([...buckets[length]].filter(([, count]) => count > 1).map(([word]) => word));
+		lengths.push({ length, words: buckets[length].size, ambiguous: ambiguous.length });
+
+		if (ambiguous.length > 0) {
+			const witness = ambiguous[0];
+			return { witness, trees: findParseTrees(grammar, witness, 2), lengths, truncated };
+		}
+	}
+
+	return { witness: null, trees: [], lengths, truncated };
+}
+
+/**
+ * Liefert bis zu limit verschiedene Ableitungsbaeume ({ symbol, children })
+ * fuer ein Wort in der Grammatik. Grundlage ist eine Tabelle der Baumanzahlen
+ * je Teilwort; Unit-/ε-Zyklen werden auf einem Pfad hoechstens einmal
+ * wiederholt, damit die Suche endet.
+ */
+export function findParseTrees(grammar, word, limit = 2) {
+	const startSymbol = getStartSymbol(grammar);
+	const chart = buildCountChart(grammar.productions, word);
+	const count = (symbol, from, to) => countSymbol(chart, word, symbol, from, to);
+	const visits = new Map();
+
+	const treesFor = (symbol, from, to) => {
+		if (!isNonTerminal(symbol)) {
+			return count(symbol, from, to) > 0 ? [{ symbol, children: [] }] : [];
+		}
+		if (count(symbol, from, to) === 0) return [];
+
+		const key = `${symbol}|${from}|${to}`;
+		const seen = visits.get(key) || 0;
+		if (seen >= 2) return [];
+		visits.set(key, seen + 1);
+
+		const trees = [];
+		const alternatives = grammar.productions[symbol] || [];
+		for (let i = 0; i < alternatives.length && trees.length < limit; i++) {
+			if (isEpsilon(alternatives[i])) {
+				if (from === to) trees.push({ symbol, children: [{ symbol: EPSILON, children: [] }] });
+				continue;
+			}
+
+			const sequences = sequencesFor(parseSymbols(alternatives[i]), 0, from, to);
+			for (let j = 0; j < sequences.length && trees.length < limit; j++) {
+				trees.push({ symbol, children: sequences[j] });
+			}
+		}
+
+		visits.set(key, seen);
+		return trees;
+	};
+
+	const sequencesFor = (symbols, index, from, to) => {
+		if (index === symbols.length) return from === to ? [[]] : [];
+
+		const sequences = [];
+		const last = index === symbols.length - 1;
+		for (let end = last ? to : from; end <= to && sequences.length < limit; end++) {
+			if (count(symbols[index], from, end) === 0) continue;
+
+			const heads = treesFor(symbols[index], from, end);
+			if (heads.length === 0) continue;
+			const tails = sequencesFor(symbols, index + 1, end, to);
+
+			for (let h = 0; h < heads.length && sequences.length < limit; h++) {
+				for (let t = 0; t < tails.length && sequences.length < limit; t++) {
+					sequences.push([heads[h], ...tails[t]]);
+				}
+			}
+		}
+
+		return sequences;
+	};
+
+	return treesFor(startSymbol, 0, word.length);
+}
+
+/**
+ * Zaehlt die Ableitungsbaeume eines Worts (0, 1 oder 2 fuer "mehrere").
+ * Mit > 0 dient das als Wortproblem-Test fuer beliebige CFGs ohne CNF.
+ */
+export function countParseTrees(grammar, word) {
+	const chart = buildCountChart(grammar.productions, word);
+	return countSymbol(chart, word, getStartSymbol(grammar), 0, word.length);
+}
+
+/**
+ * Zaehlt je Teilwort w[i..j) und Variable die Ableitungsbaeume (gekappt bei 2).
+ * Teilwoerter gleicher Laenge werden bis zum Fixpunkt wiederholt, weil
+ * ε- und Unit-Regeln auf dasselbe Teilwort verweisen.
+ */
+function buildCountChart(productions, word) {
+	const n = word.length;
+	const variables = Object.keys(productions);
+	const chart = Array.from({ length: n + 1 }, () => Array.from({ length: n + 1 }, () => new Map()));
+
+	for (let length = 0; length <= n; length++) {
+		let changed = true;
+		while (changed) {
+			changed = false;
+
+			for (let from = 0; from + length <= n; from++) {
+				const to = from + length;
+				for (let i = 0; i < variables.length; i++) {
+					const variable = variables[i];
+					let total = 0;
+					const alternatives = productions[variable] || [];
+					for (let j = 0; j < alternatives.length; j++) {
+						const symbols = isEpsilon(alternatives[j]) ? [] : parseSymbols(alternatives[j]);
+						total = Math.min(2, total + countSequence(chart, word, symbols, from, to));
+					}
+
+					if (total !== (chart[from][to].get(variable) || 0)) {
+						chart[from][to].set(variable, total);
+						changed = true;
+					}
+				}
+			}
+		}
+	}
+
+	return chart;
+}
+
+/**
+ * Anzahl der Ableitungen einer Symbolfolge fuer w[from..to) (gekappt bei 2).
+ */
+function countSequence(chart, word, symbols, from, to) {
+	let partial = new Map([[from, 1]]);
+
+	for (let i = 0; i < symbols.length; i++) {
+		const next = new Map();
+		for (const [position, count] of partial) {
+			for (let end = position; end <= to; end++) {
+				const symbolCount = countSymbol(chart, word, symbols[i], position, end);
+				if (symbolCount === 0) continue;
+				next.set(end, Math.min(2, (next.get(end) || 0) + count * symbolCount));
+			}
+		}
+		partial = next;
+	}
+
+	return partial.get(to) || 0;
+}
+
+/**
+ * Anzahl der Ableitungen eines einzelnen Symbols fuer w[from..to).
+ */
+function countSymbol(chart, word, symbol, from, to) {
+	if (isNonTerminal(symbol)) return chart[from][to].get(symbol) || 0;
+	return to === from + 1 && word[from] === symbol ? 1 : 0;
+}
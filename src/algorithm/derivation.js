@@ -0,0 +1,121 @@
+import { EPSILON, isEpsilon, isNonTerminal, joinSymbols, parseSymbols } from './grammarSymbols.js';
+import { findParseTrees } from './ambiguity.js';
+
+/**
+ * Links- und Rechtsableitungen ueber Satzformen.
+ * Eine Satzform ist ein Array von Symbolen; ε steht nie in einer Satzform.
+ */
+
+export const DERIVATION_MODES = ['leftmost', 'rightmost'];
+
+/**
+ * Liefert die Position der Variable, die im Modus als naechste ersetzt wird, oder -1.
+ */
+export function findDerivationTarget(form, mode) {
+	if (mode === 'rightmost') {
+		for (let i = form.length - 1; i >= 0; i--) {
+			if (isNonTerminal(form[i])) return i;
+		}
+		return -1;
+	}
+
+	return form.findIndex(symbol => isNonTerminal(symbol));
+}
+
+/**
+ * Ersetzt das Symbol an index durch die rechte Seite einer Produktion.
+ */
+export function applyProduction(form, index, production) {
+	const replacement = isEpsilon(production) ? [] : parseSymbols(production);
+	return [...form.slice(0, index), ...replacement, ...form.slice(index + 1)];
+}
+
+/**
+ * Formatiert eine Satzform; die leere Satzform wird als ε geschrieben.
+ */
+export function formatSententialForm(form) {
+	return form.length > 0 ? joinSymbols(form) : EPSILON;
+}
+
+/**
+ * Prueft, ob aus der Satzform das Wort noch ableitbar sein kann.
+ * Terminale verschwinden nie; bei Links-/Rechtsableitungen ist zudem der
+ * Teil vor bzw. nach der ersten/letzten Variable endgueltig.
+ * Liefert null oder eine Meldung, warum w nicht mehr erreichbar ist.
+ */
+export function checkSententialForm(form, word, mode) {
+	if (!word) return null;
+
+	const terminals = form.filter(symbol => !isNonTerminal(symbol));
+	if (terminals.length > word.length) {
+		return `Die Satzform enthält ${terminals.length} Terminale, w hat nur ${word.length}`;
+	}
+
+	const target = findDerivationTarget(form, mode);
+	if (target === -1) {
+		return form.join(' ') === word.join(' ') ? null : 'Die Satzform ist ein anderes Wort als w';
+	}
+
+	if (mode === 'rightmost') {
+		const suffix = form.slice(target + 1);
+		const wordSuffix = word.slice(word.length - suffix.length);
+		if (suffix.length > 0 && suffix.join(' ') !== wordSuffix.join(' ')) {
+			return `Das Ende ${joinSymbols(suffix)} passt nicht zum Ende von w`;
+		}
+		return null;
+	}
+
+	const prefix = form.slice(0, target);
+	if (prefix.length > 0 && prefix.join(' ') !== word.slice(0, prefix.length).join(' ')) {
+		return `Der Anfang ${joinSymbols(prefix)} passt nicht zum Anfang von w`;
+	}
+	return null;
+}
+
+/**
+ * Liest eine Links- oder Rechtsableitung aus einem Ableitungsbaum ab.
+ * Liefert die angewandten Produktionen [{ index, variable, production }].
+ */
+export function derivationFromTree(tree, mode) {
+	const applications = [];
+	let form = [tree];
+
+	while (true) {
+		const index = findDerivationTarget(form.map(node => node.symbol), mode);
+		if (index === -1) break;
+
+		const node = form[index];
+		const children = node.children.filter(child => !isEpsilon(child.symbol));
+		applications.push({
+			index,
+			variable: node.symbol,
+			production: children.length > 0 ? joinSymbols(children.map(child => child.symbol)) : EPSILON,
+		});
+		form = [...form.slice(0, index), ...children, ...form.slice(index + 1)];
+	}
+
+	return applications;
+}
+
+/**
+ * Sucht eine Links- oder Rechtsableitung des Worts direkt in der Grammatik.
+ * Liefert die angewandten Produktionen wie derivationFromTree oder null, wenn w ∉ L(G).
+ */
+export function deriveWord(grammar, word, mode) {
+	const [tree] = findParseTrees(grammar, word, 1);
+	return tree ? derivationFromTree(tree, mode) : null;
+}
+
+/**
+ * Liefert die Satzformen einer Ableitung, beginnend mit der Startvariable.
+ */
+export function derivationForms(startSymbol, applications) {
+	const forms = [[startSymbol]];
+
+	for (let i = 0; i < applications.length; i++) {
+		const { index, production } = applications[i];
+		forms.push(applyProduction(forms[forms.length - 1], index, production));
+	}
+
+	return forms;
+}
@@ -0,0 +1,444 @@
+import { EPSILON, isNonTerminal, isQuoteStart, joinSymbols, scanSymbols } from './grammarSymbols.js';
+
+/**
+ * EBNF-Unterstuetzung fuer CFG-Eingaben.
+ *
+ * Im EBNF-Modus sind ( ) [ ] { } * + ? Operatoren:
+ *   (a | b)  Gruppe          [a] / a?  optional
+ *   {a} / a*  beliebig oft    a+        mindestens einmal
+ * Als Terminal werden diese Zeichen in Anfuehrungszeichen geschrieben ('(').
+ * Jedes Konstrukt wird durch eine neue Hilfsvariable in reine CFG-Regeln uebersetzt.
+ */
+
+const EBNF_OPERATORS = '()[]{}*+?|';
+const EPSILON_ALTERNATIVES = ['_', 'eps', EPSILON];
+
+/**
+ * Parst die RHS einer EBNF-Regel in einen Syntaxbaum aus Alternativen.
+ * Positionen (start/end) beziehen sich auf den uebergebenen Text.
+ * Liefert { alternatives, skipped, problems }.
+ */
+export function parseEBNFAlternatives(text, notation) {
+	const { tokens, skipped } = tokenizeEBNF(text, notation);
+	const { alternatives, problems } = parseEBNFTokens(text, tokens);
+
+	return { alternatives, skipped, problems };
+}
+
+/**
+ * Baut den Syntaxbaum aus bereits zerlegten Token { type, value, index, length }.
+ * type ist 'symbol', 'operator' (eines von ( ) [ ] { } * + ? |) oder 'epsilon'.
+ * Wird auch von den Importern (BNF, yacc, ANTLR) genutzt; end begrenzt dann
+ * den Textbereich der Regel.
+ */
+export function parseEBNFTokens(text, tokens, end = text.length) {
+	const parser = { text, tokens, position: 0, problems: [] };
+	const alternatives = parseAlternatives(parser, end);
+
+	while (parser.position < tokens.length) {
+		const token = tokens[parser.position++];
+		parser.problems.push({
+			index: token.index,
+			length: token.length,
+			message: `"${token.value}" ohne passende öffnende Klammer`,
+			suggestion: `Entferne "${token.value}" oder schreibe es als Terminal '${token.value}'`,
+		});
+	}
+
+	return { alternatives, problems: parser.problems };
+}
+
+/**
+ * Uebersetzt geparste EBNF-Regeln in reine CFG-Produktionen.
+ * rules: [{ lhs, line, column, rhs, alternatives }] mit column als 1-basierter
+ * Spalte des RHS-Textbeginns. Setzt rule.productions und liefert die
+ * Hilfsvariablen { name, construct, source, lhs, line, column, endColumn, productions }
+ * in der Reihenfolge ihrer Einfuehrung (innere Konstrukte zuerst).
+ */
+export function desugarEBNFRules(rules) {
+	const usedNames = collectUsedNames(rules);
+	const helpers = [];
+
+	for (let i = 0; i < rules.length; i++) {
+		const rule = rules[i];
+		const context = { rule, usedNames, helpers, counter: 0 };
+
+		rule.productions = rule.alternatives.map(alternative => ({
+			production: toProduction(desugarSequence(alternative, context)),
+			line: rule.line,
+			column: rule.column + alternative.start,
+			endColumn: rule.column + alternative.end,
+		}));
+	}
+
+	return helpers;
+}
+
+/**
+ * Zerlegt EBNF-Text in Operator- und Symbol-Token.
+ * Text zwischen Operatoren wird mit scanSymbols gelesen.
+ */
+function tokenizeEBNF(text, notation) {
+	const tokens = [];
+	const skipped = [];
+	let segmentStart = 0;
+	let quote = null;
+
+	const flushSegment = (end) => {
+		const segment = text.slice(segmentStart, end);
+		const scanned = scanSymbols(segment, notation);
+
+		for (let i = 0; i < scanned.symbols.length; i++) {
+			const { index, length } = scanned.spans[i];
+			tokens.push({ type: 'symbol', value: scanned.symbols[i], index: segmentStart + index, length });
+		}
+		for (let i = 0; i < scanned.skipped.length; i++) {
+			const entry = scanned.skipped[i];
+			const index = segmentStart + entry.index;
+			if (entry.reason === 'epsilon') {
+				tokens.push({ type: 'epsilon', value: entry.char, index, length: entry.char.length });
+			} else {
+				skipped.push({ ...entry, index });
+			}
+		}
+	};
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (quote) {
+			if (char === quote) quote = null;
+			continue;
+		}
+
+		if (isQuoteStart(text, i)) {
+			quote = char;
+			continue;
+		}
+
+		if (EBNF_OPERATORS.includes(char)) {
+			flushSegment(i);
+			tokens.push({ type: 'operator', value: char, index: i, length: 1 });
+			segmentStart = i + 1;
+		}
+	}
+
+	flushSegment(text.length);
+	tokens.sort((a, b) => a.index - b.index);
+
+	return { tokens, skipped };
+}
+
+/**
+ * alternatives := sequence ('|' sequence)*
+ */
+function parseAlternatives(parser, end) {
+	const alternatives = [parseSequence(parser, end)];
+
+	while (peekOperator(parser, '|')) {
+		parser.position++;
+		alternatives.push(parseSequence(parser, end));
+	}
+
+	return alternatives;
+}
+
+/**
+ * sequence := postfix*
+ * Eine Folge, die nur aus _, ε oder eps besteht, steht fuer das leere Wort.
+ */
+function parseSequence(parser, end) {
+	const items = [];
+	const first = parser.tokens[parser.position];
+	const start = first && !isSequenceEnd(first) ? first.index : findSequenceStart(parser);
+	let epsilon = false;
+
+	while (parser.position < parser.tokens.length && !isSequenceEnd(parser.tokens[parser.position])) {
+		const token = parser.tokens[parser.position];
+
+		if (token.type === 'epsilon') {
+			parser.position++;
+			epsilon = true;
+			continue;
+		}
+
+		const item = parsePostfix(parser);
+		if (item) items.push(item);
+	}
+
+	const next = parser.tokens[parser.position];
+	const sequenceEnd = next ? next.index : end;
+	const source = parser.text.slice(start, sequenceEnd).trim();
+	const isEpsilonSequence = EPSILON_ALTERNATIVES.includes(source);
+
+	if (epsilon && items.length > 0) {
+		parser.problems.push({
+			index: start,
+			length: source.length,
+			message: 'ε steht zusammen mit anderen Symbolen und wird entfernt',
+			suggestion: 'ε nur als eigene Alternative schreiben, z.B. [a] oder (a | _)',
+			severity: 'warning',
+		});
+	}
+
+	return {
+		type: 'sequence',
+		items: isEpsilonSequence ? [] : items,
+		epsilon: isEpsilonSequence || (epsilon && items.length === 0),
+		start,
+		end: start + source.length,
+	};
+}
+
+/**
+ * postfix := primary ('*' | '+' | '?')*
+ */
+function parsePostfix(parser) {
+	let item = parsePrimary(parser);
+	if (!item) return null;
+
+	while (parser.position < parser.tokens.length) {
+		const token = parser.tokens[parser.position];
+		if (token.type !== 'operator' || !'*+?'.includes(token.value)) break;
+
+		parser.position++;
+		const end = token.index + 1;
+		item = token.value === '?'
+			? { type: 'optional', alternatives: [wrapInSequence(item)], start: item.start, end }
+			: { type: 'repeat', min: token.value === '+' ? 1 : 0, item, start: item.start, end };
+	}
+
+	return item;
+}
+
+/**
+ * primary := symbol | '(' alternatives ')' | '[' alternatives ']' | '{' alternatives '}'
+ */
+function parsePrimary(parser) {
+	const token = parser.tokens[parser.position++];
+
+	if (token.type === 'symbol') {
+		return { type: 'symbol', symbol: token.value, start: token.index, end: token.index + token.length };
+	}
+
+	const closing = { '(': ')', '[': ']', '{': '}' }[token.value];
+	if (!closing) {
+		parser.problems.push({
+			index: token.index,
+			length: 1,
+			message: `"${token.value}" ohne vorangehendes Symbol`,
+			suggestion: `Setze "${token.value}" hinter ein Symbol oder eine Gruppe, z.B. a${token.value}`,
+		});
+		return null;
+	}
+
+	const alternatives = parseAlternatives(parser, parser.text.length);
+	const closeToken = parser.tokens[parser.position];
+	let end = parser.text.length;
+
+	if (closeToken && closeToken.value === closing) {
+		parser.position++;
+		end = closeToken.index + 1;
+	} else {
+		parser.problems.push({
+			index: token.index,
+			length: 1,
+			message: `"${token.value}" wird nicht mit "${closing}" geschlossen`,
+			suggestion: `Ergänze "${closing}"`,
+		});
+	}
+
+	if (alternatives.every(alternative => alternative.items.length === 0 && !alternative.epsilon)) {
+		parser.problems.push({
+			index: token.index,
+			length: end - token.index,
+			message: 'Leere Klammer wird ignoriert',
+			suggestion: 'Für das leere Wort schreibe _',
+			severity: 'warning',
+		});
+		return null;
+	}
+
+	const start = token.index;
+	if (token.value === '[') return { type: 'optional', alternatives, start, end };
+	if (token.value === '{') {
+		return { type: 'repeat', min: 0, item: { type: 'group', alternatives, start, end }, start, end };
+	}
+	return { type: 'group', alternatives, start, end };
+}
+
+/**
+ * Prueft, ob das Token eine Folge beendet (| oder schliessende Klammer).
+ */
+function isSequenceEnd(token) {
+	return token.type === 'operator' && '|)]}'.includes(token.value);
+}
+
+/**
+ * Prueft, ob das aktuelle Token der angegebene Operator ist.
+ */
+function peekOperator(parser, value) {
+	const token = parser.tokens[parser.position];
+	return !!token && token.type === 'operator' && token.value === value;
+}
+
+/**
+ * Startposition einer leeren Folge: direkt hinter dem vorherigen Token.
+ */
+function findSequenceStart(parser) {
+	const previous = parser.tokens[parser.position - 1];
+	return previous ? previous.index + previous.length : 0;
+}
+
+/**
+ * Verpackt ein einzelnes Element als einelementige Folge.
+ */
+function wrapInSequence(item) {
+	return { type: 'sequence', items: [item], epsilon: false, start: item.start, end: item.end };
+}
+
+/**
+ * Uebersetzt eine Folge in Symbole; Konstrukte werden zu Hilfsvariablen.
+ */
+function desugarSequence(sequence, context) {
+	const symbols = [];
+
+	for (let i = 0; i < sequence.items.length; i++) {
+		symbols.push(...desugarItem(sequence.items[i], context));
+	}
+
+	return symbols;
+}
+
+/**
+ * Uebersetzt ein EBNF-Element in eine Symbolfolge.
+ */
+function desugarItem(item, context) {
+	if (item.type === 'symbol') {
+		return [item.symbol];
+	}
+
+	if (item.type === 'group') {
+		if (item.alternatives.length === 1) {
+			return desugarSequence(item.alternatives[0], context);
+		}
+		const bodies = item.alternatives.map(alternative => desugarSequence(alternative, context));
+		return [introduceHelper(context, item, 'group', bodies)];
+	}
+
+	if (item.type === 'optional') {
+		const bodies = item.alternatives.map(alternative => desugarSequence(alternative, context));
+		return [introduceHelper(context, item, 'optional', [...bodies, []])];
+	}
+
+	const bodies = getRepeatBodies(item.item, context);
+	// Leere Rumpf-Folgen ergaeben H -> H; mit ihnen ist (α | ε)+ gleich α*
+	const nonEmpty = bodies.filter(body => body.length > 0);
+	const helper = allocateHelperName(context);
+	const productions = nonEmpty.map(body => [...body, helper]);
+	const construct = item.min === 1 ? 'plus' : 'star';
+
+	if (item.min === 1 && nonEmpty.length === bodies.length) {
+		productions.push(...bodies);
+	} else {
+		productions.push([]);
+	}
+
+	return [registerHelper(context, helper, item, construct, productions)];
+}
+
+/**
+ * Liefert die Rumpf-Folgen einer Wiederholung.
+ * Bei einer Gruppe (d | e)* wird jede Alternative direkt wiederholt.
+ */
+function getRepeatBodies(item, context) {
+	if (item.type === 'group') {
+		return item.alternatives.map(alternative => desugarSequence(alternative, context));
+	}
+	return [desugarItem(item, context)];
+}
+
+/**
+ * Legt eine Hilfsvariable mit den gegebenen Rumpf-Folgen an.
+ */
+function introduceHelper(context, item, construct, bodies) {
+	const helper = allocateHelperName(context);
+	return registerHelper(context, helper, item, construct, bodies);
+}
+
+/**
+ * Merkt sich eine eingefuehrte Hilfsvariable samt Textstelle.
+ */
+function registerHelper(context, name, item, construct, bodies) {
+	const { rule, helpers } = context;
+	const productions = [];
+
+	for (let i = 0; i < bodies.length; i++) {
+		const production = toProduction(bodies[i]);
+		if (!productions.includes(production)) {
+			productions.push(production);
+		}
+	}
+
+	helpers.push({
+		name,
+		construct,
+		source: rule.rhs.slice(item.start, item.end),
+		lhs: rule.lhs,
+		line: rule.line,
+		column: rule.column + item.start,
+		endColumn: rule.column + item.end,
+		productions,
+	});
+
+	return name;
+}
+
+/**
+ * Erzeugt einen freien Namen fuer eine Hilfsvariable (A_1, Expr_2, <list_1>).
+ */
+function allocateHelperName(context) {
+	const { rule, usedNames } = context;
+	const angle = rule.lhs.match(/^<(.+)>$/);
+	const base = angle ? angle[1] : rule.lhs.replace(/'+$/, '');
+	let name;
+
+	do {
+		context.counter++;
+		name = angle ? `<${base}_${context.counter}>` : `${base}_${context.counter}`;
+	} while (usedNames.has(name));
+
+	usedNames.add(name);
+	return name;
+}
+
+/**
+ * Sammelt alle Variablennamen der Eingabe, um Kollisionen zu vermeiden.
+ */
+function collectUsedNames(rules) {
+	const usedNames = new Set();
+
+	const visit = (node) => {
+		if (node.type === 'symbol') {
+			if (isNonTerminal(node.symbol)) usedNames.add(node.symbol);
+			return;
+		}
+		if (node.item) visit(node.item);
+		(node.items || []).forEach(visit);
+		(node.alternatives || []).forEach(visit);
+	};
+
+	for (let i = 0; i < rules.length; i++) {
+		usedNames.add(rules[i].lhs);
+		rules[i].alternatives.forEach(visit);
+	}
+
+	return usedNames;
+}
+
+/**
+ * Setzt eine Symbolfolge zur gespeicherten Produktion zusammen (leer = ε).
+ */
+function toProduction(symbols) {
+	return symbols.length === 0 ? EPSILON : joinSymbols(symbols);
+}
@@ -0,0 +1,244 @@
+import { isEpsilon, isNonTerminal, parseSymbols } from './grammarSymbols.js';
+
+export const MAX_ENUMERATION_LENGTH = 16;
+export const MAX_WORDS_PER_LENGTH = 5000;
+const MAX_CONCATENATIONS = 500000;
+
+/**
+ * Erzeugt alle Woerter der Sprache bis zur Laenge maxLength.
+ * Liefert { lengths: [{ length, words }], total, truncated }; Woerter sind
+ * Symbol-Arrays, je Laenge laengen-lexikographisch sortiert. truncated ist
+ * gesetzt, wenn Grenzen fuer Wortzahl oder Rechenaufwand erreicht wurden.
+ */
+export default function enumerateWords(productions, startSymbol, maxLength) {
+	const { buckets, truncated } = countWordDerivations(productions, startSymbol, maxLength);
+	const lengths = buckets.map((bucket, length) => ({
+		length,
+		words: sortWords([...bucket.keys()]),
+	}));
+
+	return {
+		lengths,
+		total: lengths.reduce((sum, entry) => sum + entry.words.length, 0),
+		truncated,
+	};
+}
+
+/**
+ * Zaehlt fuer alle Woerter bis zur Laenge maxLength die Ableitungsbaeume,
+ * gekappt bei 2 (mehr braucht die Mehrdeutigkeitspruefung nicht).
+ * Fuer jede Variable A und Laenge l wird W(A, l): Wort -> Anzahl als Fixpunkt
+ * berechnet; das funktioniert fuer beliebige CFGs, auch mit ε- und Unit-Regeln
+ * (Zyklen wie A -> A ergeben beliebig viele Baeume, also die Kappung 2).
+ * Liefert { buckets, truncated } mit buckets[l] = Map(Wort -> Anzahl) der
+ * Startvariable; Woerter sind intern Symbole mit Leerzeichen verbunden.
+ */
+export function countWordDerivations(productions, startSymbol, maxLength) {
+	const limit = Math.max(0, Math.min(maxLength, MAX_ENUMERATION_LENGTH));
+	const variables = Object.keys(productions);
+	const words = {};
+	const budget = { concatenations: 0, truncated: false };
+
+	for (let i = 0; i < variables.length; i++) {
+		words[variables[i]] = createBuckets(limit);
+	}
+
+	let changed = true;
+	while (changed && budget.concatenations < MAX_CONCATENATIONS) {
+		changed = false;
+
+		for (let i = 0; i < variables.length; i++) {
+			const variable = variables[i];
+			const alternatives = productions[variable] || [];
+			const derived = createBuckets(limit);
+
+			for (let j = 0; j < alternatives.length; j++) {
+				const symbols = isEpsilon(alternatives[j]) ? [] : parseSymbols(alternatives[j]);
+				addCounts(derived, concatenateSymbols(symbols, words, limit, budget), budget);
+			}
+
+			// Bei Abbruch durch die Grenzen fehlen Woerter; Bekanntes bleibt erhalten
+			keepKnown(derived, words[variable]);
+			if (!sameBuckets(words[variable], derived)) {
+				words[variable] = derived;
+				changed = true;
+			}
+		}
+	}
+
+	if (budget.concatenations >= MAX_CONCATENATIONS) budget.truncated = true;
+
+	return {
+		buckets: words[startSymbol] || createBuckets(limit),
+		truncated: budget.truncated,
+	};
+}
+
+/**
+ * Sortiert Woerter (intern, mit Leerzeichen) gleicher Laenge lexikographisch
+ * und liefert sie als Symbol-Arrays.
+ */
+export function sortWords(words) {
+	return words.map(toSymbols).sort(compareWords);
+}
+
+/**
+ * Bestimmt die Laenge des laengsten Worts einer CNF oder null, wenn die
+ * Sprache unendlich ist (Zyklus unter den erreichbaren Variablen).
+ */
+export function getMaxWordLength(cnfGraph, startSymbol) {
+	const lengths = new Map();
+	const visiting = new Set();
+
+	const visit = (variable) => {
+		if (lengths.has(variable)) return lengths.get(variable);
+		if (visiting.has(variable)) return null;
+		visiting.add(variable);
+
+		let longest = -1;
+		const alternatives = cnfGraph[variable] || [];
+		for (let i = 0; i < alternatives.length; i++) {
+			const symbols = isEpsilon(alternatives[i]) ? [] : parseSymbols(alternatives[i]);
+			let length = 0;
+			for (let j = 0; j < symbols.length; j++) {
+				const part = isNonTerminal(symbols[j]) ? visit(symbols[j]) : 1;
+				if (part === null) return null;
+				length = part < 0 || length < 0 ? -1 : length + part;
+			}
+			longest = Math.max(longest, length);
+		}
+
+		visiting.delete(variable);
+		lengths.set(variable, longest);
+		return longest;
+	};
+
+	const result = visit(startSymbol);
+	return result === null ? null : Math.max(0, result);
+}
+
+/**
+ * Formatiert ein Wort; bei lauter einzelnen Zeichen ohne Leerzeichen.
+ */
+export function formatWord(word) {
+	if (word.length === 0) return 'ε';
+	return word.every(symbol => symbol.length === 1) ? word.join('') : word.join(' ');
+}
+
+/**
+ * Legt je Laenge 0..limit eine leere Wortzuordnung (Wort -> Anzahl) an.
+ */
+function createBuckets(limit) {
+	return Array.from({ length: limit + 1 }, () => new Map());
+}
+
+/**
+ * Bildet alle Woerter bis zur Laenge limit, die aus der Symbolfolge ableitbar
+ * sind, samt Anzahl der Ableitungsbaeume (Produkt der Teilanzahlen).
+ */
+function concatenateSymbols(symbols, words, limit, budget) {
+	let partial = createBuckets(limit);
+	partial[0].set('', 1);
+
+	for (let i = 0; i < symbols.length; i++) {
+		const symbol = symbols[i];
+		const options = isNonTerminal(symbol) ? words[symbol] : terminalBuckets(symbol, limit);
+		if (!options) return createBuckets(limit);
+
+		const next = createBuckets(limit);
+		for (let left = 0; left <= limit; left++) {
+			if (partial[left].size === 0) continue;
+			for (let right = 0; left + right <= limit; right++) {
+				if (options[right].size === 0) continue;
+				for (const [prefix, prefixCount] of partial[left]) {
+					for (const [suffix, suffixCount] of options[right]) {
+						if (budget.concatenations >= MAX_CONCATENATIONS) {
+							budget.truncated = true;
+							return next;
+						}
+						budget.concatenations++;
+						const word = prefix && suffix ? `${prefix} ${suffix}` : prefix || suffix;
+						addCount(next[left + right], word, prefixCount * suffixCount, budget);
+					}
+				}
+			}
+		}
+		partial = next;
+	}
+
+	return partial;
+}
+
+/**
+ * Wortzuordnung eines Terminals: nur das Wort der Laenge 1.
+ */
+function terminalBuckets(symbol, limit) {
+	const buckets = createBuckets(limit);
+	if (limit >= 1) buckets[1].set(symbol, 1);
+	return buckets;
+}
+
+/**
+ * Addiert alle Anzahlen aus source in target.
+ */
+function addCounts(target, source, budget) {
+	for (let length = 0; length < target.length; length++) {
+		for (const [word, count] of source[length]) {
+			addCount(target[length], word, count, budget);
+		}
+	}
+}
+
+/**
+ * Addiert die Anzahl eines Worts (gekappt bei 2); volle Laengen nehmen keine
+ * neuen Woerter mehr auf.
+ */
+function addCount(bucket, word, count, budget) {
+	const current = bucket.get(word);
+	if (current === undefined && bucket.size >= MAX_WORDS_PER_LENGTH) {
+		budget.truncated = true;
+		return;
+	}
+	bucket.set(word, Math.min(2, (current || 0) + count));
+}
+
+/**
+ * Uebernimmt Woerter aus known, die in target fehlen oder dort seltener sind.
+ */
+function keepKnown(target, known) {
+	for (let length = 0; length < target.length; length++) {
+		for (const [word, count] of known[length]) {
+			if ((target[length].get(word) || 0) < count) target[length].set(word, count);
+		}
+	}
+}
+
+/**
+ * Prueft, ob zwei Wortzuordnungen dieselben Woerter und Anzahlen enthalten.
+ */
+function sameBuckets(a, b) {
+	for (let length = 0; length < a.length; length++) {
+		if (a[length].size !== b[length].size) return false;
+		for (const [word, count] of a[length]) {
+			if (b[length].get(word) !== count) return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Zerlegt die interne Wortdarstellung in Symbole.
+ */
+function toSymbols(word) {
+	return word === '' ? [] : word.split(' ');
+}
+
+/**
+ * Vergleicht zwei gleich lange Woerter symbolweise.
+ */
+function compareWords(a, b) {
+	for (let i = 0; i < a.length; i++) {
+		if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+	}
+	return 0;
+}
@@ -0,0 +1,50 @@
+import { countParseTrees } from './ambiguity.js';
+import enumerateWords from './enumerateWords.js';
+import { getStartSymbol } from './parseGrammar.js';
+
+export const MAX_EQUIVALENCE_LENGTH = 10;
+
+/**
+ * Vergleicht L(G1) und L(G2) fuer alle Woerter bis zur Laenge maxLength.
+ * Beide Sprachen werden aufgezaehlt; ein Wort, das in der Aufzaehlung der
+ * anderen Grammatik fehlt, wird dort noch per Wortproblem geprueft, falls
+ * deren Aufzaehlung gekuerzt wurde.
+ * Liefert { lengths: [{ length, first, second, onlyFirst, onlySecond }],
+ * equivalent, truncated }; onlyFirst/onlySecond sind Symbol-Arrays.
+ */
+export default function compareLanguages(first, second, maxLength) {
+	const limit = Math.max(0, Math.min(maxLength, MAX_EQUIVALENCE_LENGTH));
+	const firstWords = enumerateWords(first.productions, getStartSymbol(first), limit);
+	const secondWords = enumerateWords(second.productions, getStartSymbol(second), limit);
+	const lengths = [];
+
+	for (let length = 0; length <= limit; length++) {
+		const firstList = firstWords.lengths[length].words;
+		const secondList = secondWords.lengths[length].words;
+		const firstSet = new Set(firstList.map(word => word.join(' ')));
+		const secondSet = new Set(secondList.map(word => word.join(' ')));
+
+		lengths.push({
+			length,
+			first: firstList.length,
+			second: secondList.length,
+			onlyFirst: firstList.filter(word => !contains(second, secondSet, secondWords.truncated, word)),
+			onlySecond: secondList.filter(word => !contains(first, firstSet, firstWords.truncated, word)),
+		});
+	}
+
+	return {
+		lengths,
+		equivalent: lengths.every(entry => entry.onlyFirst.length === 0 && entry.onlySecond.length === 0),
+		truncated: firstWords.truncated || secondWords.truncated,
+	};
+}
+
+/**
+ * Prueft ein Wort gegen die Aufzaehlung einer Grammatik; ist diese gekuerzt,
+ * entscheidet das Wortproblem.
+ */
+function contains(grammar, words, truncated, word) {
+	if (words.has(word.join(' '))) return true;
+	return truncated && countParseTrees(grammar, word) > 0;
+}
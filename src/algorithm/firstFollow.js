@@ -0,0 +1,138 @@
+import { getStartSymbol } from './parseGrammar.js';
+import { EPSILON, isEpsilon, isNonTerminal, parseSymbols } from './grammarSymbols.js';
+
+export const END_MARKER = '$';
+
+/**
+ * Berechnet nullable, FIRST und FOLLOW fuer alle Variablen ohne Visualisierungsschritte.
+ * FIRST(A) enthaelt ε genau dann, wenn A nullable ist; FOLLOW(S) enthaelt $.
+ * Liefert { variables, nullable: Set, first: Map<A, Set>, follow: Map<A, Set> }.
+ */
+export default function computeFirstFollow(grammar) {
+	const variables = getVariables(grammar);
+	const nullable = new Set();
+	const first = new Map(variables.map(variable => [variable, new Set()]));
+	const follow = new Map(variables.map(variable => [variable, new Set()]));
+	const rules = getRules(grammar.productions, variables);
+
+	let changed = true;
+	while (changed) {
+		changed = false;
+		rules.forEach(({ variable, symbols }) => {
+			if (!nullable.has(variable) && symbols.every(symbol => nullable.has(symbol))) {
+				nullable.add(variable);
+				changed = true;
+			}
+		});
+	}
+
+	changed = true;
+	while (changed) {
+		changed = false;
+		rules.forEach(({ variable, symbols }) => {
+			if (addAll(first.get(variable), firstOfSequence(symbols, first, nullable))) changed = true;
+		});
+	}
+
+	follow.get(getStartSymbol(grammar))?.add(END_MARKER);
+	changed = true;
+	while (changed) {
+		changed = false;
+		rules.forEach(({ variable, symbols }) => {
+			for (let i = 0; i < symbols.length; i++) {
+				if (!isNonTerminal(symbols[i])) continue;
+				if (addAll(follow.get(symbols[i]), getFollowContribution(variable, symbols, i, first, follow, nullable))) {
+					changed = true;
+				}
+			}
+		});
+	}
+
+	return { variables, nullable, first, follow };
+}
+
+/**
+ * FIRST einer Symbolfolge: Terminale, mit denen sie beginnen kann,
+ * plus ε, wenn die ganze Folge nullable ist (auch fuer die leere Folge).
+ */
+export function firstOfSequence(symbols, first, nullable) {
+	const result = new Set();
+
+	for (let i = 0; i < symbols.length; i++) {
+		const symbol = symbols[i];
+		if (!isNonTerminal(symbol)) {
+			result.add(symbol);
+			return result;
+		}
+
+		(first.get(symbol) || new Set()).forEach(terminal => {
+			if (!isEpsilon(terminal)) result.add(terminal);
+		});
+		if (!nullable.has(symbol)) return result;
+	}
+
+	result.add(EPSILON);
+	return result;
+}
+
+/**
+ * Liefert, was A -> α B β zu FOLLOW(B) beitraegt: FIRST(β) ohne ε
+ * und FOLLOW(A), falls β nullable ist.
+ */
+export function getFollowContribution(variable, symbols, index, first, follow, nullable) {
+	const rest = firstOfSequence(symbols.slice(index + 1), first, nullable);
+	const result = new Set([...rest].filter(symbol => !isEpsilon(symbol)));
+	if (rest.has(EPSILON)) {
+		(follow.get(variable) || new Set()).forEach(symbol => result.add(symbol));
+	}
+	return result;
+}
+
+/**
+ * Liefert die Variablen der Grammatik, Startvariable zuerst, dann in Reihenfolge der Definition.
+ */
+export function getVariables(grammar) {
+	const startSymbol = getStartSymbol(grammar);
+	const variables = new Set([startSymbol, ...Object.keys(grammar.productions)]);
+
+	Object.values(grammar.productions).forEach(alternatives => {
+		alternatives.forEach(production => {
+			parseSymbols(production).filter(isNonTerminal).forEach(symbol => variables.add(symbol));
+		});
+	});
+
+	return [...variables];
+}
+
+/**
+ * Zerlegt alle Produktionen in { variable, production, symbols } (ε als leere Folge).
+ */
+export function getRules(productions, variables) {
+	return variables.flatMap(variable => (productions[variable] || []).map(production => ({
+		variable,
+		production,
+		symbols: isEpsilon(production) ? [] : parseSymbols(production),
+	})));
+}
+
+/**
+ * Sortiert die Symbole einer Menge fuer die Anzeige: Terminale alphabetisch, dann $ und ε.
+ */
+export function sortSymbols(symbols) {
+	const rank = symbol => (symbol === END_MARKER ? 1 : isEpsilon(symbol) ? 2 : 0);
+	return [...symbols].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Fuegt alle Elemente von source zu target hinzu; liefert true bei Aenderung.
+ */
+function addAll(target, source) {
+	let changed = false;
+	source.forEach(value => {
+		if (!target.has(value)) {
+			target.add(value);
+			changed = true;
+		}
+	});
+	return changed;
+}
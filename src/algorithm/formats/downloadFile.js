@@ -0,0 +1,15 @@
+/**
+ * Bietet einen Text als Datei zum Herunterladen an (nur im Browser).
+ */
+export default function downloadFile(fileName, content, mimeType = 'text/plain') {
+	const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
+}
@@ -0,0 +1,139 @@
+import { getStartSymbol, isEpsilon } from '../parseGrammar.js';
+import { isNonTerminal, parseSymbols } from '../grammarSymbols.js';
+import { escapeXml } from './xmlDocument.js';
+
+const VARIABLE_NAMES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const TERMINAL_NAMES = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Schreibt eine Grammatik { productions, startSymbol } als JFLAP-Datei (.jff).
+ * JFLAP kennt nur einzeichige Symbole: mehrzeichige Variablen (S0, Z_1, <expr>)
+ * und Terminale (id, 'NUMBER') werden auf freie Zeichen umbenannt.
+ * Liefert { xml, renames: [{ from, to }], errors }; xml ist null bei Fehlern.
+ */
+export default function exportJFLAP(grammar) {
+	const productions = grammar?.productions || {};
+	const startSymbol = getStartSymbol(grammar);
+	const variables = orderVariables(Object.keys(productions), startSymbol);
+
+	if (variables.length === 0) {
+		return { xml: null, renames: [], errors: ['Keine Grammatik zum Speichern vorhanden'] };
+	}
+
+	const { mapping, renames, errors } = buildSymbolMapping(productions, variables);
+
+	if (errors.length > 0) {
+		return { xml: null, renames, errors };
+	}
+
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+		`<!--Created with KG-Visualizer.${formatRenameComment(renames)}-->`,
+		'<structure>',
+		'\t<type>grammar</type>',
+	];
+
+	for (let i = 0; i < variables.length; i++) {
+		const variable = variables[i];
+		const alternatives = productions[variable] || [];
+
+		for (let j = 0; j < alternatives.length; j++) {
+			const right = isEpsilon(alternatives[j])
+				? ''
+				: parseSymbols(alternatives[j]).map(symbol => mapping.get(symbol)).join('');
+
+			lines.push('\t<production>');
+			lines.push(`\t\t<left>${escapeXml(mapping.get(variable))}</left>`);
+			lines.push(right === '' ? '\t\t<right/>' : `\t\t<right>${escapeXml(right)}</right>`);
+			lines.push('\t</production>');
+		}
+	}
+
+	lines.push('</structure>');
+	return { xml: lines.join('\n') + '\n', renames, errors };
+}
+
+/**
+ * Setzt das Startsymbol an den Anfang, da JFLAP die erste LHS als Start nimmt.
+ */
+function orderVariables(variables, startSymbol) {
+	if (!variables.includes(startSymbol)) return variables;
+	return [startSymbol, ...variables.filter(v => v !== startSymbol)];
+}
+
+/**
+ * Ordnet jedem Symbol ein einzelnes JFLAP-Zeichen zu.
+ * Einzeichige Symbole behalten ihren Namen, die uebrigen bekommen freie Zeichen.
+ */
+function buildSymbolMapping(productions, variables) {
+	const mapping = new Map();
+	const renames = [];
+	const errors = [];
+	const symbols = collectSymbols(productions, variables);
+	const used = new Set(symbols.filter(symbol => isJFLAPSymbol(symbol)));
+
+	for (let i = 0; i < symbols.length; i++) {
+		const symbol = symbols[i];
+
+		if (isJFLAPSymbol(symbol)) {
+			mapping.set(symbol, symbol);
+			continue;
+		}
+
+		const unquoted = symbol.match(/^(['"])(.)\1$/);
+		if (unquoted && !isNonTerminal(symbol) && !/[A-Z]/.test(unquoted[2]) && !used.has(unquoted[2])) {
+			mapping.set(symbol, unquoted[2]);
+			used.add(unquoted[2]);
+			continue;
+		}
+
+		const pool = isNonTerminal(symbol) ? VARIABLE_NAMES : TERMINAL_NAMES;
+		const free = [...pool].find(char => !used.has(char));
+		if (!free) {
+			errors.push(isNonTerminal(symbol)
+				? 'Zu viele Variablen für JFLAP (höchstens 26 Großbuchstaben)'
+				: 'Zu viele Terminale für JFLAP (keine freien Zeichen mehr)');
+			break;
+		}
+
+		used.add(free);
+		mapping.set(symbol, free);
+		renames.push({ from: symbol, to: free });
+	}
+
+	return { mapping, renames, errors };
+}
+
+/**
+ * Sammelt alle Symbole der Grammatik in stabiler Reihenfolge.
+ */
+function collectSymbols(productions, variables) {
+	const symbols = new Set(variables);
+
+	for (let i = 0; i < variables.length; i++) {
+		const alternatives = productions[variables[i]] || [];
+		for (let j = 0; j < alternatives.length; j++) {
+			if (isEpsilon(alternatives[j])) continue;
+			parseSymbols(alternatives[j]).forEach(symbol => symbols.add(symbol));
+		}
+	}
+
+	return [...symbols];
+}
+
+/**
+ * Prueft, ob ein Symbol unveraendert als JFLAP-Zeichen taugt.
+ */
+function isJFLAPSymbol(symbol) {
+	if (isNonTerminal(symbol)) return /^[A-Z]$/.test(symbol);
+	return symbol.length === 1 && !/[A-Z\s]/.test(symbol);
+}
+
+/**
+ * Beschreibt die Umbenennungen im Kopfkommentar der Datei.
+ */
+function formatRenameComment(renames) {
+	if (renames.length === 0) return '';
+	const list = renames.map(({ from, to }) => `${from} = ${to}`).join(', ').replace(/--/g, '- -');
+	return ` Umbenennungen: ${list}`;
+}
@@ -0,0 +1,54 @@
+import { getStartSymbol, isEpsilon } from '../parseGrammar.js';
+import { isNonTerminal, parseSymbols } from '../grammarSymbols.js';
+
+/**
+ * Schreibt eine Grammatik als Eingabetext fuer parseGrammar zurueck.
+ * Die Regel des Startsymbols steht vorne; Symbole werden durch Leerzeichen
+ * getrennt und mehrzeichige Terminale in Anfuehrungszeichen gesetzt.
+ */
+export default function grammarToText(grammar) {
+	const productions = grammar?.productions || {};
+	const startSymbol = getStartSymbol(grammar);
+	const variables = Object.keys(productions);
+	const ordered = variables.includes(startSymbol)
+		? [startSymbol, ...variables.filter(v => v !== startSymbol)]
+		: variables;
+	const lines = [];
+
+	if (!productions[startSymbol]?.length) {
+		lines.push(`%start ${startSymbol}`);
+	}
+
+	for (let i = 0; i < ordered.length; i++) {
+		const variable = ordered[i];
+		const alternatives = productions[variable] || [];
+		if (alternatives.length === 0) continue;
+
+		lines.push(`${variable} -> ${alternatives.map(formatProduction).join(' | ')}`);
+	}
+
+	return lines.join('\n');
+}
+
+/**
+ * Formatiert eine gespeicherte Produktion fuer die Texteingabe.
+ */
+function formatProduction(production) {
+	if (isEpsilon(production)) return '_';
+	return parseSymbols(production).map(formatSymbol).join(' ');
+}
+
+/**
+ * Setzt Terminale in Anfuehrungszeichen, wenn sie sonst anders gelesen wuerden.
+ */
+function formatSymbol(symbol) {
+	if (isNonTerminal(symbol) || /^[a-z0-9]$/.test(symbol)) {
+		return symbol;
+	}
+
+	if (/^'[^']+'$/.test(symbol) || /^"[^"]+"$/.test(symbol)) {
+		return symbol;
+	}
+
+	return symbol.includes("'") ? `"${symbol}"` : `'${symbol}'`;
+}
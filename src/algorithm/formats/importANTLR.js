@@ -0,0 +1,330 @@
+import { buildImportedGrammar, createImportDiagnostic, readQuotedLiteral, skipBlock, skipComment, toNonTerminalName, toTerminalSymbol } from './importUtils.js';
+
+const PREQUEL_BLOCKS = ['options', 'tokens', 'channels'];
+const RULE_MODIFIERS = ['public', 'private', 'protected', 'fragment'];
+
+/**
+ * Importiert eine ANTLR4-Grammatik (.g4).
+ * Parser-Regeln (klein geschrieben) werden zu Nicht-Terminalen, Lexer-Regeln
+ * (gross geschrieben) entfallen und ihre Namen werden Terminale (INT -> 'INT').
+ * Aktionen, Praedikate, Labels und Optionen fallen weg; ( ) * + ? werden
+ * wie im EBNF-Modus ueber Hilfsvariablen aufgeloest.
+ */
+export default function importANTLR(text) {
+	const diagnostics = [];
+	const rules = [];
+	const lexerRules = [];
+	let i = 0;
+
+	while (i < text.length) {
+		i = skipTrivia(text, i);
+		if (i >= text.length) break;
+
+		const rest = text.slice(i);
+		const header = rest.match(/^(?:(?:lexer|parser)\s+)?grammar\s+[\w.]+\s*;/);
+		if (header) {
+			i += header[0].length;
+			continue;
+		}
+
+		const prequel = rest.match(/^(\w+)\s*\{/);
+		if (prequel && PREQUEL_BLOCKS.includes(prequel[1])) {
+			i = skipBlock(text, i + prequel[0].length - 1);
+			continue;
+		}
+
+		if (text[i] === '@') {
+			i = skipBlock(text, text.indexOf('{', i));
+			continue;
+		}
+
+		const statement = rest.match(/^(import|mode)\s+[^;]*;/);
+		if (statement) {
+			diagnostics.push(createImportDiagnostic(text, i, statement[0].length,
+				`${statement[1]} wird nicht unterstützt und ignoriert`));
+			if (statement[1] === 'mode') break;
+			i += statement[0].length;
+			continue;
+		}
+
+		const rule = readRule(text, i, diagnostics);
+		if (!rule) {
+			diagnostics.push(createImportDiagnostic(text, i, 1, `Unerwartetes Zeichen "${text[i]}" wird ignoriert`));
+			i++;
+			continue;
+		}
+
+		if (rule.isLexerRule) {
+			lexerRules.push(rule.name);
+		} else {
+			rules.push(rule);
+		}
+		i = rule.next;
+	}
+
+	if (lexerRules.length > 0) {
+		diagnostics.push(createImportDiagnostic(text, 0, 1,
+			`${lexerRules.length} Lexer-Regel(n) übersprungen, ihre Namen werden als Terminale verwendet`,
+			null, 'info'));
+	}
+
+	return buildImportedGrammar({
+		text,
+		rules: rules.map(rule => ({ lhs: toNonTerminalName(rule.name), index: rule.index, end: rule.end, tokens: rule.tokens })),
+		startSymbol: null,
+		diagnostics,
+		format: 'antlr',
+	});
+}
+
+/**
+ * Ueberspringt Leerraum und Kommentare.
+ */
+function skipTrivia(text, start) {
+	let i = start;
+
+	while (i < text.length) {
+		if (/\s/.test(text[i])) {
+			i++;
+			continue;
+		}
+		const afterComment = skipComment(text, i);
+		if (afterComment === i) break;
+		i = afterComment;
+	}
+
+	return i;
+}
+
+/**
+ * Liest eine Regel name [args] returns [...] ... : body ; (samt catch/finally).
+ */
+function readRule(text, start, diagnostics) {
+	let i = start;
+	let name = null;
+
+	while (!name) {
+		const word = text.slice(i).match(/^[A-Za-z]\w*/);
+		if (!word) return null;
+
+		i = skipTrivia(text, i + word[0].length);
+		if (!RULE_MODIFIERS.includes(word[0])) {
+			name = word[0];
+		}
+	}
+
+	const isLexerRule = /^[A-Z]/.test(name);
+	i = skipRuleHeader(text, i);
+
+	if (text[i] !== ':') return null;
+	i++;
+
+	const { tokens, end } = readRuleBody(text, i, isLexerRule ? null : diagnostics);
+	let next = end + 1;
+
+	let handler = text.slice(skipTrivia(text, next)).match(/^(catch\s*\[|finally\s*\{)/);
+	while (handler) {
+		next = skipTrivia(text, next);
+		const blockStart = text.indexOf(handler[0].endsWith('[') ? '[' : '{', next);
+		next = skipBlock(text, blockStart);
+		if (handler[0].startsWith('catch')) {
+			next = skipBlock(text, text.indexOf('{', next));
+		}
+		handler = text.slice(skipTrivia(text, next)).match(/^(catch\s*\[|finally\s*\{)/);
+	}
+
+	return { name, isLexerRule, index: start, end, tokens, next };
+}
+
+/**
+ * Ueberspringt Argumente, returns/locals/throws, options und @init vor dem Doppelpunkt.
+ */
+function skipRuleHeader(text, start) {
+	let i = skipTrivia(text, start);
+
+	while (i < text.length && text[i] !== ':') {
+		const rest = text.slice(i);
+
+		if (text[i] === '[' || text[i] === '{') {
+			i = skipTrivia(text, skipBlock(text, i));
+			continue;
+		}
+
+		if (text[i] === '@') {
+			i = skipTrivia(text, skipBlock(text, text.indexOf('{', i)));
+			continue;
+		}
+
+		const keyword = rest.match(/^(returns|locals|options|throws)\b/);
+		if (keyword) {
+			i = skipTrivia(text, i + keyword[0].length);
+			if (keyword[1] === 'throws') {
+				const throwsList = text.slice(i).match(/^[\w.]+(\s*,\s*[\w.]+)*/);
+				i = skipTrivia(text, i + (throwsList ? throwsList[0].length : 0));
+			}
+			continue;
+		}
+
+		break;
+	}
+
+	return i;
+}
+
+/**
+ * Zerlegt den Rumpf einer Regel bis zum abschliessenden ; in Token.
+ * diagnostics ist null fuer Lexer-Regeln, deren Inhalt verworfen wird.
+ */
+function readRuleBody(text, start, diagnostics) {
+	const tokens = [];
+	const report = (index, length, message, suggestion, severity) => {
+		if (diagnostics) diagnostics.push(createImportDiagnostic(text, index, length, message, suggestion, severity));
+	};
+	let i = start;
+
+	while (i < text.length) {
+		i = skipTrivia(text, i);
+		const char = text[i];
+		const rest = text.slice(i);
+
+		if (i >= text.length || char === ';') {
+			return { tokens, end: i };
+		}
+
+		if (char === '{') {
+			const end = skipBlock(text, i);
+			if (text[end] === '?') {
+				report(i, end - i + 1, 'Semantisches Prädikat wird ignoriert', null, 'info');
+				i = end + 1;
+			} else {
+				i = end;
+			}
+			continue;
+		}
+
+		if (char === '<') {
+			const end = text.indexOf('>', i);
+			i = end === -1 ? text.length : end + 1;
+			continue;
+		}
+
+		if (char === '#') {
+			const label = rest.match(/^#\s*\w*/);
+			i += label[0].length;
+			continue;
+		}
+
+		if (rest.startsWith('->')) {
+			const end = findAlternativeEnd(text, i);
+			report(i, end - i, 'Lexer-Kommando/Rewrite wird ignoriert', null, 'info');
+			i = end;
+			continue;
+		}
+
+		const label = rest.match(/^\w+\s*\+?=(?!>)/);
+		if (label) {
+			i += label[0].length;
+			continue;
+		}
+
+		if ('()*+?|'.includes(char)) {
+			tokens.push({ type: 'operator', value: char, index: i, length: 1 });
+			i++;
+			continue;
+		}
+
+		if (char === "'") {
+			const literal = readQuotedLiteral(text, i);
+			if (!literal) {
+				report(i, 1, 'Literal wird nicht geschlossen', "Schließe das Literal mit ' ab");
+				return { tokens, end: text.indexOf(';', i) === -1 ? text.length : text.indexOf(';', i) };
+			}
+
+			const range = text.slice(literal.end).match(/^\s*\.\.\s*'[^']*'/);
+			if (range) {
+				i = pushPlaceholder(tokens, text, i, literal.end + range[0].length, report);
+				continue;
+			}
+
+			const symbol = toTerminalSymbol(literal.content);
+			tokens.push(symbol
+				? { type: 'symbol', value: symbol, index: i, length: literal.end - i }
+				: { type: 'epsilon', value: "''", index: i, length: literal.end - i });
+			i = literal.end;
+			continue;
+		}
+
+		if (char === '[' || char === '~' || char === '.') {
+			const end = char === '~' ? skipElement(text, skipTrivia(text, i + 1)) : skipElement(text, i);
+			i = pushPlaceholder(tokens, text, i, end, report);
+			continue;
+		}
+
+		const ident = rest.match(/^[A-Za-z]\w*/);
+		if (ident) {
+			const name = ident[0];
+			if (name !== 'EOF') {
+				const value = /^[A-Z]/.test(name) ? toTerminalSymbol(name) : toNonTerminalName(name);
+				tokens.push({ type: 'symbol', value, index: i, length: name.length });
+			}
+			i += name.length;
+			continue;
+		}
+
+		report(i, 1, `Zeichen "${char}" wird ignoriert`);
+		i++;
+	}
+
+	return { tokens, end: text.length };
+}
+
+/**
+ * Uebernimmt ein nicht abbildbares Element (~x, ., 'a'..'z', [...]) als ein
+ * Platzhalter-Terminal mit seinem Quelltext und meldet es.
+ */
+function pushPlaceholder(tokens, text, start, end, report) {
+	const source = text.slice(start, end).replace(/\s+/g, '');
+	report(start, end - start, `"${source}" (Negation, Wildcard oder Zeichenmenge) wird als ein Terminal übernommen`,
+		'Schreibe die erlaubten Terminale als Alternativen aus');
+	tokens.push({ type: 'symbol', value: toTerminalSymbol(source), index: start, length: end - start });
+	return end;
+}
+
+/**
+ * Liefert die Position hinter einem einzelnen Element (Gruppe, Literal, Menge oder Name).
+ */
+function skipElement(text, start) {
+	const char = text[start];
+
+	if (char === '(' || char === '[') {
+		return skipBlock(text, start);
+	}
+
+	if (char === '.') {
+		return start + 1;
+	}
+
+	if (char === "'") {
+		const literal = readQuotedLiteral(text, start);
+		return literal ? literal.end : start + 1;
+	}
+
+	const ident = text.slice(start).match(/^\w+/);
+	return ident ? start + ident[0].length : start + 1;
+}
+
+/**
+ * Sucht das Ende einer Alternative (| oder ; auf oberster Ebene).
+ */
+function findAlternativeEnd(text, start) {
+	let depth = 0;
+
+	for (let i = start; i < text.length; i++) {
+		const char = text[i];
+		if (char === '(') depth++;
+		if (char === ')') depth--;
+		if (depth <= 0 && (char === '|' || char === ';')) return i;
+	}
+
+	return text.length;
+}
@@ -0,0 +1,132 @@
+import { buildImportedGrammar, createImportDiagnostic, readQuotedLiteral, skipComment, toTerminalSymbol } from './importUtils.js';
+
+/**
+ * Importiert eine Grammatik in klassischer BNF:
+ *   <expr> ::= <term> "+" <expr> | <term>
+ * Regeln duerfen ueber mehrere Zeilen gehen. EBNF-Erweiterungen
+ * ( ) [ ] { } * + ? werden wie im EBNF-Modus aufgeloest.
+ */
+export default function importBNF(text) {
+	const diagnostics = [];
+	const tokens = tokenizeBNF(text, diagnostics);
+	const rules = [];
+
+	for (let i = 0; i < tokens.length; i++) {
+		const token = tokens[i];
+
+		if (token.type === 'define') {
+			diagnostics.push(createImportDiagnostic(text, token.index, token.length,
+				'"::=" ohne Regelnamen davor wird ignoriert', 'Schreibe <name> ::= ...'));
+			continue;
+		}
+
+		if (!isRuleStart(tokens, i)) {
+			if (rules.length === 0) {
+				diagnostics.push(createImportDiagnostic(text, token.index, token.length,
+					`"${token.value}" steht vor der ersten Regel und wird ignoriert`));
+			} else {
+				rules[rules.length - 1].tokens.push(token);
+			}
+			continue;
+		}
+
+		if (rules.length > 0) {
+			rules[rules.length - 1].end = token.index;
+		}
+		rules.push({ lhs: token.value, index: token.index, end: text.length, tokens: [] });
+		i++;
+	}
+
+	return buildImportedGrammar({ text, rules, startSymbol: null, diagnostics, format: 'bnf' });
+}
+
+/**
+ * Eine Regel beginnt mit <name> gefolgt von ::=.
+ */
+function isRuleStart(tokens, index) {
+	const token = tokens[index];
+	const next = tokens[index + 1];
+	return token.type === 'symbol' && token.isNonTerminal && next?.type === 'define';
+}
+
+/**
+ * Zerlegt BNF-Text in Token fuer parseEBNFTokens (plus 'define' fuer ::=).
+ */
+function tokenizeBNF(text, diagnostics) {
+	const tokens = [];
+	let i = 0;
+
+	while (i < text.length) {
+		const char = text[i];
+		const rest = text.slice(i);
+
+		if (/\s/.test(char) || char === ';') {
+			i++;
+			continue;
+		}
+
+		const afterComment = skipComment(text, i);
+		if (afterComment !== i) {
+			i = afterComment;
+			continue;
+		}
+
+		if (char === '#') {
+			const end = text.indexOf('\n', i);
+			i = end === -1 ? text.length : end;
+			continue;
+		}
+
+		const define = rest.match(/^::?=/);
+		if (define) {
+			tokens.push({ type: 'define', value: define[0], index: i, length: define[0].length });
+			i += define[0].length;
+			continue;
+		}
+
+		const nonTerminal = rest.match(/^<([^<>\n]+)>/);
+		if (nonTerminal) {
+			const name = `<${nonTerminal[1].trim().replace(/\s+/g, '_')}>`;
+			tokens.push({ type: 'symbol', value: name, isNonTerminal: true, index: i, length: nonTerminal[0].length });
+			i += nonTerminal[0].length;
+			continue;
+		}
+
+		if (char === '"' || char === "'") {
+			const literal = readQuotedLiteral(text, i);
+			if (!literal) {
+				diagnostics.push(createImportDiagnostic(text, i, 1,
+					'Literal wird nicht geschlossen, der Rest der Zeile wird ignoriert', `Schließe das Literal mit ${char} ab`));
+				const end = text.indexOf('\n', i);
+				i = end === -1 ? text.length : end;
+				continue;
+			}
+
+			const symbol = toTerminalSymbol(literal.content);
+			tokens.push(symbol
+				? { type: 'symbol', value: symbol, index: i, length: literal.end - i }
+				: { type: 'epsilon', value: '""', index: i, length: literal.end - i });
+			i = literal.end;
+			continue;
+		}
+
+		if ('()[]{}*+?|'.includes(char)) {
+			tokens.push({ type: 'operator', value: char, index: i, length: 1 });
+			i++;
+			continue;
+		}
+
+		const word = rest.match(/^[A-Za-z0-9_-]+/);
+		if (word) {
+			tokens.push({ type: 'symbol', value: toTerminalSymbol(word[0]), index: i, length: word[0].length });
+			i += word[0].length;
+			continue;
+		}
+
+		diagnostics.push(createImportDiagnostic(text, i, 1,
+			`Zeichen "${char}" wird ignoriert`, 'Terminale in BNF stehen in Anführungszeichen, z.B. "+"'));
+		i++;
+	}
+
+	return tokens;
+}
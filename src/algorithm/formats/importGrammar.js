@@ -0,0 +1,59 @@
+import importANTLR from './importANTLR.js';
+import importBNF from './importBNF.js';
+import importJFLAP from './importJFLAP.js';
+import importYacc from './importYacc.js';
+
+export const IMPORT_FILE_ACCEPT = '.y,.yy,.ypp,.g4,.g,.bnf,.ebnf,.jff,.txt,.cfg';
+
+export const FORMAT_LABELS = {
+	bnf: 'BNF',
+	yacc: 'yacc/bison',
+	antlr: 'ANTLR',
+	jflap: 'JFLAP',
+};
+
+const IMPORTERS = {
+	bnf: importBNF,
+	yacc: importYacc,
+	antlr: importANTLR,
+	jflap: importJFLAP,
+};
+
+const EXTENSION_FORMATS = {
+	y: 'yacc',
+	yy: 'yacc',
+	ypp: 'yacc',
+	g4: 'antlr',
+	g: 'antlr',
+	bnf: 'bnf',
+	ebnf: 'bnf',
+	jff: 'jflap',
+};
+
+/**
+ * Erkennt das Format einer Grammatik anhand von Dateiendung oder Inhalt.
+ * Liefert null fuer das eigene Format (A -> ...).
+ */
+export function detectGrammarFormat(text, fileName = '') {
+	const extension = fileName.split('.').pop().toLowerCase();
+	if (fileName.includes('.') && EXTENSION_FORMATS[extension]) {
+		return EXTENSION_FORMATS[extension];
+	}
+
+	if (/<structure[\s>]/.test(text) && /<type>\s*grammar\s*<\/type>/.test(text)) return 'jflap';
+	if (text.includes('::=')) return 'bnf';
+	if (/^%%[ \t]*$/m.test(text)) return 'yacc';
+	if (/^\s*(?:(?:lexer|parser)\s+)?grammar\s+[\w.]+\s*;/m.test(text)) return 'antlr';
+	if (!text.includes('->') && /^\s*[a-z]\w*\s*:/m.test(text) && text.includes(';')) return 'antlr';
+
+	return null;
+}
+
+/**
+ * Importiert eine Grammatik im angegebenen Fremdformat.
+ * Liefert eine Grammatik im Format von parseGrammar oder null.
+ */
+export default function importGrammar(text, format) {
+	const importer = IMPORTERS[format];
+	return importer ? importer(text) : null;
+}
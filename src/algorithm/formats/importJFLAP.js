@@ -0,0 +1,62 @@
+import { canonicalTerminal } from '../grammarSymbols.js';
+import { buildImportedGrammar, createImportDiagnostic } from './importUtils.js';
+import { childElements, childText, parseXml } from './xmlDocument.js';
+
+/**
+ * Importiert eine JFLAP-Grammatik (.jff, <type>grammar</type>).
+ * In JFLAP ist jedes Zeichen ein Symbol: Grossbuchstaben sind Variablen,
+ * alle anderen Zeichen Terminale. Eine leere <right/> steht fuer ε,
+ * Startvariable ist die linke Seite der ersten Produktion.
+ */
+export default function importJFLAP(text) {
+	const diagnostics = [];
+	let structure;
+
+	try {
+		structure = parseXml(text);
+	} catch (error) {
+		diagnostics.push(createImportDiagnostic(text, 0, 1, error.message, 'Prüfe, ob die Datei eine gültige .jff-Datei ist', 'error'));
+		return buildImportedGrammar({ text, rules: [], startSymbol: null, diagnostics, format: 'jflap' });
+	}
+
+	const type = (childText(structure, 'type') || '').trim();
+	if (structure.name !== 'structure' || type !== 'grammar') {
+		diagnostics.push(createImportDiagnostic(text, structure.index, structure.name.length + 1,
+			`Die Datei enthält keine Grammatik (Typ "${type || structure.name}")`,
+			'Nur JFLAP-Grammatiken (<type>grammar</type>) lassen sich importieren', 'error'));
+		return buildImportedGrammar({ text, rules: [], startSymbol: null, diagnostics, format: 'jflap' });
+	}
+
+	const rules = [];
+	const productions = childElements(structure, 'production');
+
+	for (let i = 0; i < productions.length; i++) {
+		const production = productions[i];
+		const left = (childText(production, 'left') || '').trim();
+		const right = (childText(production, 'right') || '').trim();
+
+		if (!/^[A-Z]$/.test(left)) {
+			diagnostics.push(createImportDiagnostic(text, production.index, 12,
+				`Linke Seite "${left}" ist keine einzelne Variable, Produktion wird übersprungen`,
+				'JFLAP-Grammatiken im Visualizer müssen kontextfrei sein'));
+			continue;
+		}
+
+		rules.push({
+			lhs: left,
+			index: production.index,
+			end: production.index,
+			tokens: [...right].map(char => toJFLAPToken(char, production.index)),
+		});
+	}
+
+	return buildImportedGrammar({ text, rules, startSymbol: rules[0]?.lhs || null, diagnostics, format: 'jflap' });
+}
+
+/**
+ * Bildet ein JFLAP-Zeichen auf ein Token fuer parseEBNFTokens ab.
+ */
+function toJFLAPToken(char, index) {
+	const value = /^[A-Z]$/.test(char) ? char : canonicalTerminal(char);
+	return { type: 'symbol', value, index, length: 1 };
+}
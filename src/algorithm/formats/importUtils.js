@@ -0,0 +1,227 @@
+import { desugarEBNFRules, parseEBNFTokens } from '../desugarEBNF.js';
+import { EPSILON, canonicalTerminal, isNonTerminal, isTerminal, parseSymbols } from '../grammarSymbols.js';
+
+/**
+ * Gemeinsame Hilfen der Grammatik-Importer (BNF, yacc, ANTLR).
+ * Importer zerlegen ihr Format in Token und Regeln; der Aufbau der
+ * Grammatik im Format von parseGrammar passiert hier.
+ */
+
+/**
+ * Rechnet eine Textposition in 1-basierte Zeile/Spalte um.
+ */
+export function positionAt(text, index) {
+	const before = text.slice(0, index);
+	const line = before.split('\n').length;
+	const column = index - before.lastIndexOf('\n');
+	return { line, column };
+}
+
+/**
+ * Erzeugt einen Import-Hinweis an einer Stelle der Quelldatei.
+ */
+export function createImportDiagnostic(text, index, length, message, suggestion = null, severity = 'warning') {
+	const { line, column } = positionAt(text, index);
+	return {
+		severity,
+		code: 'unsupported-construct',
+		line,
+		column,
+		endColumn: column + Math.max(1, length),
+		message,
+		suggestion,
+	};
+}
+
+/**
+ * Bildet einen fremden Regelnamen auf ein Nicht-Terminal ab (expr -> <expr>).
+ */
+export function toNonTerminalName(name) {
+	if (isNonTerminal(name)) return name;
+	return `<${name.replace(/[<>\s]+/g, '_')}>`;
+}
+
+/**
+ * Bildet ein fremdes Terminal auf ein Terminal-Symbol ab ("if" -> if, NUMBER -> 'NUMBER').
+ * Liefert null fuer leere Literale (= ε).
+ */
+export function toTerminalSymbol(content) {
+	if (content === '') return null;
+	return canonicalTerminal(content.replace(/\s/g, '_'));
+}
+
+/**
+ * Liest ein Literal in Anfuehrungszeichen ab start (mit \-Escapes).
+ * Liefert { content, end } mit end hinter dem schliessenden Quote oder null.
+ */
+export function readQuotedLiteral(text, start) {
+	const quote = text[start];
+	let content = '';
+
+	for (let i = start + 1; i < text.length; i++) {
+		const char = text[i];
+		if (char === '\\' && i + 1 < text.length) {
+			content += unescapeChar(text[i + 1]);
+			i++;
+			continue;
+		}
+		if (char === quote) {
+			return { content, end: i + 1 };
+		}
+		if (char === '\n') {
+			return null;
+		}
+		content += char;
+	}
+
+	return null;
+}
+
+/**
+ * Ueberspringt einen geklammerten Block ({...}, [...]) samt Strings und Kommentaren darin.
+ * Liefert die Position hinter der schliessenden Klammer.
+ */
+export function skipBlock(text, start) {
+	const open = text[start];
+	const close = { '{': '}', '[': ']', '(': ')' }[open];
+	let depth = 0;
+
+	for (let i = start; i < text.length; i++) {
+		const char = text[i];
+
+		const afterComment = open === '{' ? skipComment(text, i) : i;
+		if (afterComment !== i) {
+			i = afterComment - 1;
+			continue;
+		}
+
+		if ((char === '"' || char === "'") && open !== '[') {
+			const literal = readQuotedLiteral(text, i);
+			if (literal) {
+				i = literal.end - 1;
+				continue;
+			}
+		}
+
+		if (char === '\\') {
+			i++;
+			continue;
+		}
+
+		if (char === open) depth++;
+		if (char === close) {
+			depth--;
+			if (depth === 0) return i + 1;
+		}
+	}
+
+	return text.length;
+}
+
+/**
+ * Ueberspringt Zeilen- und Blockkommentare im C-Stil ab start.
+ * Liefert die Position hinter dem Kommentar oder start, falls keiner beginnt.
+ */
+export function skipComment(text, start) {
+	if (text.startsWith('//', start)) {
+		const end = text.indexOf('\n', start);
+		return end === -1 ? text.length : end;
+	}
+
+	if (text.startsWith('/*', start)) {
+		const end = text.indexOf('*/', start + 2);
+		return end === -1 ? text.length : end + 2;
+	}
+
+	return start;
+}
+
+/**
+ * Loest einfache Escape-Sequenzen in Literalen auf.
+ */
+function unescapeChar(char) {
+	return { n: '\n', t: '\t', r: '\r' }[char] ?? char;
+}
+
+/**
+ * Baut aus importierten Regeln eine Grammatik im Format von parseGrammar.
+ * rules: [{ lhs, index, end, tokens }] mit Token fuer parseEBNFTokens (Symbole bereits abgebildet).
+ * EBNF-Konstrukte (ANTLR, EBNF-Varianten von BNF) werden ueber Hilfsvariablen aufgeloest.
+ */
+export function buildImportedGrammar({ text, rules, startSymbol, diagnostics, format }) {
+	const grammar = {
+		startSymbol: startSymbol || rules[0]?.lhs || null,
+		productions: {},
+		nonTerminals: new Set(),
+		terminals: new Set(),
+		errors: [],
+		diagnostics,
+		desugaring: [],
+		format,
+	};
+
+	const ebnfRules = rules.map(rule => {
+		const { alternatives, problems } = parseEBNFTokens(text, rule.tokens, rule.end);
+		for (let i = 0; i < problems.length; i++) {
+			const problem = problems[i];
+			diagnostics.push(createImportDiagnostic(text, problem.index, problem.length, problem.message, problem.suggestion));
+		}
+
+		return { lhs: rule.lhs, line: positionAt(text, rule.index).line, column: 1, rhs: text, alternatives };
+	});
+
+	const helpers = desugarEBNFRules(ebnfRules);
+	grammar.desugaring = helpers;
+
+	const allRules = [
+		...ebnfRules.map(rule => ({ lhs: rule.lhs, productions: rule.productions.map(entry => entry.production) })),
+		...helpers.map(helper => ({ lhs: helper.name, productions: helper.productions })),
+	];
+
+	for (let i = 0; i < allRules.length; i++) {
+		const { lhs, productions } = allRules[i];
+		if (!grammar.productions[lhs]) {
+			grammar.productions[lhs] = [];
+		}
+		grammar.nonTerminals.add(lhs);
+
+		for (let j = 0; j < productions.length; j++) {
+			const production = productions[j];
+			if (!grammar.productions[lhs].includes(production)) {
+				grammar.productions[lhs].push(production);
+			}
+			collectProductionSymbols(grammar, production);
+		}
+	}
+
+	if (grammar.startSymbol && !grammar.productions[grammar.startSymbol]) {
+		grammar.productions[grammar.startSymbol] = [];
+		grammar.nonTerminals.add(grammar.startSymbol);
+	}
+
+	grammar.nonTerminals = Array.from(grammar.nonTerminals);
+	grammar.terminals = Array.from(grammar.terminals);
+	diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+	return grammar;
+}
+
+/**
+ * Uebernimmt die Symbole einer importierten Produktion in V und Σ.
+ */
+function collectProductionSymbols(grammar, production) {
+	if (production === EPSILON) {
+		grammar.nonTerminals.add(EPSILON);
+		return;
+	}
+
+	const symbols = parseSymbols(production);
+	for (let i = 0; i < symbols.length; i++) {
+		const symbol = symbols[i];
+		if (isNonTerminal(symbol)) {
+			grammar.nonTerminals.add(symbol);
+		} else if (isTerminal(symbol)) {
+			grammar.terminals.add(symbol);
+		}
+	}
+}
@@ -0,0 +1,239 @@
+import { buildImportedGrammar, createImportDiagnostic, readQuotedLiteral, skipBlock, skipComment, toNonTerminalName, toTerminalSymbol } from './importUtils.js';
+
+const PRECEDENCE_DIRECTIVES = ['%left', '%right', '%nonassoc', '%precedence'];
+
+/**
+ * Importiert eine yacc/bison-Grammatik (.y).
+ * Uebernommen wird der Regelteil zwischen den beiden %%; semantische Aktionen,
+ * %prec und Deklarationen ausser %start fallen weg.
+ * Regelnamen werden zu Nicht-Terminalen (expr -> <expr>), alle anderen Namen
+ * und Literale zu Terminalen (NUMBER -> 'NUMBER', '+' -> +).
+ */
+export default function importYacc(text) {
+	const diagnostics = [];
+	const { declarationsEnd, rulesStart, rulesEnd } = findSections(text);
+	const declarations = readDeclarations(text, declarationsEnd, diagnostics);
+	const rawTokens = tokenizeRules(text, rulesStart, rulesEnd, diagnostics);
+	const rawRules = groupRules(text, rawTokens, rulesEnd, diagnostics);
+	const ruleNames = new Set(rawRules.map(rule => rule.name));
+
+	const rules = rawRules.map(rule => ({
+		lhs: toNonTerminalName(rule.name),
+		index: rule.index,
+		end: rule.end,
+		tokens: rule.tokens.map(token => mapToken(token, ruleNames)),
+	}));
+
+	const startName = declarations.start && ruleNames.has(declarations.start) ? declarations.start : null;
+	if (declarations.start && !startName) {
+		diagnostics.push(createImportDiagnostic(text, declarations.startIndex, declarations.start.length,
+			`%start ${declarations.start} hat keine Regel und wird ignoriert`));
+	}
+
+	return buildImportedGrammar({
+		text,
+		rules,
+		startSymbol: startName ? toNonTerminalName(startName) : null,
+		diagnostics,
+		format: 'yacc',
+	});
+}
+
+/**
+ * Findet Deklarations- und Regelteil anhand der %%-Zeilen.
+ * Ohne %% wird der ganze Text als Regelteil gelesen.
+ */
+function findSections(text) {
+	const separator = /^%%[ \t]*$/gm;
+	const first = separator.exec(text);
+
+	if (!first) {
+		return { declarationsEnd: 0, rulesStart: 0, rulesEnd: text.length };
+	}
+
+	const second = separator.exec(text);
+	return {
+		declarationsEnd: first.index,
+		rulesStart: first.index + first[0].length,
+		rulesEnd: second ? second.index : text.length,
+	};
+}
+
+/**
+ * Liest %start und meldet ignorierte Praezedenz-Deklarationen.
+ */
+function readDeclarations(text, end, diagnostics) {
+	const declarations = { start: null, startIndex: 0 };
+	const section = text.slice(0, end).replace(/%\{[\s\S]*?%\}/g, match => ' '.repeat(match.length));
+	const directive = /^[ \t]*(%[a-z-]+)[ \t]*(.*)$/gm;
+	let precedenceReported = false;
+	let match;
+
+	while ((match = directive.exec(section)) !== null) {
+		const [, name, args] = match;
+
+		if (name === '%start') {
+			declarations.start = args.trim().split(/\s+/)[0];
+			declarations.startIndex = match.index;
+		} else if (PRECEDENCE_DIRECTIVES.includes(name) && !precedenceReported) {
+			precedenceReported = true;
+			diagnostics.push(createImportDiagnostic(text, match.index, name.length,
+				'Präzedenz- und Assoziativitätsangaben werden ignoriert',
+				'Die importierte Grammatik kann dadurch mehrdeutig sein', 'info'));
+		}
+	}
+
+	return declarations;
+}
+
+/**
+ * Zerlegt den Regelteil in Roh-Token (ident, literal, colon, bar, semi, empty).
+ */
+function tokenizeRules(text, start, end, diagnostics) {
+	const tokens = [];
+	let i = start;
+
+	while (i < end) {
+		const char = text[i];
+
+		if (/\s/.test(char)) {
+			i++;
+			continue;
+		}
+
+		const afterComment = skipComment(text, i);
+		if (afterComment !== i) {
+			i = afterComment;
+			continue;
+		}
+
+		if (char === '{' || text.startsWith('%{', i) || text.startsWith('%?{', i)) {
+			i = skipBlock(text, text.indexOf('{', i));
+			continue;
+		}
+
+		if (char === ':' || char === '|' || char === ';') {
+			tokens.push({ kind: { ':': 'colon', '|': 'bar', ';': 'semi' }[char], index: i, length: 1 });
+			i++;
+			continue;
+		}
+
+		if (char === "'" || char === '"') {
+			const literal = readQuotedLiteral(text, i);
+			if (literal) {
+				tokens.push({ kind: 'literal', value: literal.content, index: i, length: literal.end - i });
+				i = literal.end;
+				continue;
+			}
+		}
+
+		if (text.startsWith('%empty', i)) {
+			tokens.push({ kind: 'empty', index: i, length: 6 });
+			i += 6;
+			continue;
+		}
+
+		const prec = text.slice(i, end).match(/^%prec\s+('[^']*'|"[^"]*"|[A-Za-z_.][\w.]*)/);
+		if (prec) {
+			diagnostics.push(createImportDiagnostic(text, i, prec[0].length, '%prec wird ignoriert', null, 'info'));
+			i += prec[0].length;
+			continue;
+		}
+
+		const ident = text.slice(i, end).match(/^[A-Za-z_.][\w.]*/);
+		if (ident) {
+			tokens.push({ kind: 'ident', value: ident[0], index: i, length: ident[0].length });
+			i += ident[0].length;
+			continue;
+		}
+
+		diagnostics.push(createImportDiagnostic(text, i, 1, `Zeichen "${char}" im Regelteil wird ignoriert`));
+		i++;
+	}
+
+	return tokens;
+}
+
+/**
+ * Fasst Roh-Token zu Regeln name : alt | alt ; zusammen.
+ * Alternativen mit dem Fehler-Token error werden verworfen.
+ */
+function groupRules(text, tokens, rulesEnd, diagnostics) {
+	const rules = [];
+	let current = null;
+	let alternative = { bar: null, tokens: [] };
+
+	const closeAlternative = () => {
+		const errorToken = alternative.tokens.find(token => token.kind === 'ident' && token.value === 'error');
+		if (errorToken) {
+			diagnostics.push(createImportDiagnostic(text, errorToken.index, errorToken.length,
+				`Alternative mit Fehler-Token error in ${current.name} wird verworfen`,
+				'Fehlerbehandlung von yacc hat in der CFG keine Entsprechung'));
+		} else {
+			current.alternatives.push(alternative);
+		}
+	};
+
+	const closeRule = (end) => {
+		if (!current) return;
+		closeAlternative();
+		current.end = end;
+		current.tokens = current.alternatives.flatMap((alt, index) => index === 0 ? alt.tokens : [alt.bar, ...alt.tokens]);
+		rules.push(current);
+		current = null;
+	};
+
+	for (let i = 0; i < tokens.length; i++) {
+		const token = tokens[i];
+		const next = tokens[i + 1];
+
+		if (token.kind === 'ident' && next?.kind === 'colon') {
+			closeRule(token.index);
+			current = { name: token.value, index: token.index, alternatives: [] };
+			alternative = { bar: null, tokens: [] };
+			i++;
+			continue;
+		}
+
+		if (!current) {
+			diagnostics.push(createImportDiagnostic(text, token.index, token.length,
+				'Token außerhalb einer Regel wird ignoriert'));
+			continue;
+		}
+
+		if (token.kind === 'semi') {
+			closeRule(token.index);
+		} else if (token.kind === 'bar') {
+			closeAlternative();
+			alternative = { bar: { type: 'operator', value: '|', index: token.index, length: 1 }, tokens: [] };
+		} else {
+			alternative.tokens.push(token);
+		}
+	}
+
+	closeRule(rulesEnd);
+	return rules;
+}
+
+/**
+ * Bildet ein Roh-Token auf ein Token fuer parseEBNFTokens ab.
+ */
+function mapToken(token, ruleNames) {
+	if (token.type === 'operator') {
+		return token;
+	}
+
+	if (token.kind === 'empty') {
+		return { type: 'epsilon', value: '%empty', index: token.index, length: token.length };
+	}
+
+	if (token.kind === 'literal') {
+		const symbol = toTerminalSymbol(token.value);
+		return symbol
+			? { type: 'symbol', value: symbol, index: token.index, length: token.length }
+			: { type: 'epsilon', value: '""', index: token.index, length: token.length };
+	}
+
+	const value = ruleNames.has(token.value) ? toNonTerminalName(token.value) : toTerminalSymbol(token.value);
+	return { type: 'symbol', value, index: token.index, length: token.length };
+}
@@ -0,0 +1,112 @@
+/**
+ * Projektdatei (.kgv.json) fuer das Speichern und Laden einer ganzen Sitzung:
+ * Eingabetext, geparste Grammatik, Schritte, Schrittposition und Viewports.
+ * Knotenpositionen entfallen, der Graph wird aus der Grammatik neu angeordnet.
+ * Sets und Maps in den Schritten werden eigens kodiert.
+ */
+
+export const PROJECT_FORMAT = 'kg-visualizer-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_FILE_ACCEPT = '.json';
+
+/**
+ * Migrationen alter Projektdateien: PROJECT_MIGRATIONS[n] hebt ein Dokument
+ * von Version n auf n + 1. Bei Aenderungen am Schrittformat PROJECT_VERSION
+ * erhoehen und hier eine Migration eintragen; kann sie die Schritte nicht
+ * umschreiben, setzt sie steps auf null und sie werden neu erzeugt.
+ */
+export const PROJECT_MIGRATIONS = {};
+
+/**
+ * Schreibt eine Sitzung als versioniertes JSON-Dokument.
+ */
+export function serializeProject({ input, ebnfMode, grammar, steps, currentIndex, viewports }) {
+	const document = {
+		format: PROJECT_FORMAT,
+		version: PROJECT_VERSION,
+		savedAt: new Date().toISOString(),
+		input: input || '',
+		ebnfMode: !!ebnfMode,
+		grammar: grammar || null,
+		steps: steps || [],
+		currentIndex: currentIndex || 0,
+		viewports: viewports || {},
+	};
+
+	return JSON.stringify(document, encodeValue, '\t');
+}
+
+/**
+ * Liest eine Projektdatei, fuehrt noetige Migrationen aus und liefert die Sitzung.
+ * Wirft einen Error mit deutscher Meldung, wenn die Datei nicht passt.
+ */
+export function parseProject(text) {
+	let document;
+	try {
+		document = JSON.parse(text, decodeValue);
+	} catch {
+		throw new Error('Die Projektdatei ist kein gültiges JSON');
+	}
+
+	if (!document || document.format !== PROJECT_FORMAT) {
+		throw new Error('Die Datei ist keine KG-Visualizer-Projektdatei');
+	}
+
+	const migrated = migrateProject(document);
+	const steps = Array.isArray(migrated.steps) ? migrated.steps : null;
+	const maxIndex = steps ? Math.max(0, steps.length - 1) : Infinity;
+
+	return {
+		input: typeof migrated.input === 'string' ? migrated.input : '',
+		ebnfMode: !!migrated.ebnfMode,
+		grammar: migrated.grammar || null,
+		steps,
+		currentIndex: Math.min(Math.max(0, migrated.currentIndex || 0), maxIndex),
+		viewports: migrated.viewports || {},
+	};
+}
+
+/**
+ * Hebt ein Projektdokument schrittweise auf PROJECT_VERSION.
+ */
+export function migrateProject(document) {
+	let current = document;
+
+	if (!Number.isInteger(current.version) || current.version < 1) {
+		throw new Error('Die Projektdatei hat keine gültige Versionsnummer');
+	}
+
+	if (current.version > PROJECT_VERSION) {
+		throw new Error(`Die Projektdatei (Version ${current.version}) ist neuer als diese Anwendung (Version ${PROJECT_VERSION})`);
+	}
+
+	while (current.version < PROJECT_VERSION) {
+		const migrate = PROJECT_MIGRATIONS[current.version];
+		if (!migrate) {
+			throw new Error(`Keine Migration für Projektdateien der Version ${current.version}`);
+		}
+		current = { ...migrate(current), version: current.version + 1 };
+	}
+
+	return current;
+}
+
+/**
+ * Kodiert Sets und Maps fuer JSON.stringify.
+ */
+function encodeValue(_key, value) {
+	if (value instanceof Set) return { $set: [...value] };
+	if (value instanceof Map) return { $map: [...value] };
+	return value;
+}
+
+/**
+ * Stellt kodierte Sets und Maps beim JSON.parse wieder her.
+ */
+function decodeValue(_key, value) {
+	if (value && typeof value === 'object' && !Array.isArray(value)) {
+		if (Array.isArray(value.$set) && Object.keys(value).length === 1) return new Set(value.$set);
+		if (Array.isArray(value.$map) && Object.keys(value).length === 1) return new Map(value.$map);
+	}
+	return value;
+}
@@ -0,0 +1,108 @@
+/**
+ * Teilbare Links ohne Backend: Grammatik, Schritt und Ansicht stehen im
+ * URL-Fragment, z.B. #g=<komprimiert>&step=42&view=cnf.
+ * Der Grammatiktext wird mit deflate komprimiert und base64url-kodiert;
+ * das erste Zeichen von g gibt die Kodierung an (z = deflate, u = unkomprimiert).
+ */
+
+const VIEWS = ['grammar', 'cnf'];
+
+/**
+ * Baut das URL-Fragment (ohne #) fuer eine Sitzung { input, ebnfMode, step, view }.
+ * Ohne Eingabe wird ein leerer String geliefert.
+ */
+export async function encodeShareFragment({ input, ebnfMode = false, step = null, view = null }) {
+	if (!input || !input.trim()) return '';
+
+	const params = [`g=${await compressText(input)}`];
+	if (ebnfMode) params.push('ebnf=1');
+	if (Number.isInteger(step) && step >= 0) params.push(`step=${step}`);
+	if (VIEWS.includes(view)) params.push(`view=${view}`);
+
+	return params.join('&');
+}
+
+/**
+ * Liest ein URL-Fragment (mit oder ohne #).
+ * Liefert { input, ebnfMode, step, view }, null ohne Grammatik oder wirft
+ * einen Error mit deutscher Meldung bei beschaedigten Links.
+ */
+export async function decodeShareFragment(hash) {
+	const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+	const encoded = params.get('g');
+	if (!encoded) return null;
+
+	let input;
+	try {
+		input = await decompressText(encoded);
+	} catch {
+		throw new Error('Der Link enthält keine lesbare Grammatik');
+	}
+
+	const step = params.has('step') ? Number.parseInt(params.get('step'), 10) : null;
+	const view = params.get('view');
+
+	return {
+		input,
+		ebnfMode: params.get('ebnf') === '1',
+		step: Number.isInteger(step) && step >= 0 ? step : null,
+		view: VIEWS.includes(view) ? view : null,
+	};
+}
+
+/**
+ * Komprimiert Text (deflate, falls der Browser es kann) als base64url.
+ */
+async function compressText(text) {
+	const bytes = new TextEncoder().encode(text);
+
+	if (typeof CompressionStream === 'undefined') {
+		return `u${toBase64Url(bytes)}`;
+	}
+
+	const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+	const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+	return `z${toBase64Url(compressed)}`;
+}
+
+/**
+ * Gegenstueck zu compressText.
+ */
+async function decompressText(encoded) {
+	const bytes = fromBase64Url(encoded.slice(1));
+
+	if (encoded[0] === 'u') {
+		return new TextDecoder().decode(bytes);
+	}
+
+	if (encoded[0] !== 'z' || typeof DecompressionStream === 'undefined') {
+		throw new Error('unbekannte Kodierung');
+	}
+
+	const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+	return new TextDecoder().decode(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Kodiert Bytes als base64url ohne Padding.
+ */
+function toBase64Url(bytes) {
+	let binary = '';
+	for (let i = 0; i < bytes.length; i++) {
+		binary += String.fromCharCode(bytes[i]);
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Dekodiert base64url zu Bytes.
+ */
+function fromBase64Url(text) {
+	const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+	const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+}
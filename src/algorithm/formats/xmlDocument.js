@@ -0,0 +1,174 @@
+/**
+ * Minimaler XML-Leser/-Schreiber fuer Austauschformate (JFLAP .jff).
+ * Unterstuetzt Elemente, Attribute, Text, CDATA, Kommentare und
+ * Verarbeitungsanweisungen; keine Namespaces und keine DTD-Auswertung.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Liest ein XML-Dokument und liefert das Wurzelelement.
+ * Elemente haben die Form { name, attributes, children, text, index }.
+ * Wirft einen Error mit deutscher Meldung bei fehlerhaftem XML.
+ */
+export function parseXml(text) {
+	const root = { name: '#document', attributes: {}, children: [], text: '', index: 0 };
+	const stack = [root];
+	let i = 0;
+
+	while (i < text.length) {
+		const current = stack[stack.length - 1];
+
+		if (text.startsWith('<!--', i)) {
+			i = findEnd(text, i, '-->');
+			continue;
+		}
+
+		if (text.startsWith('<![CDATA[', i)) {
+			const end = findEnd(text, i, ']]>');
+			current.text += text.slice(i + 9, end - 3);
+			i = end;
+			continue;
+		}
+
+		if (text.startsWith('<?', i) || text.startsWith('<!', i)) {
+			i = findEnd(text, i, '>');
+			continue;
+		}
+
+		if (text.startsWith('</', i)) {
+			const end = findEnd(text, i, '>');
+			const name = text.slice(i + 2, end - 1).trim();
+			if (current.name !== name) {
+				throw new Error(`XML: </${name}> passt nicht zu <${current.name}>`);
+			}
+			stack.pop();
+			i = end;
+			continue;
+		}
+
+		if (text[i] === '<') {
+			const end = findTagEnd(text, i);
+			const selfClosing = text[end - 2] === '/';
+			const body = text.slice(i + 1, selfClosing ? end - 2 : end - 1);
+			const nameMatch = body.match(/^[^\s/>]+/);
+			if (!nameMatch) {
+				throw new Error(`XML: ungültiges Tag an Position ${i}`);
+			}
+
+			const element = {
+				name: nameMatch[0],
+				attributes: parseAttributes(body.slice(nameMatch[0].length)),
+				children: [],
+				text: '',
+				index: i,
+			};
+			current.children.push(element);
+			if (!selfClosing) stack.push(element);
+			i = end;
+			continue;
+		}
+
+		const next = text.indexOf('<', i);
+		const end = next === -1 ? text.length : next;
+		current.text += decodeEntities(text.slice(i, end));
+		i = end;
+	}
+
+	if (stack.length > 1) {
+		throw new Error(`XML: <${stack[stack.length - 1].name}> wird nicht geschlossen`);
+	}
+
+	const documentElement = root.children[0];
+	if (!documentElement) {
+		throw new Error('XML: kein Wurzelelement gefunden');
+	}
+
+	return documentElement;
+}
+
+/**
+ * Liefert alle direkten Kindelemente mit dem angegebenen Namen.
+ */
+export function childElements(element, name) {
+	return element.children.filter(child => child.name === name);
+}
+
+/**
+ * Liefert den Text des ersten Kindelements mit dem angegebenen Namen oder null.
+ */
+export function childText(element, name) {
+	const child = element.children.find(entry => entry.name === name);
+	return child ? child.text : null;
+}
+
+/**
+ * Maskiert Text fuer XML-Inhalte und Attributwerte.
+ */
+export function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Sucht das Ende eines Konstrukts und liefert die Position dahinter.
+ */
+function findEnd(text, start, terminator) {
+	const end = text.indexOf(terminator, start);
+	if (end === -1) {
+		throw new Error(`XML: "${terminator}" fehlt ab Position ${start}`);
+	}
+	return end + terminator.length;
+}
+
+/**
+ * Sucht das Ende eines Start-Tags; > in Attributwerten wird beachtet.
+ */
+function findTagEnd(text, start) {
+	let quote = null;
+
+	for (let i = start + 1; i < text.length; i++) {
+		const char = text[i];
+		if (quote) {
+			if (char === quote) quote = null;
+			continue;
+		}
+		if (char === '"' || char === "'") {
+			quote = char;
+			continue;
+		}
+		if (char === '>') return i + 1;
+	}
+
+	throw new Error(`XML: Tag ab Position ${start} wird nicht geschlossen`);
+}
+
+/**
+ * Liest Attribute name="wert" eines Start-Tags.
+ */
+function parseAttributes(source) {
+	const attributes = {};
+	const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+	let match;
+
+	while ((match = pattern.exec(source)) !== null) {
+		attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+	}
+
+	return attributes;
+}
+
+/**
+ * Loest XML-Entities (&lt;, &#60;, &#x3C;) auf.
+ */
+function decodeEntities(value) {
+	return value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, code) => {
+		if (code.startsWith('#x')) return String.fromCodePoint(parseInt(code.slice(2), 16));
+		if (code.startsWith('#')) return String.fromCodePoint(parseInt(code.slice(1), 10));
+		return ENTITIES[code] ?? entity;
+	});
+}
@@ -0,0 +1,263 @@
+/**
+ * Symbol-Hilfen fuer CFG-Produktionen.
+ *
+ * Produktionen werden intern als Symbolfolgen gespeichert, deren Symbole
+ * durch genau ein Leerzeichen getrennt sind (z.B. "b C b", "Expr + Term").
+ * Damit bleiben mehrzeichige Namen wie S0, D_1, <expr> oder id eindeutig.
+ */
+
+export const EPSILON = 'ε';
+
+/**
+ * Prueft, ob ein Production-Symbol das leere Wort darstellt.
+ */
+export function isEpsilon(symbol) {
+	return symbol === EPSILON;
+}
+
+/**
+ * Prueft, ob ein Symbol der CFG ein Nichtterminal ist.
+ * Akzeptiert Grossbuchstaben-Namen (A, S0, X_2, Expr, A') und <name>.
+ */
+export function isNonTerminal(symbol) {
+	return /^[A-Z][A-Za-z0-9_]*'*$/.test(symbol) || /^<[^<>\s]+>$/.test(symbol);
+}
+
+/**
+ * Prueft, ob ein Symbol der CFG ein Terminal ist.
+ * Terminal ist jedes einzelne Symbol, das weder Nichtterminal noch ε ist
+ * (a, id, 42, +, '(' oder 'A' in Anfuehrungszeichen).
+ */
+export function isTerminal(symbol) {
+	return typeof symbol === 'string'
+		&& symbol !== ''
+		&& !/\s/.test(symbol)
+		&& !isEpsilon(symbol)
+		&& !isNonTerminal(symbol);
+}
+
+/**
+ * Zerlegt eine gespeicherte Produktion in ihre Symbole.
+ */
+export function parseSymbols(production) {
+	if (isEpsilon(production)) {
+		return [EPSILON];
+	}
+
+	return production.split(' ').filter(symbol => symbol !== '');
+}
+
+/**
+ * Setzt Symbole wieder zu einer gespeicherten Produktion zusammen.
+ */
+export function joinSymbols(symbols) {
+	return symbols.join(' ');
+}
+
+/**
+ * Teilt eine CFG-Zeile am ersten -> in LHS und RHS.
+ */
+export function splitRule(line) {
+	const arrowIndex = line.indexOf('->');
+	if (arrowIndex === -1) {
+		return [line.trim(), undefined];
+	}
+
+	return [line.slice(0, arrowIndex).trim(), line.slice(arrowIndex + 2).trim()];
+}
+
+/**
+ * Teilt eine RHS an | in Alternativen. | in Anfuehrungszeichen bleibt erhalten.
+ */
+export function splitAlternatives(rhs) {
+	const alternatives = [];
+	let current = '';
+	let quote = null;
+
+	for (let i = 0; i < rhs.length; i++) {
+		const char = rhs[i];
+
+		if (quote) {
+			if (char === quote) quote = null;
+			current += char;
+			continue;
+		}
+
+		if (isQuoteStart(rhs, i)) {
+			quote = char;
+			current += char;
+			continue;
+		}
+
+		if (char === '|') {
+			alternatives.push(current);
+			current = '';
+			continue;
+		}
+
+		current += char;
+	}
+
+	alternatives.push(current);
+	return alternatives;
+}
+
+/**
+ * Bestimmt, ob eine CFG-Eingabe kompakt (aSb) oder mit Leerzeichen (a S b) notiert ist.
+ * Kompakt bedeutet: keine Leerzeichen innerhalb einer Alternative und nur LHS,
+ * die sich als einzelnes kompaktes Nichtterminal lesen lassen (A, A1, X_2, <expr>).
+ */
+export function detectNotation(lines) {
+	for (let i = 0; i < lines.length; i++) {
+		const [lhs, rhs] = splitRule(lines[i]);
+
+		if (lhs && tokenizeSymbols(lhs, 'compact').length > 1) {
+			return 'spaced';
+		}
+
+		if (!rhs) {
+			continue;
+		}
+
+		const alternatives = splitAlternatives(rhs);
+		for (let j = 0; j < alternatives.length; j++) {
+			if (tokenizeSymbols(alternatives[j], 'spaced').length > 1 && /\S\s+\S/.test(alternatives[j].trim())) {
+				return 'spaced';
+			}
+		}
+	}
+
+	return 'compact';
+}
+
+/**
+ * Zerlegt den Text einer Alternative in Symbole.
+ * Nicht erkannte Zeichen werden uebersprungen.
+ */
+export function tokenizeSymbols(text, notation = 'compact') {
+	return scanSymbols(text, notation).symbols;
+}
+
+/**
+ * Liest die Symbole einer Alternative und merkt sich uebersprungene Zeichen.
+ * Jedes uebersprungene Zeichen traegt einen Grund: 'epsilon' (_ oder ε in einer Folge),
+ * 'unclosed-quote', 'invalid-quote' (leer oder mit Leerzeichen), 'arrow' (weiteres ->)
+ * oder 'illegal' (Steuerzeichen). spans haelt je Symbol { index, length } im Text.
+ *
+ * Kompakt: ein Zeichen pro Terminal, Nichtterminale mit optionalem Index (A1, X_2).
+ * Mit Leerzeichen: Namen (Expr, id) und Ziffernfolgen (42) bleiben ein Symbol.
+ * In beiden Notationen gelten '...' / "..." als Terminal und <name> als Nichtterminal.
+ */
+export function scanSymbols(text, notation = 'compact') {
+	const symbols = [];
+	const spans = [];
+	const skipped = [];
+	let i = 0;
+
+	while (i < text.length) {
+		const token = readToken(text, i, notation);
+
+		if (token.symbol) {
+			symbols.push(token.symbol);
+			spans.push({ index: i, length: token.length });
+		} else if (token.reason) {
+			skipped.push({ char: text.slice(i, i + token.length), index: i, reason: token.reason });
+		}
+
+		i += token.length;
+	}
+
+	return { symbols, spans, skipped };
+}
+
+/**
+ * Liest ein einzelnes Symbol ab Position start.
+ * Liefert { symbol, length, reason }; symbol ist null fuer uebersprungene Zeichen.
+ */
+function readToken(text, start, notation) {
+	const rest = text.slice(start);
+	const char = text[start];
+
+	if (/\s/.test(char)) {
+		return { symbol: null, length: 1, reason: null };
+	}
+
+	if (char === '_' || isEpsilon(char)) {
+		return { symbol: null, length: 1, reason: 'epsilon' };
+	}
+
+	if (rest.startsWith('->')) {
+		return { symbol: null, length: 2, reason: 'arrow' };
+	}
+
+	if (isControlChar(char)) {
+		return { symbol: null, length: 1, reason: 'illegal' };
+	}
+
+	if (isQuoteStart(text, start)) {
+		const end = text.indexOf(char, start + 1);
+		if (end === -1) {
+			return { symbol: null, length: text.length - start, reason: 'unclosed-quote' };
+		}
+
+		const symbol = canonicalTerminal(text.slice(start + 1, end));
+		return { symbol, length: end - start + 1, reason: symbol ? null : 'invalid-quote' };
+	}
+
+	if (char === '<') {
+		const angle = rest.match(/^<[^<>\s]+>/);
+		if (angle) {
+			return { symbol: angle[0], length: angle[0].length };
+		}
+	}
+
+	const namePattern = notation === 'spaced'
+		? /^[A-Za-z][A-Za-z0-9_]*'*/
+		: /^[A-Z](?:\d+|_[A-Za-z0-9]+)?'*/;
+	const name = rest.match(namePattern);
+	if (name) {
+		return { symbol: name[0], length: name[0].length };
+	}
+
+	if (notation === 'spaced' && /\d/.test(char)) {
+		const digits = rest.match(/^\d+/)[0];
+		return { symbol: digits, length: digits.length };
+	}
+
+	return { symbol: char, length: 1 };
+}
+
+/**
+ * Normalisiert ein Terminal aus Anfuehrungszeichen.
+ * Eindeutige Inhalte werden ohne Quotes gespeichert ('+' -> +, "if" -> if),
+ * sonst bleiben sie gequotet ('A', 'ε'). Leere Inhalte oder Leerzeichen sind ungueltig.
+ */
+export function canonicalTerminal(content) {
+	if (content === '' || /\s/.test(content)) {
+		return null;
+	}
+
+	if (isTerminal(content) && !/^['"]/.test(content)) {
+		return content;
+	}
+
+	return content.includes("'") ? `"${content}"` : `'${content}'`;
+}
+
+/**
+ * Prueft auf nicht druckbare Steuerzeichen.
+ */
+function isControlChar(char) {
+	const code = char.charCodeAt(0);
+	return code < 32 || code === 127;
+}
+
+/**
+ * Ein Quote beginnt ein Terminal, ausser ' steht direkt hinter einem Namen (A').
+ */
+export function isQuoteStart(text, index) {
+	const char = text[index];
+	if (char === '"') return true;
+	if (char !== "'") return false;
+	return index === 0 || !/[A-Za-z0-9_']/.test(text[index - 1]);
+}
@@ -0,0 +1,47 @@
+import compareLanguages from './equivalence.js';
+import { formatWord } from './enumerateWords.js';
+
+export const LANGUAGE_CHECK_LENGTH = 5;
+
+/**
+ * Prueft, ob eine Umformung die Sprache bis zur Wortlaenge maxLength erhaelt.
+ * original und transformed haben die Form { productions, startSymbol }.
+ * Liefert { preserved, lost, gained, maxLength, truncated }; lost/gained
+ * sind formatierte Woerter, die nur im Original bzw. nur im Ergebnis liegen.
+ */
+export default function checkLanguagePreservation(original, transformed, maxLength = LANGUAGE_CHECK_LENGTH) {
+	const comparison = compareLanguages(original, transformed, maxLength);
+	const lost = comparison.lengths.flatMap(entry => entry.onlyFirst.map(formatWord));
+	const gained = comparison.lengths.flatMap(entry => entry.onlySecond.map(formatWord));
+
+	return {
+		preserved: comparison.equivalent,
+		lost,
+		gained,
+		maxLength: comparison.lengths.length - 1,
+		truncated: comparison.truncated,
+	};
+}
+
+/**
+ * Beschreibt ein Pruefergebnis in einer Zeile fuer Log und Badge.
+ */
+export function describeLanguageCheck(check) {
+	const scope = `|w| ≤ ${check.maxLength}`;
+	if (check.preserved) {
+		return `Sprache erhalten (${scope})${check.truncated ? ', Aufzählung gekürzt' : ''}`;
+	}
+
+	const parts = [];
+	if (check.lost.length > 0) parts.push(`verloren: ${previewWords(check.lost)}`);
+	if (check.gained.length > 0) parts.push(`hinzugekommen: ${previewWords(check.gained)}`);
+	return `Sprache verändert (${scope}) – ${parts.join('; ')}`;
+}
+
+/**
+ * Kuerzt eine Wortliste fuer die einzeilige Anzeige.
+ */
+function previewWords(words, limit = 5) {
+	const shown = words.slice(0, limit).join(', ');
+	return words.length > limit ? `${shown}, … (${words.length})` : shown;
+}
@@ -0,0 +1,114 @@
+import { isEpsilon, isNonTerminal, parseSymbols } from './grammarSymbols.js';
+import { findNullableVariables } from './visualization/step_3_removeEpsAndUnit.js';
+
+/**
+ * Findet linksrekursive Variablen (A =>+ A α), direkt oder ueber andere Variablen.
+ * Liefert { variables, hidden }: hidden sind die Variablen, die nur ueber
+ * ε-ableitbare Praefixe linksrekursiv sind (z.B. A -> B A c mit B =>* ε).
+ */
+export default function findLeftRecursion(productions) {
+	const direct = findCyclicVariables(getLeftCornerGraph(productions, new Set()));
+	const all = findCyclicVariables(getLeftCornerGraph(productions, findNullableVariables(productions)));
+
+	return {
+		variables: sortVariables(all),
+		hidden: sortVariables(all.filter(variable => !direct.includes(variable))),
+	};
+}
+
+/**
+ * Zerlegt die Variablen in Zusammenhangskomponenten des Links-Ecken-Graphen
+ * (A -> B ... ergibt die Kante A -> B) und liefert nur Komponenten mit Zyklus,
+ * also die Gruppen sich gegenseitig linksrekursiver Variablen.
+ */
+export function getLeftRecursiveComponents(productions) {
+	const graph = getLeftCornerGraph(productions, new Set());
+	return findComponents(graph).filter(component =>
+		component.length > 1 || graph.get(component[0]).has(component[0]));
+}
+
+/**
+ * Baut den Links-Ecken-Graphen: Kante A -> X fuer jedes Symbol X, das am
+ * Anfang einer A-Produktion steht, wenn alle Symbole davor nullable sind.
+ */
+function getLeftCornerGraph(productions, nullable) {
+	const graph = new Map();
+
+	Object.keys(productions).forEach(variable => {
+		const corners = new Set();
+		(productions[variable] || []).forEach(production => {
+			if (isEpsilon(production)) return;
+			const symbols = parseSymbols(production);
+			for (let i = 0; i < symbols.length && isNonTerminal(symbols[i]); i++) {
+				corners.add(symbols[i]);
+				if (!nullable.has(symbols[i])) break;
+			}
+		});
+		graph.set(variable, corners);
+	});
+
+	return graph;
+}
+
+/**
+ * Liefert alle Variablen, die im Graphen auf einem Zyklus liegen.
+ */
+function findCyclicVariables(graph) {
+	return findComponents(graph)
+		.filter(component => component.length > 1 || graph.get(component[0]).has(component[0]))
+		.flat();
+}
+
+/**
+ * Bestimmt die starken Zusammenhangskomponenten (Tarjan).
+ */
+function findComponents(graph) {
+	const indices = new Map();
+	const lowLinks = new Map();
+	const stack = [];
+	const onStack = new Set();
+	const components = [];
+	let counter = 0;
+
+	const visit = (variable) => {
+		indices.set(variable, counter);
+		lowLinks.set(variable, counter);
+		counter++;
+		stack.push(variable);
+		onStack.add(variable);
+
+		(graph.get(variable) || new Set()).forEach(next => {
+			if (!graph.has(next)) return;
+			if (!indices.has(next)) {
+				visit(next);
+				lowLinks.set(variable, Math.min(lowLinks.get(variable), lowLinks.get(next)));
+			} else if (onStack.has(next)) {
+				lowLinks.set(variable, Math.min(lowLinks.get(variable), indices.get(next)));
+			}
+		});
+
+		if (lowLinks.get(variable) === indices.get(variable)) {
+			const component = [];
+			let member;
+			do {
+				member = stack.pop();
+				onStack.delete(member);
+				component.push(member);
+			} while (member !== variable);
+			components.push(component.reverse());
+		}
+	};
+
+	graph.forEach((_, variable) => {
+		if (!indices.has(variable)) visit(variable);
+	});
+
+	return components;
+}
+
+/**
+ * Sortiert Variablen alphabetisch.
+ */
+function sortVariables(variables) {
+	return [...variables].sort((a, b) => a.localeCompare(b));
+}
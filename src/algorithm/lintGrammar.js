@@ -0,0 +1,131 @@
+import { getStartSymbol, isEpsilon } from './parseGrammar.js';
+import { isNonTerminal, parseSymbols } from './grammarSymbols.js';
+import { computeIsProductive, getReachableVariables } from './visualization/step_1_searchProductive.js';
+
+/**
+ * Prueft eine geparste CFG auf nutzlose oder verdaechtige Regeln.
+ * Liefert Diagnose-Eintraege im Format von grammar.diagnostics:
+ * undefinierte, unerreichbare und unproduktive Variablen sowie
+ * direkte Linksrekursion und triviale Selbst-Units (A -> A).
+ */
+export default function lintGrammar(grammar) {
+	const diagnostics = [];
+	const { productions } = grammar;
+	const locations = grammar.locations || { definitions: {}, productions: {} };
+	const definedVars = Object.keys(locations.definitions);
+
+	if (definedVars.length === 0) {
+		return diagnostics;
+	}
+
+	const startSymbol = getStartSymbol(grammar);
+	const { productiveVars } = computeIsProductive(grammar);
+	const productiveSet = new Set(productiveVars);
+	const reachableSet = getReachableVariables({ productions, startSymbol });
+
+	lintUndefinedVariables(grammar, locations, diagnostics);
+	lintStartSymbol(startSymbol, locations, diagnostics);
+
+	for (let i = 0; i < definedVars.length; i++) {
+		const variable = definedVars[i];
+		const location = locations.definitions[variable];
+
+		if (!reachableSet.has(variable)) {
+			diagnostics.push(createLintDiagnostic('warning', 'unreachable', location,
+				`${variable} ist vom Startsymbol ${startSymbol} aus nicht erreichbar`,
+				`Verwende ${variable} auf einer rechten Seite oder entferne die Regel`));
+		}
+
+		if (!productiveSet.has(variable)) {
+			diagnostics.push(createLintDiagnostic('warning', 'unproductive', location,
+				`${variable} ist nicht produktiv (erzeugt kein Terminalwort)`,
+				`Ergänze eine Alternative für ${variable}, die ohne ${variable} terminiert`));
+		}
+
+		lintProductions(variable, productions[variable] || [], locations, diagnostics);
+	}
+
+	return diagnostics.sort(compareDiagnostics);
+}
+
+/**
+ * Meldet Variablen, die auf einer RHS vorkommen, aber keine Regel besitzen.
+ */
+function lintUndefinedVariables(grammar, locations, diagnostics) {
+	const reported = new Set();
+	const lhsList = Object.keys(grammar.productions);
+
+	for (let i = 0; i < lhsList.length; i++) {
+		const lhs = lhsList[i];
+		const prods = grammar.productions[lhs];
+
+		for (let j = 0; j < prods.length; j++) {
+			const symbols = parseSymbols(prods[j]);
+
+			for (let k = 0; k < symbols.length; k++) {
+				const symbol = symbols[k];
+				if (!isNonTerminal(symbol) || locations.definitions[symbol] || reported.has(symbol)) {
+					continue;
+				}
+
+				reported.add(symbol);
+				diagnostics.push(createLintDiagnostic('warning', 'undefined-variable',
+					locations.productions[`${lhs} -> ${prods[j]}`],
+					`${symbol} wird verwendet, aber nie definiert`,
+					`Ergänze eine Regel ${symbol} -> ...`));
+			}
+		}
+	}
+}
+
+/**
+ * Meldet ein per %start gesetztes Startsymbol ohne eigene Regel.
+ */
+function lintStartSymbol(startSymbol, locations, diagnostics) {
+	if (locations.definitions[startSymbol]) {
+		return;
+	}
+
+	const firstDefinition = Object.values(locations.definitions)[0];
+	diagnostics.push(createLintDiagnostic('warning', 'undefined-start', firstDefinition,
+		`Startsymbol ${startSymbol} hat keine Regel, L(G) ist leer`,
+		`Ergänze eine Regel ${startSymbol} -> ... oder passe %start an`));
+}
+
+/**
+ * Meldet direkte Linksrekursion und Selbst-Units einer Variable.
+ */
+function lintProductions(variable, prods, locations, diagnostics) {
+	for (let i = 0; i < prods.length; i++) {
+		const prod = prods[i];
+		if (isEpsilon(prod)) continue;
+
+		const symbols = parseSymbols(prod);
+		const location = locations.productions[`${variable} -> ${prod}`];
+
+		if (symbols.length === 1 && symbols[0] === variable) {
+			diagnostics.push(createLintDiagnostic('warning', 'self-unit', location,
+				`${variable} -> ${variable} ist eine triviale Unit-Produktion ohne Wirkung`,
+				'Entferne die Alternative'));
+		} else if (symbols[0] === variable) {
+			diagnostics.push(createLintDiagnostic('info', 'left-recursion', location,
+				`${variable} -> ${prod} ist direkt linksrekursiv`,
+				'Für LL-Parser muss die Linksrekursion entfernt werden'));
+		}
+	}
+}
+
+/**
+ * Erzeugt einen Lint-Eintrag an der Textstelle einer Regel.
+ */
+function createLintDiagnostic(severity, code, location, message, suggestion) {
+	const { line, column, endColumn } = location || { line: 1, column: 1, endColumn: 1 };
+	return { severity, code, line, column, endColumn, message, suggestion };
+}
+
+/**
+ * Sortiert Diagnose-Eintraege nach Zeile und Spalte.
+ */
+function compareDiagnostics(a, b) {
+	return a.line - b.line || a.column - b.column;
+}
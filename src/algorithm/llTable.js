@@ -0,0 +1,119 @@
+import computeFirstFollow, { END_MARKER, firstOfSequence, getRules, sortSymbols } from './firstFollow.js';
+import { isEpsilon, isNonTerminal, parseSymbols } from './grammarSymbols.js';
+
+export const MAX_LL1_PARSE_STEPS = 300;
+
+/**
+ * Baut die LL(1)-Parsetabelle M[A, a] aus FIRST und FOLLOW:
+ * A -> α steht in M[A, a] fuer jedes a ∈ FIRST(α) \ {ε} und, falls ε ∈ FIRST(α),
+ * fuer jedes a ∈ FOLLOW(A) (einschliesslich $).
+ * Liefert { variables, terminals, cells, entries, conflicts, isLL1 }:
+ * cells[A][a] ist die Liste der Produktionen (rechte Seiten), entries die
+ * Eintraege je Produktion in Einfuegereihenfolge, conflicts die Zellen mit
+ * mehr als einer Produktion.
+ */
+export default function buildLL1Table(grammar) {
+	const { variables, nullable, first, follow } = computeFirstFollow(grammar);
+	const rules = getRules(grammar.productions, variables);
+	const terminals = [...sortSymbols(new Set(rules.flatMap(rule => rule.symbols.filter(symbol => !isNonTerminal(symbol))))), END_MARKER];
+	const cells = Object.fromEntries(variables.map(variable => [variable, {}]));
+	const entries = [];
+
+	rules.forEach(({ variable, production, symbols }) => {
+		const productionFirst = firstOfSequence(symbols, first, nullable);
+		const viaFirst = [...productionFirst].filter(symbol => !isEpsilon(symbol));
+		const viaFollow = [...productionFirst].some(isEpsilon) ? [...follow.get(variable)] : [];
+		const targets = sortSymbols(new Set([...viaFirst, ...viaFollow]));
+
+		targets.forEach(terminal => {
+			if (!cells[variable][terminal]) cells[variable][terminal] = [];
+			if (!cells[variable][terminal].includes(production)) cells[variable][terminal].push(production);
+		});
+		entries.push({ variable, production, viaFirst: sortSymbols(viaFirst), viaFollow: sortSymbols(viaFollow) });
+	});
+
+	const conflicts = getConflicts(cells, variables, terminals);
+
+	return { variables, terminals, cells, entries, conflicts, isLL1: conflicts.length === 0 };
+}
+
+/**
+ * Sammelt alle Zellen mit mehr als einer Produktion.
+ */
+export function getConflicts(cells, variables, terminals) {
+	const conflicts = [];
+
+	variables.forEach(variable => {
+		terminals.forEach(terminal => {
+			const productions = cells[variable]?.[terminal] || [];
+			if (productions.length > 1) conflicts.push({ variable, terminal, productions: [...productions] });
+		});
+	});
+
+	return conflicts;
+}
+
+/**
+ * Fuehrt den tabellengesteuerten LL(1)-Parser auf einem Wort aus.
+ * Bei Konflikten wird die erste Produktion der Zelle gewaehlt.
+ * Liefert { rows, accepted }: jede Zeile { stack, input, action, kind, variable,
+ * production, terminal, conflict }; stack ist unten -> oben, input beginnt mit
+ * dem naechsten Zeichen und endet mit $.
+ */
+export function runLL1Parser(table, startSymbol, word) {
+	const stack = [END_MARKER, startSymbol];
+	const input = [...word, END_MARKER];
+	const rows = [];
+	let position = 0;
+
+	while (rows.length < MAX_LL1_PARSE_STEPS) {
+		const top = stack[stack.length - 1];
+		const lookahead = input[position];
+		const row = { stack: [...stack], input: input.slice(position), terminal: lookahead };
+
+		if (top === END_MARKER && lookahead === END_MARKER) {
+			rows.push({ ...row, kind: 'accept', action: 'Akzeptieren: Stapel und Eingabe sind leer' });
+			return { rows, accepted: true };
+		}
+
+		if (!isNonTerminal(top)) {
+			if (top !== lookahead) {
+				rows.push({ ...row, kind: 'error', action: `Fehler: erwartet ${top}, gelesen ${lookahead}` });
+				return { rows, accepted: false };
+			}
+			rows.push({ ...row, kind: 'match', action: `Vergleiche ${top}: vom Stapel nehmen und weiterlesen` });
+			stack.pop();
+			position++;
+			continue;
+		}
+
+		const productions = table.cells[top]?.[lookahead] || [];
+		if (productions.length === 0) {
+			rows.push({ ...row, kind: 'error', variable: top, action: `Fehler: M[${top}, ${lookahead}] ist leer` });
+			return { rows, accepted: false };
+		}
+
+		const production = productions[0];
+		const conflict = productions.length > 1;
+		rows.push({
+			...row,
+			kind: 'expand',
+			variable: top,
+			production,
+			conflict,
+			action: `Ersetze ${top} → ${production}${conflict ? ` (Konflikt, erste von ${productions.length} Produktionen gewählt)` : ''}`,
+		});
+		stack.pop();
+		if (!isEpsilon(production)) {
+			stack.push(...parseSymbols(production).reverse());
+		}
+	}
+
+	rows.push({
+		stack: [...stack],
+		input: input.slice(position),
+		kind: 'error',
+		action: `Abbruch nach ${MAX_LL1_PARSE_STEPS} Aktionen (Endlosschleife durch Linksrekursion?)`,
+	});
+	return { rows, accepted: false };
+}
@@ -2,17 +2,51 @@
  * Erstellt Statusmeldungen fuer CFG-Aenderungen.
  */
 export function getGrammarChangeMessage(parsedGrammar) {
+	const diagnostics = parsedGrammar?.diagnostics || [];
+	const errors = diagnostics.filter(d => d.severity === 'error');
+	const warnings = diagnostics.filter(d => d.severity === 'warning');
+
+	if (errors.length > 0) {
+		return `Fehlerhafte Grammatik: ${errors.map(formatDiagnostic).join(' | ')}`;
+	}
+
 	if (hasErrors(parsedGrammar)) {
 		return `Fehlerhafte Grammatik: ${parsedGrammar.errors.join(' | ')}`;
 	}
 
 	if (hasProductions(parsedGrammar)) {
+		if (warnings.length > 0) {
+			return `Grammatik aktualisiert, ${warnings.length} Hinweis(e): ${formatDiagnostic(warnings[0])}`;
+		}
 		return 'Grammatik aktualisiert';
 	}
 
 	return 'Keine Grammatik geladen';
 }
 
+/**
+ * Formatiert einen Diagnose-Eintrag der CFG-Eingabe als Kurzmeldung.
+ */
+export function formatDiagnostic(diagnostic) {
+	return `Zeile ${diagnostic.line}, Spalte ${diagnostic.column}: ${diagnostic.message}`;
+}
+
+/**
+ * Meldet das Ergebnis eines JFLAP-Exports samt Umbenennungen.
+ */
+export function getJFLAPExportMessage(fileName, result) {
+	if (result.errors.length > 0) {
+		return `JFLAP-Export nicht möglich: ${result.errors.join(' | ')}`;
+	}
+
+	if (result.renames.length > 0) {
+		const renames = result.renames.map(({ from, to }) => `${from} → ${to}`).join(', ');
+		return `${fileName} gespeichert, umbenannt: ${renames}`;
+	}
+
+	return `${fileName} gespeichert`;
+}
+
 /**
  * Meldet den Moduswechsel der CFG-Analyse.
  */
@@ -28,6 +62,14 @@ export function getStepPopupMessage(currentStep) {
 
 	const action = currentStep.delta?.action;
 
+	if (currentStep.stage === 'ebnf-desugar') {
+		if (action === 'init') return 'Löse EBNF-Konstrukte auf...';
+		if (action === 'introduce-helper') {
+			return `Neue Hilfsvariable ${currentStep.delta.variable} für ${currentStep.delta.source}`;
+		}
+		if (action === 'complete') return 'EBNF vollständig aufgelöst';
+	}
+
 	if (currentStep.stage === 'reachability') {
 		if (action === 'init') return 'Starte Erreichbarkeitsanalyse...';
 		if (action === 'identify-unreachable') {
@@ -104,6 +146,191 @@ export function getStepPopupMessage(currentStep) {
 		if (action === 'complete') return 'Isolation der Terminale abgeschlossen!';
 	}
 
+	if (currentStep.stage === 'cnf-check') {
+		return currentStep.delta.valid
+			? 'CNF-Prüfung bestanden'
+			: `CNF-Prüfung: ${currentStep.delta.violations} Verstoß/Verstöße gefunden`;
+	}
+
+	if (currentStep.stage === 'nullable' || currentStep.stage === 'first' || currentStep.stage === 'follow') {
+		if (action === 'init') return `Berechne ${currentStep.stage === 'nullable' ? 'nullable' : currentStep.stage.toUpperCase()}...`;
+		if (action === 'nullable-add') return `${currentStep.delta.variable} ist nullable`;
+		if (action === 'first-add') return `FIRST(${currentStep.delta.variable}) += {${currentStep.delta.added.join(', ')}}`;
+		if (action === 'follow-add') return `FOLLOW(${currentStep.delta.variable}) += {${currentStep.delta.added.join(', ')}}`;
+		if (action === 'fixpoint') return 'Fixpunkt erreicht!';
+		if (action === 'complete') return 'FIRST- und FOLLOW-Mengen berechnet!';
+	}
+
+	if (currentStep.stage === 'll-left-recursion') {
+		if (action === 'init') return 'Suche linksrekursive Variablen...';
+		if (action === 'substitute') return `Ersetze ${currentStep.delta.variable} → ${currentStep.delta.replaced} γ`;
+		if (action === 'eliminate-direct') {
+			return `Entferne direkte Linksrekursion von ${currentStep.delta.variable} mit ${currentStep.delta.helper}`;
+		}
+		if (action === 'remove-self-unit') return `Streiche ${currentStep.delta.variable} → ${currentStep.delta.variable}`;
+		if (action === 'complete') {
+			return currentStep.delta.remaining.length === 0
+				? 'Linksrekursion entfernt!'
+				: `Weiterhin linksrekursiv: ${currentStep.delta.remaining.join(', ')}`;
+		}
+	}
+
+	if (currentStep.stage === 'll-left-factoring') {
+		if (action === 'init') return 'Suche gemeinsame Präfixe...';
+		if (action === 'factor') return `Klammere ${currentStep.delta.prefix} bei ${currentStep.delta.variable} aus`;
+		if (action === 'complete') return 'Linksfaktorisierung abgeschlossen!';
+	}
+
+	if (currentStep.stage === 'll1-table') {
+		if (action === 'init') return 'Baue die LL(1)-Tabelle...';
+		if (action === 'fill') {
+			return currentStep.delta.conflicts.length > 0
+				? `Konflikt: ${currentStep.delta.variable} → ${currentStep.delta.production}`
+				: `Trage ${currentStep.delta.variable} → ${currentStep.delta.production} ein`;
+		}
+		if (action === 'result') return currentStep.delta.isLL1 ? 'Die Grammatik ist LL(1)!' : 'Die Grammatik ist nicht LL(1)';
+	}
+
+	if (currentStep.stage === 'll1-parse') {
+		if (action === 'expand') return `Ersetze ${currentStep.delta.variable} → ${currentStep.delta.production}`;
+		if (action === 'match') return `Lese ${currentStep.delta.terminal}`;
+		if (action === 'accept') return 'Wort akzeptiert!';
+		if (action === 'error') return 'Wort abgelehnt';
+	}
+
+	if (currentStep.stage === 'lr-automaton') {
+		if (action === 'init') return 'Baue den LR(0)-Automaten...';
+		if (action === 'goto') {
+			return currentStep.delta.newStates.length > 0
+				? `Übergänge von I${currentStep.delta.state}: neu ${currentStep.delta.newStates.map(id => `I${id}`).join(', ')}`
+				: `Übergänge von I${currentStep.delta.state}`;
+		}
+		if (action === 'complete') return `LR(0)-Automat mit ${currentStep.delta.states} Zuständen`;
+	}
+
+	if (currentStep.stage === 'lr-table') {
+		if (action === 'init') return 'Baue die ACTION/GOTO-Tabelle...';
+		if (action === 'fill-row') {
+			return currentStep.delta.conflicts > 0
+				? `Konflikt in Zeile ${currentStep.delta.state}`
+				: `Fülle Zeile ${currentStep.delta.state}`;
+		}
+		if (action === 'result') {
+			const { label, isValid } = currentStep.delta;
+			return isValid ? `Die Grammatik ist ${label}!` : `Die Grammatik ist nicht ${label}`;
+		}
+	}
+
+	if (currentStep.stage === 'lr-parse') {
+		if (action === 'shift') return `Schiebe ${currentStep.delta.terminal}`;
+		if (action === 'reduce') return `Reduziere mit Regel ${currentStep.delta.rule}`;
+		if (action === 'accept') return 'Wort akzeptiert!';
+		if (action === 'error') return 'Wort abgelehnt';
+	}
+
+	if (currentStep.stage === 'pda-build') {
+		if (action === 'init') return 'Konstruiere den Kellerautomaten...';
+		if (action === 'expand') return 'Expandieren: Variable durch rechte Seite ersetzen';
+		if (action === 'reduce') return 'Reduzieren: rechte Seite durch Variable ersetzen';
+		if (action === 'match') return 'Vergleichen: Terminal lesen und vom Stapel nehmen';
+		if (action === 'shift') return 'Schieben: Terminal lesen und auf den Stapel legen';
+		if (action === 'accept') return 'Akzeptieren: Stapel leeren';
+		if (action === 'complete') return `Kellerautomat mit ${currentStep.delta.transitions} Übergängen`;
+	}
+
+	if (currentStep.stage === 'pda-simulate') {
+		if (action === 'level') return `Nach ${currentStep.delta.level} Übergängen: ${currentStep.delta.configurations} Konfiguration(en)`;
+		if (action === 'result') {
+			if (currentStep.delta.accepted === true) return 'Wort akzeptiert!';
+			if (currentStep.delta.accepted === false) return 'Wort abgelehnt';
+			return 'Simulation abgebrochen';
+		}
+	}
+
+	if (currentStep.stage === 'regular-nfa') {
+		if (action === 'init') return `Grammatik ist regulär (${currentStep.delta.label})`;
+		if (action === 'transition') return `Übergänge für ${currentStep.delta.variable} → ${currentStep.delta.production}`;
+		if (action === 'accepting') return `${currentStep.delta.variable} wird akzeptierend`;
+		if (action === 'complete') return `NFA mit ${currentStep.delta.states} Zuständen`;
+	}
+
+	if (currentStep.stage === 'regular-dfa') {
+		if (action === 'init') return 'Potenzmengenkonstruktion...';
+		if (action === 'expand') return `Nachfolger von ${currentStep.delta.state}`;
+		if (action === 'complete') {
+			return currentStep.delta.truncated ? 'Potenzmengenkonstruktion abgebrochen' : `DFA mit ${currentStep.delta.states} Zuständen`;
+		}
+	}
+
+	if (currentStep.stage === 'regular-minimize') {
+		if (action === 'refine') return `Minimierung: ${currentStep.delta.classes} Klassen`;
+		if (action === 'result') return `Minimaler DFA mit ${currentStep.delta.states} Zuständen`;
+	}
+
+	if (currentStep.stage === 'gnf-order') return 'GNF: Ordne die Variablen A1, ..., An';
+	if (currentStep.stage === 'gnf-substitute') {
+		return `Ersetze ${currentStep.delta.variable} → ${currentStep.delta.replaced} γ`;
+	}
+	if (currentStep.stage === 'gnf-left-recursion') {
+		return `Entferne Linksrekursion von ${currentStep.delta.variable} mit ${currentStep.delta.helper}`;
+	}
+	if (currentStep.stage === 'gnf-back-substitute') {
+		if (action === 'cleanup') return `Entferne unerreichbare Variablen: ${currentStep.delta.removed.join(', ')}`;
+		if (action === 'aborted') return `GNF-Umformung abgebrochen (mehr als ${currentStep.delta.limit} Produktionen), Zwischenstand ist keine GNF`;
+		if (action === 'complete') return currentStep.delta.isGNF ? 'GNF erreicht!' : 'GNF nicht erreicht';
+		return `Rücksubstitution für ${currentStep.delta.variable}`;
+	}
+
+	if (currentStep.stage === 'cnf-cyk') {
+		if (action === 'init') return 'Starte CYK-Algorithmus...';
+		if (action === 'fill-cell') {
+			const variables = currentStep.delta.variables;
+			return `Zelle (${currentStep.delta.length}, ${currentStep.delta.start + 1}) = {${variables.join(', ')}}`;
+		}
+		if (action === 'result') {
+			return currentStep.delta.accepted ? 'Wort wird akzeptiert: w ∈ L(G)' : 'Wort wird abgelehnt: w ∉ L(G)';
+		}
+	}
+
+	if (currentStep.stage === 'derivation') {
+		const { derivation } = currentStep.state;
+		if (derivation.problem) return derivation.problem;
+		if (derivation.complete) return 'Ableitung abgeschlossen';
+		if (action === 'start') return 'Wähle eine Produktion für die markierte Variable';
+		if (action === 'apply') return `${currentStep.delta.variable} -> ${currentStep.delta.production}`;
+	}
+
+	if (currentStep.stage === 'ambiguity') {
+		if (action === 'init') return 'Suche mehrdeutige Wörter...';
+		if (action === 'check-length') return `Länge ${currentStep.delta.length}: ${currentStep.delta.words} Wörter geprüft`;
+		if (action === 'result') {
+			return currentStep.delta.ambiguous
+				? 'Grammatik ist mehrdeutig'
+				: `Eindeutig für alle Wörter bis Länge ${currentStep.delta.maxLength}`;
+		}
+	}
+
+	if (currentStep.stage === 'equivalence') {
+		if (action === 'init') return 'Vergleiche L(G₁) und L(G₂)...';
+		if (action === 'check-length') {
+			return currentStep.delta.same
+				? `Länge ${currentStep.delta.length}: gleich`
+				: `Länge ${currentStep.delta.length}: ${currentStep.delta.onlyFirst + currentStep.delta.onlySecond} Gegenbeispiele`;
+		}
+		if (action === 'result') {
+			return currentStep.delta.equivalent
+				? `L(G₁) = L(G₂) bis Länge ${currentStep.delta.maxLength}`
+				: `L(G₁) ≠ L(G₂): ${currentStep.delta.onlyFirst + currentStep.delta.onlySecond} Gegenbeispiele`;
+		}
+	}
+
+	if (currentStep.stage === 'parse-tree') {
+		if (action === 'show-tree') {
+			return currentStep.delta.grammar === 'cnf' ? 'Ableitungsbaum in der CNF' : 'Ableitungsbaum in der Originalgrammatik';
+		}
+		if (action === 'map-failed') return 'Rückführung auf die Originalgrammatik nicht möglich';
+	}
+
 	if (currentStep.stage === 'cnf-binary') {
 		if (action === 'init') return 'Binäre Aufspaltung: Kaskadiere lange Produktionen...';
 		if (action === 'create-helpers') {
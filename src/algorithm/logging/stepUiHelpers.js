@@ -1,5 +1,7 @@
-import { isEpsilon } from '../parseGrammar.js';
+import { getStartSymbol, isEpsilon } from '../parseGrammar.js';
+import { isNonTerminal, parseSymbols } from '../grammarSymbols.js';
 import { highlightManager } from '../rendering/highlightElements.js';
+import { describeLanguageCheck } from '../languageCheck.js';
 
 /**
  * Prueft, ob eine CFG-Produktion vorhanden ist.
@@ -12,14 +14,31 @@ export function hasProductions(parsedGrammar) {
  * Bestimmt, ob das UI fuer eine neue CFG-Eingabe zurueckgesetzt wird.
  */
 export function shouldResetFooter(source) {
-	return source === 'input' || source === 'example';
+	return source === 'input' || source === 'example' || source === 'import' || source === 'project';
 }
 
 /**
- * Ermittelt, ob ein CFG-Schritt zur CNF-Phase gehoert.
+ * Etappen weiterer Umformungen, deren Ergebnis wie die CNF auf dem CNF-Canvas erscheint.
+ */
+const TRANSFORM_STAGE_PREFIXES = ['gnf', 'll-'];
+
+/**
+ * Ermittelt, ob ein CFG-Schritt zur CNF-Phase (oder einer weiteren Umformung) gehoert.
  */
 export function isCNFStage(currentStep) {
-	return !!(currentStep.stage && currentStep.stage.toLowerCase().includes('cnf'));
+	const stage = currentStep.stage ? currentStep.stage.toLowerCase() : '';
+	return stage.includes('cnf') || TRANSFORM_STAGE_PREFIXES.some(prefix => stage.startsWith(prefix));
+}
+
+/**
+ * Liefert die Grammatik eines CNF-Schritts ({ productions, startSymbol }) oder null.
+ */
+export function getStepGrammar(currentStep, grammar) {
+	if (!isCNFStage(currentStep) || !currentStep.cnfGraph) return null;
+	return {
+		productions: currentStep.cnfGraph,
+		startSymbol: currentStep.state?.startSymbol || getStartSymbol(grammar),
+	};
 }
 
 /**
@@ -32,7 +51,7 @@ export function buildStepLog(status, currentStep, grammar) {
 	stepLog += `${currentStep.description}\n\n`;
 
 	if (currentStep.state?.productiveVars?.size > 0) {
-		const sortedProdVars = getSortedProductiveVars(currentStep.state.productiveVars, grammar.startSymbol || 'S');
+		const sortedProdVars = getSortedProductiveVars(currentStep.state.productiveVars, getStartSymbol(grammar));
 		stepLog += `Produktive Variablen: V' = {${sortedProdVars.join(', ')}}\n`;
 	}
 
@@ -44,9 +63,31 @@ export function buildStepLog(status, currentStep, grammar) {
 		stepLog += `Produktionen:\n${currentStep.highlightProductions.map(p => '  ' + p).join('\n')}\n`;
 	}
 
+	const languageCheck = currentStep.state?.languageCheck;
+	if (languageCheck) {
+		stepLog += `Sprachprüfung nach ${languageCheck.phase}: ${describeLanguageCheck(languageCheck)}\n`;
+	}
+
 	return stepLog;
 }
 
+/**
+ * Liefert die fuer den Badge massgebliche Sprachpruefung bis zum aktuellen Schritt:
+ * die erste fehlgeschlagene Phase, sonst die zuletzt gepruefte, sonst null.
+ */
+export function getLanguageCheck(steps, currentIndex) {
+	let latest = null;
+
+	for (let i = 0; i <= currentIndex && i < steps.length; i++) {
+		const check = steps[i].state?.languageCheck;
+		if (!check) continue;
+		if (check.isFirstFailure) return check;
+		latest = check;
+	}
+
+	return latest;
+}
+
 /**
  * Wendet Hervorhebungen fuer CFG-Knoten und -Kanten an.
  */
@@ -92,7 +133,7 @@ function highlightProductiveEdges(prodVars, currentStep, grammar) {
 
 		for (let j = 0; j < prods.length; j++) {
 			const prod = prods[j];
-			const symbols = prod.split('');
+			const symbols = parseSymbols(prod);
 
 			for (let k = 0; k < symbols.length; k++) {
 				const symbol = symbols[k];
@@ -125,7 +166,7 @@ function highlightFocusProductions(currentStep) {
 
 	for (let i = 0; i < productions.length; i++) {
 		const prodStr = productions[i];
-		const match = prodStr.match(/(\w+)\s*->\s*(.+)/);
+		const match = prodStr.match(/^\s*(\S+)\s*->\s*(.+)$/);
 
 		if (!match) {
 			continue;
@@ -133,16 +174,16 @@ function highlightFocusProductions(currentStep) {
 
 		const fromVar = match[1];
 		const toStr = match[2].trim();
-		const edgeColor = isEpsilon(toStr) ? 'warning' : 'focus';
+		const edgeColor = isEpsilon(toStr) ? 'warning' : (currentStep.highlightProductionsStyle || 'focus');
 
 		if (edgeColor === 'warning') {
 			highlightManager.highlightNode(fromVar, 'warning');
 		}
 
-		const symbols = toStr.split('');
+		const symbols = parseSymbols(toStr);
 		for (let j = 0; j < symbols.length; j++) {
 			const symbol = symbols[j];
-			if (/[A-Z]/.test(symbol)) {
+			if (isNonTerminal(symbol)) {
 				highlightManager.highlightEdge(fromVar, symbol, edgeColor);
 			}
 		}
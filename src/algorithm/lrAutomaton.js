@@ -0,0 +1,450 @@
+import { getStartSymbol } from './parseGrammar.js';
+import { EPSILON, isEpsilon, isNonTerminal } from './grammarSymbols.js';
+import computeFirstFollow, { END_MARKER, firstOfSequence, getRules, getVariables, sortSymbols } from './firstFollow.js';
+
+export const LR_METHODS = { lr0: 'LR(0)', slr: 'SLR(1)', lalr: 'LALR(1)' };
+export const MAX_LR_STATES = 200;
+export const MAX_LR_PARSE_STEPS = 300;
+
+// Platzhalter-Lookahead fuer die Propagation der LALR(1)-Lookaheads
+const PROPAGATE = Symbol('propagate');
+
+/**
+ * Baut den kanonischen LR(0)-Automaten der um S' -> S erweiterten Grammatik.
+ * Liefert { startSymbol, augmentedStart, rules, states, transitions, truncated }:
+ * rules[0] ist S' -> S, jeder Zustand { id, kernel, items, from, symbol } haelt
+ * Items als { rule, dot }, from/symbol nennen den Zustand, ueber den er zuerst
+ * erreicht wurde. truncated ist true, wenn MAX_LR_STATES ueberschritten wurde.
+ */
+export default function buildLR0Automaton(grammar) {
+	const startSymbol = getStartSymbol(grammar);
+	const variables = getVariables(grammar);
+	const augmentedStart = allocateAugmentedStart(startSymbol, new Set(variables));
+	const rules = [
+		{ variable: augmentedStart, production: startSymbol, symbols: [startSymbol] },
+		...getRules(grammar.productions, variables),
+	];
+
+	const initialKernel = [{ rule: 0, dot: 0 }];
+	const states = [createState(0, initialKernel, rules, null, null)];
+	const stateIds = new Map([[kernelKey(initialKernel), 0]]);
+	const transitions = [];
+	let truncated = false;
+
+	for (let i = 0; i < states.length; i++) {
+		const state = states[i];
+		const symbols = getNextSymbols(state.items, rules);
+
+		for (let j = 0; j < symbols.length; j++) {
+			const symbol = symbols[j];
+			const kernel = advance(state.items, rules, symbol);
+			const key = kernelKey(kernel);
+
+			if (!stateIds.has(key)) {
+				if (states.length >= MAX_LR_STATES) {
+					truncated = true;
+					continue;
+				}
+				stateIds.set(key, states.length);
+				states.push(createState(states.length, kernel, rules, state.id, symbol));
+			}
+			transitions.push({ from: state.id, to: stateIds.get(key), symbol });
+		}
+	}
+
+	return { startSymbol, augmentedStart, rules, states, transitions, truncated };
+}
+
+/**
+ * Leitet aus dem LR(0)-Automaten die ACTION/GOTO-Tabelle ab (method: lr0, slr, lalr).
+ * Reduziert wird bei LR(0) unter jedem Terminal, bei SLR(1) unter FOLLOW(A),
+ * bei LALR(1) unter den propagierten Lookaheads des Items.
+ * Liefert { method, terminals, variables, action, goto, lookaheads, conflicts, isValid };
+ * action[i][a] ist eine Liste von { type: 'shift'|'reduce'|'accept', state, rule }.
+ */
+export function buildLRTable(automaton, grammar, method = 'slr') {
+	const { rules, states, transitions, augmentedStart } = automaton;
+	const { nullable, first, follow } = computeFirstFollow(grammar);
+	const terminals = [...sortSymbols(new Set(rules.flatMap(rule => rule.symbols.filter(symbol => !isNonTerminal(symbol))))), END_MARKER];
+	const variables = [...new Set(rules.map(rule => rule.variable))].filter(variable => variable !== augmentedStart);
+	const action = states.map(() => ({}));
+	const gotoTable = states.map(() => ({}));
+	const lookaheads = method === 'lalr' ? computeLALRLookaheads(automaton, first, nullable) : null;
+
+	transitions.forEach(({ from, to, symbol }) => {
+		if (isNonTerminal(symbol)) {
+			gotoTable[from][symbol] = to;
+		} else {
+			addAction(action[from], symbol, { type: 'shift', state: to });
+		}
+	});
+
+	states.forEach(state => {
+		state.items.forEach(item => {
+			const rule = rules[item.rule];
+			if (item.dot < rule.symbols.length) return;
+
+			const reduce = item.rule === 0 ? { type: 'accept' } : { type: 'reduce', rule: item.rule };
+			getReduceTerminals(item, rule, { method, terminals, follow, lookaheads: lookaheads?.[state.id] })
+				.forEach(terminal => addAction(action[state.id], terminal, reduce));
+		});
+	});
+
+	const conflicts = getLRConflicts(action, terminals);
+
+	return {
+		method,
+		terminals,
+		variables,
+		action,
+		goto: gotoTable,
+		lookaheads: lookaheads && lookaheads.map(stateLookaheads => Object.fromEntries(
+			[...stateLookaheads].map(([key, set]) => [key, sortSymbols(set)])
+		)),
+		conflicts,
+		isValid: conflicts.length === 0,
+	};
+}
+
+/**
+ * Sammelt alle ACTION-Zellen mit mehr als einer Aktion und bestimmt die Art
+ * des Konflikts (shift/reduce oder reduce/reduce).
+ */
+export function getLRConflicts(action, terminals) {
+	const conflicts = [];
+
+	action.forEach((row, state) => {
+		terminals.forEach(terminal => {
+			const actions = row[terminal] || [];
+			if (actions.length < 2) return;
+			const kind = actions.some(entry => entry.type === 'shift') ? 'shift/reduce' : 'reduce/reduce';
+			conflicts.push({ state, terminal, kind, actions: [...actions] });
+		});
+	});
+
+	return conflicts;
+}
+
+/**
+ * Fuehrt den Shift-Reduce-Parser mit der Tabelle auf einem Wort aus.
+ * Bei Konflikten wird die erste Aktion der Zelle gewaehlt (Shift vor Reduce).
+ * Liefert { rows, accepted }: jede Zeile { stack, input, kind, action, rule,
+ * terminal, conflict }; stack wechselt Zustaende und Symbole ab (0 E 1 + 6).
+ */
+export function runLRParser(automaton, table, word) {
+	const { rules } = automaton;
+	const stack = ['0'];
+	const input = [...word, END_MARKER];
+	const rows = [];
+	let position = 0;
+
+	while (rows.length < MAX_LR_PARSE_STEPS) {
+		const state = Number(stack[stack.length - 1]);
+		const terminal = input[position];
+		const row = { stack: [...stack], input: input.slice(position), terminal, state };
+		const actions = table.action[state]?.[terminal] || [];
+
+		if (actions.length === 0) {
+			rows.push({ ...row, kind: 'error', action: `Fehler: ACTION[${state}, ${terminal}] ist leer` });
+			return { rows, accepted: false };
+		}
+
+		const chosen = actions[0];
+		const conflict = actions.length > 1;
+		const conflictNote = conflict ? ` (Konflikt, erste von ${actions.length} Aktionen gewählt)` : '';
+
+		if (chosen.type === 'accept') {
+			rows.push({ ...row, kind: 'accept', conflict, action: `Akzeptieren${conflictNote}` });
+			return { rows, accepted: true };
+		}
+
+		if (chosen.type === 'shift') {
+			rows.push({ ...row, kind: 'shift', conflict, action: `Schiebe ${terminal}, gehe zu Zustand ${chosen.state}${conflictNote}` });
+			stack.push(terminal, String(chosen.state));
+			position++;
+			continue;
+		}
+
+		const rule = rules[chosen.rule];
+		stack.splice(stack.length - 2 * rule.symbols.length);
+		const exposed = Number(stack[stack.length - 1]);
+		const target = table.goto[exposed]?.[rule.variable];
+		if (target === undefined) {
+			rows.push({ ...row, kind: 'error', rule: chosen.rule, action: `Fehler: GOTO[${exposed}, ${rule.variable}] ist leer` });
+			return { rows, accepted: false };
+		}
+
+		rows.push({
+			...row,
+			kind: 'reduce',
+			rule: chosen.rule,
+			conflict,
+			action: `Reduziere mit (${chosen.rule}) ${formatRule(rule)}, GOTO[${exposed}, ${rule.variable}] = ${target}${conflictNote}`,
+		});
+		stack.push(rule.variable, String(target));
+	}
+
+	rows.push({
+		stack: [...stack],
+		input: input.slice(position),
+		kind: 'error',
+		action: `Abbruch nach ${MAX_LR_PARSE_STEPS} Aktionen`,
+	});
+	return { rows, accepted: false };
+}
+
+/**
+ * Formatiert ein Item mit Punkt: E → E · + T.
+ */
+export function formatItem(rules, item) {
+	const { variable, symbols } = rules[item.rule];
+	const parts = [...symbols.slice(0, item.dot), '·', ...symbols.slice(item.dot)];
+	return `${variable} → ${parts.join(' ')}`;
+}
+
+/**
+ * Formatiert eine Regel: E → E + T, A → ε.
+ */
+export function formatRule(rule) {
+	return `${rule.variable} → ${rule.symbols.length > 0 ? rule.symbols.join(' ') : EPSILON}`;
+}
+
+/**
+ * Formatiert eine Tabellenaktion: s5, r3, acc.
+ */
+export function formatAction(entry) {
+	if (entry.type === 'shift') return `s${entry.state}`;
+	if (entry.type === 'reduce') return `r${entry.rule}`;
+	return 'acc';
+}
+
+/**
+ * Schluessel eines Items fuer Mengen und Lookahead-Tabellen.
+ */
+export function itemKey(item) {
+	return `${item.rule}.${item.dot}`;
+}
+
+/**
+ * Bestimmt die Terminale, unter denen ein vollstaendiges Item reduziert wird.
+ */
+function getReduceTerminals(item, rule, { method, terminals, follow, lookaheads }) {
+	if (item.rule === 0) return [END_MARKER];
+	if (method === 'lr0') return terminals;
+	if (method === 'slr') return sortSymbols(follow.get(rule.variable) || []);
+	return sortSymbols(lookaheads?.get(itemKey(item)) || []);
+}
+
+/**
+ * Traegt eine Aktion in eine ACTION-Zelle ein, doppelte Eintraege entfallen.
+ */
+function addAction(row, terminal, entry) {
+	if (!row[terminal]) row[terminal] = [];
+	const exists = row[terminal].some(other => formatAction(other) === formatAction(entry));
+	if (!exists) row[terminal].push(entry);
+}
+
+/**
+ * Berechnet die LALR(1)-Lookaheads durch spontane Erzeugung und Propagation
+ * ueber die Kerne des LR(0)-Automaten. Liefert je Zustand eine Map
+ * Item-Schluessel -> Set der Lookaheads fuer alle Items der Huelle.
+ */
+function computeLALRLookaheads({ rules, states, transitions }, first, nullable) {
+	const gotoMap = new Map(transitions.map(({ from, to, symbol }) => [`${from}|${symbol}`, to]));
+	const kernelLookaheads = states.map(state => new Map(state.kernel.map(item => [itemKey(item), new Set()])));
+	const propagation = [];
+	kernelLookaheads[0].get(itemKey({ rule: 0, dot: 0 })).add(END_MARKER);
+
+	states.forEach(state => {
+		state.kernel.forEach(kernelItem => {
+			const closure = closureLR1(rules, new Map([[itemKey(kernelItem), new Set([PROPAGATE])]]), first, nullable);
+			closure.forEach((set, key) => {
+				const [rule, dot] = key.split('.').map(Number);
+				const symbol = rules[rule].symbols[dot];
+				if (symbol === undefined) return;
+				const target = gotoMap.get(`${state.id}|${symbol}`);
+				if (target === undefined) return;
+
+				const targetKey = itemKey({ rule, dot: dot + 1 });
+				set.forEach(lookahead => {
+					if (lookahead === PROPAGATE) {
+						propagation.push({ from: state.id, fromKey: itemKey(kernelItem), to: target, toKey: targetKey });
+					} else {
+						kernelLookaheads[target].get(targetKey).add(lookahead);
+					}
+				});
+			});
+		});
+	});
+
+	let changed = true;
+	while (changed) {
+		changed = false;
+		propagation.forEach(({ from, fromKey, to, toKey }) => {
+			const target = kernelLookaheads[to].get(toKey);
+			kernelLookaheads[from].get(fromKey).forEach(lookahead => {
+				if (!target.has(lookahead)) {
+					target.add(lookahead);
+					changed = true;
+				}
+			});
+		});
+	}
+
+	return kernelLookaheads.map(seeds => closureLR1(rules, seeds, first, nullable));
+}
+
+/**
+ * LR(1)-Huelle: zu [A -> α · B β, a] kommt [B -> · γ, b] fuer jedes b ∈ FIRST(β a).
+ * seeds und Ergebnis sind Maps Item-Schluessel -> Set der Lookaheads.
+ */
+function closureLR1(rules, seeds, first, nullable) {
+	const result = new Map([...seeds].map(([key, set]) => [key, new Set(set)]));
+	const queue = [...result.keys()];
+
+	while (queue.length > 0) {
+		const key = queue.shift();
+		const [rule, dot] = key.split('.').map(Number);
+		const { symbols } = rules[rule];
+		const next = symbols[dot];
+		if (!next || !isNonTerminal(next)) continue;
+
+		const restFirst = firstOfSequence(symbols.slice(dot + 1), first, nullable);
+		const lookaheads = [...restFirst].filter(symbol => !isEpsilon(symbol));
+		if (restFirst.has(EPSILON)) lookaheads.push(...result.get(key));
+
+		rules.forEach((candidate, index) => {
+			if (candidate.variable !== next) return;
+			const candidateKey = itemKey({ rule: index, dot: 0 });
+			if (!result.has(candidateKey)) result.set(candidateKey, new Set());
+			const target = result.get(candidateKey);
+			const before = target.size;
+			lookaheads.forEach(lookahead => target.add(lookahead));
+			if (target.size > before && !queue.includes(candidateKey)) queue.push(candidateKey);
+		});
+	}
+
+	return result;
+}
+
+/**
+ * Baut einen Zustand aus seinem Kern und dessen LR(0)-Huelle.
+ */
+function createState(id, kernel, rules, from, symbol) {
+	return { id, kernel, items: closureLR0(kernel, rules), from, symbol };
+}
+
+/**
+ * LR(0)-Huelle: zu A -> α · B β kommen alle Items B -> · γ hinzu.
+ */
+function closureLR0(kernel, rules) {
+	const items = [...kernel];
+	const seen = new Set(kernel.map(itemKey));
+
+	for (let i = 0; i < items.length; i++) {
+		const next = rules[items[i].rule].symbols[items[i].dot];
+		if (!next || !isNonTerminal(next)) continue;
+
+		rules.forEach((rule, index) => {
+			const item = { rule: index, dot: 0 };
+			if (rule.variable !== next || seen.has(itemKey(item))) return;
+			seen.add(itemKey(item));
+			items.push(item);
+		});
+	}
+
+	return items;
+}
+
+/**
+ * Liefert die Symbole hinter dem Punkt in Reihenfolge ihres ersten Auftretens.
+ */
+function getNextSymbols(items, rules) {
+	const symbols = [];
+	items.forEach(item => {
+		const next = rules[item.rule].symbols[item.dot];
+		if (next && !symbols.includes(next)) symbols.push(next);
+	});
+	return symbols;
+}
+
+/**
+ * Kern von goto(I, X): alle Items mit X hinter dem Punkt, Punkt um eins verschoben.
+ */
+function advance(items, rules, symbol) {
+	return items
+		.filter(item => rules[item.rule].symbols[item.dot] === symbol)
+		.map(item => ({ rule: item.rule, dot: item.dot + 1 }));
+}
+
+/**
+ * Reihenfolgeunabhaengiger Schluessel eines Kerns.
+ */
+function kernelKey(kernel) {
+	return kernel.map(itemKey).sort().join(',');
+}
+
+/**
+ * Waehlt einen freien Namen fuer die neue Startvariable: S -> S', <s> -> <s'>.
+ */
+function allocateAugmentedStart(startSymbol, usedVars) {
+	const isAngleName = startSymbol.startsWith('<') && startSymbol.endsWith('>');
+	let candidate = startSymbol;
+	do {
+		candidate = isAngleName ? `${candidate.slice(0, -1)}'>` : `${candidate}'`;
+	} while (usedVars.has(candidate));
+	return candidate;
+}
+
+/**
+ * Ordnet die Zustaende spaltenweise nach ihrer Tiefe im Automaten an
+ * (Spalte = Anzahl Uebergaenge ab I0) und legt unter jeden Knoten einen
+ * Kasten fuer die Item-Menge. states sind { id, items: [Text] }.
+ * Liefert { nodes, edges, boxes, width, height } im Format von renderNodes/renderEdges.
+ */
+export function layoutLRAutomaton(states, transitions, { charWidth = 7.5, lineHeight = 16, columnGap = 90, rowGap = 50, margin = 60 } = {}) {
+	const depth = new Map();
+	const columns = [];
+
+	states.forEach(state => {
+		const level = state.from === null || !depth.has(state.from) ? 0 : depth.get(state.from) + 1;
+		depth.set(state.id, level);
+		if (!columns[level]) columns[level] = [];
+		columns[level].push(state);
+	});
+
+	const nodes = [];
+	const boxes = [];
+	const nodeById = new Map();
+	let x = margin;
+	let height = 0;
+
+	columns.forEach(column => {
+		const boxWidth = Math.max(...column.map(state => Math.max(...state.items.map(item => item.length)) * charWidth + 16));
+		const centerX = x + boxWidth / 2;
+		let y = margin;
+
+		column.forEach(state => {
+			const boxHeight = state.items.length * lineHeight + 10;
+			const node = { symbol: `I${state.id}`, x: centerX, y: y + 22, isStart: state.id === 0, id: state.id };
+			nodes.push(node);
+			nodeById.set(state.id, node);
+			boxes.push({ id: state.id, x: centerX - boxWidth / 2, y: y + 52, width: boxWidth, height: boxHeight, items: state.items, lineHeight });
+			y += 52 + boxHeight + rowGap;
+		});
+
+		height = Math.max(height, y);
+		x += boxWidth + columnGap;
+	});
+
+	const edges = transitions
+		.filter(({ from, to }) => nodeById.has(from) && nodeById.has(to))
+		.map(({ from, to, symbol }) => ({
+			from: nodeById.get(from),
+			to: nodeById.get(to),
+			isSelfLoop: from === to,
+			label: symbol,
+		}));
+
+	return { nodes, edges, boxes, width: x - columnGap + margin, height: height + margin };
+}
@@ -1,4 +1,5 @@
-import { isEpsilon } from './parseGrammar.js';
+import { getStartSymbol, isEpsilon } from './parseGrammar.js';
+import { isNonTerminal, parseSymbols } from './grammarSymbols.js';
 
 /**
  * Erzeugt ein Layout fuer den CFG-Graphen.
@@ -47,13 +48,6 @@ export default function buildTreeLayout(grammar, canvasWidth = 2000, canvasHeigh
 	return { nodes, edges, connectedProductions };
 }
 
-/**
- * Tokenisiert eine CFG-Produktion fuer Knoten/Kanten-Aufbau.
- */
-function tokenizeProduction(prod) {
-	return prod.match(/D_\d+|[A-Z](?:_[a-z])?|[a-z]/g) || [];
-}
-
 /**
  * Loest lokale Ueberlappungen zwischen CFG-Knoten.
  */
@@ -110,10 +104,10 @@ function buildNodes({
 	startX,
 	startY,
 }) {
-	const startSymbol = grammar.startSymbol || 'S';
+	const startSymbol = getStartSymbol(grammar);
 	const queue = [{ symbol: startSymbol, x: startX, y: startY, rank: 0, parent: null }];
 	visited.add(startSymbol);
-	nodes.push({ symbol: startSymbol, x: startX, y: startY });
+	nodes.push({ symbol: startSymbol, x: startX, y: startY, isStart: true });
 	nodePositions.set(startSymbol, { x: startX, y: startY });
 
 	while (queue.length > 0) {
@@ -165,11 +159,11 @@ function collectChildSymbols(productions, visited, hasEpsilonProduction, current
 			continue;
 		}
 
-		const tokens = tokenizeProduction(prod);
+		const tokens = parseSymbols(prod);
 		for (let j = 0; j < tokens.length; j++) {
 			const tok = tokens[j];
 
-			if (/^[A-Z]/.test(tok) && !visited.has(tok)) {
+			if (isNonTerminal(tok) && !visited.has(tok)) {
 				const extraDepth = /^C_|^T_/.test(tok) ? 1 : 0;
 				childSymbols.push({ symbol: tok, isTerminal: false, key: tok, extraDepth });
 				visited.add(tok);
@@ -243,7 +237,7 @@ function relaxNodeOverlaps(nodes, nodePositions, minDistance) {
  * Baut die CFG-Kanten aus den Produktionen.
  */
 function buildEdges({ grammar, edges, nodePositions }) {
-	const startSymbol = grammar.startSymbol || 'S';
+	const startSymbol = getStartSymbol(grammar);
 	const visited = new Set();
 	const edgeQueue = [{ symbol: startSymbol, ...nodePositions.get(startSymbol) }];
 	visited.add(startSymbol);
@@ -265,7 +259,7 @@ function buildEdges({ grammar, edges, nodePositions }) {
 				continue;
 			}
 
-			const tokens = tokenizeProduction(prod);
+			const tokens = parseSymbols(prod);
 			processProductionTokens(tokens, current, edges, nodePositions, visited, edgeQueue);
 		}
 	}
@@ -276,7 +270,7 @@ function buildEdges({ grammar, edges, nodePositions }) {
  */
 function checkForSelfLoop(productions, symbol) {
 	for (let i = 0; i < productions.length; i++) {
-		const tokens = tokenizeProduction(productions[i]);
+		const tokens = parseSymbols(productions[i]);
 		if (tokens.includes(symbol)) {
 			return true;
 		}
@@ -301,7 +295,7 @@ function processProductionTokens(tokens, current, edges, nodePositions, visited,
 	for (let i = 0; i < tokens.length; i++) {
 		const tok = tokens[i];
 
-		if (!/^[A-Z]/.test(tok)) {
+		if (!isNonTerminal(tok)) {
 			continue;
 		}
 
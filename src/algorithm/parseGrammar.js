@@ -1,24 +1,64 @@
+import { desugarEBNFRules, parseEBNFAlternatives } from './desugarEBNF.js';
+import { EPSILON, detectNotation, isEpsilon, isNonTerminal, isTerminal, joinSymbols, parseSymbols, scanSymbols, splitAlternatives, splitRule, tokenizeSymbols } from './grammarSymbols.js';
+
+export { isEpsilon };
+
+export const DEFAULT_START_SYMBOL = 'S';
+
 /**
  * Parst eine CFG-Textdefinition in eine strukturierte Grammatik.
+ * Das Startsymbol ist die LHS der ersten Regel, sofern keine
+ * Direktive %start <Name> ein anderes festlegt.
+ * Probleme der Eingabe landen mit Position in grammar.diagnostics,
+ * die Textstellen von Regeln und Alternativen in grammar.locations.
+ * Mit options.ebnf werden EBNF-Konstrukte ueber Hilfsvariablen aufgeloest
+ * (siehe grammar.desugaring).
  */
-export default function parseGrammar(text) {
-	const lines = text.split('\n').filter(line => line.trim() !== '');
+export default function parseGrammar(text, options = {}) {
+	const lines = collectLines(text);
 	const grammar = createEmptyGrammar();
+	const ruleLines = lines.filter(line => !isDirective(line.text) && line.text.includes('->')).map(line => line.text);
+	const notation = detectNotation(ruleLines);
+	const rules = [];
+	let declaredStart = null;
 
 	for (let i = 0; i < lines.length; i++) {
-		const line = lines[i];
-		const parsed = parseGrammarLine(line, i);
+		const { text: line, number } = lines[i];
+
+		if (isDirective(line)) {
+			const start = parseStartDirective(line, number, notation, grammar.diagnostics);
+			if (start) {
+				declaredStart = start;
+			} else {
+				grammar.errors.push(line.trim());
+			}
+			continue;
+		}
+
+		const parsed = parseGrammarLine(line, number, notation, grammar.diagnostics, options);
 
 		if (!parsed) {
 			grammar.errors.push(line.trim());
 			continue;
 		}
 
-		const { lhs, productions } = parsed;
-		grammar.nonTerminals.add(lhs);
-		ensureProductionSlot(grammar.productions, lhs);
-		addUniqueProductions(grammar.productions[lhs], productions);
-		collectSymbols(grammar, productions);
+		rules.push(parsed);
+	}
+
+	if (notation === 'spaced') {
+		reportGluedSymbols(lines, grammar.diagnostics);
+	}
+
+	if (options.ebnf) {
+		const helpers = desugarEBNFRules(rules);
+		grammar.desugaring = helpers;
+		rules.push(...helpers.map(toHelperRule));
+	}
+
+	addRules(grammar, rules);
+
+	if (declaredStart) {
+		grammar.startSymbol = declaredStart;
 	}
 
 	ensureStartSymbol(grammar);
@@ -28,10 +68,114 @@ export default function parseGrammar(text) {
 };
 
 /**
- * Prueft, ob ein Production-Symbol das leere Wort darstellt.
+ * Uebernimmt geparste Regeln in die Grammatik.
+ */
+function addRules(grammar, rules) {
+	const seenProductions = {};
+
+	for (let i = 0; i < rules.length; i++) {
+		const { lhs, lhsLocation, productions } = rules[i];
+
+		if (Object.keys(grammar.productions).length === 0) {
+			grammar.startSymbol = lhs;
+		}
+		grammar.nonTerminals.add(lhs);
+		ensureProductionSlot(grammar.productions, lhs);
+		recordLocations(grammar.locations, lhs, lhsLocation, productions);
+		reportDuplicateProductions(lhs, productions, seenProductions, grammar.diagnostics);
+		addUniqueProductions(grammar.productions[lhs], productions.map(entry => entry.production));
+		collectSymbols(grammar, productions.map(entry => entry.production));
+	}
+}
+
+/**
+ * Macht aus einer EBNF-Hilfsvariable eine Regel an der Stelle ihres Konstrukts.
+ */
+function toHelperRule(helper) {
+	const location = { line: helper.line, column: helper.column, endColumn: helper.endColumn };
+	return {
+		lhs: helper.name,
+		lhsLocation: location,
+		productions: helper.productions.map(production => ({ production, ...location })),
+	};
+}
+
+/**
+ * Liefert das Startsymbol einer CFG.
+ * Faellt auf die erste Variable bzw. S zurueck, falls keines gesetzt ist.
+ */
+export function getStartSymbol(grammar) {
+	if (grammar?.startSymbol) return grammar.startSymbol;
+	const firstVariable = Object.keys(grammar?.productions || {})[0];
+	return firstVariable || DEFAULT_START_SYMBOL;
+}
+
+/**
+ * Prueft, ob eine Zeile eine Direktive (%start ...) ist.
+ */
+function isDirective(line) {
+	return line.trim().startsWith('%');
+}
+
+/**
+ * Liest das Startsymbol aus einer %start-Direktive.
+ */
+function parseStartDirective(line, lineNumber, notation, diagnostics) {
+	const match = line.trim().match(/^%start\s+(.+)$/);
+	const range = lineRange(line);
+
+	if (!match) {
+		diagnostics.push(createDiagnostic({
+			severity: 'error',
+			code: 'unknown-directive',
+			line: lineNumber,
+			...range,
+			message: `Unbekannte Direktive "${line.trim()}"`,
+			suggestion: 'Unterstützt wird nur %start <Variable>, z.B. %start Expr',
+		}));
+		return null;
+	}
+
+	const symbols = tokenizeSymbols(match[1].trim(), notation);
+	if (symbols.length !== 1 || !isNonTerminal(symbols[0])) {
+		diagnostics.push(createDiagnostic({
+			severity: 'error',
+			code: 'invalid-start',
+			line: lineNumber,
+			...range,
+			message: `"${match[1].trim()}" ist keine gültige Startvariable`,
+			suggestion: 'Variablen beginnen mit einem Großbuchstaben oder stehen in <...>',
+		}));
+		return null;
+	}
+
+	return symbols[0];
+}
+
+/**
+ * Zerlegt den Text in nicht-leere Zeilen mit 1-basierter Zeilennummer.
  */
-export function isEpsilon(symbol) {
-	return symbol === 'ε';
+function collectLines(text) {
+	return text
+		.split('\n')
+		.map((line, index) => ({ text: line, number: index + 1 }))
+		.filter(line => line.text.trim() !== '');
+}
+
+/**
+ * Erzeugt einen Diagnose-Eintrag fuer die CFG-Eingabe.
+ * Spalten sind 1-basiert, endColumn ist exklusiv.
+ */
+function createDiagnostic({ severity, code, line, column, endColumn, message, suggestion = null }) {
+	return { severity, code, line, column, endColumn, message, suggestion };
+}
+
+/**
+ * Spaltenbereich der gesamten Zeile ohne fuehrende/folgende Leerzeichen.
+ */
+function lineRange(line) {
+	const column = line.length - line.trimStart().length + 1;
+	return { column, endColumn: line.trimEnd().length + 1 };
 }
 
 /**
@@ -39,61 +183,310 @@ export function isEpsilon(symbol) {
  */
 function createEmptyGrammar() {
 	return {
-		startSymbol: 'S',
+		startSymbol: DEFAULT_START_SYMBOL,
 		productions: {},
 		nonTerminals: new Set(),
 		terminals: new Set(),
 		errors: [],
+		diagnostics: [],
+		locations: { definitions: {}, productions: {} },
+		desugaring: [],
 	};
 }
 
 /**
  * Zerlegt eine Produktionszeile der CFG in LHS und RHS.
  */
-function parseGrammarLine(line, index) {
-	let [lhs, rhs] = line.split('->').map(part => part.trim());
-	if (!rhs || !lhs) return null;
+function parseGrammarLine(line, lineNumber, notation, diagnostics, options = {}) {
+	const arrowIndex = line.indexOf('->');
+	const [rawLhs, rhs] = splitRule(line);
 
-	lhs = lhs.replace(/[^A-Z]/g, '');
-	if (lhs === '') {
-		console.warn(`${index + 1} "'${lhs}'" beinhaltet ungültiges Nicht-Terminal `);
+	if (arrowIndex === -1) {
+		diagnostics.push(createDiagnostic({
+			severity: 'error',
+			code: 'missing-arrow',
+			line: lineNumber,
+			...lineRange(line),
+			message: 'Regel ohne "->"',
+			suggestion: 'Schreibe Regeln als Variable -> Alternativen, z.B. S -> a S b | _',
+		}));
 		return null;
 	}
 
+	if (!rawLhs) {
+		diagnostics.push(createDiagnostic({
+			severity: 'error',
+			code: 'missing-lhs',
+			line: lineNumber,
+			column: arrowIndex + 1,
+			endColumn: arrowIndex + 3,
+			message: 'Linke Seite fehlt',
+			suggestion: 'Vor "->" muss eine Variable stehen, z.B. S -> ...',
+		}));
+		return null;
+	}
+
+	const lhsSymbols = tokenizeSymbols(rawLhs, notation);
+	const lhs = lhsSymbols.length === 1 ? lhsSymbols[0] : '';
+	const lhsColumn = line.indexOf(rawLhs) + 1;
+	if (!isNonTerminal(lhs)) {
+		diagnostics.push(createDiagnostic({
+			severity: 'error',
+			code: 'invalid-lhs',
+			line: lineNumber,
+			column: lhsColumn,
+			endColumn: lhsColumn + rawLhs.length,
+			message: `"${rawLhs}" ist kein gültiges Nicht-Terminal`,
+			suggestion: 'Variablen beginnen mit einem Großbuchstaben (A, A1, X_2, Expr) oder stehen in <...>',
+		}));
+		return null;
+	}
+
+	if (!rhs) {
+		diagnostics.push(createDiagnostic({
+			severity: 'error',
+			code: 'missing-rhs',
+			line: lineNumber,
+			column: arrowIndex + 1,
+			endColumn: arrowIndex + 3,
+			message: `Rechte Seite von ${lhs} fehlt`,
+			suggestion: 'Für das leere Wort schreibe _ (oder ε)',
+		}));
+		return null;
+	}
+
+	const rhsStart = arrowIndex + 2;
+	if (options.ebnf) {
+		return parseEBNFRule(line.slice(rhsStart), rhsStart, lineNumber, notation, lhs, lhsColumn, rawLhs, diagnostics);
+	}
+
 	return {
 		lhs,
-		productions: normalizeProductions(rhs),
+		lhsLocation: { line: lineNumber, column: lhsColumn, endColumn: lhsColumn + rawLhs.length },
+		productions: normalizeProductions(line.slice(rhsStart), rhsStart, lineNumber, notation, lhs, diagnostics),
 	};
 }
 
 /**
  * Normalisiert RHS-Produktionen einer CFG-Zeile.
- * _ wird zu ε konvertiert und als leeres Wort behandelt.
- */
-function normalizeProductions(rhs) {
-	const productions = rhs.split('|').map(prod => prod.trim());
-	const cleanedProductions = productions.map((prod) => {
-		// Konvertiere _ zu ε
-		const withEpsilon = prod.replace(/_/g, 'ε');
-		
-		// Entferne alles außer Buchstaben und ε
-		const cleaned = withEpsilon.replace(/[^a-zA-Zε]/g, '');
-		
-		// Wenn nur ε vorhanden: gib ε zurück (Epsilon-Symbol)
-		if (cleaned === 'ε') {
-			return 'ε';
+ * _, ε und eps als ganze Alternative werden als leeres Wort behandelt.
+ * Liefert { production, line, column, endColumn } je Alternative.
+ */
+function normalizeProductions(rhs, rhsOffset, lineNumber, notation, lhs, diagnostics) {
+	const alternatives = splitAlternatives(rhs);
+	const productions = [];
+	let offset = rhsOffset;
+
+	for (let i = 0; i < alternatives.length; i++) {
+		const raw = alternatives[i];
+		const prod = raw.trim();
+		const column = offset + (raw.length - raw.trimStart().length) + 1;
+		const location = { line: lineNumber, column, endColumn: column + prod.length };
+		offset += raw.length + 1;
+
+		if (prod === '') {
+			diagnostics.push(createDiagnostic({
+				severity: 'warning',
+				code: 'empty-alternative',
+				line: lineNumber,
+				column: offset - raw.length,
+				endColumn: offset,
+				message: `Leere Alternative bei ${lhs} wird ignoriert`,
+				suggestion: 'Entferne das überzählige "|" oder schreibe _ für das leere Wort',
+			}));
+			continue;
 		}
-		
-		// Wenn ε mit anderen Symbolen gemischt: entferne ε
-		if (cleaned.includes('ε')) {
-			return cleaned.replace(/ε/g, '');
+
+		if (isEpsilonAlternative(prod)) {
+			productions.push({ production: EPSILON, ...location });
+			continue;
+		}
+
+		const { symbols, skipped } = scanSymbols(prod, notation);
+		reportSkippedCharacters(skipped, location, symbols.length > 0, diagnostics);
+
+		// Nicht erkannte Zeichen (auch ε innerhalb einer Folge) fallen weg
+		if (symbols.length > 0) {
+			productions.push({ production: joinSymbols(symbols), ...location });
 		}
-		
-		// Ansonsten gib die bereinigte Version zurück
-		return cleaned;
-	});
+	}
 
-	return [...new Set(cleanedProductions.filter((part) => part !== ''))];
+	return productions;
+}
+
+/**
+ * Liest die RHS einer Regel im EBNF-Modus als Syntaxbaum.
+ * Die Produktionen entstehen erst in desugarEBNFRules.
+ */
+function parseEBNFRule(rhs, rhsOffset, lineNumber, notation, lhs, lhsColumn, rawLhs, diagnostics) {
+	const { alternatives, skipped, problems } = parseEBNFAlternatives(rhs, notation);
+	const location = { line: lineNumber, column: rhsOffset + 1 };
+
+	reportSkippedCharacters(skipped, location, true, diagnostics);
+
+	for (let i = 0; i < problems.length; i++) {
+		const problem = problems[i];
+		diagnostics.push(createDiagnostic({
+			severity: problem.severity || 'error',
+			code: 'ebnf-syntax',
+			line: lineNumber,
+			column: location.column + problem.index,
+			endColumn: location.column + problem.index + problem.length,
+			message: problem.message,
+			suggestion: problem.suggestion,
+		}));
+	}
+
+	const usable = alternatives.filter(alternative => alternative.epsilon || alternative.items.length > 0);
+	if (usable.length < alternatives.length) {
+		diagnostics.push(createDiagnostic({
+			severity: 'warning',
+			code: 'empty-alternative',
+			line: lineNumber,
+			column: location.column,
+			endColumn: location.column + rhs.length,
+			message: `Leere Alternative bei ${lhs} wird ignoriert`,
+			suggestion: 'Entferne das überzählige "|" oder schreibe _ für das leere Wort',
+		}));
+	}
+
+	return {
+		lhs,
+		lhsLocation: { line: lineNumber, column: lhsColumn, endColumn: lhsColumn + rawLhs.length },
+		line: lineNumber,
+		column: location.column,
+		rhs,
+		alternatives: usable,
+	};
+}
+
+/**
+ * Meldet Zeichen, die beim Einlesen einer Alternative verworfen wurden.
+ */
+function reportSkippedCharacters(skipped, location, hasSymbols, diagnostics) {
+	for (let i = 0; i < skipped.length; i++) {
+		const { char, index, reason } = skipped[i];
+		const column = location.column + index;
+		const base = { line: location.line, column, endColumn: column + char.length };
+
+		if (reason === 'epsilon') {
+			diagnostics.push(createDiagnostic({
+				severity: 'warning',
+				code: 'epsilon-mixed',
+				...base,
+				message: hasSymbols
+					? `"${char}" (ε) steht zusammen mit anderen Symbolen und wird entfernt`
+					: `"${char}" (ε) steht nicht allein in der Alternative`,
+				suggestion: 'ε nur als eigene Alternative schreiben, z.B. A -> a A | _',
+			}));
+		} else if (reason === 'unclosed-quote') {
+			diagnostics.push(createDiagnostic({
+				severity: 'warning',
+				code: 'unclosed-quote',
+				...base,
+				message: 'Anführungszeichen wird nicht geschlossen, der Rest wird ignoriert',
+				suggestion: `Schließe das Terminal mit ${char[0]} ab`,
+			}));
+		} else if (reason === 'invalid-quote') {
+			diagnostics.push(createDiagnostic({
+				severity: 'warning',
+				code: 'invalid-quote',
+				...base,
+				message: `Terminal ${char} ist leer oder enthält Leerzeichen und wird ignoriert`,
+				suggestion: 'Terminale in Anführungszeichen dürfen keine Leerzeichen enthalten',
+			}));
+		} else if (reason === 'arrow') {
+			diagnostics.push(createDiagnostic({
+				severity: 'warning',
+				code: 'extra-arrow',
+				...base,
+				message: 'Weiteres "->" auf der rechten Seite wird ignoriert',
+				suggestion: 'Schreibe jede Regel in eine eigene Zeile',
+			}));
+		} else {
+			diagnostics.push(createDiagnostic({
+				severity: 'warning',
+				code: 'illegal-character',
+				...base,
+				message: 'Unzulässiges Zeichen wird ignoriert',
+				suggestion: 'Entferne das Zeichen oder setze es in Anführungszeichen',
+			}));
+		}
+	}
+}
+
+/**
+ * Warnt in der Notation mit Leerzeichen vor zusammengeschriebenen Symbolen:
+ * Ein Name wie aSb, der Gross- und Kleinbuchstaben mischt und kompakt gelesen
+ * eine definierte Variable enthaelt, war meist als a S b gemeint.
+ */
+function reportGluedSymbols(lines, diagnostics) {
+	const rules = lines.filter(line => !isDirective(line.text) && line.text.includes('->'));
+	const variables = new Set(rules.map(line => tokenizeSymbols(splitRule(line.text)[0], 'spaced')[0]));
+
+	for (let i = 0; i < rules.length; i++) {
+		const { text: line, number } = rules[i];
+		const rhsStart = line.indexOf('->') + 2;
+		const rhs = line.slice(rhsStart);
+		const { symbols, spans } = scanSymbols(rhs, 'spaced');
+
+		for (let j = 0; j < symbols.length; j++) {
+			const symbol = symbols[j];
+			if (!/[a-z]/.test(symbol) || !/[A-Z]/.test(symbol) || variables.has(symbol)) continue;
+			if (!/[A-Za-z]/.test(rhs[spans[j].index])) continue;
+
+			const parts = tokenizeSymbols(symbol, 'compact');
+			if (!parts.some(part => variables.has(part))) continue;
+
+			const column = rhsStart + spans[j].index + 1;
+			diagnostics.push(createDiagnostic({
+				severity: 'warning',
+				code: 'glued-symbols',
+				line: number,
+				column,
+				endColumn: column + spans[j].length,
+				message: `"${symbol}" wird als ein Symbol gelesen, weil die Grammatik Symbole mit Leerzeichen trennt`,
+				suggestion: `Leerzeichen einfügen: ${parts.join(' ')}`,
+			}));
+		}
+	}
+}
+
+/**
+ * Meldet Alternativen, die fuer dieselbe Variable mehrfach vorkommen.
+ */
+function reportDuplicateProductions(lhs, productions, seenProductions, diagnostics) {
+	if (!seenProductions[lhs]) {
+		seenProductions[lhs] = new Map();
+	}
+	const seen = seenProductions[lhs];
+
+	for (let i = 0; i < productions.length; i++) {
+		const { production, line, column, endColumn } = productions[i];
+		const first = seen.get(production);
+
+		if (!first) {
+			seen.set(production, { line, column });
+			continue;
+		}
+
+		diagnostics.push(createDiagnostic({
+			severity: 'warning',
+			code: 'duplicate-alternative',
+			line,
+			column,
+			endColumn,
+			message: `Alternative ${lhs} -> ${production} kommt doppelt vor (zuerst Zeile ${first.line}, Spalte ${first.column})`,
+			suggestion: 'Entferne die doppelte Alternative',
+		}));
+	}
+}
+
+/**
+ * Prueft, ob eine RHS-Alternative das leere Wort notiert.
+ */
+function isEpsilonAlternative(prod) {
+	return prod === '_' || prod === 'eps' || isEpsilon(prod);
 }
 
 /**
@@ -124,31 +517,51 @@ function collectSymbols(grammar, productions) {
 	for (let i = 0; i < productions.length; i++) {
 		const prod = productions[i];
 
-		if (prod === 'ε') {
-			grammar.nonTerminals.add('ε');
+		if (isEpsilon(prod)) {
+			grammar.nonTerminals.add(EPSILON);
 			continue;
 		}
 
-		const symbols = prod.split('');
+		const symbols = parseSymbols(prod);
 		for (let j = 0; j < symbols.length; j++) {
 			const symbol = symbols[j];
 
-			if (/[A-Z]/.test(symbol)) {
+			if (isNonTerminal(symbol)) {
 				grammar.nonTerminals.add(symbol);
-			} else if (/[a-z]/.test(symbol)) {
+			} else if (isTerminal(symbol)) {
 				grammar.terminals.add(symbol);
 			}
 		}
 	}
 }
 
+/**
+ * Merkt sich die erste Textstelle jeder Regel und jeder Alternative.
+ * Alternativen werden als "LHS -> Produktion" abgelegt.
+ */
+function recordLocations(locations, lhs, lhsLocation, productions) {
+	if (!locations.definitions[lhs]) {
+		locations.definitions[lhs] = lhsLocation;
+	}
+
+	for (let i = 0; i < productions.length; i++) {
+		const { production, line, column, endColumn } = productions[i];
+		const key = `${lhs} -> ${production}`;
+
+		if (!locations.productions[key]) {
+			locations.productions[key] = { line, column, endColumn };
+		}
+	}
+}
+
 /**
  * Sichert die Existenz des CFG-Startsymbols.
  */
 function ensureStartSymbol(grammar) {
-	if (!grammar.productions['S']) {
-		grammar.productions['S'] = [];
-		grammar.nonTerminals.add('S');
+	const startSymbol = grammar.startSymbol;
+	if (!grammar.productions[startSymbol]) {
+		grammar.productions[startSymbol] = [];
+		grammar.nonTerminals.add(startSymbol);
 	}
 }
 
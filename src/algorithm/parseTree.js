@@ -0,0 +1,130 @@
+import { isEpsilon } from './parseGrammar.js';
+import { EPSILON, isNonTerminal, parseSymbols } from './grammarSymbols.js';
+
+/**
+ * Ableitungsbaeume (Parse-Baeume) fuer ein akzeptiertes Wort.
+ * Knoten haben die Form { symbol, children }; Blaetter sind Terminale oder ε.
+ */
+
+/**
+ * Baut den Ableitungsbaum der CNF aus den CYK-Rueckverweisen.
+ * backPointers[l - 1][i][A] = { production, split } fuer das Teilwort der
+ * Laenge l ab Position i; split fehlt bei A -> a.
+ */
+export function buildCNFParseTree(backPointers, word, startSymbol) {
+	if (word.length === 0) {
+		return { symbol: startSymbol, children: [{ symbol: EPSILON, children: [] }] };
+	}
+
+	const build = (symbol, length, start) => {
+		const pointer = backPointers[length - 1][start][symbol];
+		if (!pointer.split) {
+			return { symbol, children: [{ symbol: word[start], children: [] }] };
+		}
+
+		const [left, right] = parseSymbols(pointer.production);
+		return {
+			symbol,
+			children: [
+				build(left, pointer.split, start),
+				build(right, length - pointer.split, start + pointer.split),
+			],
+		};
+	};
+
+	return build(startSymbol, word.length, 0);
+}
+
+/**
+ * Sammelt die Produktionen A -> rhs, die ein Ableitungsbaum benutzt.
+ */
+export function collectTreeProductions(tree) {
+	const used = new Set();
+
+	const visit = (node) => {
+		if (node.children.length === 0) return;
+		used.add(`${node.symbol} -> ${node.children.map(child => child.symbol).join(' ')}`);
+		node.children.forEach(visit);
+	};
+
+	visit(tree);
+	return [...used];
+}
+
+/**
+ * Liefert das abgeleitete Wort (Blaetter ohne ε) eines Baums.
+ */
+export function getTreeYield(tree) {
+	if (tree.children.length === 0) {
+		return isEpsilon(tree.symbol) ? [] : [tree.symbol];
+	}
+	return tree.children.flatMap(getTreeYield);
+}
+
+/**
+ * Ordnet die Knoten eines Baums von oben nach unten an.
+ * Blaetter liegen in Wortreihenfolge nebeneinander, innere Knoten mittig
+ * ueber ihren Kindern. Liefert { nodes, edges, width, height }.
+ */
+export function layoutParseTree(tree, { leafSpacing = 70, levelHeight = 90, margin = 60 } = {}) {
+	const nodes = [];
+	const edges = [];
+	let nextLeaf = 0;
+	let maxDepth = 0;
+
+	const place = (node, depth) => {
+		maxDepth = Math.max(maxDepth, depth);
+		const id = nodes.length;
+		const entry = { id, symbol: node.symbol, x: 0, y: margin + depth * levelHeight, isTerminal: node.children.length === 0 && !isNonTerminal(node.symbol), isStart: depth === 0 };
+		nodes.push(entry);
+
+		if (node.children.length === 0) {
+			entry.x = margin + nextLeaf * leafSpacing;
+			nextLeaf++;
+			return entry;
+		}
+
+		const children = node.children.map(child => place(child, depth + 1));
+		entry.x = (children[0].x + children[children.length - 1].x) / 2;
+		children.forEach(child => edges.push({ from: entry, to: child }));
+		return entry;
+	};
+
+	place(tree, 0);
+
+	return {
+		nodes,
+		edges,
+		width: margin * 2 + Math.max(0, nextLeaf - 1) * leafSpacing,
+		height: margin * 2 + maxDepth * levelHeight,
+	};
+}
+
+/**
+ * Ordnet mehrere Baeume nebeneinander an (z.B. zwei Ableitungsbaeume
+ * desselben Worts). Liefert { nodes, edges, titles, width, height };
+ * titles sind Beschriftungen { text, x, y } ueber den Wurzeln.
+ */
+export function layoutParseForest(trees, labels = [], { gap = 60, ...options } = {}) {
+	const forest = { nodes: [], edges: [], titles: [], width: 0, height: 0 };
+
+	for (let i = 0; i < trees.length; i++) {
+		const layout = layoutParseTree(trees[i], options);
+		const shift = forest.width > 0 ? forest.width + gap : 0;
+
+		layout.nodes.forEach(node => {
+			node.id = forest.nodes.length;
+			node.x += shift;
+			forest.nodes.push(node);
+		});
+		forest.edges.push(...layout.edges);
+		if (labels[i]) {
+			forest.titles.push({ text: labels[i], x: layout.nodes[0].x, y: layout.nodes[0].y - 40 });
+		}
+
+		forest.width = shift + layout.width;
+		forest.height = Math.max(forest.height, layout.height);
+	}
+
+	return forest;
+}
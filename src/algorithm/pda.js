@@ -0,0 +1,181 @@
+import { getStartSymbol } from './parseGrammar.js';
+import { EPSILON, isNonTerminal } from './grammarSymbols.js';
+import computeFirstFollow, { getRules, getVariables, sortSymbols } from './firstFollow.js';
+
+export const PDA_VARIANTS = { 'top-down': 'Top-down (expandieren/vergleichen)', 'bottom-up': 'Bottom-up (schieben/reduzieren)' };
+export const PDA_STATE = 'q';
+export const STACK_BOTTOM = '⊥';
+export const MAX_PDA_CONFIGURATIONS = 5000;
+
+/**
+ * Konstruiert den Kellerautomaten mit einem Zustand q, der mit leerem Stapel akzeptiert.
+ * top-down: Startstapel S; (ε, A / α) fuer jede Regel A -> α, (a, a / ε) fuer jedes Terminal.
+ * bottom-up: Startstapel ⊥; (a, ε / a) fuer jedes Terminal, (ε, αᴿ / A) fuer jede Regel
+ * und (ε, S⊥ / ε) zum Akzeptieren.
+ * Stapelfolgen in pop/push sind von oben nach unten notiert.
+ * Liefert { variant, startSymbol, initialStack, transitions } mit Uebergaengen
+ * { id, kind, input, pop, push, variable, production }.
+ */
+export default function buildPDA(grammar, variant = 'top-down') {
+	const startSymbol = getStartSymbol(grammar);
+	const rules = getRules(grammar.productions, getVariables(grammar));
+	const terminals = sortSymbols(new Set(rules.flatMap(rule => rule.symbols.filter(symbol => !isNonTerminal(symbol)))));
+	const transitions = [];
+	const add = (transition) => transitions.push({ id: transitions.length, ...transition });
+
+	if (variant === 'top-down') {
+		rules.forEach(({ variable, production, symbols }) => {
+			add({ kind: 'expand', input: EPSILON, pop: [variable], push: symbols, variable, production });
+		});
+		terminals.forEach(terminal => {
+			add({ kind: 'match', input: terminal, pop: [terminal], push: [] });
+		});
+		return { variant, startSymbol, initialStack: [startSymbol], transitions };
+	}
+
+	terminals.forEach(terminal => {
+		add({ kind: 'shift', input: terminal, pop: [], push: [terminal] });
+	});
+	rules.forEach(({ variable, production, symbols }) => {
+		add({ kind: 'reduce', input: EPSILON, pop: [...symbols].reverse(), push: [variable], variable, production });
+	});
+	add({ kind: 'accept', input: EPSILON, pop: [startSymbol, STACK_BOTTOM], push: [] });
+	return { variant, startSymbol, initialStack: [STACK_BOTTOM], transitions };
+}
+
+/**
+ * Formatiert einen Uebergang als Kantenbeschriftung: a, X / γ.
+ */
+export function formatTransition(transition) {
+	return `${transition.input}, ${formatSymbols(transition.pop)} / ${formatSymbols(transition.push)}`;
+}
+
+/**
+ * Formatiert eine Konfiguration (q, Resteingabe, Stapel); der Stapel steht
+ * mit dem obersten Symbol links.
+ */
+export function formatConfiguration(word, config) {
+	return `(${PDA_STATE}, ${formatSymbols(word.slice(config.position))}, ${formatSymbols([...config.stack].reverse())})`;
+}
+
+/**
+ * Schreibt eine Symbolfolge zusammen, mehrzeichige Symbole (id, Expr) durch Leerzeichen getrennt.
+ */
+export function formatSymbols(symbols) {
+	if (symbols.length === 0) return EPSILON;
+	return symbols.join(symbols.every(symbol => symbol.length === 1) ? '' : ' ');
+}
+
+/**
+ * Durchsucht alle Berechnungen des Automaten auf word in Breitensuche.
+ * Jede Ebene enthaelt die Konfigurationen nach k Uebergaengen; bereits
+ * gesehene Konfigurationen entfallen. Konfigurationen, deren Stapel mehr
+ * nicht-nullable Symbole haelt, als Eingabe uebrig (top-down) bzw. schon
+ * gelesen ist (bottom-up), koennen nicht mehr akzeptieren und werden verworfen.
+ * Liefert { configs, levels, acceptedId, truncated }; configs sind
+ * { id, parent, transition, position, stack (unten -> oben), level, successors,
+ * expanded, moves }: successors sind die neuen Nachfolger, moves zaehlt alle
+ * anwendbaren Uebergaenge einschliesslich solcher zu bekannten Konfigurationen.
+ */
+export function simulatePDA(pda, grammar, word) {
+	const { nullable } = computeFirstFollow(grammar);
+	const isHopeless = (position, stack) => {
+		const solid = stack.filter(symbol => symbol !== STACK_BOTTOM && !nullable.has(symbol)).length;
+		return pda.variant === 'top-down' ? solid > word.length - position : solid > position;
+	};
+
+	const configs = [createConfig(0, null, null, { position: 0, stack: [...pda.initialStack] }, 0)];
+	const seen = new Set([configKey(configs[0])]);
+	const levels = [[0]];
+	let acceptedId = isAccepting(configs[0], word) ? 0 : null;
+	let truncated = false;
+
+	while (acceptedId === null && !truncated) {
+		const next = [];
+		const current = levels[levels.length - 1];
+
+		for (let i = 0; i < current.length && !truncated; i++) {
+			const config = configs[current[i]];
+			config.expanded = true;
+			for (let j = 0; j < pda.transitions.length; j++) {
+				const transition = pda.transitions[j];
+				const successor = applyTransition(config, transition, word);
+				if (!successor || isHopeless(successor.position, successor.stack)) continue;
+
+				config.moves++;
+				const key = configKey(successor);
+				if (seen.has(key)) continue;
+				if (configs.length >= MAX_PDA_CONFIGURATIONS) {
+					truncated = true;
+					break;
+				}
+
+				seen.add(key);
+				const created = createConfig(configs.length, config.id, transition.id, successor, levels.length);
+				configs.push(created);
+				config.successors.push(created.id);
+				next.push(created.id);
+				if (acceptedId === null && isAccepting(created, word)) acceptedId = created.id;
+			}
+		}
+
+		if (next.length === 0) break;
+		levels.push(next);
+	}
+
+	return { configs, levels, acceptedId, truncated };
+}
+
+/**
+ * Liefert die Konfigurationen vom Start bis zur akzeptierenden (oder leer).
+ */
+export function getAcceptingPath(simulation) {
+	const path = [];
+	let id = simulation.acceptedId;
+	while (id !== null) {
+		path.unshift(id);
+		id = simulation.configs[id].parent;
+	}
+	return path;
+}
+
+/**
+ * Legt eine Konfiguration der Suche an.
+ */
+function createConfig(id, parent, transition, { position, stack }, level) {
+	return { id, parent, transition, position, stack, level, successors: [], expanded: false, moves: 0 };
+}
+
+/**
+ * Wendet einen Uebergang an oder liefert null, wenn Eingabe oder Stapel nicht passen.
+ * Mit leerem Stapel haelt der Automat an.
+ */
+function applyTransition(config, transition, word) {
+	const { position, stack } = config;
+	if (stack.length === 0) return null;
+	if (transition.input !== EPSILON && word[position] !== transition.input) return null;
+	if (transition.pop.length > stack.length) return null;
+
+	for (let i = 0; i < transition.pop.length; i++) {
+		if (stack[stack.length - 1 - i] !== transition.pop[i]) return null;
+	}
+
+	return {
+		position: transition.input === EPSILON ? position : position + 1,
+		stack: [...stack.slice(0, stack.length - transition.pop.length), ...[...transition.push].reverse()],
+	};
+}
+
+/**
+ * Akzeptiert wird mit leerem Stapel nach gelesener Eingabe.
+ */
+function isAccepting(config, word) {
+	return config.position === word.length && config.stack.length === 0;
+}
+
+/**
+ * Schluessel einer Konfiguration fuer die Duplikaterkennung.
+ */
+function configKey(config) {
+	return `${config.position}|${config.stack.join(' ')}`;
+}
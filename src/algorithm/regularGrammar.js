@@ -0,0 +1,336 @@
+import { getStartSymbol } from './parseGrammar.js';
+import { EPSILON, isNonTerminal } from './grammarSymbols.js';
+import { getRules, getVariables, sortSymbols } from './firstFollow.js';
+
+export const REGULAR_TYPES = { 'right-linear': 'rechtslinear', 'left-linear': 'linkslinear' };
+export const MAX_DFA_STATES = 200;
+
+const FINAL_STATE = 'qf';
+const INITIAL_STATE = 'q0';
+const TRAP_LABEL = '∅';
+
+/**
+ * Prueft, ob alle Produktionen rechtslinear (A -> w B | w) oder alle
+ * linkslinear (A -> B w | w) sind, w eine Folge von Terminalen.
+ * Liefert 'right-linear', 'left-linear' oder null; Grammatiken, die beides
+ * erfuellen, gelten als rechtslinear.
+ */
+export default function classifyRegularGrammar(grammar) {
+	const rules = getRules(grammar.productions, getVariables(grammar));
+	if (rules.length === 0) return null;
+	if (rules.every(({ symbols }) => isRightLinear(symbols))) return 'right-linear';
+	if (rules.every(({ symbols }) => isLeftLinear(symbols))) return 'left-linear';
+	return null;
+}
+
+/**
+ * Konstruiert den NFA einer rechts- oder linkslinearen Grammatik.
+ * Rechtslinear: Zustaende sind die Variablen, Start ist S; A -> a1..ak B wird zur
+ * Kette A -a1-> ... -ak-> B ueber Zwischenzustaende, A -> w endet im Endzustand qf,
+ * A -> ε macht A akzeptierend.
+ * Linkslinear: der Automat liest von einem neuen Start q0 aus; A -> B w wird zur
+ * Kette von B nach A, A -> w zur Kette von q0 nach A, akzeptierend ist S.
+ * Liefert { type, alphabet, states, transitions, steps }: states { id, isStart,
+ * isAccepting } in Reihenfolge des Entstehens, transitions { from, to, symbol, rule },
+ * steps je Regel { rule, transitions, states } mit den neu hinzugekommenen Indizes.
+ */
+export function buildNFA(grammar, type = classifyRegularGrammar(grammar)) {
+	const startSymbol = getStartSymbol(grammar);
+	const variables = getVariables(grammar);
+	const rules = getRules(grammar.productions, variables);
+	const isRight = type === 'right-linear';
+	const states = [];
+	const transitions = [];
+	const stateIndex = new Map();
+	let helperCount = 0;
+
+	const addState = (id) => {
+		if (!stateIndex.has(id)) {
+			stateIndex.set(id, states.length);
+			states.push({ id, isStart: false, isAccepting: false });
+		}
+		return states[stateIndex.get(id)];
+	};
+
+	if (!isRight) addState(INITIAL_STATE).isStart = true;
+	variables.forEach(addState);
+	if (isRight) states[stateIndex.get(startSymbol)].isStart = true;
+	else states[stateIndex.get(startSymbol)].isAccepting = true;
+
+	const steps = rules.map(({ variable, production, symbols }) => {
+		const rule = `${variable} -> ${production}`;
+		const firstState = states.length;
+		const firstTransition = transitions.length;
+		const word = symbols.filter(symbol => !isNonTerminal(symbol));
+		const variableSymbol = symbols.find(isNonTerminal) ?? null;
+
+		let from;
+		let to;
+		if (isRight) {
+			from = variable;
+			to = variableSymbol ?? (word.length > 0 ? addState(FINAL_STATE).id : null);
+			if (to === FINAL_STATE) states[stateIndex.get(FINAL_STATE)].isAccepting = true;
+		} else {
+			from = variableSymbol ?? INITIAL_STATE;
+			to = variable;
+		}
+
+		if (to === null) {
+			states[stateIndex.get(variable)].isAccepting = true;
+		} else if (word.length === 0) {
+			transitions.push({ from, to, symbol: EPSILON, rule });
+		} else {
+			let current = from;
+			word.forEach((symbol, index) => {
+				const next = index === word.length - 1 ? to : addState(`q${++helperCount}`).id;
+				transitions.push({ from: current, to: next, symbol, rule });
+				current = next;
+			});
+		}
+
+		return {
+			rule,
+			states: range(firstState, states.length),
+			transitions: range(firstTransition, transitions.length),
+		};
+	});
+
+	const alphabet = sortSymbols(new Set(transitions.map(({ symbol }) => symbol).filter(symbol => symbol !== EPSILON)));
+	return { type, alphabet, states, transitions, steps };
+}
+
+/**
+ * Potenzmengenkonstruktion mit ε-Huelle. Liefert einen vollstaendigen DFA
+ * { alphabet, states, transitions, truncated }: states { id, members, isStart,
+ * isAccepting } heissen d0, d1, ... in Reihenfolge der Entdeckung, die leere
+ * Menge wird bei Bedarf zum Fangzustand.
+ */
+export function determinizeNFA(nfa) {
+	const { alphabet } = nfa;
+	const accepting = new Set(nfa.states.filter(state => state.isAccepting).map(state => state.id));
+	const start = closure(nfa, nfa.states.filter(state => state.isStart).map(state => state.id));
+	const states = [];
+	const transitions = [];
+	const ids = new Map();
+	let truncated = false;
+
+	const addState = (members) => {
+		const key = members.join('|');
+		if (!ids.has(key)) {
+			if (states.length >= MAX_DFA_STATES) return null;
+			ids.set(key, `d${states.length}`);
+			states.push({
+				id: `d${states.length}`,
+				members,
+				isStart: states.length === 0,
+				isAccepting: members.some(member => accepting.has(member)),
+			});
+		}
+		return ids.get(key);
+	};
+
+	addState(start);
+	for (let i = 0; i < states.length; i++) {
+		const state = states[i];
+		alphabet.forEach(symbol => {
+			const moved = nfa.transitions
+				.filter(transition => transition.symbol === symbol && state.members.includes(transition.from))
+				.map(transition => transition.to);
+			const to = addState(closure(nfa, moved));
+			if (to === null) {
+				truncated = true;
+				return;
+			}
+			transitions.push({ from: state.id, to, symbol });
+		});
+	}
+
+	return { alphabet, states, transitions, truncated };
+}
+
+/**
+ * Minimiert einen vollstaendigen DFA durch Verfeinerung der Partition
+ * {akzeptierend, nicht akzeptierend}, bis sich keine Klasse mehr aufspaltet.
+ * Liefert { rounds, dfa }: rounds sind die Partitionen (Listen von Zustandsmengen)
+ * je Runde, dfa hat die Zustaende m0, m1, ... mit members = zusammengefasste Zustaende.
+ * Ein abgebrochener DFA (truncated) ist unvollstaendig; dann wird null geliefert.
+ */
+export function minimizeDFA(dfa) {
+	if (dfa.truncated) return null;
+
+	const target = new Map(dfa.transitions.map(({ from, to, symbol }) => [`${from}|${symbol}`, to]));
+	const initial = [
+		dfa.states.filter(state => state.isAccepting).map(state => state.id),
+		dfa.states.filter(state => !state.isAccepting).map(state => state.id),
+	].filter(block => block.length > 0);
+	const rounds = [initial];
+
+	for (;;) {
+		const partition = rounds[rounds.length - 1];
+		const blockOf = getBlockIndex(partition);
+		const refined = partition.flatMap(block => {
+			const groups = new Map();
+			block.forEach(id => {
+				const signature = dfa.alphabet.map(symbol => blockOf.get(target.get(`${id}|${symbol}`))).join(',');
+				if (!groups.has(signature)) groups.set(signature, []);
+				groups.get(signature).push(id);
+			});
+			return [...groups.values()];
+		});
+		if (refined.length === partition.length) break;
+		rounds.push(refined);
+	}
+
+	const partition = rounds[rounds.length - 1];
+	const blockOf = getBlockIndex(partition);
+	const startBlock = blockOf.get(dfa.states.find(state => state.isStart).id);
+	// Zustaende in Breitensuche-Reihenfolge ab dem Start benennen
+	const order = [startBlock];
+	for (let i = 0; i < order.length; i++) {
+		dfa.alphabet.forEach(symbol => {
+			const next = blockOf.get(target.get(`${partition[order[i]][0]}|${symbol}`));
+			if (next !== undefined && !order.includes(next)) order.push(next);
+		});
+	}
+	const name = (block) => `m${order.indexOf(block)}`;
+	const stateById = new Map(dfa.states.map(state => [state.id, state]));
+
+	const states = order.map(block => ({
+		id: name(block),
+		members: partition[block],
+		isStart: block === startBlock,
+		isAccepting: stateById.get(partition[block][0]).isAccepting,
+	}));
+	const transitions = order.flatMap(block => dfa.alphabet.map(symbol => ({
+		from: name(block),
+		to: name(blockOf.get(target.get(`${partition[block][0]}|${symbol}`))),
+		symbol,
+	})));
+
+	return { rounds, dfa: { alphabet: dfa.alphabet, states, transitions, truncated: false } };
+}
+
+/**
+ * Beschriftung eines DFA-Zustands: die enthaltene Zustandsmenge, leer als ∅.
+ */
+export function formatMembers(members) {
+	return members.length > 0 ? `{${members.join(', ')}}` : TRAP_LABEL;
+}
+
+/**
+ * Ordnet Zustaende spaltenweise nach Abstand vom Start (Breitensuche) an.
+ * boxLabels sind optionale Beschriftungen unter den Knoten (z. B. Zustandsmengen).
+ * Liefert { nodes, boxes, width, height }; Kanten liefert getAutomatonEdges.
+ */
+export function layoutFiniteAutomaton(states, transitions, boxLabels = {}, { charWidth = 7.5, columnGap = 110, rowGap = 60, margin = 80 } = {}) {
+	const depth = new Map();
+	const queue = states.filter(state => state.isStart).map(state => state.id);
+	queue.forEach(id => depth.set(id, 0));
+	for (let i = 0; i < queue.length; i++) {
+		transitions.filter(({ from }) => from === queue[i]).forEach(({ to }) => {
+			if (!depth.has(to)) {
+				depth.set(to, depth.get(queue[i]) + 1);
+				queue.push(to);
+			}
+		});
+	}
+
+	const columns = [];
+	const unreachable = Math.max(-1, ...depth.values()) + 1;
+	states.forEach(state => {
+		const level = depth.get(state.id) ?? unreachable;
+		if (!columns[level]) columns[level] = [];
+		columns[level].push(state);
+	});
+
+	const nodes = [];
+	const boxes = [];
+	let x = margin;
+	let height = 0;
+
+	columns.filter(Boolean).forEach(column => {
+		const width = Math.max(60, ...column.map(state => (boxLabels[state.id] || '').length * charWidth + 16));
+		const centerX = x + width / 2;
+		let y = margin;
+
+		column.forEach(state => {
+			nodes.push({ symbol: state.id, x: centerX, y: y + 22, isStart: state.isStart, isAccepting: state.isAccepting });
+			if (boxLabels[state.id]) boxes.push({ id: state.id, x: centerX, y: y + 54, label: boxLabels[state.id] });
+			y += 76 + rowGap;
+		});
+
+		height = Math.max(height, y);
+		x += width + columnGap;
+	});
+
+	return { nodes, boxes, width: x - columnGap + margin, height: height + margin };
+}
+
+/**
+ * Fasst parallele Uebergaenge zu einer Kante mit Beschriftung "a, b" zusammen.
+ * Liefert Kanten { from, to, isSelfLoop, label, transitions } fuer renderEdges/renderNodes;
+ * transitions nennt die Indizes der zusammengefassten Uebergaenge.
+ */
+export function getAutomatonEdges(transitions, nodes) {
+	const nodeById = new Map(nodes.map(node => [node.symbol, node]));
+	const edges = new Map();
+
+	transitions.forEach(({ from, to, symbol }, index) => {
+		const key = `${from}->${to}`;
+		if (!edges.has(key)) edges.set(key, { from: nodeById.get(from), to: nodeById.get(to), isSelfLoop: from === to, symbols: [], transitions: [] });
+		edges.get(key).symbols.push(symbol);
+		edges.get(key).transitions.push(index);
+	});
+
+	return [...edges.values()].map(({ symbols, ...edge }) => ({ ...edge, label: symbols.join(', ') }));
+}
+
+/**
+ * A -> w B oder A -> w (auch Einheitsregel A -> B und A -> ε).
+ */
+function isRightLinear(symbols) {
+	const variables = symbols.filter(isNonTerminal).length;
+	return variables === 0 || (variables === 1 && isNonTerminal(symbols[symbols.length - 1]));
+}
+
+/**
+ * A -> B w oder A -> w.
+ */
+function isLeftLinear(symbols) {
+	const variables = symbols.filter(isNonTerminal).length;
+	return variables === 0 || (variables === 1 && isNonTerminal(symbols[0]));
+}
+
+/**
+ * ε-Huelle einer Zustandsmenge, sortiert nach der Reihenfolge der NFA-Zustaende.
+ */
+function closure(nfa, ids) {
+	const result = new Set(ids);
+	const queue = [...ids];
+	while (queue.length > 0) {
+		const id = queue.shift();
+		nfa.transitions.forEach(({ from, to, symbol }) => {
+			if (from === id && symbol === EPSILON && !result.has(to)) {
+				result.add(to);
+				queue.push(to);
+			}
+		});
+	}
+	return nfa.states.map(state => state.id).filter(id => result.has(id));
+}
+
+/**
+ * Ordnet jedem Zustand den Index seiner Klasse in der Partition zu.
+ */
+function getBlockIndex(partition) {
+	const blockOf = new Map();
+	partition.forEach((block, index) => block.forEach(id => blockOf.set(id, index)));
+	return blockOf;
+}
+
+/**
+ * Indizes from bis to (exklusiv).
+ */
+function range(from, to) {
+	return Array.from({ length: to - from }, (_, index) => from + index);
+}
@@ -1,14 +1,16 @@
 import { isEpsilon } from '../parseGrammar.js';
 
 const NODE_RADIUS = 22;
+const LABEL_FONT_SIZE = 16;
+const MIN_LABEL_FONT_SIZE = 10;
 
 /**
  * Zeichnet einen CFG-Knoten.
  */
-export function drawNode(ctx, symbol, x, y, isTerminal = false) {
+export function drawNode(ctx, symbol, x, y, isTerminal = false, isStart = false) {
 	ctx.beginPath();
 	ctx.arc(x, y, NODE_RADIUS, 0, Math.PI * 2);
-	ctx.fillStyle = getNodeFillColor(symbol);
+	ctx.fillStyle = getNodeFillColor(symbol, isStart);
 	ctx.fill();
 
 	ctx.lineWidth = 4;
@@ -91,9 +93,9 @@ export function distancePointToSegment(px, py, x1, y1, x2, y2) {
 /**
  * Waehlt die Fuellfarbe eines CFG-Knotens.
  */
-function getNodeFillColor(symbol) {
+function getNodeFillColor(symbol, isStart) {
 	if (isEpsilon(symbol)) return '#9C27B0';
-	if (symbol === 'S' || symbol === 'S0') return '#ff9900';
+	if (isStart) return '#ff9900';
 	return '#abababff';
 }
 
@@ -102,10 +104,42 @@ function getNodeFillColor(symbol) {
  */
 function drawNodeLabel(ctx, symbol, x, y) {
 	ctx.fillStyle = '#000';
-	ctx.font = isEpsilon(symbol) ? 'italic bold 14px Arial' : 'bold 16px Arial';
 	ctx.textAlign = 'center';
 	ctx.textBaseline = 'middle';
-	ctx.fillText(symbol, x, y);
+
+	if (isEpsilon(symbol)) {
+		ctx.font = 'italic bold 14px Arial';
+		ctx.fillText(symbol, x, y);
+		return;
+	}
+
+	const { label, fontSize } = fitNodeLabel(ctx, symbol);
+	ctx.font = `bold ${fontSize}px Arial`;
+	ctx.fillText(label, x, y);
+}
+
+/**
+ * Passt lange CFG-Symbole (Expr, <expr>, 'if') an die Knotenbreite an.
+ * Erst wird die Schrift verkleinert, danach mit … gekuerzt.
+ */
+function fitNodeLabel(ctx, symbol) {
+	const maxWidth = NODE_RADIUS * 2 - 6;
+	ctx.font = `bold ${LABEL_FONT_SIZE}px Arial`;
+	const width = ctx.measureText(symbol).width;
+
+	if (width <= maxWidth) {
+		return { label: symbol, fontSize: LABEL_FONT_SIZE };
+	}
+
+	const fontSize = Math.max(MIN_LABEL_FONT_SIZE, Math.floor(LABEL_FONT_SIZE * maxWidth / width));
+	ctx.font = `bold ${fontSize}px Arial`;
+
+	let label = symbol;
+	while (label.length > 1 && ctx.measureText(label).width > maxWidth) {
+		label = label.slice(0, -2) + '…';
+	}
+
+	return { label, fontSize };
 }
 
 /**
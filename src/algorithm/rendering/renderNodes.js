@@ -7,7 +7,7 @@ import { highlightManager } from './highlightElements.js';
 export function renderNodes(ctx, drawnNodes, edges) {
 	for (let i = 0; i < drawnNodes.length; i++) {
 		const node = drawnNodes[i];
-		drawNode(ctx, node.symbol, node.x, node.y, node.isTerminal);
+		drawNode(ctx, node.symbol, node.x, node.y, node.isTerminal, node.isStart);
 		drawNodeHighlight(ctx, node);
 		drawSelfLoopIfNeeded(ctx, node, edges);
 	}
@@ -224,6 +224,25 @@ export function useStepManager() {
 	};
 }
 
+/**
+ * React-Hook fuer einen Eintrag aus state des aktuellen Schritts (oder null).
+ */
+export function useStepState(key) {
+	const [value, setValue] = useState(null);
+
+	useEffect(() => {
+		const handleStepChange = () => {
+			setValue(stepManager.getCurrentStep()?.state?.[key] || null);
+		};
+
+		const unsubscribe = stepManager.subscribe(handleStepChange);
+		handleStepChange();
+		return unsubscribe;
+	}, [key]);
+
+	return value;
+}
+
 /**
  * Erstellt einfache CFG-Demo-Schritte fuer die UI.
  */
@@ -0,0 +1,60 @@
+import { EPSILON, isTerminal } from './grammarSymbols.js';
+
+/**
+ * Zerlegt ein Eingabewort in Terminale der Grammatik.
+ * Durch Leerraum getrennte Teile werden einzeln zugeordnet; innerhalb eines
+ * Teils wird jeweils das laengste passende Terminal gewaehlt (NUMBER+NUMBER).
+ * Terminale in Anfuehrungszeichen ('NUMBER') passen auch ohne Quotes.
+ * Liefert { symbols, unknown } mit den nicht zuordenbaren Zeichen in unknown.
+ */
+export default function tokenizeWord(word, terminals) {
+	const text = (word || '').trim();
+	if (text === '' || text === EPSILON || text === '_') {
+		return { symbols: [], unknown: [] };
+	}
+
+	const spellings = buildSpellings(terminals);
+	const symbols = [];
+	const unknown = [];
+	const chunks = text.split(/\s+/);
+
+	for (let i = 0; i < chunks.length; i++) {
+		const chunk = chunks[i];
+		let pos = 0;
+
+		while (pos < chunk.length) {
+			const match = spellings.find(entry => chunk.startsWith(entry.spelling, pos));
+			if (match) {
+				symbols.push(match.terminal);
+				pos += match.spelling.length;
+				continue;
+			}
+
+			symbols.push(chunk[pos]);
+			unknown.push(chunk[pos]);
+			pos++;
+		}
+	}
+
+	return { symbols, unknown };
+}
+
+/**
+ * Sammelt die Schreibweisen aller Terminale, laengste zuerst.
+ */
+function buildSpellings(terminals) {
+	const spellings = [];
+	const list = [...(terminals || [])].filter(isTerminal);
+
+	for (let i = 0; i < list.length; i++) {
+		const terminal = list[i];
+		spellings.push({ spelling: terminal, terminal });
+
+		const quoted = terminal.match(/^(['"])(.+)\1$/);
+		if (quoted) {
+			spellings.push({ spelling: quoted[2], terminal });
+		}
+	}
+
+	return spellings.sort((a, b) => b.spelling.length - a.spelling.length);
+}
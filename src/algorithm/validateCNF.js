@@ -0,0 +1,160 @@
+import { isEpsilon, isNonTerminal, isTerminal, parseSymbols } from './grammarSymbols.js';
+
+/**
+ * Prueft, ob eine fertige Grammatik wohlgeformt in Chomsky-Normalform ist:
+ *   - jede Regel hat die Form A -> BC oder A -> a
+ *   - ε nur als Regel der Startvariable, die auf keiner rechten Seite steht
+ *   - keine unerreichbaren oder unproduktiven Variablen
+ *   - keine ungenutzten Hilfsvariablen (helperVariables) der Umformung
+ * Liefert { valid, violations: [{ kind, variable, production, message }], variables }.
+ * variables sind die betroffenen Variablen, sortiert.
+ */
+export default function validateCNF(cnfGraph, startSymbol, helperVariables = []) {
+	const violations = [];
+	const variables = collectVariables(cnfGraph, startSymbol);
+	const usedOnRight = new Set();
+
+	for (let i = 0; i < variables.length; i++) {
+		const variable = variables[i];
+		const alternatives = cnfGraph[variable] || [];
+
+		for (let j = 0; j < alternatives.length; j++) {
+			const production = alternatives[j];
+			checkRule(variable, production, startSymbol, violations);
+
+			const symbols = isEpsilon(production) ? [] : parseSymbols(production);
+			symbols.filter(isNonTerminal).forEach(symbol => usedOnRight.add(symbol));
+		}
+	}
+
+	const reachable = findReachable(cnfGraph, startSymbol);
+	const productive = findProductive(cnfGraph, variables);
+	const helpers = new Set(helperVariables);
+
+	for (let i = 0; i < variables.length; i++) {
+		const variable = variables[i];
+
+		if (helpers.has(variable) && !usedOnRight.has(variable)) {
+			violations.push(createViolation('unused-helper', variable, null,
+				`Hilfsvariable ${variable} wird auf keiner rechten Seite benutzt`));
+		} else if (!reachable.has(variable)) {
+			violations.push(createViolation('unreachable', variable, null,
+				`${variable} ist von ${startSymbol} aus nicht erreichbar`));
+		}
+
+		if (!productive.has(variable)) {
+			violations.push(createViolation('unproductive', variable, null,
+				(cnfGraph[variable] || []).length === 0
+					? `${variable} hat keine Produktionen`
+					: `${variable} erzeugt kein Terminalwort`));
+		}
+	}
+
+	return {
+		valid: violations.length === 0,
+		violations,
+		variables: [...new Set(violations.map(violation => violation.variable))].sort((a, b) => a.localeCompare(b)),
+	};
+}
+
+/**
+ * Prueft eine einzelne Regel auf CNF-Form, ε-Regeln und die Startvariable rechts.
+ */
+function checkRule(variable, production, startSymbol, violations) {
+	if (isEpsilon(production)) {
+		if (variable !== startSymbol) {
+			violations.push(createViolation('epsilon', variable, production,
+				`${variable} -> ε: nur die Startvariable ${startSymbol} darf ε erzeugen`));
+		}
+		return;
+	}
+
+	const symbols = parseSymbols(production);
+	const isBinary = symbols.length === 2 && symbols.every(isNonTerminal);
+	const isTerminalRule = symbols.length === 1 && isTerminal(symbols[0]);
+	if (!isBinary && !isTerminalRule) {
+		violations.push(createViolation('form', variable, production,
+			`${variable} -> ${production} hat nicht die Form A -> BC oder A -> a`));
+	}
+
+	if (symbols.includes(startSymbol)) {
+		violations.push(createViolation('start-on-rhs', variable, production,
+			`Startvariable ${startSymbol} steht auf der rechten Seite von ${variable} -> ${production}`));
+	}
+}
+
+/**
+ * Sammelt alle Variablen der Grammatik (linke und rechte Seiten), Startvariable zuerst.
+ */
+function collectVariables(cnfGraph, startSymbol) {
+	const variables = new Set(Object.keys(cnfGraph));
+
+	Object.values(cnfGraph).forEach(alternatives => {
+		alternatives.forEach(production => {
+			if (isEpsilon(production)) return;
+			parseSymbols(production).filter(isNonTerminal).forEach(symbol => variables.add(symbol));
+		});
+	});
+
+	variables.delete(startSymbol);
+	return [startSymbol, ...[...variables].sort((a, b) => a.localeCompare(b))];
+}
+
+/**
+ * Bestimmt die von der Startvariable aus erreichbaren Variablen (Breitensuche).
+ */
+function findReachable(cnfGraph, startSymbol) {
+	const reachable = new Set([startSymbol]);
+	const queue = [startSymbol];
+
+	while (queue.length > 0) {
+		const variable = queue.shift();
+		const alternatives = cnfGraph[variable] || [];
+
+		for (let i = 0; i < alternatives.length; i++) {
+			if (isEpsilon(alternatives[i])) continue;
+			parseSymbols(alternatives[i]).filter(isNonTerminal).forEach(symbol => {
+				if (!reachable.has(symbol)) {
+					reachable.add(symbol);
+					queue.push(symbol);
+				}
+			});
+		}
+	}
+
+	return reachable;
+}
+
+/**
+ * Bestimmt die produktiven Variablen per Fixpunkt-Iteration.
+ */
+function findProductive(cnfGraph, variables) {
+	const productive = new Set();
+	let changed = true;
+
+	while (changed) {
+		changed = false;
+
+		for (let i = 0; i < variables.length; i++) {
+			const variable = variables[i];
+			if (productive.has(variable)) continue;
+
+			const isProductive = (cnfGraph[variable] || []).some(production =>
+				isEpsilon(production)
+				|| parseSymbols(production).every(symbol => !isNonTerminal(symbol) || productive.has(symbol)));
+			if (isProductive) {
+				productive.add(variable);
+				changed = true;
+			}
+		}
+	}
+
+	return productive;
+}
+
+/**
+ * Erzeugt einen Eintrag der Verstossliste.
+ */
+function createViolation(kind, variable, production, message) {
+	return { kind, variable, production, message };
+}
@@ -0,0 +1,122 @@
+import checkLanguagePreservation from '../languageCheck.js';
+import { getStartSymbol } from '../parseGrammar.js';
+import generateDesugarEBNFSteps from './step_0_desugarEBNF.js';
+import generateIsProductiveSteps from './step_1_searchProductive.js';
+import generateCNFBuildSteps from './step_2_buildBaseCNF.js';
+import generateRemoveEpsilonSteps from './step_3_removeEpsAndUnit.js';
+import generateIsolateLongSteps from './step_4_isolateLongProductions.js';
+import generateBinaryKaskadierungSteps from './step_5_binaereAufspaltung.js';
+import generateCNFValidationSteps from './step_11_validateCNF.js';
+
+/**
+ * Liefert die fertige CNF ({ cnfGraph, startSymbol, isInfinite }) aus den Analyse-Schritten.
+ * Bei leerer Sprache gibt es keine CNF; CYK lehnt dann jedes Wort ab.
+ * isInfinite ist das Ergebnis der Zyklenerkennung (leere Sprache: false).
+ */
+export function getFinalCNF(allSteps, parsed) {
+	const complete = allSteps.find(step => step.id === 'cnf-binary-complete');
+	const result = allSteps.find(step => step.stage === 'cnf-binary' && step.delta?.action === 'result');
+	return {
+		cnfGraph: complete?.cnfGraph || {},
+		startSymbol: complete?.state?.startSymbol || getStartSymbol(parsed),
+		isInfinite: result ? result.state.isInfinite : false,
+	};
+}
+
+/**
+ * Kombiniert alle CFG-Transformationsschritte in Reihenfolge.
+ * Veraendert parsed (Produktionen und Startsymbol werden umgeformt); wer die
+ * Originalgrammatik weiter braucht, uebergibt eine eigene Kopie.
+ */
+export default function buildAllSteps(parsed) {
+	const original = { productions: structuredClone(parsed.productions), startSymbol: getStartSymbol(parsed) };
+	const desugarSteps = generateDesugarEBNFSteps(parsed);
+	const productiveSteps = generateIsProductiveSteps(parsed);
+	const isEmptyLanguage = getLastIsEmptyLanguage(productiveSteps);
+	
+	// Wenn die Sprache leer ist, beende hier und zeige nur das LEERHEITSPROBLEM
+	if (isEmptyLanguage) {
+		const finalStep = productiveSteps[productiveSteps.length - 1];
+		if (finalStep) {
+			finalStep.description += `\n\nDa die Startvariable nicht produktiv ist, ist L(G) = ∅ (leer).\nDie Sprache enthält 0 Wörter und ist daher endlich.\nWeiterführung der CNF-Minimierung entfällt.`;
+		}
+		return [...desugarSteps, ...productiveSteps];
+	}
+	
+	const productiveVars = getLastProductiveVars(productiveSteps);
+
+	const cnfSteps = generateCNFBuildSteps(parsed, productiveVars);
+	const baseCNF = getLastCnfGraph(cnfSteps, {});
+	const baseStartSymbol = getStartSymbol(parsed);
+
+	const epsSteps = generateRemoveEpsilonSteps(parsed, baseCNF);
+	const cnfAfterUnit = getLastCnfGraph(epsSteps, baseCNF);
+	
+	// parsed.startSymbol wird in generateRemoveEpsilonSteps aktualisiert, wenn eps in der Sprache ist
+	// Übergebe die aktualisierte parsed Grammatik zu den folgenden Schritten
+	const longSteps = generateIsolateLongSteps(parsed, cnfAfterUnit);
+	const cnfAfterLong = getLastCnfGraph(longSteps, cnfAfterUnit);
+
+	const binaryKaskadierungSteps = generateBinaryKaskadierungSteps(parsed, cnfAfterLong);
+	const finalCNF = getFinalCNF(binaryKaskadierungSteps, parsed);
+	const helperVariables = Object.keys(finalCNF.cnfGraph).filter(variable => !(variable in cnfAfterUnit));
+	const validationSteps = generateCNFValidationSteps(finalCNF.cnfGraph, finalCNF.startSymbol, helperVariables);
+
+	attachLanguageChecks(original, [
+		{ phase: 'Basis-CNF', steps: cnfSteps, startSymbol: baseStartSymbol },
+		{ phase: 'ε-/Unit-Elimination', steps: epsSteps, startSymbol: getStartSymbol(parsed) },
+		{ phase: 'Terminale isolieren', steps: longSteps, startSymbol: getStartSymbol(parsed) },
+		{ phase: 'Binäre Aufspaltung', steps: binaryKaskadierungSteps, startSymbol: getStartSymbol(parsed) },
+	]);
+
+	return [...desugarSteps, ...productiveSteps, ...cnfSteps, ...epsSteps, ...longSteps, ...binaryKaskadierungSteps, ...validationSteps];
+}
+
+/**
+ * Vergleicht nach jeder CNF-Phase die Sprache mit der Originalgrammatik und
+ * legt das Ergebnis als state.languageCheck am letzten CNF-Schritt der Phase ab.
+ * Die erste Phase, die Woerter verliert oder hinzufuegt, wird markiert.
+ */
+function attachLanguageChecks(original, phases) {
+	let failed = false;
+
+	for (let i = 0; i < phases.length; i++) {
+		const { phase, steps, startSymbol } = phases[i];
+		const step = steps.findLast(entry => entry.cnfGraph);
+		if (!step) continue;
+
+		const check = checkLanguagePreservation(original, {
+			productions: step.cnfGraph,
+			startSymbol: step.state?.startSymbol || startSymbol,
+		});
+		step.state = {
+			...step.state,
+			languageCheck: { ...check, phase, isFirstFailure: !check.preserved && !failed },
+		};
+		failed = failed || !check.preserved;
+	}
+}
+
+/**
+ * Extrahiert den isEmptyLanguage-Status aus dem letzten CFG-Step.
+ */
+function getLastIsEmptyLanguage(steps) {
+	const lastStep = steps[steps.length - 1];
+	return lastStep?.state?.isEmptyLanguage || false;
+}
+
+/**
+ * Extrahiert die Produktivitaetsmenge V' aus dem letzten CFG-Step.
+ */
+function getLastProductiveVars(steps) {
+	const lastStep = steps[steps.length - 1];
+	return lastStep?.state?.productiveVars || new Set();
+}
+
+/**
+ * Nimmt den letzten CNF-Graphen als Basis fuer Folgeschritte.
+ */
+function getLastCnfGraph(steps, fallback) {
+	const lastStep = steps[steps.length - 1];
+	return lastStep?.cnfGraph || fallback;
+}
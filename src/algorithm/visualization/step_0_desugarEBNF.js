@@ -0,0 +1,150 @@
+import { parseSymbols } from '../grammarSymbols.js';
+
+const CONSTRUCT_LABELS = {
+	group: 'Gruppe mit Alternativen',
+	optional: 'optionales Element (0- oder 1-mal)',
+	star: 'Wiederholung (0-mal oder öfter)',
+	plus: 'Wiederholung (1-mal oder öfter)',
+};
+
+/**
+ * Erzeugt Schritte fuer die Aufloesung von EBNF-Konstrukten der CFG.
+ * Liefert keine Schritte, wenn die Eingabe keine EBNF-Konstrukte enthielt.
+ */
+export function generateDesugarEBNFSteps(grammar) {
+	const helpers = grammar.desugaring || [];
+	const steps = [];
+
+	if (helpers.length === 0) {
+		return steps;
+	}
+
+	steps.push(buildInitStep(helpers));
+
+	for (let i = 0; i < helpers.length; i++) {
+		steps.push(buildIntroduceHelperStep(helpers[i], helpers.slice(0, i + 1), grammar));
+	}
+
+	steps.push(buildCompleteStep(helpers, grammar));
+
+	return steps;
+}
+
+/**
+ * Direkter Export für schnelle Verwendung
+ */
+export default generateDesugarEBNFSteps;
+
+/**
+ * Erstellt den Initialschritt mit allen gefundenen EBNF-Konstrukten.
+ */
+function buildInitStep(helpers) {
+	const constructLines = helpers
+		.map(helper => `Zeile ${helper.line}: ${helper.source} in Regel für ${helper.lhs}`)
+		.join('\n');
+
+	return {
+		id: 'ebnf-init',
+		stage: 'ebnf-desugar',
+		description: `PHASE 0: EBNF-AUFLÖSUNG
+
+Gefundene EBNF-Konstrukte (innere zuerst):
+${constructLines}
+
+Jedes Konstrukt wird durch eine neue Hilfsvariable ersetzt.`,
+		delta: {
+			action: 'init',
+			constructs: helpers.map(helper => helper.source),
+		},
+		state: {
+			helpers: [],
+			completed: false
+		},
+		clearLogs: false,
+		highlightVariables: [...new Set(helpers.map(helper => helper.lhs))],
+		highlightProductions: []
+	};
+}
+
+/**
+ * Erstellt einen Schritt fuer eine neu eingefuehrte Hilfsvariable.
+ */
+function buildIntroduceHelperStep(helper, introduced, grammar) {
+	const helperRules = helper.productions.map(p => `${helper.name} -> ${p}`);
+	const usingRules = findUsingProductions(helper.name, grammar);
+
+	return {
+		id: `ebnf-helper-${helper.name}`,
+		stage: 'ebnf-desugar',
+		description: `Ersetze ${helper.source} (${CONSTRUCT_LABELS[helper.construct]}) in der Regel für ${helper.lhs} durch die neue Variable ${helper.name}:
+
+${helperRules.join('\n')}
+
+Verwendet in:
+${usingRules.join('\n')}`,
+		delta: {
+			action: 'introduce-helper',
+			variable: helper.name,
+			construct: helper.construct,
+			source: helper.source,
+			parent: helper.lhs,
+			productions: helper.productions
+		},
+		state: {
+			helpers: introduced.map(entry => entry.name),
+			completed: false
+		},
+		clearLogs: false,
+		highlightVariables: [helper.name],
+		highlightVariablesStyle: 'processing',
+		highlightProductions: [...helperRules, ...usingRules]
+	};
+}
+
+/**
+ * Erstellt den Abschluss-Schritt mit der aufgeloesten CFG.
+ */
+function buildCompleteStep(helpers, grammar) {
+	const grammarLines = Object.keys(grammar.productions)
+		.map(v => `${v} -> ${grammar.productions[v].join(' | ')}`)
+		.join('\n');
+
+	return {
+		id: 'ebnf-complete',
+		stage: 'ebnf-desugar',
+		description: `EBNF vollständig aufgelöst: ${helpers.length} Hilfsvariable(n) eingeführt\n\nGrammatik G:\n${grammarLines}`,
+		delta: {
+			action: 'complete',
+			helpers: helpers.map(helper => helper.name)
+		},
+		state: {
+			helpers: helpers.map(helper => helper.name),
+			completed: true
+		},
+		clearLogs: false,
+		highlightVariables: helpers.map(helper => helper.name),
+		highlightProductions: []
+	};
+}
+
+/**
+ * Sucht die Produktionen, in denen eine Hilfsvariable vorkommt.
+ */
+function findUsingProductions(variable, grammar) {
+	const rules = [];
+	const lhsList = Object.keys(grammar.productions);
+
+	for (let i = 0; i < lhsList.length; i++) {
+		const lhs = lhsList[i];
+		if (lhs === variable) continue;
+
+		const prods = grammar.productions[lhs];
+		for (let j = 0; j < prods.length; j++) {
+			if (parseSymbols(prods[j]).includes(variable)) {
+				rules.push(`${lhs} -> ${prods[j]}`);
+			}
+		}
+	}
+
+	return rules;
+}
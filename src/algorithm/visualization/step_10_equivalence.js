@@ -0,0 +1,86 @@
+import compareLanguages from '../equivalence.js';
+import { formatWord } from '../enumerateWords.js';
+
+const MAX_LISTED_WORDS = 20;
+
+/**
+ * Erzeugt Schritte fuer den Vergleich zweier Grammatiken bis zur Laenge maxLength:
+ * je Wortlaenge einen Schritt mit den Gegenbeispielen, danach das Ergebnis.
+ */
+export default function generateEquivalenceSteps(first, second, maxLength) {
+	const result = compareLanguages(first, second, maxLength);
+	const checkedLength = result.lengths.length - 1;
+	const steps = [];
+
+	steps.push(createStep({
+		id: 'equivalence-init',
+		description: `Vergleiche L(G₁) (Eingabe) und L(G₂) (Vergleichsgrammatik) für alle Wörter bis Länge ${checkedLength}.\n\nGegenbeispiele sind Wörter, die nur eine der beiden Grammatiken erzeugt.`,
+		delta: { action: 'init', maxLength: checkedLength },
+	}));
+
+	for (let i = 0; i < result.lengths.length; i++) {
+		const { length, first: firstCount, second: secondCount, onlyFirst, onlySecond } = result.lengths[i];
+		const same = onlyFirst.length === 0 && onlySecond.length === 0;
+
+		steps.push(createStep({
+			id: `equivalence-length-${length}`,
+			description: `Länge ${length}: ${firstCount} Wörter in L(G₁), ${secondCount} in L(G₂).\n\n${same ? 'Keine Unterschiede.' : formatCounterexamples(onlyFirst, onlySecond)}`,
+			delta: { action: 'check-length', length, same, onlyFirst: onlyFirst.length, onlySecond: onlySecond.length },
+		}));
+	}
+
+	const onlyFirst = result.lengths.flatMap(entry => entry.onlyFirst);
+	const onlySecond = result.lengths.flatMap(entry => entry.onlySecond);
+	const truncatedNote = result.truncated ? '\n\nAchtung: Die Aufzählung wurde wegen zu vieler Wörter gekürzt.' : '';
+
+	steps.push(createStep({
+		id: 'equivalence-result',
+		description: result.equivalent
+			? `L(G₁) und L(G₂) stimmen für alle Wörter bis Länge ${checkedLength} überein.${truncatedNote}\n\nÄquivalenz von CFGs ist unentscheidbar: Längere Wörter können sich trotzdem unterscheiden.`
+			: `L(G₁) ≠ L(G₂)\n\n${formatCounterexamples(onlyFirst, onlySecond)}${truncatedNote}`,
+		delta: {
+			action: 'result',
+			equivalent: result.equivalent,
+			maxLength: checkedLength,
+			onlyFirst: onlyFirst.length,
+			onlySecond: onlySecond.length,
+		},
+	}));
+
+	return steps;
+}
+
+/**
+ * Listet Gegenbeispiele beider Richtungen (hoechstens MAX_LISTED_WORDS je Richtung).
+ */
+function formatCounterexamples(onlyFirst, onlySecond) {
+	const lines = [];
+	if (onlyFirst.length > 0) lines.push(`Nur in L(G₁) (${onlyFirst.length}): ${formatList(onlyFirst)}`);
+	if (onlySecond.length > 0) lines.push(`Nur in L(G₂) (${onlySecond.length}): ${formatList(onlySecond)}`);
+	return lines.join('\n');
+}
+
+/**
+ * Formatiert eine Wortliste, gekuerzt auf MAX_LISTED_WORDS Eintraege.
+ */
+function formatList(words) {
+	const listed = words.slice(0, MAX_LISTED_WORDS).map(formatWord).join(', ');
+	return words.length > MAX_LISTED_WORDS ? `${listed}, …` : listed;
+}
+
+/**
+ * Baut einen Schritt des Grammatikvergleichs.
+ */
+function createStep({ id, description, delta }) {
+	return {
+		id,
+		stage: 'equivalence',
+		description,
+		delta,
+		state: {},
+		clearLogs: false,
+		highlightVariables: [],
+		highlightVariablesStyle: 'focus',
+		highlightProductions: [],
+	};
+}
@@ -0,0 +1,38 @@
+import validateCNF from '../validateCNF.js';
+
+/**
+ * Erzeugt den abschliessenden Schritt "CNF-Pruefung" fuer die fertige CNF.
+ * Verstoesse werden als Warnung auf dem CNF-Canvas hervorgehoben.
+ */
+export default function generateCNFValidationSteps(cnfGraph, startSymbol, helperVariables) {
+	const result = validateCNF(cnfGraph, startSymbol, helperVariables);
+	const productions = result.violations
+		.filter(violation => violation.production)
+		.map(violation => `${violation.variable} -> ${violation.production}`);
+	const allVariables = Object.keys(cnfGraph).sort((a, b) => a.localeCompare(b));
+
+	return [{
+		id: 'cnf-check',
+		stage: 'cnf-check',
+		description: `
+CNF-PRÜFUNG
+
+Geprüft wird:
+  • jede Regel hat die Form A → BC oder A → a
+  • ε nur als ${startSymbol} → ε, ${startSymbol} steht auf keiner rechten Seite
+  • keine unerreichbaren oder unproduktiven Variablen
+  • keine ungenutzten Hilfsvariablen
+
+${result.valid
+		? 'ERGEBNIS: Die Grammatik ist eine wohlgeformte CNF.'
+		: `ERGEBNIS: ${result.violations.length} Verstoß/Verstöße\n\n${result.violations.map(violation => `  • ${violation.message}`).join('\n')}`}`,
+		delta: { action: 'result', valid: result.valid, violations: result.violations.length },
+		state: { completed: true, startSymbol, cnfCheck: result },
+		clearLogs: false,
+		highlightVariables: result.valid ? allVariables : result.variables,
+		highlightVariablesStyle: result.valid ? 'productive' : 'warning',
+		highlightProductions: [...new Set(productions)],
+		highlightProductionsStyle: 'warning',
+		cnfGraph: structuredClone(cnfGraph),
+	}];
+}
@@ -0,0 +1,355 @@
+import { isEpsilon } from '../parseGrammar.js';
+import { EPSILON, isNonTerminal, isTerminal, joinSymbols, parseSymbols } from '../grammarSymbols.js';
+
+export const MAX_GNF_PRODUCTIONS = 3000;
+
+/**
+ * Erstellt eine tiefe Kopie einer CFG-Produktionstabelle.
+ */
+function deepCopy(obj) {
+	return JSON.parse(JSON.stringify(obj || {}));
+}
+
+/**
+ * Erzeugt Schritte fuer die Umformung einer CNF in Greibach-Normalform (GNF).
+ * Ablauf nach dem Standardverfahren:
+ *   1. Variablen ordnen (A1, ..., An, Startvariable zuerst)
+ *   2. fuer i = 1..n: Ai -> Aj γ mit j < i durch Aj-Produktionen ersetzen,
+ *      danach direkte Linksrekursion Ai -> Ai α mit neuer Variable Zi entfernen
+ *   3. Ruecksubstitution von An-1 bis A1, danach fuer alle Zi
+ * Eine ε-Regel der Startvariable wird beiseitegelegt und am Ende wieder angefuegt.
+ */
+export default function generateGNFSteps(cnfGraph, startSymbol) {
+	const steps = [];
+	const current = deepCopy(cnfGraph);
+	const hasEpsilon = (current[startSymbol] || []).some(isEpsilon);
+	if (hasEpsilon) {
+		current[startSymbol] = current[startSymbol].filter(production => !isEpsilon(production));
+	}
+
+	const order = orderVariables(current, startSymbol);
+	const usedVars = new Set(Object.keys(current));
+	const helpers = [];
+
+	steps.push(createStep({
+		id: 'gnf-order',
+		stage: 'gnf-order',
+		description: `GREIBACH-NORMALFORM (GNF)
+
+Ziel: Jede Produktion hat die Form A → a B₁ … Bₖ (ein Terminal, danach nur Variablen).
+
+Ordne die Variablen der CNF:
+${order.map((variable, index) => `  A${index + 1} = ${variable}`).join('\n')}
+
+Danach soll jede Produktion Ai → Aj γ nur noch j > i haben.${hasEpsilon ? `\n\n${startSymbol} → ε wird beiseitegelegt und am Ende wieder angefügt.` : ''}
+
+Aktuelle Grammatik:
+${buildGrammarLines(current)}`,
+		delta: { action: 'init', order },
+		current,
+		order,
+		startSymbol,
+		highlightVariables: order,
+		highlightVariablesStyle: 'processing',
+	}));
+
+	for (let i = 0; i < order.length; i++) {
+		const variable = order[i];
+
+		for (let j = 0; j < i; j++) {
+			const replaced = order[j];
+			const { productions, count } = substituteLeading(current[variable] || [], replaced, current);
+			if (count === 0) continue;
+
+			current[variable] = productions;
+			steps.push(createStep({
+				id: `gnf-substitute-${variable}-${replaced}`,
+				stage: 'gnf-substitute',
+				description: `Substitution (A${i + 1} = ${variable}, A${j + 1} = ${replaced}):\n\nErsetze ${variable} → ${replaced} γ durch ${variable} → δ γ für alle ${replaced} → δ.\n\n${variable} → ${current[variable].join(' | ')}`,
+				delta: { action: 'substitute', variable, replaced, count },
+				current,
+				order,
+				startSymbol,
+				highlightVariables: [variable, replaced],
+				highlightProductions: toProductionStrings(variable, current[variable]),
+			}));
+			if (isTooLarge(current)) return [...steps, createAbortStep(current, order, startSymbol, hasEpsilon)];
+		}
+
+		const recursive = (current[variable] || []).filter(production => parseSymbols(production)[0] === variable);
+		if (recursive.length === 0) continue;
+
+		const helper = allocateHelperVariable(usedVars, i + 1);
+		usedVars.add(helper);
+		helpers.push(helper);
+
+		const alphas = recursive.map(production => joinSymbols(parseSymbols(production).slice(1)));
+		const betas = current[variable].filter(production => !recursive.includes(production));
+		current[variable] = unique([...betas, ...betas.map(beta => `${beta} ${helper}`)]);
+		current[helper] = unique([...alphas, ...alphas.map(alpha => `${alpha} ${helper}`)]);
+
+		steps.push(createStep({
+			id: `gnf-left-recursion-${variable}`,
+			stage: 'gnf-left-recursion',
+			description: `Linksrekursion bei ${variable} entfernen:\n\n  ${variable} → ${variable} α mit α ∈ {${alphas.join(', ')}}\n  ${variable} → β mit β ∈ {${betas.join(', ')}}\n\nNeue Variable ${helper}:\n  ${variable} → β | β ${helper}\n  ${helper} → α | α ${helper}\n\n${variable} → ${current[variable].join(' | ')}\n${helper} → ${current[helper].join(' | ')}`,
+			delta: { action: 'eliminate-left-recursion', variable, helper },
+			current,
+			order,
+			startSymbol,
+			highlightVariables: [variable, helper],
+			highlightVariablesStyle: 'warning',
+			highlightProductions: [...toProductionStrings(variable, current[variable]), ...toProductionStrings(helper, current[helper])],
+		}));
+		if (isTooLarge(current)) return [...steps, createAbortStep(current, order, startSymbol, hasEpsilon)];
+	}
+
+	const backOrder = [...order.slice(0, -1).reverse(), ...helpers];
+	for (let i = 0; i < backOrder.length; i++) {
+		const variable = backOrder[i];
+		const leading = unique((current[variable] || [])
+			.map(production => parseSymbols(production)[0])
+			.filter(isNonTerminal));
+		if (leading.length === 0) continue;
+
+		let productions = current[variable];
+		for (let j = 0; j < leading.length; j++) {
+			productions = substituteLeading(productions, leading[j], current).productions;
+		}
+		current[variable] = productions;
+
+		steps.push(createStep({
+			id: `gnf-back-substitute-${variable}`,
+			stage: 'gnf-back-substitute',
+			description: `Rücksubstitution für ${variable}:\n\nDie Produktionen von ${leading.join(', ')} beginnen bereits mit einem Terminal. Setze sie vorne in ${variable} → ${leading.join('/')} γ ein.\n\n${variable} → ${current[variable].join(' | ')}`,
+			delta: { action: helpers.includes(variable) ? 'substitute-helper' : 'substitute', variable, replaced: leading },
+			current,
+			order,
+			startSymbol,
+			highlightVariables: [variable, ...leading],
+			highlightProductions: toProductionStrings(variable, current[variable]),
+		}));
+		if (isTooLarge(current)) return [...steps, createAbortStep(current, order, startSymbol, hasEpsilon)];
+	}
+
+	const removed = removeUnreachable(current, startSymbol);
+	if (removed.length > 0) {
+		steps.push(createStep({
+			id: 'gnf-cleanup',
+			stage: 'gnf-back-substitute',
+			description: `Entferne Variablen, die nach der Substitution nicht mehr erreichbar sind: ${removed.join(', ')}\n\nAktuelle Grammatik:\n${buildGrammarLines(current)}`,
+			delta: { action: 'cleanup', removed },
+			current,
+			order,
+			startSymbol,
+			highlightVariables: [],
+		}));
+	}
+
+	if (hasEpsilon) {
+		current[startSymbol] = [...current[startSymbol], EPSILON];
+	}
+
+	const variables = Object.keys(current);
+	const total = variables.reduce((sum, variable) => sum + current[variable].length, 0);
+	const isGNF = variables.every(variable => current[variable].every(production =>
+		isEpsilon(production) ? variable === startSymbol : isGNFProduction(production)));
+
+	steps.push(createStep({
+		id: 'gnf-complete',
+		stage: 'gnf-back-substitute',
+		description: `
+GREIBACH-NORMALFORM ${isGNF ? 'ERREICHT!' : 'NICHT ERREICHT'}
+
+Alle Produktionen haben die Form:
+  • A → a B₁ … Bₖ  (ein Terminal, danach k ≥ 0 Variablen)${hasEpsilon ? `\n  • ${startSymbol} → ε   (nur für die Startvariable, da ε ∈ L(G))` : ''}
+
+${variables.length} Variablen, ${total} Produktionen.
+
+FINALE GNF-GRAMMATIK:
+${buildGrammarLines(current)}`,
+		delta: { action: 'complete', isGNF, productions: total },
+		current,
+		order,
+		startSymbol,
+		completed: true,
+		highlightVariables: variables,
+		highlightVariablesStyle: 'productive',
+		highlightProductions: variables.flatMap(variable => toProductionStrings(variable, current[variable])),
+	}));
+
+	return steps;
+}
+
+/**
+ * Ordnet die Variablen in Breitensuche ab der Startvariable;
+ * nicht erreichbare Variablen folgen alphabetisch.
+ */
+function orderVariables(productions, startSymbol) {
+	const order = [startSymbol];
+	const seen = new Set(order);
+
+	for (let i = 0; i < order.length; i++) {
+		const alternatives = productions[order[i]] || [];
+		alternatives.forEach(production => {
+			parseSymbols(production).filter(isNonTerminal).forEach(symbol => {
+				if (!seen.has(symbol)) {
+					seen.add(symbol);
+					order.push(symbol);
+				}
+			});
+		});
+	}
+
+	const rest = Object.keys(productions).filter(variable => !seen.has(variable)).sort((a, b) => a.localeCompare(b));
+	return [...order, ...rest];
+}
+
+/**
+ * Ersetzt in allen Produktionen, die mit replaced beginnen, dieses Symbol
+ * durch jede Produktion von replaced. Liefert { productions, count }.
+ */
+function substituteLeading(productions, replaced, current) {
+	let count = 0;
+	const result = [];
+
+	for (let i = 0; i < productions.length; i++) {
+		const symbols = parseSymbols(productions[i]);
+		if (symbols[0] !== replaced) {
+			result.push(productions[i]);
+			continue;
+		}
+
+		count++;
+		const rest = symbols.slice(1);
+		(current[replaced] || []).forEach(delta => {
+			result.push(joinSymbols([...parseSymbols(delta), ...rest]));
+		});
+	}
+
+	return { productions: unique(result), count };
+}
+
+/**
+ * Waehlt den Namen der Hilfsvariable Zi fuer Ai; ist er belegt, wird weitergezaehlt.
+ */
+function allocateHelperVariable(usedVars, index) {
+	let counter = index;
+	while (usedVars.has(`Z${counter}`)) {
+		counter++;
+	}
+	return `Z${counter}`;
+}
+
+/**
+ * Entfernt alle von der Startvariable aus nicht erreichbaren Variablen.
+ */
+function removeUnreachable(productions, startSymbol) {
+	const reachable = new Set([startSymbol]);
+	const queue = [startSymbol];
+
+	while (queue.length > 0) {
+		const variable = queue.shift();
+		(productions[variable] || []).forEach(production => {
+			parseSymbols(production).filter(isNonTerminal).forEach(symbol => {
+				if (!reachable.has(symbol)) {
+					reachable.add(symbol);
+					queue.push(symbol);
+				}
+			});
+		});
+	}
+
+	const removed = Object.keys(productions).filter(variable => !reachable.has(variable));
+	removed.forEach(variable => delete productions[variable]);
+	return removed.sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Prueft, ob eine Produktion die Form a B1 ... Bk hat.
+ */
+function isGNFProduction(production) {
+	const [first, ...rest] = parseSymbols(production);
+	return isTerminal(first) && rest.every(isNonTerminal);
+}
+
+/**
+ * Prueft, ob die Grammatik die Obergrenze an Produktionen ueberschreitet.
+ */
+function isTooLarge(productions) {
+	return Object.values(productions).reduce((sum, alternatives) => sum + alternatives.length, 0) > MAX_GNF_PRODUCTIONS;
+}
+
+/**
+ * Erzeugt den Abbruchschritt bei zu grosser Grammatik. Der gezeigte
+ * Zwischenstand bekommt die beiseitegelegte ε-Regel zurueck, damit er
+ * dieselbe Sprache erzeugt wie die Eingabe.
+ */
+function createAbortStep(current, order, startSymbol, hasEpsilon) {
+	const intermediate = deepCopy(current);
+	if (hasEpsilon) {
+		intermediate[startSymbol] = [...(intermediate[startSymbol] || []), EPSILON];
+	}
+
+	const pending = Object.keys(intermediate).reduce((sum, variable) => sum + intermediate[variable]
+		.filter(production => !isEpsilon(production) && !isGNFProduction(production)).length, 0);
+
+	return createStep({
+		id: 'gnf-aborted',
+		stage: 'gnf-back-substitute',
+		description: `ABBRUCH – GREIBACH-NORMALFORM NICHT ERREICHT
+
+Die Grammatik hat mehr als ${MAX_GNF_PRODUCTIONS} Produktionen. Die GNF-Umformung kann die Grammatik exponentiell vergrößern. Versuche eine kleinere Grammatik.
+
+Die angezeigte Grammatik ist ein unfertiger Zwischenstand, nicht die GNF: ${pending > 0
+			? `${pending} Produktionen haben noch nicht die Form A → a B₁ … Bₖ.`
+			: 'Die Produktionen haben zwar schon die Form A → a B₁ … Bₖ, die Umformung wurde aber vor dem Aufräumen abgebrochen.'}
+Sie erzeugt dieselbe Sprache wie die Eingabe${hasEpsilon ? `; ${startSymbol} → ε ist wieder angefügt` : ''}.`,
+		delta: { action: 'aborted', limit: MAX_GNF_PRODUCTIONS, isGNF: false, pending },
+		current: intermediate,
+		order,
+		startSymbol,
+		highlightVariables: [],
+	});
+}
+
+/**
+ * Entfernt doppelte Eintraege unter Beibehaltung der Reihenfolge.
+ */
+function unique(values) {
+	return [...new Set(values)];
+}
+
+/**
+ * Erzeugt Produktionszeilen einer Variable fuer die Hervorhebung.
+ */
+function toProductionStrings(variable, productions) {
+	return productions.map(production => `${variable} -> ${production}`);
+}
+
+/**
+ * Formatiert die aktuelle Grammatik fuer die Schrittbeschreibung.
+ */
+function buildGrammarLines(productions) {
+	return Object.keys(productions)
+		.filter(variable => productions[variable].length > 0)
+		.map(variable => `${variable} -> ${productions[variable].join(' | ')}`)
+		.join('\n');
+}
+
+/**
+ * Baut einen GNF-Schritt mit Kopie der aktuellen Grammatik.
+ */
+function createStep({ id, stage, description, delta, current, order, startSymbol, completed = false, highlightVariables, highlightVariablesStyle = 'focus', highlightProductions = [] }) {
+	return {
+		id,
+		stage,
+		description,
+		delta,
+		state: { baseCNFProductions: deepCopy(current), order, completed, startSymbol },
+		clearLogs: false,
+		highlightVariables,
+		highlightVariablesStyle,
+		highlightProductions,
+		cnfGraph: deepCopy(current),
+	};
+}
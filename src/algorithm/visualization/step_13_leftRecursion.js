@@ -0,0 +1,217 @@
+import { getStartSymbol, isEpsilon } from '../parseGrammar.js';
+import { EPSILON, joinSymbols, parseSymbols } from '../grammarSymbols.js';
+import findLeftRecursion, { getLeftRecursiveComponents } from '../leftRecursion.js';
+
+/**
+ * Erstellt eine tiefe Kopie einer CFG-Produktionstabelle.
+ */
+function deepCopy(obj) {
+	return JSON.parse(JSON.stringify(obj || {}));
+}
+
+/**
+ * Erzeugt Schritte zum Entfernen direkter und indirekter Linksrekursion.
+ * Je Gruppe sich gegenseitig linksrekursiver Variablen (A1, ..., An in
+ * Reihenfolge der Eingabe) gilt das Standardverfahren:
+ *   fuer i = 1..n: Ai -> Aj γ mit j < i durch Aj-Produktionen ersetzen,
+ *   danach Ai -> Ai α | β umformen zu Ai -> β Ai', Ai' -> α Ai' | ε.
+ * Versteckte Linksrekursion ueber ε-Produktionen wird am Ende gemeldet.
+ */
+export default function generateLeftRecursionSteps(grammar) {
+	const steps = [];
+	const startSymbol = getStartSymbol(grammar);
+	const current = deepCopy(grammar.productions);
+	const usedVars = new Set(Object.keys(current));
+	const definitionOrder = Object.keys(current);
+	const before = findLeftRecursion(current);
+	const components = getLeftRecursiveComponents(current)
+		.map(component => component.sort((a, b) => definitionOrder.indexOf(a) - definitionOrder.indexOf(b)));
+
+	steps.push(createStep({
+		id: 'll-left-recursion-init',
+		description: `LINKSREKURSION ENTFERNEN
+
+Eine Variable A ist linksrekursiv, wenn A ⇒⁺ A α gilt. Top-down-Parser (LL) geraten dabei in eine Endlosschleife.
+
+${components.length === 0
+		? 'Die Grammatik enthält keine (direkte oder indirekte) Linksrekursion.'
+		: `Linksrekursive Gruppen (in der Reihenfolge A1, A2, …):\n${components.map(component => `  { ${component.join(', ')} }`).join('\n')}`}${before.hidden.length > 0 ? `\n\nVersteckt linksrekursiv über ε-Produktionen: ${before.hidden.join(', ')}` : ''}
+
+Aktuelle Grammatik:
+${buildGrammarLines(current)}`,
+		delta: { action: 'init', components },
+		current,
+		startSymbol,
+		highlightVariables: components.flat(),
+		highlightVariablesStyle: 'warning',
+	}));
+
+	for (let c = 0; c < components.length; c++) {
+		const order = components[c];
+
+		for (let i = 0; i < order.length; i++) {
+			const variable = order[i];
+
+			for (let j = 0; j < i; j++) {
+				const replaced = order[j];
+				const { productions, count } = substituteLeading(current[variable], replaced, current);
+				if (count === 0) continue;
+
+				current[variable] = productions;
+				steps.push(createStep({
+					id: `ll-left-recursion-substitute-${variable}-${replaced}`,
+					description: `Indirekte Linksrekursion: Ersetze ${variable} → ${replaced} γ durch ${variable} → δ γ für alle ${replaced} → δ.\n\n${variable} → ${current[variable].join(' | ')}`,
+					delta: { action: 'substitute', variable, replaced, count },
+					current,
+					startSymbol,
+					highlightVariables: [variable, replaced],
+					highlightProductions: toProductionStrings(variable, current[variable]),
+				}));
+			}
+
+			eliminateDirect(variable, current, usedVars, startSymbol, steps);
+		}
+	}
+
+	const after = findLeftRecursion(current);
+	steps.push(createStep({
+		id: 'll-left-recursion-complete',
+		description: `${after.variables.length === 0
+			? 'LINKSREKURSION ENTFERNT'
+			: `ACHTUNG: ${after.variables.join(', ')} ${after.variables.length === 1 ? 'ist' : 'sind'} weiterhin linksrekursiv (über ε-Produktionen).\nEntferne zuerst die ε-Produktionen und wende das Verfahren erneut an.`}
+
+ERGEBNIS:
+${buildGrammarLines(current)}`,
+		delta: { action: 'complete', remaining: after.variables },
+		current,
+		startSymbol,
+		completed: true,
+		highlightVariables: after.variables.length > 0 ? after.variables : Object.keys(current),
+		highlightVariablesStyle: after.variables.length > 0 ? 'warning' : 'productive',
+	}));
+
+	return steps;
+}
+
+/**
+ * Entfernt direkte Linksrekursion Ai -> Ai α | β mit einer neuen Variable Ai'.
+ * Triviale Regeln Ai -> Ai werden ersatzlos gestrichen.
+ */
+function eliminateDirect(variable, current, usedVars, startSymbol, steps) {
+	const selfUnits = current[variable].filter(production => production === variable);
+	const recursive = current[variable].filter(production =>
+		production !== variable && parseSymbols(production)[0] === variable);
+	if (recursive.length === 0 && selfUnits.length === 0) return;
+
+	if (recursive.length === 0) {
+		current[variable] = current[variable].filter(production => production !== variable);
+		steps.push(createStep({
+			id: `ll-left-recursion-self-unit-${variable}`,
+			description: `Streiche die triviale Regel ${variable} → ${variable}, sie ändert die Sprache nicht.\n\n${variable} → ${current[variable].join(' | ')}`,
+			delta: { action: 'remove-self-unit', variable },
+			current,
+			startSymbol,
+			highlightVariables: [variable],
+			highlightVariablesStyle: 'warning',
+		}));
+		return;
+	}
+
+	const helper = allocatePrimedVariable(variable, usedVars);
+	usedVars.add(helper);
+
+	const alphas = recursive.map(production => joinSymbols(parseSymbols(production).slice(1)));
+	const betas = current[variable].filter(production => production !== variable && !recursive.includes(production));
+	current[variable] = unique(betas.map(beta => isEpsilon(beta) ? helper : `${beta} ${helper}`));
+	current[helper] = unique([...alphas.map(alpha => `${alpha} ${helper}`), EPSILON]);
+
+	steps.push(createStep({
+		id: `ll-left-recursion-direct-${variable}`,
+		description: `Direkte Linksrekursion bei ${variable}:\n\n  ${variable} → ${variable} α mit α ∈ {${alphas.join(', ')}}\n  ${variable} → β mit β ∈ {${betas.join(', ') || '∅'}}\n\nNeue Variable ${helper}:\n  ${variable} → β ${helper}\n  ${helper} → α ${helper} | ε\n\n${variable} → ${current[variable].join(' | ') || '(keine Produktion, ' + variable + ' ist unproduktiv)'}\n${helper} → ${current[helper].join(' | ')}`,
+		delta: { action: 'eliminate-direct', variable, helper },
+		current,
+		startSymbol,
+		highlightVariables: [variable, helper],
+		highlightProductions: [...toProductionStrings(variable, current[variable]), ...toProductionStrings(helper, current[helper])],
+	}));
+}
+
+/**
+ * Ersetzt in allen Produktionen, die mit replaced beginnen, dieses Symbol
+ * durch jede Produktion von replaced. Liefert { productions, count }.
+ */
+function substituteLeading(productions, replaced, current) {
+	let count = 0;
+	const result = [];
+
+	for (let i = 0; i < productions.length; i++) {
+		const symbols = parseSymbols(productions[i]);
+		if (symbols[0] !== replaced) {
+			result.push(productions[i]);
+			continue;
+		}
+
+		count++;
+		const rest = symbols.slice(1);
+		(current[replaced] || []).forEach(delta => {
+			const combined = [...(isEpsilon(delta) ? [] : parseSymbols(delta)), ...rest];
+			result.push(combined.length > 0 ? joinSymbols(combined) : EPSILON);
+		});
+	}
+
+	return { productions: unique(result), count };
+}
+
+/**
+ * Waehlt einen freien gestrichenen Namen: A -> A', <expr> -> <expr'>.
+ */
+function allocatePrimedVariable(variable, usedVars) {
+	const isAngleName = variable.startsWith('<') && variable.endsWith('>');
+	let candidate = variable;
+	do {
+		candidate = isAngleName ? `${candidate.slice(0, -1)}'>` : `${candidate}'`;
+	} while (usedVars.has(candidate));
+	return candidate;
+}
+
+/**
+ * Entfernt doppelte Eintraege unter Beibehaltung der Reihenfolge.
+ */
+function unique(values) {
+	return [...new Set(values)];
+}
+
+/**
+ * Erzeugt Produktionszeilen einer Variable fuer die Hervorhebung.
+ */
+function toProductionStrings(variable, productions) {
+	return productions.map(production => `${variable} -> ${production}`);
+}
+
+/**
+ * Formatiert die aktuelle Grammatik fuer die Schrittbeschreibung.
+ */
+function buildGrammarLines(productions) {
+	return Object.keys(productions)
+		.filter(variable => productions[variable].length > 0)
+		.map(variable => `${variable} -> ${productions[variable].join(' | ')}`)
+		.join('\n');
+}
+
+/**
+ * Baut einen Schritt der Linksrekursions-Entfernung mit Kopie der aktuellen Grammatik.
+ */
+function createStep({ id, description, delta, current, startSymbol, completed = false, highlightVariables, highlightVariablesStyle = 'focus', highlightProductions = [] }) {
+	return {
+		id,
+		stage: 'll-left-recursion',
+		description,
+		delta,
+		state: { completed, startSymbol },
+		clearLogs: false,
+		highlightVariables,
+		highlightVariablesStyle,
+		highlightProductions,
+		cnfGraph: deepCopy(current),
+	};
+}
@@ -0,0 +1,176 @@
+import { getStartSymbol, isEpsilon } from '../parseGrammar.js';
+import { EPSILON, joinSymbols, parseSymbols } from '../grammarSymbols.js';
+
+/**
+ * Erstellt eine tiefe Kopie einer CFG-Produktionstabelle.
+ */
+function deepCopy(obj) {
+	return JSON.parse(JSON.stringify(obj || {}));
+}
+
+/**
+ * Erzeugt Schritte fuer die Linksfaktorisierung:
+ * A -> α β1 | ... | α βn | γ wird zu A -> α A' | γ und A' -> β1 | ... | βn,
+ * wobei α das laengste gemeinsame Praefix ist. Neue Variablen werden
+ * anschliessend ebenfalls faktorisiert, bis keine zwei Alternativen einer
+ * Variable mit demselben Symbol beginnen.
+ */
+export default function generateLeftFactoringSteps(grammar) {
+	const steps = [];
+	const startSymbol = getStartSymbol(grammar);
+	const current = deepCopy(grammar.productions);
+	const usedVars = new Set(Object.keys(current));
+	const queue = Object.keys(current);
+	const initialGroups = queue.filter(variable => findCommonPrefixGroup(current[variable]));
+
+	steps.push(createStep({
+		id: 'll-left-factoring-init',
+		description: `LINKSFAKTORISIERUNG
+
+Beginnen zwei Alternativen einer Variable mit demselben Symbol, kann ein LL(1)-Parser mit einem Zeichen Vorschau nicht entscheiden, welche er wählen soll. Das gemeinsame Präfix wird deshalb ausgeklammert.
+
+${initialGroups.length === 0
+		? 'Keine Variable hat Alternativen mit gemeinsamem Präfix.'
+		: `Variablen mit gemeinsamem Präfix: ${initialGroups.join(', ')}`}
+
+Aktuelle Grammatik:
+${buildGrammarLines(current)}`,
+		delta: { action: 'init', variables: initialGroups },
+		current,
+		startSymbol,
+		highlightVariables: initialGroups,
+		highlightVariablesStyle: 'warning',
+	}));
+
+	for (let i = 0; i < queue.length; i++) {
+		const variable = queue[i];
+		let group = findCommonPrefixGroup(current[variable]);
+
+		while (group) {
+			const prefix = getCommonPrefix(group.map(parseSymbols));
+			const helper = allocatePrimedVariable(variable, usedVars);
+			usedVars.add(helper);
+			queue.push(helper);
+
+			const suffixes = group.map(production => {
+				const rest = parseSymbols(production).slice(prefix.length);
+				return rest.length > 0 ? joinSymbols(rest) : EPSILON;
+			});
+			const factored = `${joinSymbols(prefix)} ${helper}`;
+			const firstIndex = current[variable].indexOf(group[0]);
+			const remaining = current[variable].filter(production => !group.includes(production));
+			remaining.splice(firstIndex, 0, factored);
+			current[variable] = remaining;
+			current[helper] = [...new Set(suffixes)];
+
+			steps.push(createStep({
+				id: `ll-left-factoring-${variable}-${helper}`,
+				description: `Gemeinsames Präfix ${joinSymbols(prefix)} bei ${variable}:\n\n  ${group.map(production => `${variable} → ${production}`).join('\n  ')}\n\nwird ausgeklammert:\n  ${variable} → ${factored}\n  ${helper} → ${current[helper].join(' | ')}`,
+				delta: { action: 'factor', variable, helper, prefix: joinSymbols(prefix) },
+				current,
+				startSymbol,
+				highlightVariables: [variable, helper],
+				highlightProductions: [
+					...current[variable].filter(production => production === factored).map(production => `${variable} -> ${production}`),
+					...current[helper].map(production => `${helper} -> ${production}`),
+				],
+			}));
+
+			group = findCommonPrefixGroup(current[variable]);
+		}
+	}
+
+	const factoredCount = steps.length - 1;
+	steps.push(createStep({
+		id: 'll-left-factoring-complete',
+		description: `LINKSFAKTORISIERUNG ABGESCHLOSSEN
+
+${factoredCount === 0 ? 'Es war nichts auszuklammern.' : `${factoredCount} Präfix(e) ausgeklammert.`} Keine zwei Alternativen einer Variable beginnen mehr mit demselben Symbol.
+
+ERGEBNIS:
+${buildGrammarLines(current)}`,
+		delta: { action: 'complete', factored: factoredCount },
+		current,
+		startSymbol,
+		completed: true,
+		highlightVariables: Object.keys(current),
+		highlightVariablesStyle: 'productive',
+	}));
+
+	return steps;
+}
+
+/**
+ * Sucht die erste Gruppe von mindestens zwei Alternativen mit gleichem Anfangssymbol.
+ */
+function findCommonPrefixGroup(productions) {
+	const groups = new Map();
+
+	for (let i = 0; i < productions.length; i++) {
+		if (isEpsilon(productions[i])) continue;
+		const first = parseSymbols(productions[i])[0];
+		if (!groups.has(first)) groups.set(first, []);
+		groups.get(first).push(productions[i]);
+	}
+
+	for (const group of groups.values()) {
+		if (group.length > 1) return group;
+	}
+	return null;
+}
+
+/**
+ * Bestimmt das laengste gemeinsame Praefix mehrerer Symbolfolgen.
+ */
+function getCommonPrefix(sequences) {
+	const prefix = [];
+	const shortest = Math.min(...sequences.map(symbols => symbols.length));
+
+	for (let i = 0; i < shortest; i++) {
+		const symbol = sequences[0][i];
+		if (!sequences.every(symbols => symbols[i] === symbol)) break;
+		prefix.push(symbol);
+	}
+
+	return prefix;
+}
+
+/**
+ * Waehlt einen freien gestrichenen Namen: A -> A', <expr> -> <expr'>.
+ */
+function allocatePrimedVariable(variable, usedVars) {
+	const isAngleName = variable.startsWith('<') && variable.endsWith('>');
+	let candidate = variable;
+	do {
+		candidate = isAngleName ? `${candidate.slice(0, -1)}'>` : `${candidate}'`;
+	} while (usedVars.has(candidate));
+	return candidate;
+}
+
+/**
+ * Formatiert die aktuelle Grammatik fuer die Schrittbeschreibung.
+ */
+function buildGrammarLines(productions) {
+	return Object.keys(productions)
+		.filter(variable => productions[variable].length > 0)
+		.map(variable => `${variable} -> ${productions[variable].join(' | ')}`)
+		.join('\n');
+}
+
+/**
+ * Baut einen Schritt der Linksfaktorisierung mit Kopie der aktuellen Grammatik.
+ */
+function createStep({ id, description, delta, current, startSymbol, completed = false, highlightVariables, highlightVariablesStyle = 'focus', highlightProductions = [] }) {
+	return {
+		id,
+		stage: 'll-left-factoring',
+		description,
+		delta,
+		state: { completed, startSymbol },
+		clearLogs: false,
+		highlightVariables,
+		highlightVariablesStyle,
+		highlightProductions,
+		cnfGraph: deepCopy(current),
+	};
+}
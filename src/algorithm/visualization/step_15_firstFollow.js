@@ -0,0 +1,204 @@
+import { getStartSymbol } from '../parseGrammar.js';
+import { EPSILON, isEpsilon, isNonTerminal } from '../grammarSymbols.js';
+import { END_MARKER, firstOfSequence, getFollowContribution, getRules, getVariables, sortSymbols } from '../firstFollow.js';
+
+/**
+ * Erzeugt Schritte fuer die Berechnung von nullable, FIRST und FOLLOW
+ * als Fixpunkt-Iterationen. Jeder Schritt traegt die bisherige Tabelle
+ * in state.firstFollow, die rechte Sidebar zeigt sie an.
+ */
+export default function generateFirstFollowSteps(grammar) {
+	const steps = [];
+	const startSymbol = getStartSymbol(grammar);
+	const variables = getVariables(grammar);
+	const rules = getRules(grammar.productions, variables);
+	const nullable = new Set();
+	const first = new Map(variables.map(variable => [variable, new Set()]));
+	const follow = new Map(variables.map(variable => [variable, new Set()]));
+	const table = { variables, nullable, first, follow };
+
+	steps.push(createStep({
+		id: 'nullable-init',
+		stage: 'nullable',
+		description: `PHASE 1: NULLABLE\n\nEine Variable A ist nullable, wenn A ⇒* ε gilt.\n\nStarte mit der leeren Menge und füge A hinzu, sobald es eine Produktion A → X₁ … Xₖ gibt, deren Symbole alle nullable sind (k = 0 ist A → ε).`,
+		delta: { action: 'init' },
+		table,
+		phase: 'nullable',
+		highlightVariables: [],
+	}));
+
+	runFixpoint(steps, 'nullable', (iteration) => {
+		let changed = false;
+		rules.forEach(({ variable, production, symbols }) => {
+			if (nullable.has(variable) || !symbols.every(symbol => nullable.has(symbol))) return;
+
+			nullable.add(variable);
+			changed = true;
+			steps.push(createStep({
+				id: `nullable-${iteration}-${variable}`,
+				stage: 'nullable',
+				description: `Iteration ${iteration}: ${variable} → ${production}\n\n${symbols.length === 0 ? `${variable} erzeugt direkt ε.` : `Alle Symbole ${symbols.join(', ')} sind nullable.`}\n\n${variable} ist nullable.\nNullable = {${[...nullable].join(', ')}}`,
+				delta: { action: 'nullable-add', variable, production, iteration },
+				table,
+				phase: 'nullable',
+				changed: { variable, column: 'nullable' },
+				highlightVariables: [variable, ...symbols],
+				highlightProductions: [`${variable} -> ${production}`],
+			}));
+		});
+		return changed;
+	}, table, () => `Nullable = {${[...nullable].join(', ')}}`);
+
+	steps.push(createStep({
+		id: 'first-init',
+		stage: 'first',
+		description: `PHASE 2: FIRST\n\nFIRST(A) enthält alle Terminale, mit denen ein aus A abgeleitetes Wort beginnen kann, und ε, falls A nullable ist.\n\nFür A → X₁ X₂ … Xₖ: übernimm FIRST(X₁) ohne ε; ist X₁ nullable, auch FIRST(X₂) usw. Sind alle Xᵢ nullable, kommt ε hinzu.`,
+		delta: { action: 'init' },
+		table,
+		phase: 'first',
+		highlightVariables: [],
+	}));
+
+	runFixpoint(steps, 'first', (iteration) => {
+		let changed = false;
+		rules.forEach(({ variable, production, symbols }) => {
+			const target = first.get(variable);
+			const added = [...firstOfSequence(symbols, first, nullable)].filter(symbol => !target.has(symbol));
+			if (added.length === 0) return;
+
+			added.forEach(symbol => target.add(symbol));
+			changed = true;
+			steps.push(createStep({
+				id: `first-${iteration}-${variable}-${production}`,
+				stage: 'first',
+				description: `Iteration ${iteration}: ${variable} → ${production}\n\nFIRST(${production}) liefert neu: {${added.join(', ')}}\nFIRST(${variable}) = {${[...target].join(', ')}}`,
+				delta: { action: 'first-add', variable, production, added, iteration },
+				table,
+				phase: 'first',
+				changed: { variable, column: 'first' },
+				highlightVariables: [variable, ...symbols.filter(isNonTerminal)],
+				highlightProductions: [`${variable} -> ${production}`],
+			}));
+		});
+		return changed;
+	}, table, () => variables.map(variable => `FIRST(${variable}) = {${[...first.get(variable)].join(', ')}}`).join('\n'));
+
+	follow.get(startSymbol)?.add(END_MARKER);
+	steps.push(createStep({
+		id: 'follow-init',
+		stage: 'follow',
+		description: `PHASE 3: FOLLOW\n\nFOLLOW(A) enthält alle Terminale, die in einer Satzform direkt hinter A stehen können, und $ (Eingabeende), wenn A am Ende stehen kann.\n\nStart: FOLLOW(${startSymbol}) = {${END_MARKER}}\n\nFür A → α B β: übernimm FIRST(β) ohne ε in FOLLOW(B); ist β nullable, auch FOLLOW(A).`,
+		delta: { action: 'init', variable: startSymbol },
+		table,
+		phase: 'follow',
+		changed: { variable: startSymbol, column: 'follow' },
+		highlightVariables: [startSymbol],
+	}));
+
+	runFixpoint(steps, 'follow', (iteration) => {
+		let changed = false;
+		rules.forEach(({ variable, production, symbols }) => {
+			for (let i = 0; i < symbols.length; i++) {
+				const symbol = symbols[i];
+				if (!isNonTerminal(symbol)) continue;
+
+				const target = follow.get(symbol);
+				const contribution = getFollowContribution(variable, symbols, i, first, follow, nullable);
+				const added = [...contribution].filter(terminal => !target.has(terminal));
+				if (added.length === 0) continue;
+
+				added.forEach(terminal => target.add(terminal));
+				changed = true;
+				const beta = symbols.slice(i + 1);
+				steps.push(createStep({
+					id: `follow-${iteration}-${symbol}-${variable}-${production}-${i}`,
+					stage: 'follow',
+					description: `Iteration ${iteration}: ${variable} → ${production}\n\n${symbol} gefolgt von β = ${beta.length > 0 ? beta.join(' ') : 'ε'}\n${describeFollowSource(variable, beta, first, nullable)}\n\nNeu in FOLLOW(${symbol}): {${added.join(', ')}}\nFOLLOW(${symbol}) = {${[...target].join(', ')}}`,
+					delta: { action: 'follow-add', variable: symbol, from: variable, production, added, iteration },
+					table,
+					phase: 'follow',
+					changed: { variable: symbol, column: 'follow' },
+					highlightVariables: [symbol, variable],
+					highlightProductions: [`${variable} -> ${production}`],
+				}));
+			}
+		});
+		return changed;
+	}, table, () => variables.map(variable => `FOLLOW(${variable}) = {${[...follow.get(variable)].join(', ')}}`).join('\n'));
+
+	steps.push(createStep({
+		id: 'first-follow-complete',
+		stage: 'follow',
+		description: `FIRST- UND FOLLOW-MENGEN BERECHNET\n\n${variables.map(variable => `${variable}: nullable = ${nullable.has(variable) ? 'ja' : 'nein'}, FIRST = {${sortSymbols(first.get(variable)).join(', ')}}, FOLLOW = {${sortSymbols(follow.get(variable)).join(', ')}}`).join('\n')}`,
+		delta: { action: 'complete' },
+		table,
+		phase: 'complete',
+		highlightVariables: variables,
+		highlightVariablesStyle: 'productive',
+	}));
+
+	return steps;
+}
+
+/**
+ * Wiederholt eine Iteration, bis sie nichts mehr aendert, und haengt den
+ * Fixpunkt-Schritt an. iterate(iteration) liefert true bei Aenderungen.
+ */
+function runFixpoint(steps, stage, iterate, table, summarize) {
+	let iteration = 1;
+	while (iterate(iteration)) {
+		iteration++;
+	}
+
+	steps.push(createStep({
+		id: `${stage}-fixpoint`,
+		stage,
+		description: `Fixpunkt erreicht: Iteration ${iteration} ändert nichts mehr.\n\n${summarize()}`,
+		delta: { action: 'fixpoint', iteration },
+		table,
+		phase: stage,
+		highlightVariables: [],
+	}));
+}
+
+/**
+ * Erklaert, woher der Beitrag zu FOLLOW stammt.
+ */
+function describeFollowSource(variable, beta, first, nullable) {
+	const betaFirst = firstOfSequence(beta, first, nullable);
+	const parts = [];
+	if (beta.length > 0) parts.push(`FIRST(β) ohne ε = {${[...betaFirst].filter(symbol => !isEpsilon(symbol)).join(', ')}}`);
+	if (betaFirst.has(EPSILON)) parts.push(`β ist nullable → FOLLOW(${variable}) kommt hinzu`);
+	return parts.join('\n');
+}
+
+/**
+ * Baut einen Schritt mit einer Momentaufnahme der Tabelle.
+ */
+function createStep({ id, stage, description, delta, table, phase, changed = null, highlightVariables, highlightVariablesStyle = 'focus', highlightProductions = [] }) {
+	return {
+		id,
+		stage,
+		description,
+		delta,
+		state: { firstFollow: snapshotTable(table, phase, changed) },
+		clearLogs: false,
+		highlightVariables,
+		highlightVariablesStyle,
+		highlightProductions,
+	};
+}
+
+/**
+ * Kopiert die Tabelle in ein serialisierbares Objekt.
+ */
+function snapshotTable({ variables, nullable, first, follow }, phase, changed) {
+	return {
+		phase,
+		changed,
+		variables: [...variables],
+		nullable: variables.filter(variable => nullable.has(variable)),
+		first: Object.fromEntries(variables.map(variable => [variable, sortSymbols(first.get(variable))])),
+		follow: Object.fromEntries(variables.map(variable => [variable, sortSymbols(follow.get(variable))])),
+	};
+}
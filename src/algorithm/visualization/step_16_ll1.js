@@ -0,0 +1,172 @@
+import { getStartSymbol } from '../parseGrammar.js';
+import { isEpsilon, isNonTerminal, parseSymbols } from '../grammarSymbols.js';
+import buildLL1Table, { getConflicts, runLL1Parser } from '../llTable.js';
+import findLeftRecursion from '../leftRecursion.js';
+
+/**
+ * Erzeugt Schritte fuer den Aufbau der LL(1)-Parsetabelle: je Produktion ein
+ * Schritt, der ihre Zellen fuellt, danach das Urteil "LL(1)" oder "nicht LL(1)"
+ * mit den kollidierenden Produktionen. Ist word gesetzt (Liste von Terminalen),
+ * folgt je Aktion des tabellengesteuerten Parsers ein weiterer Schritt.
+ */
+export default function generateLL1Steps(grammar, word = null) {
+	const steps = [];
+	const startSymbol = getStartSymbol(grammar);
+	const table = buildLL1Table(grammar);
+	const { variables, terminals, entries, conflicts, isLL1 } = table;
+	const cells = Object.fromEntries(variables.map(variable => [variable, {}]));
+
+	steps.push(createStep({
+		id: 'll1-table-init',
+		stage: 'll1-table',
+		description: `LL(1)-PARSETABELLE
+
+Zeilen: Variablen, Spalten: Terminale und $ (Eingabeende).
+
+Für jede Produktion A → α:
+  • A → α kommt in M[A, a] für jedes a ∈ FIRST(α) ohne ε.
+  • Ist α nullable (ε ∈ FIRST(α)), kommt A → α zusätzlich in M[A, b] für jedes b ∈ FOLLOW(A).
+
+Stehen in einer Zelle mehrere Produktionen, ist die Grammatik nicht LL(1).`,
+		delta: { action: 'init' },
+		table: { variables, terminals, cells },
+		highlightVariables: [],
+	}));
+
+	entries.forEach(({ variable, production, viaFirst, viaFollow }, index) => {
+		const targets = [...new Set([...viaFirst, ...viaFollow])];
+		targets.forEach(terminal => {
+			if (!cells[variable][terminal]) cells[variable][terminal] = [];
+			if (!cells[variable][terminal].includes(production)) cells[variable][terminal].push(production);
+		});
+		const collisions = targets.filter(terminal => cells[variable][terminal].length > 1);
+
+		const lines = [];
+		if (viaFirst.length > 0) lines.push(`FIRST(${production}) ohne ε = {${viaFirst.join(', ')}}`);
+		if (viaFollow.length > 0) lines.push(`${production} ist nullable → FOLLOW(${variable}) = {${viaFollow.join(', ')}}`);
+		if (targets.length === 0) lines.push('Keine Spalte: die Produktion kann kein Wort erzeugen.');
+		if (collisions.length > 0) lines.push(`\nKONFLIKT in ${collisions.map(terminal => `M[${variable}, ${terminal}]`).join(', ')}`);
+
+		steps.push(createStep({
+			id: `ll1-table-${index}`,
+			stage: 'll1-table',
+			description: `Produktion ${variable} → ${production}\n\n${lines.join('\n')}\n\nEingetragen in: ${targets.length > 0 ? targets.map(terminal => `M[${variable}, ${terminal}]`).join(', ') : '–'}`,
+			delta: { action: 'fill', variable, production, terminals: targets, conflicts: collisions },
+			table: { variables, terminals, cells },
+			activeCells: targets.map(terminal => ({ variable, terminal })),
+			highlightVariables: [variable, ...parseSymbols(production).filter(isNonTerminal)],
+			highlightProductions: [`${variable} -> ${production}`],
+			highlightProductionsStyle: collisions.length > 0 ? 'warning' : undefined,
+		}));
+	});
+
+	steps.push(createStep({
+		id: 'll1-table-result',
+		stage: 'll1-table',
+		description: buildVerdict(grammar, conflicts, isLL1),
+		delta: { action: 'result', isLL1, conflicts },
+		table: { variables, terminals, cells },
+		isLL1,
+		highlightVariables: isLL1 ? variables : [...new Set(conflicts.map(conflict => conflict.variable))],
+		highlightVariablesStyle: isLL1 ? 'productive' : 'warning',
+		highlightProductions: conflicts.flatMap(conflict => conflict.productions.map(production => `${conflict.variable} -> ${production}`)),
+		highlightProductionsStyle: 'warning',
+	}));
+
+	if (word === null) return steps;
+
+	const { rows, accepted } = runLL1Parser(table, startSymbol, word);
+	rows.forEach((row, index) => {
+		const isLast = index === rows.length - 1;
+		steps.push(createStep({
+			id: `ll1-parse-${index}`,
+			stage: 'll1-parse',
+			description: buildParseDescription(row, index, isLast ? accepted : null, word),
+			delta: { action: row.kind, variable: row.variable, production: row.production, terminal: row.terminal },
+			table: { variables, terminals, cells },
+			isLL1,
+			activeCells: row.kind === 'expand' || (row.kind === 'error' && row.variable)
+				? [{ variable: row.variable, terminal: row.terminal }]
+				: [],
+			parse: { word, rows: rows.slice(0, index + 1), accepted: isLast ? accepted : null },
+			highlightVariables: row.variable ? [row.variable] : [],
+			highlightVariablesStyle: row.kind === 'error' ? 'warning' : 'focus',
+			highlightProductions: row.production ? [`${row.variable} -> ${row.production}`] : [],
+			highlightProductionsStyle: row.conflict ? 'warning' : undefined,
+		}));
+	});
+
+	return steps;
+}
+
+/**
+ * Formuliert das Urteil und bei Konflikten Hinweise auf passende Umformungen.
+ */
+function buildVerdict(grammar, conflicts, isLL1) {
+	if (isLL1) {
+		return 'ERGEBNIS: LL(1)\n\nKeine Zelle enthält mehr als eine Produktion. Ein Zeichen Vorschau genügt, um jede Ableitung eindeutig zu wählen.';
+	}
+
+	const hints = [];
+	const { variables: leftRecursive } = findLeftRecursion(grammar.productions);
+	if (leftRecursive.length > 0) {
+		hints.push(`Linksrekursiv: ${leftRecursive.join(', ')} → Umformung "Linksrekursion entfernen"`);
+	}
+	const factorable = Object.keys(grammar.productions).filter(variable => hasCommonFirstSymbol(grammar.productions[variable]));
+	if (factorable.length > 0) {
+		hints.push(`Gemeinsame Präfixe: ${factorable.join(', ')} → Umformung "Linksfaktorisieren"`);
+	}
+
+	return `ERGEBNIS: nicht LL(1)
+
+${conflicts.length} Konflikt(e):
+${conflicts.map(conflict => `  M[${conflict.variable}, ${conflict.terminal}]: ${conflict.productions.map(production => `${conflict.variable} → ${production}`).join('  /  ')}`).join('\n')}${hints.length > 0 ? `\n\nHinweis:\n  ${hints.join('\n  ')}` : ''}`;
+}
+
+/**
+ * Prueft, ob zwei Alternativen mit demselben Symbol beginnen.
+ */
+function hasCommonFirstSymbol(productions) {
+	const firstSymbols = productions.filter(production => !isEpsilon(production)).map(production => parseSymbols(production)[0]);
+	return new Set(firstSymbols).size < firstSymbols.length;
+}
+
+/**
+ * Beschreibt eine Aktion des Parsers mit Stapel und Resteingabe.
+ */
+function buildParseDescription(row, index, accepted, word) {
+	const header = index === 0 ? `LL(1)-PARSER FÜR ${word.length > 0 ? word.join(' ') : 'ε'}\n\n` : '';
+	const footer = accepted === true
+		? '\n\nDas Wort wird akzeptiert.'
+		: accepted === false ? '\n\nDas Wort wird abgelehnt.' : '';
+	return `${header}Schritt ${index + 1}\n\nStapel: ${[...row.stack].reverse().join(' ')}\nEingabe: ${row.input.join(' ')}\n\n${row.action}${footer}`;
+}
+
+/**
+ * Baut einen Schritt mit einer Momentaufnahme der Tabelle in state.ll1.
+ */
+function createStep({ id, stage, description, delta, table, isLL1 = null, activeCells = [], parse = null, highlightVariables, highlightVariablesStyle = 'focus', highlightProductions = [], highlightProductionsStyle }) {
+	const cells = JSON.parse(JSON.stringify(table.cells));
+	return {
+		id,
+		stage,
+		description,
+		delta,
+		state: {
+			ll1: {
+				variables: [...table.variables],
+				terminals: [...table.terminals],
+				cells,
+				conflicts: getConflicts(cells, table.variables, table.terminals),
+				isLL1,
+				activeCells,
+				parse,
+			},
+		},
+		clearLogs: false,
+		highlightVariables,
+		highlightVariablesStyle,
+		highlightProductions,
+		...(highlightProductionsStyle ? { highlightProductionsStyle } : {}),
+	};
+}
@@ -0,0 +1,279 @@
+import buildLR0Automaton, {
+	LR_METHODS,
+	MAX_LR_STATES,
+	buildLRTable,
+	formatAction,
+	formatItem,
+	formatRule,
+	getLRConflicts,
+	itemKey,
+	runLRParser,
+} from '../lrAutomaton.js';
+
+/**
+ * Erzeugt Schritte fuer die Bottom-up-Analyse: zuerst der kanonische
+ * LR(0)-Automat Zustand fuer Zustand, dann die ACTION/GOTO-Tabelle der
+ * gewaehlten Methode (lr0, slr, lalr) Zeile fuer Zeile mit Urteil und Konflikten.
+ * Ist word gesetzt (Liste von Terminalen), folgt je Aktion des
+ * Shift-Reduce-Parsers ein weiterer Schritt.
+ */
+export default function generateLRSteps(grammar, method = 'slr', word = null) {
+	const steps = [];
+	const automaton = buildLR0Automaton(grammar);
+	const table = buildLRTable(automaton, grammar, method);
+	const { rules, states, transitions, augmentedStart, startSymbol } = automaton;
+	const methodLabel = LR_METHODS[method];
+	const view = {
+		method,
+		automaton: {
+			states: states.map(state => ({
+				id: state.id,
+				from: state.from,
+				items: state.items.map(item => formatItem(rules, item)),
+				kernelSize: state.kernel.length,
+			})),
+			transitions,
+		},
+		rules: rules.map((rule, index) => `(${index}) ${formatRule(rule)}`),
+		terminals: table.terminals,
+		variables: table.variables,
+	};
+	const action = states.map(() => ({}));
+	const gotoTable = states.map(() => ({}));
+
+	steps.push(createStep({
+		id: 'lr-automaton-init',
+		stage: 'lr-automaton',
+		description: `LR(0)-AUTOMAT
+
+Die Grammatik wird um ${augmentedStart} → ${startSymbol} erweitert. Ein Item A → α · β markiert, wie viel der rechten Seite schon auf dem Stapel liegt.
+
+I0 = Hülle({${augmentedStart} → · ${startSymbol}}):
+  ${view.automaton.states[0].items.join('\n  ')}
+
+Hülle: Steht der Punkt vor einer Variable B, kommen alle Items B → · γ hinzu.
+goto(I, X): Punkt über X schieben und die Hülle bilden.`,
+		delta: { action: 'init' },
+		view,
+		visibleStates: 1,
+		visibleTransitions: 0,
+		activeState: 0,
+		highlightVariables: [startSymbol],
+	}));
+
+	let visibleStates = 1;
+	let visibleTransitions = 0;
+	states.forEach(state => {
+		const outgoing = transitions.filter(transition => transition.from === state.id);
+		if (outgoing.length === 0) return;
+
+		const lines = outgoing.map(({ to, symbol }) => {
+			const isNew = to >= visibleStates;
+			return `  goto(I${state.id}, ${symbol}) = I${to}${isNew ? ' (neu)' : ''}`;
+		});
+		const newStates = outgoing.filter(({ to }) => to >= visibleStates).map(({ to }) => to);
+		visibleStates = Math.max(visibleStates, ...outgoing.map(({ to }) => to + 1));
+		visibleTransitions += outgoing.length;
+
+		steps.push(createStep({
+			id: `lr-automaton-${state.id}`,
+			stage: 'lr-automaton',
+			description: `Übergänge von I${state.id}:\n${lines.join('\n')}${newStates.map(id => `\n\nI${id}:\n  ${view.automaton.states[id].items.join('\n  ')}`).join('')}`,
+			delta: { action: 'goto', state: state.id, newStates },
+			view,
+			visibleStates,
+			visibleTransitions,
+			activeState: state.id,
+			highlightVariables: [],
+		}));
+	});
+
+	steps.push(createStep({
+		id: 'lr-automaton-complete',
+		stage: 'lr-automaton',
+		description: `LR(0)-AUTOMAT FERTIG\n\n${states.length} Zustände, ${transitions.length} Übergänge.${automaton.truncated ? `\n\nAbgebrochen: mehr als ${MAX_LR_STATES} Zustände, der Automat ist unvollständig.` : ''}`,
+		delta: { action: 'complete', states: states.length, truncated: automaton.truncated },
+		view,
+		visibleStates: states.length,
+		visibleTransitions: transitions.length,
+		highlightVariables: [],
+	}));
+
+	steps.push(createStep({
+		id: 'lr-table-init',
+		stage: 'lr-table',
+		description: `${methodLabel}-TABELLE
+
+Regeln:
+  ${view.rules.join('\n  ')}
+
+  • goto(Ii, a) = Ij für ein Terminal a: ACTION[i, a] = s j (schieben)
+  • goto(Ii, A) = Ij für eine Variable A: GOTO[i, A] = j
+  • ${augmentedStart} → ${startSymbol} · in Ii: ACTION[i, $] = acc
+  • A → α · in Ii: ACTION[i, a] = r (A → α) ${describeReduceRule(method)}
+
+Stehen in einer Zelle mehrere Aktionen, ist die Grammatik nicht ${methodLabel}.`,
+		delta: { action: 'init', method },
+		view,
+		visibleStates: states.length,
+		visibleTransitions: transitions.length,
+		tableState: { action, goto: gotoTable, filledRows: 0, isValid: null },
+		highlightVariables: [],
+	}));
+
+	states.forEach(state => {
+		action[state.id] = table.action[state.id];
+		gotoTable[state.id] = table.goto[state.id];
+		const rowConflicts = table.conflicts.filter(conflict => conflict.state === state.id);
+		const reductions = state.items.filter(item => item.dot === rules[item.rule].symbols.length);
+
+		steps.push(createStep({
+			id: `lr-table-${state.id}`,
+			stage: 'lr-table',
+			description: `Zeile ${state.id} (I${state.id})\n\n${describeRow(state, table, rules, method, reductions)}${rowConflicts.length > 0
+				? `\n\nKONFLIKT:\n  ${rowConflicts.map(conflict => `ACTION[${state.id}, ${conflict.terminal}] = ${conflict.actions.map(formatAction).join(' / ')} (${conflict.kind})`).join('\n  ')}`
+				: ''}`,
+			delta: { action: 'fill-row', state: state.id, conflicts: rowConflicts.length },
+			view,
+			visibleStates: states.length,
+			visibleTransitions: transitions.length,
+			activeState: state.id,
+			tableState: { action, goto: gotoTable, filledRows: state.id + 1, isValid: null },
+			highlightVariables: reductions.filter(item => item.rule !== 0).map(item => rules[item.rule].variable),
+			highlightProductions: reductions.filter(item => item.rule !== 0).map(item => `${rules[item.rule].variable} -> ${rules[item.rule].production}`),
+			highlightProductionsStyle: rowConflicts.length > 0 ? 'warning' : undefined,
+		}));
+	});
+
+	const conflictLines = table.conflicts.map(conflict => `  ACTION[${conflict.state}, ${conflict.terminal}]: ${conflict.actions.map(entry => describeAction(entry, rules)).join('  /  ')} (${conflict.kind})`);
+	steps.push(createStep({
+		id: 'lr-table-result',
+		stage: 'lr-table',
+		description: table.isValid
+			? `ERGEBNIS: ${methodLabel}\n\nKeine Zelle enthält mehr als eine Aktion.`
+			: `ERGEBNIS: nicht ${methodLabel}\n\n${table.conflicts.length} Konflikt(e):\n${conflictLines.join('\n')}`,
+		delta: { action: 'result', method, label: methodLabel, isValid: table.isValid, conflicts: table.conflicts.length },
+		view,
+		visibleStates: states.length,
+		visibleTransitions: transitions.length,
+		tableState: { action, goto: gotoTable, filledRows: states.length, isValid: table.isValid },
+		highlightVariables: [],
+		highlightProductions: [...new Set(table.conflicts.flatMap(conflict => conflict.actions
+			.filter(entry => entry.type === 'reduce')
+			.map(entry => `${rules[entry.rule].variable} -> ${rules[entry.rule].production}`)))],
+		highlightProductionsStyle: 'warning',
+	}));
+
+	if (word === null) return steps;
+
+	const { rows, accepted } = runLRParser(automaton, table, word);
+	rows.forEach((row, index) => {
+		const isLast = index === rows.length - 1;
+		const rule = row.rule !== undefined ? rules[row.rule] : null;
+		steps.push(createStep({
+			id: `lr-parse-${index}`,
+			stage: 'lr-parse',
+			description: `${index === 0 ? `${methodLabel}-PARSER FÜR ${word.length > 0 ? word.join(' ') : 'ε'}\n\n` : ''}Schritt ${index + 1}\n\nStapel: ${row.stack.join(' ')}\nEingabe: ${row.input.join(' ')}\n\n${row.action}${isLast ? `\n\nDas Wort wird ${accepted ? 'akzeptiert' : 'abgelehnt'}.` : ''}`,
+			delta: { action: row.kind, state: row.state, terminal: row.terminal, rule: row.rule },
+			view,
+			visibleStates: states.length,
+			visibleTransitions: transitions.length,
+			activeState: row.state,
+			tableState: { action, goto: gotoTable, filledRows: states.length, isValid: table.isValid, activeCell: { state: row.state, terminal: row.terminal } },
+			parse: { word, rows: rows.slice(0, index + 1), accepted: isLast ? accepted : null },
+			highlightVariables: rule ? [rule.variable] : [],
+			highlightVariablesStyle: row.kind === 'error' ? 'warning' : 'focus',
+			highlightProductions: rule ? [`${rule.variable} -> ${rule.production}`] : [],
+			highlightProductionsStyle: row.conflict ? 'warning' : undefined,
+		}));
+	});
+
+	return steps;
+}
+
+/**
+ * Erklaert, unter welchen Terminalen die Methode reduziert.
+ */
+function describeReduceRule(method) {
+	if (method === 'lr0') return 'für jedes Terminal a und $';
+	if (method === 'slr') return 'für jedes a ∈ FOLLOW(A)';
+	return 'für jedes Lookahead a des Items (LALR(1)-Lookaheads, propagiert über die Kerne)';
+}
+
+/**
+ * Beschreibt die Eintraege einer Tabellenzeile.
+ */
+function describeRow(state, table, rules, method, reductions) {
+	const lines = [];
+	const row = table.action[state.id];
+	const shifts = table.terminals.filter(terminal => (row[terminal] || []).some(entry => entry.type === 'shift'));
+	if (shifts.length > 0) {
+		lines.push(`Schieben: ${shifts.map(terminal => `${terminal} → s${row[terminal].find(entry => entry.type === 'shift').state}`).join(', ')}`);
+	}
+
+	const gotos = table.variables.filter(variable => table.goto[state.id][variable] !== undefined);
+	if (gotos.length > 0) {
+		lines.push(`GOTO: ${gotos.map(variable => `${variable} → ${table.goto[state.id][variable]}`).join(', ')}`);
+	}
+
+	reductions.forEach(item => {
+		if (item.rule === 0) {
+			lines.push('Akzeptieren unter $');
+			return;
+		}
+		const terminals = table.terminals.filter(terminal => (row[terminal] || []).some(entry => entry.type === 'reduce' && entry.rule === item.rule));
+		const reason = method === 'slr'
+			? ` (FOLLOW(${rules[item.rule].variable}))`
+			: method === 'lalr' ? ` (Lookaheads von ${formatItem(rules, item)}: {${table.lookaheads[state.id][itemKey(item)].join(', ')}})` : '';
+		lines.push(`Reduziere (${item.rule}) ${formatRule(rules[item.rule])} unter ${terminals.length > 0 ? terminals.join(', ') : '–'}${reason}`);
+	});
+
+	return lines.length > 0 ? lines.join('\n') : 'Keine Einträge.';
+}
+
+/**
+ * Beschreibt eine Tabellenaktion ausfuehrlich.
+ */
+function describeAction(entry, rules) {
+	if (entry.type === 'shift') return `schiebe, gehe zu ${entry.state}`;
+	if (entry.type === 'reduce') return `reduziere ${formatRule(rules[entry.rule])}`;
+	return 'akzeptiere';
+}
+
+/**
+ * Baut einen Schritt mit Automat, Tabellenstand und Parserverlauf in state.lr.
+ */
+function createStep({ id, stage, description, delta, view, visibleStates, visibleTransitions, activeState = null, tableState = null, parse = null, highlightVariables, highlightVariablesStyle = 'focus', highlightProductions = [], highlightProductionsStyle }) {
+	const filled = tableState && {
+		action: tableState.action.slice(0, tableState.filledRows).map(row => Object.fromEntries(
+			Object.entries(row).map(([terminal, entries]) => [terminal, entries.map(formatAction)])
+		)),
+		goto: tableState.goto.slice(0, tableState.filledRows).map(row => ({ ...row })),
+		conflicts: getLRConflicts(tableState.action.slice(0, tableState.filledRows), view.terminals)
+			.map(conflict => ({ state: conflict.state, terminal: conflict.terminal, kind: conflict.kind })),
+		isValid: tableState.isValid,
+		activeCell: tableState.activeCell || null,
+	};
+
+	return {
+		id,
+		stage,
+		description,
+		delta,
+		state: {
+			lr: {
+				...view,
+				visibleStates,
+				visibleTransitions,
+				activeState,
+				table: filled,
+				parse,
+			},
+		},
+		clearLogs: false,
+		highlightVariables,
+		highlightVariablesStyle,
+		highlightProductions,
+		...(highlightProductionsStyle ? { highlightProductionsStyle } : {}),
+	};
+}
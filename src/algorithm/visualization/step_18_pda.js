@@ -0,0 +1,231 @@
+import buildPDA, {
+	MAX_PDA_CONFIGURATIONS,
+	PDA_STATE,
+	STACK_BOTTOM,
+	formatConfiguration,
+	formatSymbols,
+	formatTransition,
+	getAcceptingPath,
+	simulatePDA,
+} from '../pda.js';
+
+const MAX_LISTED_CONFIGURATIONS = 40;
+
+/**
+ * Erzeugt Schritte fuer die Konstruktion des Kellerautomaten mit einem Zustand
+ * (variant: top-down oder bottom-up). Ist word gesetzt (Liste von Terminalen),
+ * folgt die Simulation: je Schritt alle Konfigurationen nach k Uebergaengen,
+ * also alle nichtdeterministischen Zweige, mit dem akzeptierenden Lauf markiert.
+ */
+export default function generatePDASteps(grammar, variant = 'top-down', word = null) {
+	const steps = [];
+	const pda = buildPDA(grammar, variant);
+	const { startSymbol, transitions } = pda;
+	const labels = transitions.map(transition => ({ id: transition.id, kind: transition.kind, label: formatTransition(transition) }));
+	const view = {
+		variant,
+		initialStack: formatSymbols([...pda.initialStack].reverse()),
+		transitions: labels,
+	};
+	const isTopDown = variant === 'top-down';
+
+	steps.push(createStep({
+		id: 'pda-build-init',
+		stage: 'pda-build',
+		description: isTopDown
+			? `KELLERAUTOMAT (TOP-DOWN)
+
+Ein Zustand ${PDA_STATE}, Startstapel ${startSymbol}, Akzeptanz mit leerem Stapel. Der Automat simuliert eine Linksableitung:
+
+  • Expandieren: (ε, A / α) für jede Regel A → α ersetzt die Variable oben auf dem Stapel.
+  • Vergleichen: (a, a / ε) liest a und entfernt es vom Stapel.
+
+Kantenbeschriftung: Eingabe, Stapel oben / neuer Stapelinhalt (oberstes Symbol links).`
+			: `KELLERAUTOMAT (BOTTOM-UP)
+
+Ein Zustand ${PDA_STATE}, Startstapel ${STACK_BOTTOM}, Akzeptanz mit leerem Stapel. Der Automat simuliert eine Rechtsableitung rückwärts:
+
+  • Schieben: (a, ε / a) liest a und legt es auf den Stapel.
+  • Reduzieren: (ε, αᴿ / A) für jede Regel A → α ersetzt die rechte Seite oben auf dem Stapel durch A.
+  • Akzeptieren: (ε, ${startSymbol}${STACK_BOTTOM} / ε) leert den Stapel, wenn nur noch ${startSymbol} übrig ist.
+
+Kantenbeschriftung: Eingabe, Stapel oben / neuer Stapelinhalt (oberstes Symbol links).`,
+		delta: { action: 'init', variant },
+		view,
+		visibleTransitions: 0,
+		highlightVariables: [startSymbol],
+	}));
+
+	groupTransitions(transitions).forEach((group, index) => {
+		const rule = group[0].variable !== undefined ? group[0] : null;
+		steps.push(createStep({
+			id: `pda-build-${index}`,
+			stage: 'pda-build',
+			description: describeGroup(group, startSymbol),
+			delta: { action: group[0].kind, transitions: group.map(transition => transition.id) },
+			view,
+			visibleTransitions: group[group.length - 1].id + 1,
+			activeTransitions: group.map(transition => transition.id),
+			highlightVariables: rule ? [rule.variable] : [],
+			highlightProductions: rule ? [`${rule.variable} -> ${rule.production}`] : [],
+		}));
+	});
+
+	steps.push(createStep({
+		id: 'pda-build-complete',
+		stage: 'pda-build',
+		description: `KELLERAUTOMAT FERTIG
+
+P = ({${PDA_STATE}}, Σ, Γ, δ, ${PDA_STATE}, ${pda.initialStack[0]}), Akzeptanz mit leerem Stapel
+
+δ:
+  ${labels.map(({ label }) => label).join('\n  ')}`,
+		delta: { action: 'complete', transitions: transitions.length },
+		view,
+		visibleTransitions: transitions.length,
+		highlightVariables: [],
+	}));
+
+	if (word === null) return steps;
+
+	const simulation = simulatePDA(pda, grammar, word);
+	const path = getAcceptingPath(simulation);
+	const onPath = new Set(path);
+	const finished = simulation.levels.length - 1;
+	const accepted = simulation.acceptedId !== null;
+
+	simulation.levels.forEach((level, index) => {
+		const pathConfig = path[index] !== undefined ? simulation.configs[path[index]] : null;
+		const transition = pathConfig && pathConfig.transition !== null ? transitions[pathConfig.transition] : null;
+		const isLast = index === finished;
+		const result = isLast ? (accepted ? true : simulation.truncated ? null : false) : null;
+
+		steps.push(createStep({
+			id: `pda-simulate-${index}`,
+			stage: 'pda-simulate',
+			description: describeLevel({ word, index, level, simulation, pathConfig, transition, isLast, accepted, path }),
+			delta: { action: isLast ? 'result' : 'level', level: index, configurations: level.length, accepted: result, truncated: isLast && simulation.truncated },
+			view,
+			visibleTransitions: transitions.length,
+			activeTransitions: transition ? [transition.id] : [],
+			simulation: {
+				word,
+				level: index,
+				levels: simulation.levels.length,
+				explored: simulation.configs.length,
+				accepted: result,
+				truncated: isLast && simulation.truncated,
+				rows: level.slice(0, MAX_LISTED_CONFIGURATIONS).map(id => describeConfiguration(simulation.configs[id], simulation, word, labels, onPath)),
+				hidden: Math.max(0, level.length - MAX_LISTED_CONFIGURATIONS),
+			},
+			highlightVariables: transition?.variable ? [transition.variable] : [],
+			highlightProductions: transition?.variable ? [`${transition.variable} -> ${transition.production}`] : [],
+		}));
+	});
+
+	return steps;
+}
+
+/**
+ * Fasst Uebergaenge fuer die Konstruktionsschritte zusammen: je Regel einer,
+ * alle Vergleichs- bzw. Schiebe-Uebergaenge gemeinsam.
+ */
+function groupTransitions(transitions) {
+	const groups = [];
+	transitions.forEach(transition => {
+		const last = groups[groups.length - 1];
+		const isTerminalGroup = transition.kind === 'match' || transition.kind === 'shift';
+		if (isTerminalGroup && last && last[0].kind === transition.kind) {
+			last.push(transition);
+		} else {
+			groups.push([transition]);
+		}
+	});
+	return groups;
+}
+
+/**
+ * Beschreibt einen Konstruktionsschritt.
+ */
+function describeGroup(group, startSymbol) {
+	const lines = group.map(transition => `  δ(${PDA_STATE}, ${formatTransition(transition)})`).join('\n');
+	const [first] = group;
+
+	if (first.kind === 'expand') return `Regel ${first.variable} → ${first.production}\n\nExpandieren: Liegt ${first.variable} oben, wird es ohne Eingabe durch die rechte Seite ersetzt.\n${lines}`;
+	if (first.kind === 'reduce') return `Regel ${first.variable} → ${first.production}\n\nReduzieren: Liegt die rechte Seite (umgekehrt) oben, wird sie durch ${first.variable} ersetzt.\n${lines}`;
+	if (first.kind === 'match') return `Vergleichen: Für jedes Terminal wird das gelesene Zeichen mit dem obersten Stapelsymbol abgeglichen.\n${lines}`;
+	if (first.kind === 'shift') return `Schieben: Jedes Terminal kann gelesen und auf den Stapel gelegt werden.\n${lines}`;
+	return `Akzeptieren: Liegt nur noch ${startSymbol} über ${STACK_BOTTOM}, wird der Stapel geleert.\n${lines}`;
+}
+
+/**
+ * Beschreibt eine Ebene der Simulation mit dem Lauf und den verzweigenden Alternativen.
+ */
+function describeLevel({ word, index, level, simulation, pathConfig, transition, isLast, accepted, path }) {
+	const header = index === 0 ? `SIMULATION FÜR ${word.length > 0 ? word.join(' ') : 'ε'}\n\n` : '';
+	const lines = [`Nach ${index} Übergängen: ${level.length} Konfiguration(en)`];
+
+	if (pathConfig) {
+		lines.push(`Akzeptierender Lauf: ${formatConfiguration(word, pathConfig)}${transition ? ` über ${formatTransition(transition)}` : ''}`);
+		if (pathConfig.parent !== null) {
+			const alternatives = simulation.configs[pathConfig.parent].successors.length;
+			if (alternatives > 1) lines.push(`Nichtdeterminismus: ${alternatives} Zweige aus ${formatConfiguration(word, simulation.configs[pathConfig.parent])}`);
+		}
+	}
+
+	if (isLast) {
+		if (accepted) {
+			lines.push(`\nDas Wort wird akzeptiert (${path.length - 1} Übergänge, ${simulation.configs.length} Konfigurationen untersucht).`);
+		} else if (simulation.truncated) {
+			lines.push(`\nSuche nach ${MAX_PDA_CONFIGURATIONS} Konfigurationen abgebrochen, bisher kein akzeptierender Lauf.`);
+		} else {
+			lines.push(`\nKein Zweig kann weiterlaufen: Das Wort wird abgelehnt (${simulation.configs.length} Konfigurationen untersucht).`);
+		}
+	}
+
+	return header + lines.join('\n');
+}
+
+/**
+ * Beschreibt eine Konfiguration fuer die Zweigliste im Panel.
+ */
+function describeConfiguration(config, simulation, word, labels, onPath) {
+	const parent = config.parent !== null ? simulation.configs[config.parent] : null;
+	const isAccepting = config.id === simulation.acceptedId;
+	const status = isAccepting ? 'accept'
+		: !config.expanded ? 'open'
+		: config.moves === 0 ? 'dead'
+		: config.successors.length === 0 ? 'merged' : 'open';
+	return {
+		id: config.id,
+		label: formatConfiguration(word, config),
+		parent: parent ? formatConfiguration(word, parent) : null,
+		transition: config.transition !== null ? labels[config.transition].label : null,
+		onPath: onPath.has(config.id),
+		status,
+	};
+}
+
+/**
+ * Baut einen Schritt mit Automat und Simulationsstand in state.pda.
+ */
+function createStep({ id, stage, description, delta, view, visibleTransitions, activeTransitions = [], simulation = null, highlightVariables, highlightVariablesStyle = 'focus', highlightProductions = [] }) {
+	return {
+		id,
+		stage,
+		description,
+		delta,
+		state: {
+			pda: {
+				...view,
+				visibleTransitions,
+				activeTransitions,
+				simulation,
+			},
+		},
+		clearLogs: false,
+		highlightVariables,
+		highlightVariablesStyle,
+		highlightProductions,
+	};
+}
@@ -0,0 +1,241 @@
+import { getStartSymbol } from '../parseGrammar.js';
+import { EPSILON } from '../grammarSymbols.js';
+import classifyRegularGrammar, {
+	MAX_DFA_STATES,
+	REGULAR_TYPES,
+	buildNFA,
+	determinizeNFA,
+	formatMembers,
+	minimizeDFA,
+} from '../regularGrammar.js';
+
+/**
+ * Erzeugt Schritte fuer die Umwandlung einer rechts- oder linkslinearen
+ * Grammatik in einen NFA, Regel fuer Regel. Mit toDFA folgen die
+ * Potenzmengenkonstruktion (ein Schritt je DFA-Zustand) und die Minimierung
+ * (ein Schritt je Verfeinerungsrunde) bis zum minimalen DFA.
+ */
+export default function generateRegularSteps(grammar, toDFA = false) {
+	const steps = [];
+	const type = classifyRegularGrammar(grammar);
+	const startSymbol = getStartSymbol(grammar);
+	const nfa = buildNFA(grammar, type);
+	const nfaView = createView('nfa', 'NFA', nfa.states, nfa.transitions);
+	const initialStates = nfa.states.length - nfa.steps.reduce((count, step) => count + step.states.length, 0);
+
+	steps.push(createStep({
+		id: 'regular-nfa-init',
+		stage: 'regular-nfa',
+		description: type === 'right-linear'
+			? `GRAMMATIK IST REGULÄR (RECHTSLINEAR)
+
+Alle Produktionen haben die Form A → w B oder A → w mit einer Terminalfolge w. Der NFA liest das Wort von links nach rechts:
+
+  • Jede Variable wird zu einem Zustand, Start ist ${startSymbol}.
+  • A → a B: Übergang A –a→ B (längere w über Zwischenzustände q1, q2, ...).
+  • A → a: Übergang in den neuen Endzustand qf.
+  • A → B: ε-Übergang A –ε→ B; A → ε macht A akzeptierend.`
+			: `GRAMMATIK IST REGULÄR (LINKSLINEAR)
+
+Alle Produktionen haben die Form A → B w oder A → w mit einer Terminalfolge w. Eine Linksableitung erzeugt das Wort von rechts nach links, der NFA baut es daher von vorne auf:
+
+  • Jede Variable wird zu einem Zustand, dazu ein neuer Start q0; akzeptierend ist ${startSymbol}.
+  • A → B a: Übergang B –a→ A (längere w über Zwischenzustände q1, q2, ...).
+  • A → a: Übergang q0 –a→ A.
+  • A → B: ε-Übergang B –ε→ A; A → ε wird zu q0 –ε→ A.`,
+		delta: { action: 'init', type, label: REGULAR_TYPES[type] },
+		view: nfaView,
+		visibleStates: initialStates,
+		visibleTransitions: 0,
+		highlightVariables: [startSymbol],
+	}));
+
+	nfa.steps.forEach((step, index) => {
+		const [variable, production] = step.rule.split(' -> ');
+		const added = step.transitions.map(id => nfa.transitions[id]);
+		steps.push(createStep({
+			id: `regular-nfa-${index}`,
+			stage: 'regular-nfa',
+			description: `Regel ${variable} → ${production}\n\n${added.length > 0
+				? added.map(({ from, to, symbol }) => `  ${from} –${symbol}→ ${to}`).join('\n')
+				: `  ${variable} wird akzeptierend`}${step.states.length > 0 ? `\n\nNeue Zustände: ${step.states.map(id => nfa.states[id].id).join(', ')}` : ''}`,
+			delta: { action: added.length > 0 ? 'transition' : 'accepting', variable, production, transitions: added.length },
+			view: nfaView,
+			visibleStates: initialStates + nfa.steps.slice(0, index + 1).reduce((count, current) => count + current.states.length, 0),
+			visibleTransitions: countTransitions(nfa.steps, index),
+			activeStates: added.length > 0 ? [...new Set(added.flatMap(({ from, to }) => [from, to]))] : [variable],
+			activeTransitions: step.transitions,
+			highlightVariables: [variable],
+			highlightProductions: [step.rule],
+		}));
+	});
+
+	const accepting = nfa.states.filter(state => state.isAccepting).map(state => state.id);
+	steps.push(createStep({
+		id: 'regular-nfa-complete',
+		stage: 'regular-nfa',
+		description: `NFA FERTIG
+
+Zustände: ${nfa.states.map(state => state.id).join(', ')}
+Alphabet: ${nfa.alphabet.join(', ') || '–'}
+Start: ${nfa.states.find(state => state.isStart).id}
+Akzeptierend: ${accepting.join(', ') || '–'}
+Übergänge: ${nfa.transitions.length}${nfa.transitions.some(({ symbol }) => symbol === EPSILON) ? ' (mit ε-Übergängen)' : ''}`,
+		delta: { action: 'complete', states: nfa.states.length, transitions: nfa.transitions.length },
+		view: nfaView,
+		visibleStates: nfa.states.length,
+		visibleTransitions: nfa.transitions.length,
+		highlightVariables: [],
+	}));
+
+	if (!toDFA) return steps;
+
+	const dfa = determinizeNFA(nfa);
+	const dfaView = createView('dfa', dfa.truncated ? `DFA (abgebrochen nach ${MAX_DFA_STATES} Zuständen)` : 'DFA', dfa.states, dfa.transitions, Object.fromEntries(dfa.states.map(state => [state.id, formatMembers(state.members)])));
+	const stateIndex = new Map(dfa.states.map((state, index) => [state.id, index]));
+	let discovered = 1;
+
+	steps.push(createStep({
+		id: 'regular-dfa-init',
+		stage: 'regular-dfa',
+		description: `POTENZMENGENKONSTRUKTION
+
+Jeder DFA-Zustand steht für eine Menge von NFA-Zuständen. Start ist die ε-Hülle des NFA-Starts:
+
+  d0 = ${formatMembers(dfa.states[0].members)}
+
+Für jeden Zustand und jedes Zeichen a ist der Nachfolger die ε-Hülle aller per a erreichbaren NFA-Zustände; die leere Menge ∅ wird zum Fangzustand.`,
+		delta: { action: 'init' },
+		view: dfaView,
+		visibleStates: 1,
+		visibleTransitions: 0,
+		activeStates: ['d0'],
+		highlightVariables: [],
+	}));
+
+	let transitionCount = 0;
+	dfa.states.forEach(state => {
+		const outgoing = dfa.transitions.filter(({ from }) => from === state.id);
+		if (outgoing.length === 0) return;
+		const lines = outgoing.map(({ to, symbol }) => {
+			const isNew = stateIndex.get(to) >= discovered;
+			discovered = Math.max(discovered, stateIndex.get(to) + 1);
+			return `  δ(${state.id}, ${symbol}) = ${formatMembers(dfa.states[stateIndex.get(to)].members)} = ${to}${isNew ? ' (neu)' : ''}`;
+		});
+		const first = transitionCount;
+		transitionCount += outgoing.length;
+
+		steps.push(createStep({
+			id: `regular-dfa-${state.id}`,
+			stage: 'regular-dfa',
+			description: `Nachfolger von ${state.id} = ${formatMembers(state.members)}\n\n${lines.join('\n')}${outgoing.length < dfa.alphabet.length
+				? `\n\nAbgebrochen: Weitere Nachfolger überschreiten die Grenze von ${MAX_DFA_STATES} DFA-Zuständen.`
+				: ''}`,
+			delta: { action: 'expand', state: state.id, members: state.members },
+			view: dfaView,
+			visibleStates: discovered,
+			visibleTransitions: transitionCount,
+			activeStates: [state.id],
+			activeTransitions: outgoing.map((_, index) => first + index),
+			highlightVariables: [],
+		}));
+	});
+
+	steps.push(createStep({
+		id: 'regular-dfa-complete',
+		stage: 'regular-dfa',
+		description: dfa.truncated
+			? `POTENZMENGENKONSTRUKTION ABGEBROCHEN\n\nMehr als ${MAX_DFA_STATES} DFA-Zustände: ${dfa.states.filter(state => !dfa.transitions.some(({ from }) => from === state.id)).length} Zustände haben keine berechneten Nachfolger, der DFA ist unvollständig.\nDie Minimierung wird übersprungen; einen minimalen DFA gibt es hier nicht.`
+			: `DFA FERTIG\n\n${dfa.states.length} Zustände, akzeptierend: ${dfa.states.filter(state => state.isAccepting).map(state => state.id).join(', ') || '–'}`,
+		delta: { action: 'complete', states: dfa.states.length, truncated: dfa.truncated },
+		view: dfaView,
+		visibleStates: dfa.states.length,
+		visibleTransitions: dfa.transitions.length,
+		highlightVariables: [],
+	}));
+
+	if (dfa.truncated) return steps;
+
+	const { rounds, dfa: minimal } = minimizeDFA(dfa);
+	rounds.forEach((partition, index) => {
+		const classes = partition.map((block, blockIndex) => `  K${blockIndex + 1} = {${block.join(', ')}}`).join('\n');
+		steps.push(createStep({
+			id: `regular-minimize-${index}`,
+			stage: 'regular-minimize',
+			description: index === 0
+				? `MINIMIERUNG\n\nStartpartition: akzeptierende und nicht akzeptierende Zustände.\n${classes}`
+				: `Runde ${index}: Zustände derselben Klasse, deren Übergänge in verschiedene Klassen führen, werden getrennt.\n${classes}`,
+			delta: { action: 'refine', round: index, classes: partition.length },
+			view: dfaView,
+			visibleStates: dfa.states.length,
+			visibleTransitions: dfa.transitions.length,
+			blocks: Object.fromEntries(partition.flatMap((block, blockIndex) => block.map(id => [id, blockIndex + 1]))),
+			highlightVariables: [],
+		}));
+	});
+
+	const minimalView = createView('min-dfa', 'Minimaler DFA', minimal.states, minimal.transitions, Object.fromEntries(minimal.states.map(state => [state.id, state.members.join(', ')])));
+	steps.push(createStep({
+		id: 'regular-minimize-result',
+		stage: 'regular-minimize',
+		description: `MINIMALER DFA
+
+Keine Klasse spaltet sich weiter auf. Jede Klasse wird zu einem Zustand:
+${minimal.states.map(state => `  ${state.id} = {${state.members.join(', ')}}`).join('\n')}
+
+${minimal.states.length === dfa.states.length ? 'Der DFA war bereits minimal.' : `${dfa.states.length} → ${minimal.states.length} Zustände.`}`,
+		delta: { action: 'result', states: minimal.states.length, before: dfa.states.length },
+		view: minimalView,
+		visibleStates: minimal.states.length,
+		visibleTransitions: minimal.transitions.length,
+		highlightVariables: [],
+	}));
+
+	return steps;
+}
+
+/**
+ * Anzahl der Uebergaenge nach den ersten index + 1 Regeln.
+ */
+function countTransitions(nfaSteps, index) {
+	return nfaSteps.slice(0, index + 1).reduce((count, step) => count + step.transitions.length, 0);
+}
+
+/**
+ * Automat fuer die Anzeige; die Referenz bleibt innerhalb einer Phase gleich.
+ */
+function createView(kind, title, states, transitions, boxes = {}) {
+	return {
+		kind,
+		title,
+		states: states.map(({ id, isStart, isAccepting }) => ({ id, isStart, isAccepting })),
+		transitions: transitions.map(({ from, to, symbol }) => ({ from, to, symbol })),
+		boxes,
+	};
+}
+
+/**
+ * Baut einen Schritt mit dem aktuellen Automaten in state.automaton.
+ */
+function createStep({ id, stage, description, delta, view, visibleStates, visibleTransitions, activeStates = [], activeTransitions = [], blocks = null, highlightVariables, highlightVariablesStyle = 'focus', highlightProductions = [] }) {
+	return {
+		id,
+		stage,
+		description,
+		delta,
+		state: {
+			automaton: {
+				...view,
+				visibleStates,
+				visibleTransitions,
+				activeStates,
+				activeTransitions,
+				blocks,
+			},
+		},
+		clearLogs: false,
+		highlightVariables,
+		highlightVariablesStyle,
+		highlightProductions,
+	};
+}
@@ -1,11 +1,13 @@
-import { isEpsilon } from '../parseGrammar.js';
+import { getStartSymbol, isEpsilon } from '../parseGrammar.js';
+import { isNonTerminal, isTerminal, parseSymbols } from '../grammarSymbols.js';
 
 /**
  * Erzeugt Schrittfolgen fuer die Produktivitaet einer CFG.
  */
 export function generateIsProductiveSteps(grammar) {
 	const steps = [];
-	const { productions, nonTerminals, startSymbol = 'S' } = grammar;
+	const { productions, nonTerminals } = grammar;
+	const startSymbol = getStartSymbol(grammar);
 	
 	// PHASE 1: Produktivitätsprüfung
 	let productiveSet = new Set();
@@ -81,7 +83,8 @@ export function generateIsProductiveSteps(grammar) {
  * Berechnet Produktivitaet der CFG ohne Visualisierungsschritte.
  */
 export function computeIsProductive(grammar) {
-	const { productions, nonTerminals, startSymbol = 'S' } = grammar;
+	const { productions, nonTerminals } = grammar;
+	const startSymbol = getStartSymbol(grammar);
 	let productiveSet = new Set();
 
 	for (let i = 0; i < nonTerminals.length; i++) {
@@ -152,41 +155,6 @@ function checkForProductiveProduction(prods, productiveSet) {
 
 export default generateIsProductiveSteps;
 
-/**
- * Parst eine Produktion in einzelne Grammatik-Symbole.
- * Erkennt Variablen wie S0, X1 (Großbuchstabe + Ziffern) als einzelne Symbole.
- */
-function parseSymbols(production) {
-	const symbols = [];
-	let i = 0;
-	while (i < production.length) {
-		if (/[A-Z]/.test(production[i])) {
-			let symbol = production[i++];
-			while (i < production.length && /[0-9]/.test(production[i])) {
-				symbol += production[i++];
-			}
-			symbols.push(symbol);
-		} else {
-			symbols.push(production[i++]);
-		}
-	}
-	return symbols;
-}
-
-/**
- * Prueft, ob ein Symbol der CFG ein Terminal ist.
- */
-function isTerminal(symbol) {
-	return /^[a-z]$/.test(symbol);
-}
-
-/**
- * Prueft, ob ein Symbol der CFG ein Nichtterminal ist.
- */
-function isNonTerminal(symbol) {
-	return /^[A-Z][0-9]*$/.test(symbol);
-}
-
 /**
  * Prueft, ob eine Produktion nur Terminale der CFG enthaelt.
  */
@@ -209,7 +177,7 @@ function isProductive(production, productiveSet) {
 /**
  * Berechnet die erreichbaren Nichtterminale der CFG.
  */
-function getReachableVariables({ productions, startSymbol }) {
+export function getReachableVariables({ productions, startSymbol }) {
 	const reachableSet = new Set();
 	const queue = [startSymbol];
 
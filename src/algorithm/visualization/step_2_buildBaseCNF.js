@@ -1,11 +1,13 @@
-import { isEpsilon } from '../parseGrammar.js';
+import { getStartSymbol, isEpsilon } from '../parseGrammar.js';
+import { isTerminal, parseSymbols } from '../grammarSymbols.js';
 
 /**
  * Erzeugt Schritte fuer den Aufbau des CNF-Basisgraphen der CFG.
  */
 export function generateCNFBuildSteps(grammar, productiveSet) {
 	const steps = [];
-	const { productions, startSymbol = 'S' } = grammar;
+	const { productions } = grammar;
+	const startSymbol = getStartSymbol(grammar);
 
 	const baseCNFProductions = {};
 	const sortedVarsList = getSortedProductiveVars(productiveSet, startSymbol);
@@ -44,13 +46,6 @@ export function generateCNFBuildSteps(grammar, productiveSet) {
  */
 export default generateCNFBuildSteps;
 
-/**
- * Prueft, ob ein Symbol der CFG ein Terminal ist.
- */
-function isTerminal(symbol) {
-	return /^[a-z]$/.test(symbol);
-}
-
 /**
  * Sortiert V' mit Startsymbol vorne fuer die CNF-Anzeige.
  */
@@ -75,7 +70,7 @@ function getValidProductions(productions, productiveSet) {
 			continue;
 		}
 
-		const symbols = prod.split('');
+		const symbols = parseSymbols(prod);
 		let isValid = true;
 
 		for (let j = 0; j < symbols.length; j++) {
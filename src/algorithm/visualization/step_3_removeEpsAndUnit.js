@@ -1,41 +1,5 @@
-import { isEpsilon } from '../parseGrammar.js';
-
-/**
- * Parsed eine Produktion in einzelne Symbole und erkennt mehrzeilige Variablen wie S0, A1, usw.
- * @param {string} production - Die zu parsende Produktion (z.B. "S0AB", "ABc")
- * @returns {string[]} Array der Symbole (z.B. ["S0", "A", "B"])
- */
-function parseSymbols(production) {
-	// Spezialfall: ε
-	if (isEpsilon(production)) {
-		return ['ε'];
-	}
-
-	const symbols = [];
-	let i = 0;
-
-	while (i < production.length) {
-		// Prüfe ob aktuelles Zeichen ein Großbuchstabe ist
-		if (/[A-Z]/.test(production[i])) {
-			let symbol = production[i];
-			i++;
-
-			// Sammle nachfolgende Ziffern
-			while (i < production.length && /\d/.test(production[i])) {
-				symbol += production[i];
-				i++;
-			}
-
-			symbols.push(symbol);
-		} else {
-			// Terminal oder sonstiges Zeichen
-			symbols.push(production[i]);
-			i++;
-		}
-	}
-
-	return symbols;
-}
+import { getStartSymbol, isEpsilon } from '../parseGrammar.js';
+import { isNonTerminal, joinSymbols, parseSymbols } from '../grammarSymbols.js';
 
 /**
  * Erzeugt Varianten einer Produktion, in denen ein bestimmtes Symbol entfernt wurde.
@@ -71,7 +35,7 @@ function generateVariantsWithoutVariable(production, variable) {
 			}
 		}
 		
-		const variant = result.join('');
+		const variant = joinSymbols(result);
 		if (variant.length > 0) {
 			variants.add(variant);
 		}
@@ -95,27 +59,11 @@ function formatGrammar(productions, label = '') {
 	return lines.join('\n');
 }
 
-/**
- * Prueft, ob ein Symbol der CFG ein Terminal ist.
- */
-function isTerminal(symbol) {
-	return /^[a-z]$/.test(symbol);
-}
-
-/**
- * Prueft, ob ein Symbol der CFG ein Nichtterminal ist.
- * Akzeptiert sowohl einzelne Großbuchstaben (A, B, C) als auch
- * Großbuchstaben mit Ziffern (S0, A1, X2, etc.).
- */
-function isNonTerminal(symbol) {
-	return /^[A-Z]\d*$/.test(symbol);
-}
-
 /**
  * Findet alle nullable Variablen (Variablen, die ε ableiten können).
  * Verwendet einen Fixpunkt-Algorithmus für transitive Hülle.
  */
-function findNullableVariables(productions) {
+export function findNullableVariables(productions) {
 	const nullable = new Set();
 	let changed = true;
 
@@ -149,11 +97,28 @@ function findNullableVariables(productions) {
 	return nullable;
 }
 
+/**
+ * Waehlt einen freien Namen fuer die neue Startvariable (S -> S0, Expr -> Expr0).
+ * Kollidiert der Name mit einer Variable der CFG, werden Striche angehaengt (S0').
+ */
+function allocateStartVariable(startSymbol, usedVars) {
+	const isAngleName = startSymbol.startsWith('<') && startSymbol.endsWith('>');
+	const base = isAngleName ? startSymbol.slice(1, -1) : startSymbol.replace(/'+$/, '');
+	let primes = '';
+
+	for (;;) {
+		const candidate = isAngleName ? `<${base}0${primes}>` : `${base}0${primes}`;
+		if (!usedVars.has(candidate)) return candidate;
+		primes += "'";
+	}
+}
+
 /**
  * Erzeugt Schritte zur ε- und Unit-Eliminierung in der CFG.
  * 
  * Algorithmus:
  * 1. Führe neue Startvariable S0 ein mit Regel S0 → S | ε
+ *    (S0 steht fuer einen freien Namen, abgeleitet vom Startsymbol)
  *    Dies garantiert, dass die Startvariable nicht auf der rechten Seite vorkommt
  * 2. Für jede ε-Regel A → ε (wo A ≠ S0):
  *    - Entferne die Regel
@@ -162,13 +127,19 @@ function findNullableVariables(productions) {
  */
 export default function generateRemoveEpsilonSteps(grammar, cnfGraph) {
 	const steps = [];
-	const oldStartSymbol = grammar.startSymbol || 'S';
-	const newStartSymbol = 'S0';
+	const oldStartSymbol = getStartSymbol(grammar);
 
 	const productions = cnfGraph && Object.keys(cnfGraph).length > 0
 		? deepCopy(cnfGraph)
 		: deepCopy(grammar.productions || {});
 
+	const usedVars = new Set([
+		...Object.keys(grammar.productions || {}),
+		...(grammar.nonTerminals || []),
+		...Object.keys(productions),
+	]);
+	const newStartSymbol = allocateStartVariable(oldStartSymbol, usedVars);
+
 	// Schritt 1: Neue Startvariable S0 einführen
 	const initialProductions = deepCopy(productions);
 
@@ -197,10 +168,10 @@ Grammatik G:
 ${formatGrammar(initialProductions, 'G')}
 
 Änderung:
-Führe neue Startvariable S0 ein:\n  ${newStartSymbol} → ${newProductions[newStartSymbol].join(' | ')}\n
+Führe neue Startvariable ${newStartSymbol} ein:\n  ${newStartSymbol} → ${newProductions[newStartSymbol].join(' | ')}\n
 Grund: Die Startvariable darf nicht auf der rechten Seite von Produktionen vorkommen.
 
-Grammatik G'' (nach S0-Einführung):
+Grammatik G'' (nach ${newStartSymbol}-Einführung):
 ${formatGrammar(newProductions, 'G\'')}\n`,
 		delta: { action: 'intro-new-start', newStart: newStartSymbol, oldStart: oldStartSymbol },
 		state: { 
@@ -239,7 +210,7 @@ ${Array.from(nullableVars).map(v => {
 
 Diese Regeln müssen eliminiert werden.
 
-Grammatik G' (nach Einführung von S0):
+Grammatik G' (nach Einführung von ${newStartSymbol}):
 ${formatGrammar(newProductions, 'G\'')}\n`,
 			delta: { action: 'find-epsilon-rules' },
 			state: { 
@@ -431,12 +402,15 @@ ${formatGrammar(newProductions, 'G\'')}\n`,
 		while (changed) {
 			changed = false;
 			Object.keys(prods).forEach(A => {
+				// Transitiv: Unit-Ziele aller bereits erreichbaren Variablen uebernehmen
 				const currClosures = [...closure[A]];
-				(prods[A] || []).forEach(prod => {
-					if (isNonTerminal(prod) && !closure[A].has(prod)) {
-						closure[A].add(prod);
-						changed = true;
-					}
+				currClosures.forEach(B => {
+					(prods[B] || []).forEach(prod => {
+						if (isNonTerminal(prod) && !closure[A].has(prod)) {
+							closure[A].add(prod);
+							changed = true;
+						}
+					});
 				});
 			});
 		}
@@ -654,7 +628,7 @@ Grammatik G'' (zum Verarbeiten):
 		// Wenn S0 mehrfach vorkommt, erzeugen wir alle Kombinationen
 		const expandStartSymbolInProduction = (symbols, startSym, s0Productions) => {
 			if (!symbols.includes(startSym)) {
-				return [symbols.join('')];
+				return [joinSymbols(symbols)];
 			}
 			
 			// Sicherheitscheck: Wenn s0Productions leer ist, kann nicht expandiert werden
@@ -678,7 +652,7 @@ Grammatik G'' (zum Verarbeiten):
 					}
 				}
 				
-				const expanded = newSymbols.join('');
+				const expanded = joinSymbols(newSymbols);
 				if (expanded && !isEpsilon(expanded)) {
 					result.push(expanded);
 				}
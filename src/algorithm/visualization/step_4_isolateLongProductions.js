@@ -1,57 +1,5 @@
-import { isEpsilon } from '../parseGrammar.js';
-
-/**
- * Parsed eine Produktion in einzelne Symbole und erkennt mehrzeilige Variablen wie S0, A1, usw.
- * @param {string} production - Die zu parsende Produktion (z.B. "S0AB", "ABc")
- * @returns {string[]} Array der Symbole (z.B. ["S0", "A", "B"])
- */
-function parseSymbols(production) {
-	// Spezialfall: eps
-	if (isEpsilon(production)) {
-		return ['ε'];
-	}
-
-	const symbols = [];
-	let i = 0;
-
-	while (i < production.length) {
-		// Prüfe ob aktuelles Zeichen ein Großbuchstabe ist
-		if (/[A-Z]/.test(production[i])) {
-			let symbol = production[i];
-			i++;
-
-			// Sammle nachfolgende Ziffern
-			while (i < production.length && /\d/.test(production[i])) {
-				symbol += production[i];
-				i++;
-			}
-
-			symbols.push(symbol);
-		} else {
-			// Terminal oder sonstiges Zeichen
-			symbols.push(production[i]);
-			i++;
-		}
-	}
-
-	return symbols;
-}
-
-/**
- * Prueft, ob ein Symbol der CFG ein Terminal ist.
- */
-function isTerminal(symbol) {
-	return /^[a-z]$/.test(symbol);
-}
-
-/**
- * Prueft, ob ein Symbol der CFG ein Nichtterminal ist.
- * Akzeptiert sowohl einzelne Großbuchstaben (A, B, C) als auch
- * Großbuchstaben mit Ziffern (S0, A1, X2, etc.).
- */
-function isNonTerminal(symbol) {
-	return /^[A-Z]\d*$/.test(symbol);
-}
+import { getStartSymbol, isEpsilon } from '../parseGrammar.js';
+import { isTerminal, joinSymbols, parseSymbols } from '../grammarSymbols.js';
 
 /**
  * Erstellt eine tiefe Kopie einer CFG-Produktionstabelle.
@@ -76,14 +24,13 @@ function buildExistingTerminalMap(productions, startSymbol) {
 			continue;
 		}
 		
+		// Nur reine Terminalvariablen (V -> a als einzige Produktion) wiederverwenden,
+		// sonst aendert das Ersetzen die Sprache (C -> cC | c wuerde zu C -> CC | c)
 		const prods = productions[V] || [];
+		const p = prods[0];
 
-		for (let j = 0; j < prods.length; j++) {
-			const p = prods[j];
-
-			if (p.length === 1 && isTerminal(p) && !map.has(p)) {
-				map.set(p, V);
-			}
+		if (prods.length === 1 && isTerminal(p) && !map.has(p)) {
+			map.set(p, V);
 		}
 	}
 
@@ -114,7 +61,7 @@ function allocateNewVariable(usedVars) {
  */
 export default function generateIsolateLongSteps(grammar, cnfGraph) {
 	const steps = [];
-	const startSymbol = grammar.startSymbol || 'S';
+	const startSymbol = getStartSymbol(grammar);
 
 	const productions = (cnfGraph && Object.keys(cnfGraph).length > 0)
 		? deepCopy(cnfGraph)
@@ -122,7 +69,7 @@ export default function generateIsolateLongSteps(grammar, cnfGraph) {
 
 	const originalVars = new Set(Object.keys(grammar.productions || {}));
 	const usedVars = new Set([...originalVars, ...Object.keys(productions)]);
-	const terminalVarMap = buildExistingTerminalMap(productions, startSymbol); // z.B. 'c' -> 'C' (aber nicht S0!)
+	const terminalVarMap = buildExistingTerminalMap(productions, startSymbol); // z.B. 'c' -> 'C' (aber nicht die Startvariable!)
 
 	const varsSortedInit = Object.keys(productions).sort((a, b) => a.localeCompare(b));
 	const grammarLinesInit = buildGrammarLines(productions, varsSortedInit);
@@ -184,11 +131,14 @@ export default function generateIsolateLongSteps(grammar, cnfGraph) {
 			let prevProd = p; // vor jeder Ersetzung die vorherige Produktion merken
 
 			// Überspringe eps und Produktionen mit Länge < 2
-			if (isEpsilon(p) || p.length < 2) {
+			if (isEpsilon(p)) {
 				continue;
 			}
 
 			let symbols = parseSymbols(p);
+			if (symbols.length < 2) {
+				continue;
+			}
 
 			for (let pos = 0; pos < symbols.length; pos++) {
 				const s = symbols[pos];
@@ -202,7 +152,7 @@ export default function generateIsolateLongSteps(grammar, cnfGraph) {
 				// Ersetze nur an dieser Position
 				const newSymbols = symbols.slice();
 				newSymbols[pos] = Vt;
-				const newProd = newSymbols.join('');
+				const newProd = joinSymbols(newSymbols);
 
 				if (newProd === p) {
 					continue;
@@ -1,50 +1,5 @@
-import { isEpsilon } from '../parseGrammar.js';
-
-/**
- * Parsed eine Produktion in einzelne Symbole und erkennt mehrzeilige Variablen wie S0, A1, usw.
- * @param {string} production - Die zu parsende Produktion (z.B. "S0AB", "ABc")
- * @returns {string[]} Array der Symbole (z.B. ["S0", "A", "B"])
- */
-function parseSymbols(production) {
-	// Spezialfall: ε
-	if (isEpsilon(production)) {
-		return ['ε'];
-	}
-
-	const symbols = [];
-	let i = 0;
-
-	while (i < production.length) {
-		// Prüfe ob aktuelles Zeichen ein Großbuchstabe ist
-		if (/[A-Z]/.test(production[i])) {
-			let symbol = production[i];
-			i++;
-
-			// Sammle nachfolgende Ziffern
-			while (i < production.length && /\d/.test(production[i])) {
-				symbol += production[i];
-				i++;
-			}
-
-			symbols.push(symbol);
-		} else {
-			// Terminal oder sonstiges Zeichen
-			symbols.push(production[i]);
-			i++;
-		}
-	}
-
-	return symbols;
-}
-
-/**
- * Prueft, ob ein Symbol der CFG ein Nichtterminal ist.
- * Akzeptiert sowohl einzelne Großbuchstaben (A, B, C) als auch
- * Großbuchstaben mit Ziffern (S0, A1, X2, etc.).
- */
-function isNonTerminal(symbol) {
-	return /^[A-Z]\d*$/.test(symbol);
-}
+import { getStartSymbol, isEpsilon } from '../parseGrammar.js';
+import { isNonTerminal, joinSymbols, parseSymbols } from '../grammarSymbols.js';
 
 /**
  * Erstellt eine tiefe Kopie einer CFG-Produktionstabelle.
@@ -199,7 +154,7 @@ function allocateNewVariable(usedVars) {
  */
 export default function generateBinaryKaskadierungSteps(grammar, cnfGraph) {
 	const steps = [];
-	const startSymbol = grammar.startSymbol || 'S';
+	const startSymbol = getStartSymbol(grammar);
 
 	const productions = (cnfGraph && Object.keys(cnfGraph).length > 0)
 		? deepCopy(cnfGraph)
@@ -288,10 +243,13 @@ export default function generateBinaryKaskadierungSteps(grammar, cnfGraph) {
 					cnfGraph: deepCopy(current)
 				});
 
-				current[A] = current[A].filter((p, idx) => idx !== i);
+				// Nach Wert entfernen: i bezieht sich auf die urspruengliche Liste
+				current[A] = current[A].filter(p => p !== prod);
 
-				const firstRule = `${symbols[0]}${helperVars[0]}`;
-				current[A].push(firstRule);
+				const firstRule = joinSymbols([symbols[0], helperVars[0]]);
+				if (!current[A].includes(firstRule)) {
+					current[A].push(firstRule);
+				}
 				newProductions.push(firstRule);
 
 				let linesAfterRule = buildGrammarLines(current);
@@ -313,7 +271,7 @@ export default function generateBinaryKaskadierungSteps(grammar, cnfGraph) {
 				// Cascadierung-Regeln nur hinzufügen, wenn diese Cascade neu ist
 				if (isNewCascade) {
 					for (let j = 0; j < m - 3; j++) {
-						const rule = `${symbols[j + 1]}${helperVars[j + 1]}`;
+						const rule = joinSymbols([symbols[j + 1], helperVars[j + 1]]);
 
 						if (!current[helperVars[j]]) {
 							current[helperVars[j]] = [];
@@ -338,7 +296,7 @@ export default function generateBinaryKaskadierungSteps(grammar, cnfGraph) {
 					}
 
 					const lastHelperIdx = m - 3;
-					const lastRule = `${symbols[m - 2]}${symbols[m - 1]}`;
+					const lastRule = joinSymbols([symbols[m - 2], symbols[m - 1]]);
 
 					if (!current[helperVars[lastHelperIdx]]) {
 						current[helperVars[lastHelperIdx]] = [];
@@ -384,7 +342,7 @@ Die Grammatik ist jetzt in CHOMSKY-NORMALFORM (CNF)!
 Alle Produktionen haben eine der folgenden Formen:
   • X → YZ  (zwei Variablen)
   • X → a   (ein Terminal)
-  • S₀ → ε   (nur für Startvariable, wenn ε ∈ L(G))
+  • ${startSymbol} → ε   (nur für Startvariable, wenn ε ∈ L(G))
 
 FINALE CNF-GRAMMATIK:
 ${grammarLinesFinal}`,
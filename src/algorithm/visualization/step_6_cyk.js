@@ -0,0 +1,180 @@
+import { isEpsilon } from '../parseGrammar.js';
+import { isNonTerminal, parseSymbols } from '../grammarSymbols.js';
+import { buildCNFParseTree } from '../parseTree.js';
+
+export const MAX_CYK_WORD_LENGTH = 20;
+
+/**
+ * Erzeugt Schritte fuer den CYK-Wortproblemtest auf der fertigen CNF.
+ * Die Dreieckstabelle table[l - 1][i] haelt die Variablen, die das Teilwort
+ * der Laenge l ab Position i erzeugen; sie wird Zelle fuer Zelle gefuellt.
+ * word ist die Symbolfolge aus tokenizeWord. Bei Akzeptanz enthaelt der
+ * Ergebnisschritt den CNF-Ableitungsbaum (state.cyk.tree).
+ */
+export default function generateCYKSteps(cnfGraph, startSymbol, word, unknown = []) {
+	const steps = [];
+	const productions = cnfGraph || {};
+	const n = word.length;
+	const table = Array.from({ length: n }, (_, row) => Array.from({ length: n - row }, () => []));
+	const backPointers = Array.from({ length: n }, (_, row) => Array.from({ length: n - row }, () => ({})));
+	const { terminalRules, binaryRules } = indexProductions(productions);
+	const wordText = n > 0 ? word.join(' ') : 'ε';
+
+	const pushStep = (id, description, delta, extra = {}) => {
+		steps.push({
+			id,
+			stage: 'cnf-cyk',
+			description,
+			delta,
+			state: {
+				baseCNFProductions: productions,
+				startSymbol,
+				cyk: {
+					word: [...word],
+					table: table.map(row => row.map(cell => [...cell])),
+					activeCell: extra.activeCell || null,
+					sourceCells: extra.sourceCells || [],
+					accepted: extra.accepted ?? null,
+					tree: extra.tree || null,
+				},
+				completed: extra.accepted !== undefined,
+			},
+			clearLogs: false,
+			highlightVariables: extra.highlightVariables || [],
+			highlightVariablesStyle: extra.highlightVariablesStyle || 'focus',
+			highlightProductions: extra.highlightProductions || [],
+			cnfGraph: productions,
+		});
+	};
+
+	const unknownNote = unknown.length > 0
+		? `\n\nAchtung: ${[...new Set(unknown)].join(', ')} ist kein Terminal der Grammatik, das Wort kann nicht erzeugt werden.`
+		: '';
+
+	pushStep('cyk-init', `CYK-Algorithmus für das Wort w = ${wordText} (|w| = ${n})\n\nDie Tabelle enthält in Zeile l und Spalte i alle Variablen, die das Teilwort der Länge l ab Position i erzeugen.${unknownNote}`,
+		{ action: 'init', word: [...word] });
+
+	if (n === 0) {
+		const accepted = (productions[startSymbol] || []).some(isEpsilon);
+		pushStep('cyk-result', accepted
+			? `Das leere Wort wird akzeptiert, da ${startSymbol} -> ε in der CNF enthalten ist.`
+			: `Das leere Wort wird abgelehnt, da ${startSymbol} -> ε nicht in der CNF enthalten ist.`,
+		{ action: 'result', accepted }, {
+			accepted,
+			tree: accepted ? buildCNFParseTree(backPointers, word, startSymbol) : null,
+			highlightVariables: [startSymbol],
+			highlightVariablesStyle: accepted ? 'productive' : 'warning',
+			highlightProductions: accepted ? [`${startSymbol} -> ε`] : [],
+		});
+		return steps;
+	}
+
+	for (let i = 0; i < n; i++) {
+		const terminal = word[i];
+		const rules = terminalRules.get(terminal) || [];
+		table[0][i] = rules.map(rule => rule.lhs).sort();
+		rules.forEach(rule => {
+			backPointers[0][i][rule.lhs] = backPointers[0][i][rule.lhs] || { production: rule.rhs };
+		});
+
+		pushStep(`cyk-cell-1-${i}`, rules.length > 0
+			? `Zelle (1, ${i + 1}): Teilwort "${terminal}"\n\n${rules.map(rule => `${rule.lhs} -> ${terminal}`).join('\n')}\n\nV(1, ${i + 1}) = {${table[0][i].join(', ')}}`
+			: `Zelle (1, ${i + 1}): Teilwort "${terminal}"\n\nKeine Produktion X -> ${terminal}, die Zelle bleibt leer.`,
+		{ action: 'fill-cell', length: 1, start: i, variables: table[0][i] }, {
+			activeCell: { length: 1, start: i },
+			highlightVariables: table[0][i],
+			highlightProductions: rules.map(rule => `${rule.lhs} -> ${terminal}`),
+		});
+	}
+
+	for (let length = 2; length <= n; length++) {
+		for (let start = 0; start + length <= n; start++) {
+			const found = new Set();
+			const used = [];
+			const splitLines = [];
+			const sourceCells = [];
+
+			for (let split = 1; split < length; split++) {
+				const left = table[split - 1][start];
+				const right = table[length - split - 1][start + split];
+				const matches = findBinaryMatches(binaryRules, left, right);
+				sourceCells.push({ length: split, start }, { length: length - split, start: start + split });
+
+				const pairs = matches.map(rule => `${rule.lhs} -> ${rule.rhs}`);
+				splitLines.push(`Teilung ${word.slice(start, start + split).join(' ')} | ${word.slice(start + split, start + length).join(' ')}: `
+					+ `{${left.join(', ')}} × {${right.join(', ')}}`
+					+ (pairs.length > 0 ? ` → ${pairs.join(', ')}` : ' → keine Regel'));
+
+				for (let k = 0; k < matches.length; k++) {
+					const { lhs, rhs } = matches[k];
+					found.add(lhs);
+					used.push(`${lhs} -> ${rhs}`);
+					// Erster Fund je Variable dient spaeter als Rueckverweis fuer den Ableitungsbaum
+					backPointers[length - 1][start][lhs] = backPointers[length - 1][start][lhs] || { production: rhs, split };
+				}
+			}
+
+			table[length - 1][start] = [...found].sort();
+			const substring = word.slice(start, start + length).join(' ');
+
+			pushStep(`cyk-cell-${length}-${start}`, `Zelle (${length}, ${start + 1}): Teilwort "${substring}"\n\n${splitLines.join('\n')}\n\nV(${length}, ${start + 1}) = {${table[length - 1][start].join(', ')}}`,
+				{ action: 'fill-cell', length, start, variables: table[length - 1][start] }, {
+					activeCell: { length, start },
+					sourceCells,
+					highlightVariables: table[length - 1][start],
+					highlightProductions: [...new Set(used)],
+				});
+		}
+	}
+
+	const topCell = table[n - 1][0];
+	const accepted = topCell.includes(startSymbol);
+	pushStep('cyk-result', accepted
+		? `ERGEBNIS: w = ${wordText} wird AKZEPTIERT\n\n${startSymbol} ∈ V(${n}, 1) = {${topCell.join(', ')}}, also w ∈ L(G).`
+		: `ERGEBNIS: w = ${wordText} wird ABGELEHNT\n\n${startSymbol} ∉ V(${n}, 1) = {${topCell.join(', ')}}, also w ∉ L(G).`,
+	{ action: 'result', accepted }, {
+		accepted,
+		tree: accepted ? buildCNFParseTree(backPointers, word, startSymbol) : null,
+		activeCell: { length: n, start: 0 },
+		highlightVariables: [startSymbol],
+		highlightVariablesStyle: accepted ? 'productive' : 'warning',
+	});
+
+	return steps;
+}
+
+/**
+ * Teilt die CNF-Produktionen in X -> a (nach Terminal) und X -> Y Z auf.
+ */
+function indexProductions(productions) {
+	const terminalRules = new Map();
+	const binaryRules = [];
+	const variables = Object.keys(productions);
+
+	for (let i = 0; i < variables.length; i++) {
+		const lhs = variables[i];
+		const alternatives = productions[lhs] || [];
+
+		for (let j = 0; j < alternatives.length; j++) {
+			const production = alternatives[j];
+			if (isEpsilon(production)) continue;
+
+			const symbols = parseSymbols(production);
+			if (symbols.length === 1 && !isNonTerminal(symbols[0])) {
+				if (!terminalRules.has(symbols[0])) terminalRules.set(symbols[0], []);
+				terminalRules.get(symbols[0]).push({ lhs, rhs: production });
+			} else if (symbols.length === 2 && symbols.every(isNonTerminal)) {
+				binaryRules.push({ lhs, left: symbols[0], right: symbols[1], rhs: production });
+			}
+		}
+	}
+
+	return { terminalRules, binaryRules };
+}
+
+/**
+ * Sucht alle Regeln X -> Y Z mit Y aus der linken und Z aus der rechten Zelle.
+ */
+function findBinaryMatches(binaryRules, left, right) {
+	return binaryRules.filter(rule => left.includes(rule.left) && right.includes(rule.right));
+}
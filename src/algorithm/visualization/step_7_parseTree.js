@@ -0,0 +1,63 @@
+import { findParseTrees } from '../ambiguity.js';
+import { collectTreeProductions, getTreeYield } from '../parseTree.js';
+
+/**
+ * Erzeugt Schritte, die den Ableitungsbaum eines akzeptierten Worts zeigen:
+ * zuerst den CNF-Baum aus den CYK-Rueckverweisen, danach einen Baum der
+ * Originalgrammatik. Dieser wird direkt auf der Originalgrammatik gesucht,
+ * weil die CNF Variablennamen auch fuer Terminalvariablen wiederverwendet.
+ */
+export default function generateParseTreeSteps(cnfTree, originalGrammar, word) {
+	if (!cnfTree) return [];
+
+	const steps = [];
+	const wordText = word.length > 0 ? word.join(' ') : 'ε';
+	const cnfProductions = collectTreeProductions(cnfTree);
+
+	steps.push({
+		id: 'parse-tree-cnf',
+		stage: 'parse-tree',
+		description: `Ableitungsbaum für w = ${wordText} in der CNF\n\nAufgebaut aus den Rückverweisen der CYK-Tabelle, beginnend bei ${cnfTree.symbol} in der obersten Zelle.\n\nBenutzte Produktionen:\n${cnfProductions.join('\n')}`,
+		delta: { action: 'show-tree', grammar: 'cnf' },
+		state: { parseTree: { tree: cnfTree, grammar: 'cnf', word: [...word] }, completed: false },
+		clearLogs: false,
+		highlightVariables: [],
+		highlightVariablesStyle: 'focus',
+		highlightProductions: [],
+	});
+
+	const [originalTree] = findParseTrees(originalGrammar, word, 1);
+	const isValid = originalTree && getTreeYield(originalTree).join(' ') === word.join(' ');
+
+	if (!isValid) {
+		steps.push({
+			id: 'parse-tree-original',
+			stage: 'parse-tree',
+			description: 'In der Originalgrammatik wurde kein Ableitungsbaum gefunden.\n\nDer Ableitungsbaum oben bleibt trotzdem gültig für die CNF.',
+			delta: { action: 'map-failed' },
+			state: { parseTree: { tree: cnfTree, grammar: 'cnf', word: [...word] }, completed: true },
+			clearLogs: false,
+			highlightVariables: [],
+			highlightVariablesStyle: 'warning',
+			highlightProductions: [],
+		});
+		return steps;
+	}
+
+	const originalProductions = collectTreeProductions(originalTree);
+	const variables = [...new Set(originalProductions.map(production => production.split(' -> ')[0]))];
+
+	steps.push({
+		id: 'parse-tree-original',
+		stage: 'parse-tree',
+		description: `Ableitungsbaum für w = ${wordText} in der Originalgrammatik\n\nDirekt in der Originalgrammatik gesucht, mit ihren Unit-Ketten und ε-Ableitungen statt der Hilfsvariablen der CNF.\n\nBenutzte Produktionen:\n${originalProductions.join('\n')}`,
+		delta: { action: 'show-tree', grammar: 'original' },
+		state: { parseTree: { tree: originalTree, grammar: 'original', word: [...word] }, completed: true },
+		clearLogs: false,
+		highlightVariables: variables,
+		highlightVariablesStyle: 'productive',
+		highlightProductions: originalProductions,
+	});
+
+	return steps;
+}
@@ -0,0 +1,97 @@
+import { applyProduction, checkSententialForm, findDerivationTarget, formatSententialForm } from '../derivation.js';
+import { getStartSymbol } from '../parseGrammar.js';
+
+const MODE_LABELS = { leftmost: 'Linksableitung', rightmost: 'Rechtsableitung' };
+
+/**
+ * Erzeugt die Schritte einer Links- oder Rechtsableitung.
+ * applications sind die angewandten Produktionen [{ index, variable, production }],
+ * word das Zielwort (Symbol-Array) oder null fuer eine freie Ableitung.
+ * Jeder Schritt traegt in state.derivation den ganzen Verlauf, damit die
+ * Ableitung an jeder Stelle interaktiv fortgesetzt werden kann.
+ */
+export default function generateDerivationSteps(grammar, applications, word, mode) {
+	const startSymbol = getStartSymbol(grammar);
+	const forms = [[startSymbol]];
+	const steps = [];
+	const wordText = word ? formatSententialForm(word) : null;
+
+	steps.push(createStep({
+		id: 'derivation-start',
+		description: `${MODE_LABELS[mode]}${wordText !== null ? ` für w = ${wordText}` : ''}\n\nStart mit der Satzform ${startSymbol}.`,
+		delta: { action: 'start', mode },
+		forms,
+		applications: [],
+		word,
+		mode,
+		highlightVariables: [startSymbol],
+		highlightProductions: [],
+	}));
+
+	for (let i = 0; i < applications.length; i++) {
+		const { index, variable, production } = applications[i];
+		const form = forms[forms.length - 1];
+		if (index !== findDerivationTarget(form, mode) || form[index] !== variable) {
+			throw new Error(`${variable} ist nicht die ${mode === 'rightmost' ? 'rechteste' : 'linkeste'} Variable von ${formatSententialForm(form)}`);
+		}
+		if (!(grammar.productions[variable] || []).includes(production)) {
+			throw new Error(`${variable} -> ${production} ist keine Produktion der Grammatik`);
+		}
+
+		const next = applyProduction(form, index, production);
+		forms.push(next);
+
+		steps.push(createStep({
+			id: `derivation-${i + 1}`,
+			description: `Wende ${variable} -> ${production} an:\n${formatSententialForm(form)} ⇒ ${formatSententialForm(next)}`,
+			delta: { action: 'apply', variable, production, index },
+			forms,
+			applications: applications.slice(0, i + 1),
+			word,
+			mode,
+			highlightVariables: [variable],
+			highlightProductions: [`${variable} -> ${production}`],
+		}));
+	}
+
+	return steps;
+}
+
+/**
+ * Baut einen Ableitungsschritt samt Pruefung der aktuellen Satzform.
+ */
+function createStep({ id, description, delta, forms, applications, word, mode, highlightVariables, highlightProductions }) {
+	const form = forms[forms.length - 1];
+	const target = findDerivationTarget(form, mode);
+	const problem = checkSententialForm(form, word, mode);
+	const complete = target === -1;
+	let text = description;
+
+	if (problem) {
+		text += `\n\nAchtung: ${problem}.`;
+	} else if (complete) {
+		text += `\n\nAbleitung abgeschlossen: ${formatSententialForm(form)}${word ? ' = w' : ''}`;
+	}
+
+	return {
+		id,
+		stage: 'derivation',
+		description: text,
+		delta,
+		state: {
+			derivation: {
+				mode,
+				word: word ? [...word] : null,
+				forms: forms.map(entry => [...entry]),
+				applications: [...applications],
+				target,
+				complete,
+				problem,
+			},
+		},
+		clearLogs: false,
+		highlightVariables,
+		highlightVariablesStyle: problem ? 'warning' : 'focus',
+		highlightProductions,
+	};
+}
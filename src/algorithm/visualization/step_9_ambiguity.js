@@ -0,0 +1,95 @@
+import findAmbiguity from '../ambiguity.js';
+import { derivationForms, derivationFromTree, formatSententialForm } from '../derivation.js';
+import { formatWord } from '../enumerateWords.js';
+import { getStartSymbol } from '../parseGrammar.js';
+import { collectTreeProductions } from '../parseTree.js';
+
+/**
+ * Erzeugt Schritte der beschraenkten Mehrdeutigkeitspruefung: je Wortlaenge
+ * einen Pruefschritt, danach das Ergebnis. Bei einem Zeugen zeigt der letzte
+ * Schritt beide Ableitungsbaeume nebeneinander.
+ */
+export default function generateAmbiguitySteps(grammar, maxLength) {
+	const result = findAmbiguity(grammar, maxLength);
+	const checkedLength = result.lengths.length - 1;
+	const steps = [];
+
+	steps.push(createStep({
+		id: 'ambiguity-init',
+		description: `Suche nach einem Wort mit zwei verschiedenen Ableitungsbäumen (= zwei Linksableitungen), Wörter bis Länge ${checkedLength}.\n\nFür jedes Wort wird die Zahl der Ableitungsbäume bestimmt, in Längen-lexikographischer Reihenfolge.`,
+		delta: { action: 'init', maxLength: checkedLength },
+	}));
+
+	for (let i = 0; i < result.lengths.length; i++) {
+		const { length, words, ambiguous } = result.lengths[i];
+		steps.push(createStep({
+			id: `ambiguity-length-${length}`,
+			description: ambiguous > 0
+				? `Länge ${length}: ${ambiguous} von ${words} Wörtern haben mehrere Ableitungsbäume.`
+				: `Länge ${length}: ${words} ${words === 1 ? 'Wort' : 'Wörter'}, jedes mit genau einem Ableitungsbaum.`,
+			delta: { action: 'check-length', length, words, ambiguous },
+		}));
+	}
+
+	if (!result.witness || result.trees.length < 2) {
+		steps.push(createStep({
+			id: 'ambiguity-result',
+			description: `Kein mehrdeutiges Wort bis Länge ${checkedLength} gefunden.${result.truncated ? '\n\nAchtung: Die Suche wurde wegen zu vieler Wörter gekürzt.' : ''}\n\nMehrdeutigkeit ist unentscheidbar: Längere Wörter können trotzdem mehrdeutig sein.`,
+			delta: { action: 'result', ambiguous: false, maxLength: checkedLength },
+			highlightVariablesStyle: 'productive',
+		}));
+		return steps;
+	}
+
+	const [first, second] = result.trees;
+	const startSymbol = getStartSymbol(grammar);
+	const firstProductions = collectTreeProductions(first);
+	const secondProductions = collectTreeProductions(second);
+	const difference = [
+		...firstProductions.filter(production => !secondProductions.includes(production)),
+		...secondProductions.filter(production => !firstProductions.includes(production)),
+	];
+
+	steps.push(createStep({
+		id: 'ambiguity-result',
+		description: `Die Grammatik ist MEHRDEUTIG.\n\nZeuge: w = ${formatWord(result.witness)} hat zwei Ableitungsbäume.\n\nLinksableitung 1:\n${formatDerivation(startSymbol, first)}\n\nLinksableitung 2:\n${formatDerivation(startSymbol, second)}${difference.length > 0 ? `\n\nUnterschiedlich benutzte Produktionen:\n${difference.join('\n')}` : ''}`,
+		delta: { action: 'result', ambiguous: true, maxLength: checkedLength, witness: result.witness },
+		state: {
+			parseTree: {
+				trees: [first, second],
+				labels: ['Ableitungsbaum 1', 'Ableitungsbaum 2'],
+				grammar: 'original',
+				word: result.witness,
+			},
+		},
+		highlightVariablesStyle: 'warning',
+		highlightProductions: difference,
+	}));
+
+	return steps;
+}
+
+/**
+ * Schreibt die Linksableitung eines Baums als Satzformfolge.
+ */
+function formatDerivation(startSymbol, tree) {
+	const forms = derivationForms(startSymbol, derivationFromTree(tree, 'leftmost'));
+	return forms.map(formatSententialForm).join(' ⇒ ');
+}
+
+/**
+ * Baut einen Schritt der Mehrdeutigkeitspruefung.
+ */
+function createStep({ id, description, delta, state = {}, highlightVariablesStyle = 'focus', highlightProductions = [] }) {
+	return {
+		id,
+		stage: 'ambiguity',
+		description,
+		delta,
+		state,
+		clearLogs: false,
+		highlightVariables: [],
+		highlightVariablesStyle,
+		highlightProductions,
+	};
+}
@@ -38,17 +38,29 @@ const BaseCanvas = forwardRef(function BaseCanvas(
 		zoomIn,
 		zoomOut,
 		resetView,
+		restoreView,
 		setOffsetClamped
 	} = controls;
+	const restoredViewRef = useRef(false);
 
 	useImperativeHandle(ref, () => ({
 		zoomIn,
 		zoomOut,
-		resetView
-	}), [viewport]);
+		resetView,
+		getView: () => ({ scale, offset }),
+		restoreView: (view) => {
+			restoredViewRef.current = true;
+			restoreView(view);
+		}
+	}), [viewport, scale, offset]);
 
 	useEffect(() => {
 		if (!viewportCenterOn) return;
+		// Ein wiederhergestellter Viewport (Projektdatei) wird nicht neu zentriert
+		if (restoredViewRef.current) {
+			restoredViewRef.current = false;
+			return;
+		}
 
 		const viewW = viewport.width || canvasRef.current?.clientWidth || window.innerWidth;
 		const viewH = viewport.height || canvasRef.current?.clientHeight || window.innerHeight;
@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from 'react';
+import { stepManager } from '../algorithm/steps.js';
+
+/**
+ * Dreieckstabelle des CYK-Algorithmus fuer den aktuellen Schritt.
+ * Zeile l enthaelt die Variablenmengen aller Teilwoerter der Laenge l.
+ */
+export default function CYKTable() {
+	const [cyk, setCyk] = useState(null);
+
+	useEffect(() => {
+		const handleStepChange = () => {
+			setCyk(stepManager.getCurrentStep()?.state?.cyk || null);
+		};
+
+		const unsubscribe = stepManager.subscribe(handleStepChange);
+		handleStepChange();
+		return unsubscribe;
+	}, []);
+
+	if (!cyk) return null;
+
+	const { word, table, activeCell, sourceCells, accepted } = cyk;
+	const isSource = (length, start) => sourceCells.some(cell => cell.length === length && cell.start === start);
+	const isActive = (length, start) => activeCell && activeCell.length === length && activeCell.start === start;
+
+	return (
+		<div className="cyk-panel">
+			<div className={`cyk-title ${accepted === true ? 'accepted' : accepted === false ? 'rejected' : ''}`}>
+				CYK: {word.length > 0 ? word.join(' ') : 'ε'}
+				{accepted === true && ' – akzeptiert'}
+				{accepted === false && ' – abgelehnt'}
+			</div>
+			{word.length > 0 && (
+				<table className="cyk-table">
+					<thead>
+						<tr>
+							<th></th>
+							{word.map((symbol, index) => (
+								<th key={index}>{symbol}</th>
+							))}
+						</tr>
+					</thead>
+					<tbody>
+						{table.map((row, rowIndex) => (
+							<tr key={rowIndex}>
+								<th>{rowIndex + 1}</th>
+								{row.map((cell, start) => {
+									const length = rowIndex + 1;
+									const classes = ['cyk-cell'];
+									if (isActive(length, start)) classes.push('active');
+									else if (isSource(length, start)) classes.push('source');
+									return (
+										<td key={start} className={classes.join(' ')}>
+											{cell.length > 0 ? cell.join(', ') : '∅'}
+										</td>
+									);
+								})}
+							</tr>
+						))}
+					</tbody>
+				</table>
+			)}
+		</div>
+	);
+}
@@ -7,6 +7,7 @@ import React, {
 } from 'react';
 import useViewportControls from '../controls/useViewportControls.js';
 import buildTreeLayout from '../algorithm/makeTree.js';
+import { getStartSymbol } from '../algorithm/parseGrammar.js';
 import { renderEdges } from '../algorithm/rendering/renderEdges.js';
 import { renderNodes } from '../algorithm/rendering/renderNodes.js';
 import { computeEdgeCurves } from '../algorithm/rendering/computeEdgeCurves.js';
@@ -22,7 +23,7 @@ const CANVAS_HEIGHT = 2000;
 const Canvas = forwardRef(function Canvas({ grammar, onConnectedProductionsChange }, ref) {
 	const canvasRef = useRef(null);
 	const controls = useViewportControls(canvasRef, { canvasWidth: CANVAS_WIDTH, canvasHeight: CANVAS_HEIGHT });
-	const { scale, offset, viewport, isPanning, onMouseDown, onMouseMove, onMouseUp, onMouseLeave, onWheel, zoomIn, zoomOut, resetView, setOffsetClamped } = controls;
+	const { scale, offset, viewport, isPanning, onMouseDown, onMouseMove, onMouseUp, onMouseLeave, onWheel, zoomIn, zoomOut, resetView, restoreView, setOffsetClamped } = controls;
 
 	const treeLayoutCache = useRef(null);
 	const cachedGrammar = useRef(null);
@@ -38,8 +39,10 @@ const Canvas = forwardRef(function Canvas({ grammar, onConnectedProductionsChang
 	useImperativeHandle(ref, () => ({
 		zoomIn,
 		zoomOut,
-		resetView
-	}), [viewport]);
+		resetView,
+		getView: () => ({ scale, offset }),
+		restoreView
+	}), [viewport, scale, offset]);
 
 	/**
 	 * Rendert den CFG-Graphen fuer die aktuelle Grammatik.
@@ -144,10 +147,10 @@ function drawGrid(ctx, scale) {
  * Prueft, ob die CFG ein Startsymbol besitzt.
  */
 function hasStartSymbol(grammar) {
-	return grammar && (
-		(grammar.nonTerminals && grammar.nonTerminals.includes('S')) ||
-		(grammar.productions && grammar.productions.S)
-	);
+	if (!grammar || !grammar.productions) return false;
+	const startSymbol = getStartSymbol(grammar);
+	return (grammar.nonTerminals && grammar.nonTerminals.includes(startSymbol)) ||
+		!!grammar.productions[startSymbol];
 }
 
 /**
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import BaseCanvas from './BaseCanvas.jsx';
 import buildTreeLayout from '../algorithm/makeTree.js';
+import { getStartSymbol } from '../algorithm/parseGrammar.js';
 import { computeEdgeCurves } from '../algorithm/rendering/computeEdgeCurves.js';
 import { renderNodes } from '../algorithm/rendering/renderNodes.js';
 import { renderEdges } from '../algorithm/rendering/renderEdges.js';
@@ -31,7 +32,7 @@ const CanvasCNF = React.forwardRef(function CanvasCNF(
 	useEffect(() => {
 		if (cnfGraph && Object.keys(cnfGraph).length > 0) {
 			// Verwende startSymbol aus dem aktuellen Step, falls vorhanden
-			const startSymbol = currentStep?.state?.startSymbol || grammar.startSymbol || 'S';
+			const startSymbol = currentStep?.state?.startSymbol || getStartSymbol(grammar);
 			const cnfGrammar = { 
 				...grammar, 
 				productions: cnfGraph,
@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from 'react';
+import { formatSententialForm } from '../algorithm/derivation.js';
+import { stepManager } from '../algorithm/steps.js';
+import generateDerivationSteps from '../algorithm/visualization/step_8_derivation.js';
+
+const MODE_LABELS = { leftmost: 'Linksableitung', rightmost: 'Rechtsableitung' };
+
+/**
+ * Verlauf der Satzformen einer Links-/Rechtsableitung fuer den aktuellen Schritt.
+ * Fuer die naechste zu ersetzende Variable werden ihre Produktionen angeboten;
+ * eine Auswahl verwirft spaetere Schritte und setzt die Ableitung hier fort.
+ */
+export default function DerivationPanel({ grammar }) {
+	const [derivation, setDerivation] = useState(null);
+
+	useEffect(() => {
+		const handleStepChange = () => {
+			setDerivation(stepManager.getCurrentStep()?.state?.derivation || null);
+		};
+
+		const unsubscribe = stepManager.subscribe(handleStepChange);
+		handleStepChange();
+		return unsubscribe;
+	}, []);
+
+	if (!derivation || !grammar) return null;
+
+	const { mode, word, forms, applications, target, complete, problem } = derivation;
+	const form = forms[forms.length - 1];
+	const variable = complete ? null : form[target];
+	const alternatives = variable ? grammar.productions[variable] || [] : [];
+
+	/**
+	 * Wendet eine Produktion auf die aktuelle Satzform an.
+	 */
+	const applyAlternative = (production) => {
+		const next = [...applications, { index: target, variable, production }];
+		const steps = generateDerivationSteps(grammar, next, word, mode);
+		stepManager.initializeSteps(steps);
+		stepManager.jumpToStep(steps.length - 1);
+	};
+
+	return (
+		<div className="cyk-panel derivation-panel">
+			<div className={`cyk-title ${problem ? 'rejected' : complete ? 'accepted' : ''}`}>
+				{MODE_LABELS[mode]}{word && ` für w = ${formatSententialForm(word)}`}
+			</div>
+			<ol className="derivation-history">
+				{forms.map((entry, index) => (
+					<li key={index}>
+						{index > 0 && <span className="derivation-arrow">⇒ </span>}
+						{index === forms.length - 1 && variable
+							? renderTarget(entry, target)
+							: formatSententialForm(entry)}
+					</li>
+				))}
+			</ol>
+			{problem && <div className="derivation-problem">{problem}</div>}
+			{variable && (
+				<div className="derivation-choices">
+					{alternatives.map(production => (
+						<button
+							key={production}
+							className="btn btn-secondary derivation-choice"
+							onClick={() => applyAlternative(production)}
+						>
+							{variable} → {production}
+						</button>
+					))}
+				</div>
+			)}
+		</div>
+	);
+}
+
+/**
+ * Hebt die naechste zu ersetzende Variable in der Satzform hervor.
+ */
+function renderTarget(form, target) {
+	return (
+		<>
+			{form.slice(0, target).map(symbol => `${symbol} `).join('')}
+			<strong className="derivation-target">{form[target]}</strong>
+			{form.slice(target + 1).map(symbol => ` ${symbol}`).join('')}
+		</>
+	);
+}
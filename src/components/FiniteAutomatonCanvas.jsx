@@ -0,0 +1,172 @@
+import React, { forwardRef, useMemo } from 'react';
+import OverlayCanvas from './OverlayCanvas.jsx';
+import { getAutomatonEdges, layoutFiniteAutomaton } from '../algorithm/regularGrammar.js';
+import { computeEdgeCurves } from '../algorithm/rendering/computeEdgeCurves.js';
+import { drawArrow } from '../algorithm/rendering/drawingFunctions.js';
+import { renderEdges } from '../algorithm/rendering/renderEdges.js';
+import { renderNodes } from '../algorithm/rendering/renderNodes.js';
+import { HIGHLIGHT_STYLES } from '../algorithm/rendering/highlightElements.js';
+import { useStepState } from '../algorithm/steps.js';
+
+const NODE_RADIUS = 22;
+
+/**
+ * Zeichnet den endlichen Automaten aus state.automaton (NFA, DFA oder
+ * minimaler DFA): Startpfeil, akzeptierende Zustaende als Doppelkreis,
+ * Zustandsmengen unter den Knoten und die Klassen der Minimierung darueber.
+ */
+const FiniteAutomatonCanvas = forwardRef(function FiniteAutomatonCanvas(_props, ref) {
+	const automaton = useStepState('automaton');
+
+	const states = automaton?.states;
+	const transitions = automaton?.transitions;
+	const boxLabels = automaton?.boxes;
+	const layout = useMemo(() => {
+		if (!states) return null;
+		return layoutFiniteAutomaton(states, transitions, boxLabels);
+	}, [states, transitions, boxLabels]);
+
+	const draw = (ctx) => {
+		const visible = new Set(automaton.states.slice(0, automaton.visibleStates).map(state => state.id));
+		const nodes = layout.nodes.filter(node => visible.has(node.symbol));
+		const edges = getAutomatonEdges(automaton.transitions.slice(0, automaton.visibleTransitions), nodes);
+		const active = new Set(automaton.activeTransitions);
+
+		drawStateBoxes(ctx, layout.boxes.filter(box => visible.has(box.id)));
+		drawStartArrows(ctx, nodes);
+		renderEdges(ctx, edges, computeEdgeCurves(edges, nodes));
+		renderNodes(ctx, nodes, edges);
+		drawStateMarkers(ctx, nodes, new Set(automaton.activeStates));
+		drawBlocks(ctx, nodes, automaton.blocks);
+		drawEdgeLabels(ctx, edges, nodes, active);
+	};
+
+	return (
+		<OverlayCanvas ref={ref} name="automaton" layout={layout} draw={draw}>
+			{automaton && <div className="automaton-title">{automaton.title}</div>}
+		</OverlayCanvas>
+	);
+});
+
+/**
+ * Schreibt die Zustandsmengen des DFA unter die Knoten.
+ */
+function drawStateBoxes(ctx, boxes) {
+	ctx.font = '13px monospace';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'top';
+
+	for (let i = 0; i < boxes.length; i++) {
+		const box = boxes[i];
+		const width = ctx.measureText(box.label).width + 12;
+		ctx.fillStyle = '#ffffff';
+		ctx.fillRect(box.x - width / 2, box.y, width, 20);
+		ctx.strokeStyle = '#999';
+		ctx.lineWidth = 1;
+		ctx.strokeRect(box.x - width / 2, box.y, width, 20);
+		ctx.fillStyle = '#222';
+		ctx.fillText(box.label, box.x, box.y + 4);
+	}
+}
+
+/**
+ * Zeichnet den Startpfeil von links an den Startzustand.
+ */
+function drawStartArrows(ctx, nodes) {
+	nodes.filter(node => node.isStart).forEach(node => {
+		drawArrow(ctx, node.x - 70, node.y - 40, node.x, node.y);
+	});
+}
+
+/**
+ * Markiert akzeptierende Zustaende mit einem zweiten Kreis und die aktiven Zustaende.
+ */
+function drawStateMarkers(ctx, nodes, activeStates) {
+	for (let i = 0; i < nodes.length; i++) {
+		const node = nodes[i];
+		if (node.isAccepting) {
+			ctx.strokeStyle = '#222';
+			ctx.lineWidth = 2;
+			ctx.beginPath();
+			ctx.arc(node.x, node.y, NODE_RADIUS - 5, 0, 2 * Math.PI);
+			ctx.stroke();
+		}
+		if (!activeStates.has(node.symbol)) continue;
+
+		const style = HIGHLIGHT_STYLES.focus;
+		ctx.save();
+		ctx.strokeStyle = style.nodeStroke;
+		ctx.lineWidth = style.nodeStrokeWidth + 1;
+		ctx.globalAlpha = style.opacity;
+		ctx.beginPath();
+		ctx.arc(node.x, node.y, NODE_RADIUS + 4, 0, 2 * Math.PI);
+		ctx.stroke();
+		ctx.restore();
+	}
+}
+
+/**
+ * Schreibt bei der Minimierung die Klasse K1, K2, ... ueber jeden Zustand.
+ */
+function drawBlocks(ctx, nodes, blocks) {
+	if (!blocks) return;
+	ctx.font = 'bold 13px monospace';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'bottom';
+	ctx.fillStyle = '#b58900';
+
+	for (let i = 0; i < nodes.length; i++) {
+		const block = blocks[nodes[i].symbol];
+		if (block !== undefined) ctx.fillText(`K${block}`, nodes[i].x, nodes[i].y - NODE_RADIUS - 8);
+	}
+}
+
+/**
+ * Beschriftet die Kanten mit ihren Zeichen, neu hinzugekommene hervorgehoben.
+ */
+function drawEdgeLabels(ctx, edges, nodes, active) {
+	const curves = computeEdgeCurves(edges, nodes);
+	ctx.font = 'bold 14px monospace';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+
+	for (let i = 0; i < edges.length; i++) {
+		const edge = edges[i];
+		const isActive = edge.transitions.some(index => active.has(index));
+		const { x, y } = edge.isSelfLoop
+			? { x: edge.from.x - 2 * NODE_RADIUS - 36, y: edge.from.y }
+			: getEdgeLabelPosition(edge, curves.get(edgeKey(edge)));
+
+		const width = ctx.measureText(edge.label).width + 8;
+		ctx.fillStyle = isActive ? '#fff3c4' : 'rgba(255, 255, 255, 0.9)';
+		ctx.fillRect(x - width / 2, y - 9, width, 18);
+		ctx.fillStyle = isActive ? '#b58900' : '#1a4fa0';
+		ctx.fillText(edge.label, x, y);
+	}
+}
+
+/**
+ * Liefert den Mittelpunkt einer geraden Kante oder den Scheitel einer Kurve.
+ */
+function getEdgeLabelPosition(edge, curve) {
+	const midX = (edge.from.x + edge.to.x) / 2;
+	const midY = (edge.from.y + edge.to.y) / 2;
+	if (!curve || !curve.shouldCurve) return { x: midX, y: midY };
+
+	const vx = edge.to.x - edge.from.x;
+	const vy = edge.to.y - edge.from.y;
+	const len = Math.sqrt(vx * vx + vy * vy) || 1;
+	return {
+		x: midX + (-vy / len) * curve.sign * curve.dist / 2,
+		y: midY + (vx / len) * curve.sign * curve.dist / 2,
+	};
+}
+
+/**
+ * Schluessel einer Kante wie in computeEdgeCurves.
+ */
+function edgeKey(edge) {
+	return `${edge.from.symbol}|${edge.from.x},${edge.from.y}->${edge.to.symbol}|${edge.to.x},${edge.to.y}`;
+}
+
+export default FiniteAutomatonCanvas;
@@ -0,0 +1,61 @@
+import React, { useEffect, useState } from 'react';
+import { stepManager } from '../algorithm/steps.js';
+
+const PHASE_TITLES = {
+	nullable: 'Phase 1: nullable',
+	first: 'Phase 2: FIRST',
+	follow: 'Phase 3: FOLLOW',
+	complete: 'FIRST und FOLLOW berechnet',
+};
+
+/**
+ * Tabelle mit nullable, FIRST und FOLLOW je Variable fuer den aktuellen Schritt.
+ * Spalten spaeterer Phasen bleiben leer, bis ihre Iteration beginnt.
+ */
+export default function FirstFollowTable() {
+	const [table, setTable] = useState(null);
+
+	useEffect(() => {
+		const handleStepChange = () => {
+			setTable(stepManager.getCurrentStep()?.state?.firstFollow || null);
+		};
+
+		const unsubscribe = stepManager.subscribe(handleStepChange);
+		handleStepChange();
+		return unsubscribe;
+	}, []);
+
+	if (!table) return null;
+
+	const { phase, changed, variables, nullable, first, follow } = table;
+	const showFirst = phase !== 'nullable';
+	const showFollow = phase === 'follow' || phase === 'complete';
+	const isChanged = (variable, column) => changed && changed.variable === variable && changed.column === column;
+	const cellClass = (variable, column) => `first-follow-cell${isChanged(variable, column) ? ' changed' : ''}`;
+
+	return (
+		<div className="first-follow-panel">
+			<div className="first-follow-title">{PHASE_TITLES[phase]}</div>
+			<table className="first-follow-table">
+				<thead>
+					<tr>
+						<th></th>
+						<th>nullable</th>
+						<th>FIRST</th>
+						<th>FOLLOW</th>
+					</tr>
+				</thead>
+				<tbody>
+					{variables.map(variable => (
+						<tr key={variable}>
+							<th>{variable}</th>
+							<td className={cellClass(variable, 'nullable')}>{nullable.includes(variable) ? 'ja' : ''}</td>
+							<td className={cellClass(variable, 'first')}>{showFirst ? `{${first[variable].join(', ')}}` : ''}</td>
+							<td className={cellClass(variable, 'follow')}>{showFollow ? `{${follow[variable].join(', ')}}` : ''}</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+		</div>
+	);
+}
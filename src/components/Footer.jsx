@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import '../styles/footer.css';
 import { useStepManager, stepManager } from '../algorithm/steps.js';
+import { REGULAR_TYPES } from '../algorithm/regularGrammar.js';
 
 /**
  * Steuerleiste fuer die schrittweise CFG-Analyse.
@@ -9,7 +10,9 @@ export default function Footer({
 	visible,
 	analyzeFlag,
 	footerResetTrigger,
-	forceDefaultFooter
+	forceDefaultFooter,
+	regularType,
+	onShowAllWords
 }) {
 	const showControls = analyzeFlag && visible && !forceDefaultFooter;
 	const {
@@ -24,10 +27,12 @@ export default function Footer({
 
 	const [isEmptyLanguage, setIsEmptyLanguage] = useState(null);
 	const [isInfinite, setIsInfinite] = useState(null);
+	const [ambiguity, setAmbiguity] = useState(null);
 
 	useEffect(() => {
 		setIsEmptyLanguage(null);
 		setIsInfinite(null);
+		setAmbiguity(null);
 	}, [footerResetTrigger]);
 
 	useEffect(() => {
@@ -43,6 +48,10 @@ export default function Footer({
 				step.state?.isInfinite !== null) {
 				setIsInfinite(step.state.isInfinite);
 			}
+
+			if (step?.stage === 'ambiguity' && step.delta?.action === 'result') {
+				setAmbiguity({ ambiguous: step.delta.ambiguous, maxLength: step.delta.maxLength });
+			}
 		});
 
 		return () => unsubscribe();
@@ -65,6 +74,22 @@ export default function Footer({
 				<div className="footer-layout">
 					<div className="footer-property-left">
 						{renderLanguageProperty(isEmptyLanguage, 'LEER', 'NICHT LEER')}
+						{regularType && (
+							<span
+								className="footer-property-extra footer-regular-badge"
+								title="Alle Produktionen sind von dieser Form, die Sprache ist also regulär"
+							>
+								regulär ({REGULAR_TYPES[regularType]})
+							</span>
+						)}
+						{ambiguity && (
+							<span
+								className="footer-property-extra"
+								title={ambiguity.ambiguous ? undefined : 'Keine Aussage über längere Wörter'}
+							>
+								{renderLanguageProperty(ambiguity.ambiguous, 'MEHRDEUTIG', `EINDEUTIG (≤ ${ambiguity.maxLength})`)}
+							</span>
+						)}
 					</div>
 
 					<div className="footer-controls">
@@ -98,6 +123,15 @@ export default function Footer({
 						) : (
 							renderLanguageProperty(isInfinite, 'UNENDLICH', 'ENDLICH')
 						)}
+						{onShowAllWords && (isEmptyLanguage === true || isInfinite === false) && (
+							<button
+								className="footer-link-btn"
+								title="Alle Wörter der endlichen Sprache auflisten"
+								onClick={onShowAllWords}
+							>
+								Alle Wörter
+							</button>
+						)}
 					</div>
 				</div>
 			) : (
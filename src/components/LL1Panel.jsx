@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import { stepManager } from '../algorithm/steps.js';
+
+/**
+ * LL(1)-Parsetabelle fuer den aktuellen Schritt, darunter der Ablauf des
+ * tabellengesteuerten Parsers mit Stapel, Resteingabe und Aktion.
+ */
+export default function LL1Panel() {
+	const [ll1, setLL1] = useState(null);
+
+	useEffect(() => {
+		const handleStepChange = () => {
+			setLL1(stepManager.getCurrentStep()?.state?.ll1 || null);
+		};
+
+		const unsubscribe = stepManager.subscribe(handleStepChange);
+		handleStepChange();
+		return unsubscribe;
+	}, []);
+
+	if (!ll1) return null;
+
+	const { variables, terminals, cells, conflicts, isLL1, activeCells, parse } = ll1;
+	const isConflict = (variable, terminal) => conflicts.some(conflict => conflict.variable === variable && conflict.terminal === terminal);
+	const isActive = (variable, terminal) => activeCells.some(cell => cell.variable === variable && cell.terminal === terminal);
+
+	return (
+		<div className="cyk-panel ll1-panel">
+			<div className={`cyk-title ${isLL1 === true ? 'accepted' : isLL1 === false ? 'rejected' : ''}`}>
+				LL(1)-Tabelle
+				{isLL1 === true && ' – LL(1)'}
+				{isLL1 === false && ' – nicht LL(1)'}
+			</div>
+			<table className="cyk-table">
+				<thead>
+					<tr>
+						<th></th>
+						{terminals.map(terminal => (
+							<th key={terminal}>{terminal}</th>
+						))}
+					</tr>
+				</thead>
+				<tbody>
+					{variables.map(variable => (
+						<tr key={variable}>
+							<th>{variable}</th>
+							{terminals.map(terminal => {
+								const productions = cells[variable]?.[terminal] || [];
+								const classes = ['cyk-cell'];
+								if (isActive(variable, terminal)) classes.push('active');
+								if (isConflict(variable, terminal)) classes.push('conflict');
+								return (
+									<td key={terminal} className={classes.join(' ')}>
+										{productions.map(production => (
+											<div key={production}>{variable} → {production}</div>
+										))}
+									</td>
+								);
+							})}
+						</tr>
+					))}
+				</tbody>
+			</table>
+			{parse && (
+				<>
+					<div className={`cyk-title parse-title ${parse.accepted === true ? 'accepted' : parse.accepted === false ? 'rejected' : ''}`}>
+						Parser: {parse.word.length > 0 ? parse.word.join(' ') : 'ε'}
+						{parse.accepted === true && ' – akzeptiert'}
+						{parse.accepted === false && ' – abgelehnt'}
+					</div>
+					<table className="parse-trace">
+						<thead>
+							<tr>
+								<th>Stapel</th>
+								<th>Eingabe</th>
+								<th>Aktion</th>
+							</tr>
+						</thead>
+						<tbody>
+							{parse.rows.map((row, index) => (
+								<tr key={index} className={`${row.kind}${index === parse.rows.length - 1 ? ' current' : ''}`}>
+									<td>{[...row.stack].reverse().join(' ')}</td>
+									<td>{row.input.join(' ')}</td>
+									<td>{row.action}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</>
+			)}
+		</div>
+	);
+}
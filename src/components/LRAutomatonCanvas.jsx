@@ -0,0 +1,134 @@
+import React, { forwardRef, useMemo } from 'react';
+import OverlayCanvas from './OverlayCanvas.jsx';
+import { layoutLRAutomaton } from '../algorithm/lrAutomaton.js';
+import { computeEdgeCurves } from '../algorithm/rendering/computeEdgeCurves.js';
+import { renderEdges } from '../algorithm/rendering/renderEdges.js';
+import { renderNodes } from '../algorithm/rendering/renderNodes.js';
+import { HIGHLIGHT_STYLES } from '../algorithm/rendering/highlightElements.js';
+import { useStepState } from '../algorithm/steps.js';
+
+const NODE_RADIUS = 22;
+
+/**
+ * Zeichnet den LR(0)-Automaten aus state.lr: Zustaende als Knoten mit ihrer
+ * Item-Menge darunter, Uebergaenge als beschriftete Kanten. Bereits entdeckte
+ * Zustaende erscheinen nach und nach, der aktuelle Zustand ist markiert.
+ */
+const LRAutomatonCanvas = forwardRef(function LRAutomatonCanvas(_props, ref) {
+	const lr = useStepState('lr');
+
+	const automaton = lr?.automaton;
+	const layout = useMemo(() => {
+		if (!automaton) return null;
+		return layoutLRAutomaton(automaton.states, automaton.transitions);
+	}, [automaton]);
+
+	const draw = (ctx) => {
+		const visible = new Set(automaton.states.slice(0, lr.visibleStates).map(state => `I${state.id}`));
+		const nodes = layout.nodes.filter(node => visible.has(node.symbol));
+		const edges = layout.edges.slice(0, lr.visibleTransitions);
+		const conflictStates = new Set((lr.table?.conflicts || []).map(conflict => conflict.state));
+
+		drawItemBoxes(ctx, layout.boxes.filter(box => visible.has(`I${box.id}`)), lr.activeState, conflictStates);
+		renderEdges(ctx, edges, computeEdgeCurves(edges, nodes));
+		renderNodes(ctx, nodes, edges);
+		drawStateMarkers(ctx, nodes, lr.activeState, conflictStates);
+		drawEdgeLabels(ctx, edges, nodes);
+	};
+
+	return <OverlayCanvas ref={ref} name="lr-automaton" layout={layout} draw={draw} />;
+});
+
+/**
+ * Zeichnet die Item-Mengen als Kaesten unter den Zustaenden.
+ */
+function drawItemBoxes(ctx, boxes, activeState, conflictStates) {
+	ctx.font = '13px monospace';
+	ctx.textAlign = 'left';
+	ctx.textBaseline = 'top';
+
+	for (let i = 0; i < boxes.length; i++) {
+		const box = boxes[i];
+		ctx.fillStyle = box.id === activeState ? '#fff8d6' : '#ffffff';
+		ctx.fillRect(box.x, box.y, box.width, box.height);
+		ctx.lineWidth = conflictStates.has(box.id) ? 2 : 1;
+		ctx.strokeStyle = conflictStates.has(box.id) ? HIGHLIGHT_STYLES.warning.nodeStroke : '#999';
+		ctx.strokeRect(box.x, box.y, box.width, box.height);
+
+		ctx.fillStyle = '#222';
+		for (let j = 0; j < box.items.length; j++) {
+			ctx.fillText(box.items[j], box.x + 8, box.y + 5 + j * box.lineHeight);
+		}
+	}
+}
+
+/**
+ * Markiert den aktuellen Zustand und Zustaende mit Konflikten.
+ */
+function drawStateMarkers(ctx, nodes, activeState, conflictStates) {
+	for (let i = 0; i < nodes.length; i++) {
+		const node = nodes[i];
+		const style = node.id === activeState
+			? HIGHLIGHT_STYLES.focus
+			: conflictStates.has(node.id) ? HIGHLIGHT_STYLES.warning : null;
+		if (!style) continue;
+
+		ctx.save();
+		ctx.strokeStyle = style.nodeStroke;
+		ctx.lineWidth = style.nodeStrokeWidth + 1;
+		ctx.globalAlpha = style.opacity;
+		ctx.beginPath();
+		ctx.arc(node.x, node.y, NODE_RADIUS + 4, 0, 2 * Math.PI);
+		ctx.stroke();
+		ctx.restore();
+	}
+}
+
+/**
+ * Beschriftet die Uebergaenge mit ihrem Symbol, bei gekruemmten Kanten am Scheitel.
+ */
+function drawEdgeLabels(ctx, edges, nodes) {
+	const curves = computeEdgeCurves(edges, nodes);
+	ctx.font = 'bold 14px monospace';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+
+	for (let i = 0; i < edges.length; i++) {
+		const edge = edges[i];
+		const { x, y } = edge.isSelfLoop
+			? { x: edge.from.x - 2 * NODE_RADIUS - 36, y: edge.from.y }
+			: getEdgeLabelPosition(edge, curves.get(edgeKey(edge)));
+
+		const width = ctx.measureText(edge.label).width + 8;
+		ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+		ctx.fillRect(x - width / 2, y - 9, width, 18);
+		ctx.fillStyle = '#1a4fa0';
+		ctx.fillText(edge.label, x, y);
+	}
+}
+
+/**
+ * Liefert den Mittelpunkt einer geraden Kante oder den Scheitel einer Kurve.
+ */
+function getEdgeLabelPosition(edge, curve) {
+	const midX = (edge.from.x + edge.to.x) / 2;
+	const midY = (edge.from.y + edge.to.y) / 2;
+	if (!curve || !curve.shouldCurve) return { x: midX, y: midY };
+
+	const vx = edge.to.x - edge.from.x;
+	const vy = edge.to.y - edge.from.y;
+	const len = Math.sqrt(vx * vx + vy * vy) || 1;
+	return {
+		x: midX + (-vy / len) * curve.sign * curve.dist / 2,
+		y: midY + (vx / len) * curve.sign * curve.dist / 2,
+	};
+}
+
+/**
+ * Schluessel einer Kante wie in computeEdgeCurves.
+ */
+function edgeKey(edge) {
+	return `${edge.from.symbol}|${edge.from.x},${edge.from.y}->${edge.to.symbol}|${edge.to.x},${edge.to.y}`;
+}
+
+export default LRAutomatonCanvas;
@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from 'react';
+import { LR_METHODS } from '../algorithm/lrAutomaton.js';
+import { stepManager } from '../algorithm/steps.js';
+
+/**
+ * ACTION/GOTO-Tabelle der LR-Analyse fuer den aktuellen Schritt mit
+ * markierten Konflikten, darunter der Ablauf des Shift-Reduce-Parsers.
+ */
+export default function LRTablePanel() {
+	const [lr, setLr] = useState(null);
+
+	useEffect(() => {
+		const handleStepChange = () => {
+			setLr(stepManager.getCurrentStep()?.state?.lr || null);
+		};
+
+		const unsubscribe = stepManager.subscribe(handleStepChange);
+		handleStepChange();
+		return unsubscribe;
+	}, []);
+
+	if (!lr || !lr.table) return null;
+
+	const { method, rules, terminals, variables, table, activeState, parse } = lr;
+	const methodLabel = LR_METHODS[method];
+	const isConflict = (state, terminal) => table.conflicts.some(conflict => conflict.state === state && conflict.terminal === terminal);
+	const isActive = (state, terminal) => table.activeCell && table.activeCell.state === state && table.activeCell.terminal === terminal;
+
+	return (
+		<div className="cyk-panel lr-panel">
+			<div className={`cyk-title ${table.isValid === true ? 'accepted' : table.isValid === false ? 'rejected' : ''}`}>
+				{methodLabel}-Tabelle
+				{table.isValid === true && ` – ${methodLabel}`}
+				{table.isValid === false && ` – nicht ${methodLabel}`}
+			</div>
+			<div className="lr-rules">{rules.join('   ')}</div>
+			<table className="cyk-table">
+				<thead>
+					<tr>
+						<th></th>
+						<th colSpan={terminals.length}>ACTION</th>
+						<th colSpan={variables.length}>GOTO</th>
+					</tr>
+					<tr>
+						<th></th>
+						{terminals.map(terminal => (
+							<th key={`t-${terminal}`}>{terminal}</th>
+						))}
+						{variables.map(variable => (
+							<th key={`v-${variable}`}>{variable}</th>
+						))}
+					</tr>
+				</thead>
+				<tbody>
+					{table.action.map((row, state) => (
+						<tr key={state} className={state === activeState ? 'active-row' : ''}>
+							<th>{state}</th>
+							{terminals.map(terminal => {
+								const classes = ['cyk-cell'];
+								if (isActive(state, terminal)) classes.push('active');
+								if (isConflict(state, terminal)) classes.push('conflict');
+								return (
+									<td key={`t-${terminal}`} className={classes.join(' ')}>
+										{(row[terminal] || []).join(' / ')}
+									</td>
+								);
+							})}
+							{variables.map(variable => (
+								<td key={`v-${variable}`} className="cyk-cell">
+									{table.goto[state][variable] ?? ''}
+								</td>
+							))}
+						</tr>
+					))}
+				</tbody>
+			</table>
+			{parse && (
+				<>
+					<div className={`cyk-title parse-title ${parse.accepted === true ? 'accepted' : parse.accepted === false ? 'rejected' : ''}`}>
+						Parser: {parse.word.length > 0 ? parse.word.join(' ') : 'ε'}
+						{parse.accepted === true && ' – akzeptiert'}
+						{parse.accepted === false && ' – abgelehnt'}
+					</div>
+					<table className="parse-trace">
+						<thead>
+							<tr>
+								<th>Stapel</th>
+								<th>Eingabe</th>
+								<th>Aktion</th>
+							</tr>
+						</thead>
+						<tbody>
+							{parse.rows.map((row, index) => (
+								<tr key={index} className={`${row.kind}${index === parse.rows.length - 1 ? ' current' : ''}`}>
+									<td>{row.stack.join(' ')}</td>
+									<td>{row.input.join(' ')}</td>
+									<td>{row.action}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,119 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import useViewportControls from '../controls/useViewportControls.js';
+import { GRID_SIZE } from './BaseCanvas.jsx';
+
+const MIN_CANVAS_SIZE = 2000;
+
+/**
+ * Gemeinsamer Rahmen der Schritt-Canvases (Ableitungsbaum, LR-Automat, PDA,
+ * endlicher Automat): Zoom und Verschieben, Gitter und die Canvas-Groesse
+ * nach layout.width/height, mindestens aber 2000 x 2000. draw(ctx, size)
+ * zeichnet im Canvas-Koordinatensystem. Ein neues Layout setzt die Ansicht
+ * zurueck, ausser centerView(view) richtet sie selbst aus.
+ */
+const OverlayCanvas = forwardRef(function OverlayCanvas({ name, layout, draw, centerView, children }, ref) {
+	const canvasRef = useRef(null);
+	const canvasWidth = Math.max(MIN_CANVAS_SIZE, layout?.width ?? 0);
+	const canvasHeight = Math.max(MIN_CANVAS_SIZE, layout?.height ?? 0);
+
+	const {
+		scale,
+		offset,
+		viewport,
+		isPanning,
+		onMouseDown,
+		onMouseMove,
+		onMouseUp,
+		onMouseLeave,
+		onWheel,
+		zoomIn,
+		zoomOut,
+		resetView,
+		restoreView,
+		setOffsetClamped
+	} = useViewportControls(canvasRef, { canvasWidth, canvasHeight });
+
+	useImperativeHandle(ref, () => ({
+		zoomIn,
+		zoomOut,
+		resetView,
+		getView: () => ({ scale, offset }),
+		restoreView
+	}));
+
+	// Neues Layout: Ansicht zuruecksetzen; centerView folgt auch der Breite
+	const fitViewRef = useRef(null);
+	fitViewRef.current = () => {
+		if (!centerView) {
+			resetView();
+			return;
+		}
+		const viewWidth = viewport.width || canvasRef.current?.clientWidth || window.innerWidth;
+		centerView({ viewWidth, scale, canvasWidth, canvasHeight, setOffsetClamped });
+	};
+	const trackedWidth = centerView ? viewport.width : 0;
+
+	useEffect(() => {
+		if (layout) fitViewRef.current();
+	}, [layout, trackedWidth]);
+
+	useEffect(() => {
+		const canvas = canvasRef.current;
+		if (!canvas) return;
+
+		const rect = canvas.getBoundingClientRect();
+		canvas.width = rect.width;
+		canvas.height = rect.height;
+
+		const ctx = canvas.getContext('2d');
+		ctx.clearRect(0, 0, canvas.width, canvas.height);
+		if (!layout) return;
+
+		ctx.save();
+		ctx.translate(offset.x, offset.y);
+		ctx.scale(scale, scale);
+		drawGrid(ctx, scale, canvasWidth, canvasHeight);
+		draw(ctx, { canvasWidth, canvasHeight });
+		ctx.restore();
+	}, [layout, draw, scale, offset, viewport, canvasWidth, canvasHeight]);
+
+	return (
+		<div className={`canvas canvas-${name} ${layout ? `canvas-${name}-active` : ''}`}>
+			{children}
+			<canvas
+				ref={canvasRef}
+				className="canvas-element"
+				onMouseDown={onMouseDown}
+				onMouseMove={onMouseMove}
+				onMouseUp={onMouseUp}
+				onMouseLeave={onMouseLeave}
+				onWheel={onWheel}
+				style={{ cursor: isPanning ? 'grabbing' : 'grab' }}
+			/>
+		</div>
+	);
+});
+
+/**
+ * Zeichnet das Orientierungsgitter ueber die gesamte Canvas-Flaeche.
+ */
+function drawGrid(ctx, scale, width, height) {
+	ctx.strokeStyle = '#e0e0e0';
+	ctx.lineWidth = 1 / scale;
+
+	for (let x = 0; x <= width; x += GRID_SIZE) {
+		ctx.beginPath();
+		ctx.moveTo(x, 0);
+		ctx.lineTo(x, height);
+		ctx.stroke();
+	}
+
+	for (let y = 0; y <= height; y += GRID_SIZE) {
+		ctx.beginPath();
+		ctx.moveTo(0, y);
+		ctx.lineTo(width, y);
+		ctx.stroke();
+	}
+}
+
+export default OverlayCanvas;
@@ -0,0 +1,101 @@
+import React, { forwardRef, useMemo } from 'react';
+import OverlayCanvas from './OverlayCanvas.jsx';
+import { PDA_STATE } from '../algorithm/pda.js';
+import { drawArrow, drawSelfLoop } from '../algorithm/rendering/drawingFunctions.js';
+import { renderNodes } from '../algorithm/rendering/renderNodes.js';
+import { HIGHLIGHT_STYLES } from '../algorithm/rendering/highlightElements.js';
+import { useStepState } from '../algorithm/steps.js';
+
+const MARGIN = 60;
+const CHAR_WIDTH = 8.5;
+const LINE_HEIGHT = 22;
+const LABEL_GAP = 90;
+
+/**
+ * Zeichnet den Kellerautomaten aus state.pda: den einzigen Zustand q mit
+ * Startpfeil und einer Schleife, an der alle Uebergaenge als
+ * "Eingabe, Stapel oben / neuer Stapelinhalt" stehen. Aktive Uebergaenge
+ * (Konstruktionsschritt oder Lauf der Simulation) sind markiert.
+ */
+const PDACanvas = forwardRef(function PDACanvas(_props, ref) {
+	const pda = useStepState('pda');
+
+	const transitions = pda?.transitions;
+	const layout = useMemo(() => {
+		if (!transitions) return null;
+		return layoutPDA(transitions);
+	}, [transitions]);
+
+	const draw = (ctx) => {
+		const { node } = layout;
+		const visible = pda.transitions.slice(0, pda.visibleTransitions);
+		const edges = visible.length > 0 ? [{ from: node, to: node, isSelfLoop: true }] : [];
+
+		drawArrow(ctx, node.x, node.y - 110, node.x, node.y);
+		renderNodes(ctx, [node], edges);
+		if (pda.activeTransitions.length > 0) {
+			drawSelfLoop(ctx, node.x, node.y, HIGHLIGHT_STYLES.focus.edgeStroke, HIGHLIGHT_STYLES.focus.edgeStrokeWidth + 2);
+		}
+		drawTransitionLabels(ctx, visible, new Set(pda.activeTransitions), layout);
+		drawAcceptance(ctx, node, pda.initialStack);
+	};
+
+	return <OverlayCanvas ref={ref} name="pda" layout={layout} draw={draw} />;
+});
+
+/**
+ * Ordnet die Uebergangsliste links an und setzt q rechts daneben auf ihre Mitte.
+ */
+function layoutPDA(transitions) {
+	const labelWidth = Math.max(...transitions.map(({ label }) => label.length)) * CHAR_WIDTH;
+	const listHeight = transitions.length * LINE_HEIGHT;
+	const top = MARGIN + 120;
+	const node = {
+		symbol: PDA_STATE,
+		x: MARGIN + labelWidth + LABEL_GAP,
+		y: top + Math.max(listHeight / 2, LINE_HEIGHT),
+		isStart: true,
+	};
+
+	return {
+		node,
+		labelRight: MARGIN + labelWidth,
+		labelTop: node.y - listHeight / 2,
+		width: node.x + MARGIN * 4,
+		height: top + listHeight + MARGIN * 2,
+	};
+}
+
+/**
+ * Schreibt die Uebergaenge untereinander an die Schleife, aktive hervorgehoben.
+ */
+function drawTransitionLabels(ctx, transitions, active, layout) {
+	ctx.font = 'bold 14px monospace';
+	ctx.textAlign = 'right';
+	ctx.textBaseline = 'middle';
+
+	for (let i = 0; i < transitions.length; i++) {
+		const { id, label } = transitions[i];
+		const y = layout.labelTop + i * LINE_HEIGHT + LINE_HEIGHT / 2;
+		const width = ctx.measureText(label).width + 8;
+
+		ctx.fillStyle = active.has(id) ? '#fff3c4' : 'rgba(255, 255, 255, 0.9)';
+		ctx.fillRect(layout.labelRight - width + 4, y - 10, width, 20);
+		ctx.fillStyle = active.has(id) ? '#b58900' : '#1a4fa0';
+		ctx.fillText(label, layout.labelRight, y);
+	}
+}
+
+/**
+ * Vermerkt Startstapel und Akzeptanzbedingung unter dem Zustand.
+ */
+function drawAcceptance(ctx, node, initialStack) {
+	ctx.font = '13px monospace';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'top';
+	ctx.fillStyle = '#555';
+	ctx.fillText(`Startstapel: ${initialStack}`, node.x, node.y + 40);
+	ctx.fillText('Akzeptanz: leerer Stapel', node.x, node.y + 58);
+}
+
+export default PDACanvas;
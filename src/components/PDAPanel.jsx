@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+import { PDA_VARIANTS } from '../algorithm/pda.js';
+import { stepManager } from '../algorithm/steps.js';
+
+const STATUS_LABELS = { accept: 'akzeptiert', dead: 'kein Übergang', merged: 'nur bekannte Nachfolger' };
+
+/**
+ * Konfigurationen der PDA-Simulation nach k Uebergaengen fuer den aktuellen
+ * Schritt: jeder nichtdeterministische Zweig als Zeile, der akzeptierende
+ * Lauf hervorgehoben.
+ */
+export default function PDAPanel() {
+	const [pda, setPda] = useState(null);
+
+	useEffect(() => {
+		const handleStepChange = () => {
+			setPda(stepManager.getCurrentStep()?.state?.pda || null);
+		};
+
+		const unsubscribe = stepManager.subscribe(handleStepChange);
+		handleStepChange();
+		return unsubscribe;
+	}, []);
+
+	if (!pda || !pda.simulation) return null;
+
+	const { variant, simulation } = pda;
+
+	return (
+		<div className="cyk-panel pda-panel">
+			<div className={`cyk-title ${simulation.accepted === true ? 'accepted' : simulation.accepted === false ? 'rejected' : ''}`}>
+				PDA {PDA_VARIANTS[variant]}: {simulation.word.length > 0 ? simulation.word.join(' ') : 'ε'}
+				{simulation.accepted === true && ' – akzeptiert'}
+				{simulation.accepted === false && ' – abgelehnt'}
+				{simulation.truncated && ' – abgebrochen'}
+			</div>
+			<div className="pda-summary">
+				Nach {simulation.level} von {simulation.levels - 1} Übergängen: {simulation.rows.length + simulation.hidden} Zweig(e), {simulation.explored} Konfigurationen insgesamt
+			</div>
+			<table className="parse-trace">
+				<thead>
+					<tr>
+						<th>von</th>
+						<th>Übergang</th>
+						<th>Konfiguration</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					{simulation.rows.map(row => {
+						const classes = [row.status];
+						if (row.onPath) classes.push('on-path');
+						return (
+							<tr key={row.id} className={classes.join(' ')}>
+								<td>{row.parent ?? ''}</td>
+								<td>{row.transition ?? ''}</td>
+								<td>{row.label}</td>
+								<td>{STATUS_LABELS[row.status] ?? ''}</td>
+							</tr>
+						);
+					})}
+				</tbody>
+			</table>
+			{simulation.hidden > 0 && (
+				<div className="pda-summary">… {simulation.hidden} weitere Konfigurationen</div>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,60 @@
+import React, { forwardRef, useMemo } from 'react';
+import OverlayCanvas from './OverlayCanvas.jsx';
+import { drawArrow, drawNode } from '../algorithm/rendering/drawingFunctions.js';
+import { layoutParseForest } from '../algorithm/parseTree.js';
+import { useStepState } from '../algorithm/steps.js';
+
+/**
+ * Zeichnet den Ableitungsbaum eines akzeptierten Worts (state.parseTree.tree)
+ * oder mehrere Baeume nebeneinander (state.parseTree.trees, z.B. Mehrdeutigkeit).
+ * Die Canvas-Groesse richtet sich nach den Baeumen, mindestens aber 2000 x 2000.
+ */
+const ParseTreeCanvas = forwardRef(function ParseTreeCanvas(_props, ref) {
+	const parseTree = useStepState('parseTree');
+
+	const layout = useMemo(() => {
+		if (!parseTree) return null;
+		return parseTree.trees
+			? layoutParseForest(parseTree.trees, parseTree.labels)
+			: layoutParseForest([parseTree.tree]);
+	}, [parseTree]);
+
+	const draw = (ctx, { canvasWidth }) => {
+		ctx.translate((canvasWidth - layout.width) / 2, 0);
+		for (let i = 0; i < layout.edges.length; i++) {
+			const { from, to } = layout.edges[i];
+			drawArrow(ctx, from.x, from.y, to.x, to.y);
+		}
+		for (let i = 0; i < layout.nodes.length; i++) {
+			const node = layout.nodes[i];
+			drawNode(ctx, node.symbol, node.x, node.y, node.isTerminal, node.isStart);
+		}
+		drawTitles(ctx, layout.titles);
+	};
+
+	return <OverlayCanvas ref={ref} name="parse-tree" layout={layout} draw={draw} centerView={centerOnRoot} />;
+});
+
+/**
+ * Neuer Baum: Wurzel oben mittig in den sichtbaren Bereich holen.
+ */
+function centerOnRoot({ viewWidth, scale, canvasWidth, setOffsetClamped }) {
+	setOffsetClamped({ x: viewWidth / 2 - (canvasWidth / 2) * scale, y: 0 }, scale);
+}
+
+/**
+ * Beschriftet die Baeume ueber ihren Wurzeln.
+ */
+function drawTitles(ctx, titles) {
+	ctx.fillStyle = '#333';
+	ctx.font = 'bold 16px sans-serif';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+
+	for (let i = 0; i < titles.length; i++) {
+		const { text, x, y } = titles[i];
+		ctx.fillText(text, x, y);
+	}
+}
+
+export default ParseTreeCanvas;
@@ -1,42 +1,212 @@
-import { useState } from 'react';
+import { forwardRef, useImperativeHandle, useRef, useState } from 'react';
 import '../styles/sidebars.css';
 import parseGrammar from '../algorithm/parseGrammar.js';
+import lintGrammar from '../algorithm/lintGrammar.js';
+import importGrammar, { FORMAT_LABELS, IMPORT_FILE_ACCEPT, detectGrammarFormat } from '../algorithm/formats/importGrammar.js';
+import grammarToText from '../algorithm/formats/grammarToText.js';
+import exportJFLAP from '../algorithm/formats/exportJFLAP.js';
+import downloadFile from '../algorithm/formats/downloadFile.js';
+import { PROJECT_FILE_ACCEPT, parseProject, serializeProject } from '../algorithm/formats/projectFile.js';
+import { formatDiagnostic, getJFLAPExportMessage } from '../algorithm/logging/getInfoMessage.js';
 import { stepManager } from '../algorithm/steps.js';
-import generateIsProductiveSteps from '../algorithm/visualization/step_1_searchProductive.js';
-import generateCNFBuildSteps from "../algorithm/visualization/step_2_buildBaseCNF.js";
-import generateRemoveEpsilonSteps from "../algorithm/visualization/step_3_removeEpsAndUnit.js";
-import generateIsolateLongSteps from "../algorithm/visualization/step_4_isolateLongProductions.js";
-import generateBinaryKaskadierungSteps from "../algorithm/visualization/step_5_binaereAufspaltung.js";
+import buildAllSteps, { getFinalCNF } from '../algorithm/visualization/buildAllSteps.js';
+import generateGNFSteps from '../algorithm/visualization/step_12_greibach.js';
+import generateLeftRecursionSteps from '../algorithm/visualization/step_13_leftRecursion.js';
+import generateLeftFactoringSteps from '../algorithm/visualization/step_14_leftFactoring.js';
+import generateFirstFollowSteps from '../algorithm/visualization/step_15_firstFollow.js';
+import generateLL1Steps from '../algorithm/visualization/step_16_ll1.js';
+import generateLRSteps from '../algorithm/visualization/step_17_lrAutomaton.js';
+import { LR_METHODS } from '../algorithm/lrAutomaton.js';
+import generatePDASteps from '../algorithm/visualization/step_18_pda.js';
+import { PDA_VARIANTS } from '../algorithm/pda.js';
+import generateRegularSteps from '../algorithm/visualization/step_19_regular.js';
+import classifyRegularGrammar, { REGULAR_TYPES } from '../algorithm/regularGrammar.js';
+import generateCYKSteps, { MAX_CYK_WORD_LENGTH } from '../algorithm/visualization/step_6_cyk.js';
+import generateParseTreeSteps from '../algorithm/visualization/step_7_parseTree.js';
+import generateDerivationSteps from '../algorithm/visualization/step_8_derivation.js';
+import generateAmbiguitySteps from '../algorithm/visualization/step_9_ambiguity.js';
+import { MAX_AMBIGUITY_LENGTH } from '../algorithm/ambiguity.js';
+import generateEquivalenceSteps from '../algorithm/visualization/step_10_equivalence.js';
+import { MAX_EQUIVALENCE_LENGTH } from '../algorithm/equivalence.js';
+import tokenizeWord from '../algorithm/tokenizeWord.js';
+import { deriveWord } from '../algorithm/derivation.js';
 
 /**
  * Eingabe-Seitenleiste fuer CFG-Definitionen und Analyse-Start.
  */
-export default function SidebarLeft({ open, toggleSidebarLeft, onGrammarChange, onAnalyzeFlag }) {
+const SidebarLeft = forwardRef(function SidebarLeft({ open, toggleSidebarLeft, onGrammarChange, onAnalyzeFlag, onInfoMessage, getViewports, onProjectLoad, regularType }, ref) {
 	const [input, setInput] = useState('');
 	const [rows, setRows] = useState(8);
+	const [diagnostics, setDiagnostics] = useState([]);
+	const [ebnfMode, setEbnfMode] = useState(false);
+	const [importReport, setImportReport] = useState(null);
+	const [word, setWord] = useState('');
+	const [derivationMode, setDerivationMode] = useState('leftmost');
+	const [ambiguityLength, setAmbiguityLength] = useState(6);
+	const [compareOpen, setCompareOpen] = useState(false);
+	const [lrMethod, setLrMethod] = useState('slr');
+	const [pdaVariant, setPdaVariant] = useState('top-down');
+	const [compareInput, setCompareInput] = useState('');
+	const [compareLength, setCompareLength] = useState(6);
+	const [transformation, setTransformation] = useState('gnf');
+	const textareaRef = useRef(null);
+	const gutterRef = useRef(null);
+	const fileInputRef = useRef(null);
+	const projectInputRef = useRef(null);
+	// Schritte der Analyse-Pipeline; nur sie lassen sich aus einem Link neu aufbauen
+	const pipelineStepsRef = useRef(null);
 	const maxRows = 18;
 
 	/**
-	 * Parsen der CFG-Eingabe und Live-Update der Struktur.
+	 * Sammelt Parser-Diagnosen und Lint-Hinweise fuer die Anzeige.
 	 */
-	const handleChange = (e) => {
-		const newInput = e.target.value;
+	const updateDiagnostics = (parsed) => {
+		setDiagnostics([...parsed.diagnostics, ...lintGrammar(parsed)]);
+	};
+
+	/**
+	 * Uebernimmt einen neuen Eingabetext: parsen, linten und melden.
+	 */
+	const applyInput = (newInput, source) => {
 		setInput(newInput);
 		const lineCount = newInput.split('\n').length;
 		setRows(() => Math.min(maxRows, Math.max(8, lineCount)));
 
-		const parsed = parseGrammar(newInput);
+		const parsed = parseGrammar(newInput, { ebnf: ebnfMode });
+		updateDiagnostics(parsed);
 		if (onGrammarChange) {
-			onGrammarChange(parsed, { source: 'input' });
+			onGrammarChange(parsed, { source });
+		}
+	};
+
+	/**
+	 * Parsen der CFG-Eingabe, Live-Lint und Live-Update der Struktur.
+	 */
+	const handleChange = (e) => {
+		applyInput(e.target.value, 'input');
+	};
+
+	/**
+	 * Wandelt eine Grammatik in BNF/yacc/ANTLR in das Eingabeformat um.
+	 * Liefert null, wenn der Text bereits im eigenen Format vorliegt.
+	 */
+	const convertImport = (text, fileName = '') => {
+		const format = detectGrammarFormat(text, fileName);
+		if (!format) return null;
+
+		const imported = importGrammar(text, format);
+		setImportReport({ format: FORMAT_LABELS[format], fileName, diagnostics: imported.diagnostics });
+		return grammarToText(imported);
+	};
+
+	/**
+	 * Laedt eine Grammatik-Datei ueber den Dateidialog.
+	 */
+	const handleFileSelect = async (e) => {
+		const file = e.target.files?.[0];
+		e.target.value = '';
+		if (!file) return;
+
+		const text = await file.text();
+		const converted = convertImport(text, file.name);
+		if (converted === null) {
+			setImportReport(null);
 		}
+		applyInput(converted ?? text, 'import');
 	};
 
+	/**
+	 * Erkennt eingefuegte Grammatiken in Fremdformaten und wandelt sie um.
+	 */
+	const handlePaste = (e) => {
+		const pasted = e.clipboardData.getData('text');
+		const converted = convertImport(pasted);
+		if (converted === null) return;
+
+		e.preventDefault();
+		const { selectionStart, selectionEnd } = e.target;
+		applyInput(input.slice(0, selectionStart) + converted + input.slice(selectionEnd), 'import');
+	};
+
+	/**
+	 * Speichert die eingegebene Grammatik als JFLAP-Datei (.jff).
+	 */
+	const handleExportJFLAP = () => {
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		const result = exportJFLAP(parsed);
+		if (result.xml) {
+			downloadFile('grammatik.jff', result.xml, 'application/xml');
+		}
+		if (onInfoMessage) onInfoMessage(getJFLAPExportMessage('grammatik.jff', result));
+	};
+
+	/**
+	 * Speichert die Sitzung (Eingabe, Grammatik, Schritte, Ansicht) als Projektdatei.
+	 */
+	const handleSaveProject = () => {
+		const status = stepManager.getStatus();
+		const content = serializeProject({
+			input,
+			ebnfMode,
+			grammar: parseGrammar(input, { ebnf: ebnfMode }),
+			steps: stepManager.getSteps(),
+			currentIndex: status.currentIndex,
+			viewports: getViewports ? getViewports() : {},
+		});
+		downloadFile('projekt.kgv.json', content, 'application/json');
+		if (onInfoMessage) onInfoMessage('Projekt gespeichert (projekt.kgv.json)');
+	};
+
+	/**
+	 * Laedt eine Projektdatei und stellt die gespeicherte Sitzung wieder her.
+	 */
+	const handleProjectSelect = async (e) => {
+		const file = e.target.files?.[0];
+		e.target.value = '';
+		if (!file) return;
+
+		let project;
+		try {
+			project = parseProject(await file.text());
+		} catch (error) {
+			if (onInfoMessage) onInfoMessage(`Projekt konnte nicht geladen werden: ${error.message}`);
+			return;
+		}
+
+		restoreProject(project);
+	};
+
+	/**
+	 * Stellt eine Sitzung (Projektdatei oder geteilter Link) wieder her.
+	 * steps = null erzeugt die Schritte aus der Eingabe neu.
+	 */
+	const restoreProject = (project) => {
+		const grammar = project.grammar || parseGrammar(project.input, { ebnf: project.ebnfMode });
+		const steps = project.steps ?? (project.input.trim() ? buildAllSteps(parseGrammar(project.input, { ebnf: project.ebnfMode })) : []);
+		pipelineStepsRef.current = project.steps ? null : steps;
+
+		setInput(project.input);
+		setRows(Math.min(maxRows, Math.max(8, project.input.split('\n').length)));
+		setEbnfMode(project.ebnfMode);
+		setImportReport(null);
+		updateDiagnostics(grammar);
+
+		if (onProjectLoad) {
+			onProjectLoad({ ...project, grammar, steps });
+		}
+	};
+
+	useImperativeHandle(ref, () => ({
+		restoreProject,
+		getSession: () => ({ input, ebnfMode, isCNFPipeline: stepManager.getSteps() === pipelineStepsRef.current }),
+	}));
+
 	/**
 	 * Startet die Analyse-Pipeline fuer die CFG.
 	 */
 	const runAnalyze = (flagValue, _skipAnim = false) => {
 		if (onAnalyzeFlag) onAnalyzeFlag(flagValue);
-		const parsed = parseGrammar(input);
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
 		console.log('SidebarLeft: parsed grammar', parsed);
 		if (onGrammarChange) {
 			onGrammarChange(parsed, { source: 'analyze' });
@@ -48,8 +218,9 @@ export default function SidebarLeft({ open, toggleSidebarLeft, onGrammarChange,
 	 */
 	const handleAnalyze = () => {
 		runAnalyze(true, false);
-		const parsed = parseGrammar(input);
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
 		const allSteps = buildAllSteps(parsed);
+		pipelineStepsRef.current = allSteps;
 		stepManager.initializeSteps(allSteps);
 		stepManager.reset();
 	};
@@ -59,12 +230,274 @@ export default function SidebarLeft({ open, toggleSidebarLeft, onGrammarChange,
 	 */
 	const handleResult = () => {
 		runAnalyze(true, false);
-		const parsed = parseGrammar(input);
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
 		const allSteps = buildAllSteps(parsed);
+		pipelineStepsRef.current = allSteps;
 		stepManager.initializeSteps(allSteps);
 		stepManager.skipToEnd();
 	};
 
+	/**
+	 * Fuehrt die CNF-Umformung aus und formt das Ergebnis weiter in GNF um.
+	 */
+	const handleGNF = () => {
+		runAnalyze(true, false);
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		const allSteps = buildAllSteps(parsed);
+		const { cnfGraph, startSymbol } = getFinalCNF(allSteps, parsed);
+		if (Object.keys(cnfGraph).length === 0) {
+			stepManager.initializeSteps(allSteps);
+			stepManager.skipToEnd();
+			if (onInfoMessage) onInfoMessage('Keine CNF vorhanden (L(G) = ∅), GNF-Umformung entfällt');
+			return;
+		}
+
+		const gnfSteps = generateGNFSteps(cnfGraph, startSymbol);
+		stepManager.initializeSteps([...allSteps, ...gnfSteps]);
+		stepManager.jumpToStep(allSteps.length);
+	};
+
+	/**
+	 * Startet die gewaehlte Umformung (GNF oder eine LL-Vorbereitung).
+	 */
+	const handleTransform = () => {
+		if (transformation === 'gnf') {
+			handleGNF();
+			return;
+		}
+
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		if (Object.keys(parsed.productions).length === 0) {
+			if (onInfoMessage) onInfoMessage('Keine Grammatik zum Umformen vorhanden');
+			return;
+		}
+
+		runAnalyze(true, false);
+		const steps = transformation === 'left-recursion'
+			? generateLeftRecursionSteps(parsed)
+			: generateLeftFactoringSteps(parsed);
+		stepManager.initializeSteps(steps);
+		stepManager.reset();
+	};
+
+	/**
+	 * Berechnet nullable, FIRST und FOLLOW der Eingabe als Fixpunkt-Iteration.
+	 */
+	const handleFirstFollow = () => {
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		if (Object.keys(parsed.productions).length === 0) {
+			if (onInfoMessage) onInfoMessage('Keine Grammatik für FIRST/FOLLOW vorhanden');
+			return;
+		}
+
+		runAnalyze(true, false);
+		stepManager.initializeSteps(generateFirstFollowSteps(parsed));
+		stepManager.reset();
+	};
+
+	/**
+	 * Baut die LL(1)-Parsetabelle. Mit parseWord laeuft danach der
+	 * tabellengesteuerte Parser auf dem Wort aus dem Wortfeld.
+	 */
+	const handleLL1 = (parseWord) => {
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		if (Object.keys(parsed.productions).length === 0) {
+			if (onInfoMessage) onInfoMessage('Keine Grammatik für die LL(1)-Tabelle vorhanden');
+			return;
+		}
+
+		const target = parseWord ? tokenizeWord(word, parsed.terminals) : null;
+		if (target?.unknown.length > 0) {
+			if (onInfoMessage) onInfoMessage(`Unbekannte Zeichen im Wort: ${target.unknown.join(', ')}`);
+			return;
+		}
+
+		runAnalyze(true, false);
+		const steps = generateLL1Steps(parsed, target ? target.symbols : null);
+		stepManager.initializeSteps(steps);
+		if (target) {
+			stepManager.jumpToStep(steps.findIndex(step => step.stage === 'll1-parse'));
+		} else {
+			stepManager.reset();
+		}
+	};
+
+	/**
+	 * Baut den LR(0)-Automaten und die Tabelle der gewaehlten Methode. Mit
+	 * parseWord laeuft danach der Shift-Reduce-Parser auf dem Wort aus dem Wortfeld.
+	 */
+	const handleLR = (parseWord) => {
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		if (Object.keys(parsed.productions).length === 0) {
+			if (onInfoMessage) onInfoMessage('Keine Grammatik für den LR-Automaten vorhanden');
+			return;
+		}
+
+		const target = parseWord ? tokenizeWord(word, parsed.terminals) : null;
+		if (target?.unknown.length > 0) {
+			if (onInfoMessage) onInfoMessage(`Unbekannte Zeichen im Wort: ${target.unknown.join(', ')}`);
+			return;
+		}
+
+		runAnalyze(true, false);
+		const steps = generateLRSteps(parsed, lrMethod, target ? target.symbols : null);
+		stepManager.initializeSteps(steps);
+		if (target) {
+			stepManager.jumpToStep(steps.findIndex(step => step.stage === 'lr-parse'));
+		} else {
+			stepManager.reset();
+		}
+	};
+
+	/**
+	 * Konstruiert den Kellerautomaten der gewaehlten Variante. Mit simulate
+	 * werden danach alle Berechnungen auf dem Wort aus dem Wortfeld durchsucht.
+	 */
+	const handlePDA = (simulate) => {
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		if (Object.keys(parsed.productions).length === 0) {
+			if (onInfoMessage) onInfoMessage('Keine Grammatik für den Kellerautomaten vorhanden');
+			return;
+		}
+
+		const target = simulate ? tokenizeWord(word, parsed.terminals) : null;
+		if (target?.unknown.length > 0) {
+			if (onInfoMessage) onInfoMessage(`Unbekannte Zeichen im Wort: ${target.unknown.join(', ')}`);
+			return;
+		}
+
+		runAnalyze(true, false);
+		const steps = generatePDASteps(parsed, pdaVariant, target ? target.symbols : null);
+		stepManager.initializeSteps(steps);
+		if (target) {
+			stepManager.jumpToStep(steps.findIndex(step => step.stage === 'pda-simulate'));
+		} else {
+			stepManager.reset();
+		}
+	};
+
+	/**
+	 * Wandelt eine rechts- oder linkslineare Grammatik in einen NFA um,
+	 * mit toDFA weiter in den minimalen DFA.
+	 */
+	const handleRegular = (toDFA) => {
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		if (Object.keys(parsed.productions).length === 0) {
+			if (onInfoMessage) onInfoMessage('Keine Grammatik für den NFA vorhanden');
+			return;
+		}
+		if (!classifyRegularGrammar(parsed)) {
+			if (onInfoMessage) onInfoMessage('Die Grammatik ist weder rechts- noch linkslinear');
+			return;
+		}
+
+		runAnalyze(true, false);
+		stepManager.initializeSteps(generateRegularSteps(parsed, toDFA));
+		stepManager.reset();
+	};
+
+	/**
+	 * Fuehrt die CNF-Umformung aus und prueft das Wort anschliessend mit CYK.
+	 */
+	const handleCYK = () => {
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		const { symbols, unknown } = tokenizeWord(word, parsed.terminals);
+		if (symbols.length > MAX_CYK_WORD_LENGTH) {
+			if (onInfoMessage) onInfoMessage(`Das Wort ist zu lang für CYK (höchstens ${MAX_CYK_WORD_LENGTH} Symbole)`);
+			return;
+		}
+
+		runAnalyze(true, false);
+		// buildAllSteps veraendert parsed, der Ableitungsbaum braucht die Originalgrammatik
+		const original = parseGrammar(input, { ebnf: ebnfMode });
+		const allSteps = buildAllSteps(parsed);
+		const { cnfGraph, startSymbol } = getFinalCNF(allSteps, parsed);
+		const cykSteps = generateCYKSteps(cnfGraph, startSymbol, symbols, unknown);
+		const treeSteps = generateParseTreeSteps(cykSteps[cykSteps.length - 1].state.cyk.tree, original, symbols);
+
+		stepManager.initializeSteps([...allSteps, ...cykSteps, ...treeSteps]);
+		stepManager.jumpToStep(allSteps.length);
+	};
+
+	/**
+	 * Startet eine Ableitung, bei der die Produktionen selbst gewaehlt werden.
+	 * Ein leeres Wortfeld bedeutet eine freie Ableitung ohne Zielwort.
+	 */
+	const handleDerivationStart = () => {
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		if (Object.keys(parsed.productions).length === 0) {
+			if (onInfoMessage) onInfoMessage('Keine Grammatik zum Ableiten vorhanden');
+			return;
+		}
+
+		const target = word.trim() === '' ? null : tokenizeWord(word, parsed.terminals);
+		if (target?.unknown.length > 0) {
+			if (onInfoMessage) onInfoMessage(`Unbekannte Zeichen im Wort: ${target.unknown.join(', ')}`);
+			return;
+		}
+
+		runAnalyze(true, false);
+		stepManager.initializeSteps(generateDerivationSteps(parsed, [], target ? target.symbols : null, derivationMode));
+	};
+
+	/**
+	 * Sucht einen Ableitungsbaum des Worts in der Originalgrammatik und spielt
+	 * die daraus abgelesene Links-/Rechtsableitung als Schritte ab.
+	 */
+	const handleAutoDerive = () => {
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		const { symbols, unknown } = tokenizeWord(word, parsed.terminals);
+		if (symbols.length > MAX_CYK_WORD_LENGTH) {
+			if (onInfoMessage) onInfoMessage(`Das Wort ist zu lang für die Suche (höchstens ${MAX_CYK_WORD_LENGTH} Symbole)`);
+			return;
+		}
+
+		const applications = unknown.length === 0 ? deriveWord(parsed, symbols, derivationMode) : null;
+		if (!applications) {
+			if (onInfoMessage) onInfoMessage('w ∉ L(G): Es gibt keine Ableitung für dieses Wort');
+			return;
+		}
+
+		runAnalyze(true, false);
+		stepManager.initializeSteps(generateDerivationSteps(parsed, applications, symbols, derivationMode));
+		stepManager.play();
+	};
+
+	/**
+	 * Sucht ein Wort bis zur gewaehlten Laenge mit zwei Ableitungsbaeumen.
+	 */
+	const handleAmbiguity = () => {
+		const parsed = parseGrammar(input, { ebnf: ebnfMode });
+		if (Object.keys(parsed.productions).length === 0) {
+			if (onInfoMessage) onInfoMessage('Keine Grammatik zum Prüfen vorhanden');
+			return;
+		}
+
+		runAnalyze(true, false);
+		const steps = generateAmbiguitySteps(parsed, ambiguityLength);
+		stepManager.initializeSteps(steps);
+		stepManager.jumpToStep(steps.length - 1);
+	};
+
+	/**
+	 * Vergleicht die Sprache der Eingabe (G1) mit der Vergleichsgrammatik (G2)
+	 * bis zur gewaehlten Wortlaenge.
+	 */
+	const handleCompare = () => {
+		const first = parseGrammar(input, { ebnf: ebnfMode });
+		const second = parseGrammar(compareInput, { ebnf: ebnfMode });
+		const problem = getCompareProblem(first, 'G₁') || getCompareProblem(second, 'G₂');
+		if (problem) {
+			if (onInfoMessage) onInfoMessage(problem);
+			return;
+		}
+
+		runAnalyze(true, false);
+		const steps = generateEquivalenceSteps(first, second, compareLength);
+		stepManager.initializeSteps(steps);
+		stepManager.jumpToStep(steps.length - 1);
+	};
+
 	/**
 	 * Laedt ein Beispiel fuer eine CFG.
 	 */
@@ -74,15 +507,46 @@ A -> B | A | bCb
 B -> S | c
 C -> cC | _
 D -> dD | _`;
-		setInput(example);
-		const lineCount = example.split('\n').length;
-		setRows(Math.min(maxRows, Math.max(8, lineCount)));
-		const parsed = parseGrammar(example);
+		applyInput(example, 'example');
+	};
+
+	/**
+	 * Markiert die Textstelle eines Diagnose-Eintrags im Eingabefeld.
+	 */
+	const selectDiagnostic = (diagnostic) => {
+		const textarea = textareaRef.current;
+		if (!textarea) return;
+
+		const { start, end } = getDiagnosticRange(input, diagnostic);
+		textarea.focus();
+		textarea.setSelectionRange(start, end);
+	};
+
+	/**
+	 * Schaltet den EBNF-Modus um und parst die Eingabe neu.
+	 */
+	const handleEbnfToggle = (e) => {
+		const enabled = e.target.checked;
+		setEbnfMode(enabled);
+
+		const parsed = parseGrammar(input, { ebnf: enabled });
+		updateDiagnostics(parsed);
 		if (onGrammarChange) {
-			onGrammarChange(parsed, { source: 'example' });
+			onGrammarChange(parsed, { source: 'input' });
+		}
+	};
+
+	/**
+	 * Haelt die Zeilenmarker synchron zum Scrollen der Eingabe.
+	 */
+	const syncGutterScroll = (e) => {
+		if (gutterRef.current) {
+			gutterRef.current.scrollTop = e.target.scrollTop;
 		}
 	};
 
+	const lineMarkers = getLineMarkers(input, diagnostics);
+
 	return (
 		<div className={`sidebar sidebar-left ${open ? 'open' : 'closed'}`}>
 			<button className={`sidebar-toggle ${open ? 'toggle-open' : 'toggle-closed'}`} onClick={toggleSidebarLeft}>
@@ -91,13 +555,140 @@ D -> dD | _`;
 
 			<div className="sidebar-inner">
 				<h2>Grammar Input</h2>
-				<textarea
-					placeholder="Enter your CFG here"
-					value={input}
-					onChange={handleChange}
-					rows={rows}
-					style={{ overflowY: 'auto', maxHeight: '320px' }}
-				></textarea>
+				<div className="grammar-editor">
+					<div className="diagnostics-gutter" ref={gutterRef} aria-hidden="true">
+						{lineMarkers.map((marker, index) => (
+							<div key={index} className={`gutter-line ${marker ? marker.severity : ''}`} title={marker ? marker.title : ''}>
+								{marker ? marker.symbol : index + 1}
+							</div>
+						))}
+					</div>
+					<textarea
+						ref={textareaRef}
+						placeholder="Enter your CFG here"
+						value={input}
+						onChange={handleChange}
+						onPaste={handlePaste}
+						onScroll={syncGutterScroll}
+						rows={rows}
+						style={{ overflowY: 'auto', maxHeight: '320px' }}
+					></textarea>
+				</div>
+				{diagnostics.length > 0 && (
+					<ul className="diagnostics-list">
+						{diagnostics.map((diagnostic, index) => (
+							<li key={`${diagnostic.line}-${diagnostic.column}-${index}`}>
+								<button
+									className={`diagnostic-item ${diagnostic.severity}`}
+									title={formatDiagnostic(diagnostic)}
+									onClick={() => selectDiagnostic(diagnostic)}
+								>
+									<span className="diagnostic-position">{diagnostic.line}:{diagnostic.column}</span>
+									{diagnostic.message}
+									{diagnostic.suggestion && (
+										<span className="diagnostic-suggestion">{diagnostic.suggestion}</span>
+									)}
+								</button>
+							</li>
+						))}
+					</ul>
+				)}
+				{importReport && (
+					<div className="import-report">
+						<div className="import-report-title">
+							Importiert aus {importReport.format}{importReport.fileName ? ` (${importReport.fileName})` : ''}
+							<button className="import-report-close" onClick={() => setImportReport(null)}>×</button>
+						</div>
+						{importReport.diagnostics.map((diagnostic, index) => (
+							<div key={index} className={`diagnostic-item ${diagnostic.severity}`} title={formatDiagnostic(diagnostic)}>
+								<span className="diagnostic-position">{diagnostic.line}:{diagnostic.column}</span>
+								{diagnostic.message}
+								{diagnostic.suggestion && (
+									<span className="diagnostic-suggestion">{diagnostic.suggestion}</span>
+								)}
+							</div>
+						))}
+					</div>
+				)}
+				<button
+					id='compare-toggle-btn'
+					className='btn btn-secondary full-width'
+					onClick={() => setCompareOpen(prev => !prev)}
+				>
+					{compareOpen ? 'Vergleich schließen' : 'Mit zweiter Grammatik vergleichen'}
+				</button>
+				{compareOpen && (
+					<div className="compare-section">
+						<h3 className="compare-title">Vergleichsgrammatik G₂</h3>
+						<textarea
+							className="compare-textarea"
+							placeholder="Zweite Grammatik, z.B. die Musterlösung"
+							value={compareInput}
+							onChange={(e) => setCompareInput(e.target.value)}
+							rows={6}
+						></textarea>
+						<div className="word-row">
+							<label className="word-row-label" htmlFor="compare-length">Gleich bis Länge</label>
+							<input
+								id="compare-length"
+								type="number"
+								className="word-input length-input"
+								min="0"
+								max={MAX_EQUIVALENCE_LENGTH}
+								value={compareLength}
+								onChange={(e) => setCompareLength(Number(e.target.value))}
+							/>
+							<button id='compare-btn' className='btn btn-secondary' onClick={handleCompare}>Vergleichen</button>
+						</div>
+					</div>
+				)}
+				<div className="toggle-row">
+					<label className="switch">
+						<input type="checkbox" checked={ebnfMode} onChange={handleEbnfToggle} />
+						<span className="slider"></span>
+					</label>
+					<span className="toggle-label">EBNF-Modus ( ) [ ] {'{ }'} * + ?</span>
+				</div>
+				<div className="word-row">
+					<input
+						type="text"
+						className="word-input"
+						placeholder="Wort, z.B. aabb (leer = ε)"
+						value={word}
+						onChange={(e) => setWord(e.target.value)}
+						onKeyDown={(e) => { if (e.key === 'Enter') handleCYK(); }}
+					/>
+					<button id='cyk-btn' className='btn btn-secondary' onClick={handleCYK}>CYK</button>
+					<button id='ll1-parse-btn' className='btn btn-secondary' onClick={() => handleLL1(true)}>LL(1)</button>
+					<button id='lr-parse-btn' className='btn btn-secondary' onClick={() => handleLR(true)} title="Shift-Reduce-Parser mit der gewählten LR-Tabelle">LR</button>
+					<button id='pda-simulate-btn' className='btn btn-secondary' onClick={() => handlePDA(true)} title="Alle Läufe des gewählten Kellerautomaten auf dem Wort">PDA</button>
+				</div>
+				<div className="word-row">
+					<select
+						className="word-input"
+						value={derivationMode}
+						onChange={(e) => setDerivationMode(e.target.value)}
+						title="Welche Variable in jedem Schritt ersetzt wird"
+					>
+						<option value="leftmost">Linksableitung</option>
+						<option value="rightmost">Rechtsableitung</option>
+					</select>
+					<button id='derive-btn' className='btn btn-secondary' onClick={handleDerivationStart}>Ableiten</button>
+					<button id='auto-derive-btn' className='btn btn-secondary' onClick={handleAutoDerive}>Automatisch</button>
+				</div>
+				<div className="word-row">
+					<label className="word-row-label" htmlFor="ambiguity-length">Mehrdeutig bis Länge</label>
+					<input
+						id="ambiguity-length"
+						type="number"
+						className="word-input length-input"
+						min="0"
+						max={MAX_AMBIGUITY_LENGTH}
+						value={ambiguityLength}
+						onChange={(e) => setAmbiguityLength(Number(e.target.value))}
+					/>
+					<button id='ambiguity-btn' className='btn btn-secondary' onClick={handleAmbiguity}>Prüfen</button>
+				</div>
 				<div className="sidebar-buttons">
 					<div className="sidebar-actions" style={{ marginTop: '8px' }}>
 						<button id='analyze-btn-2' className='btn btn-primary full-width' onClick={handleAnalyze}>Analysieren</button>
@@ -105,67 +696,131 @@ D -> dD | _`;
 							<button id='result-btn' className='btn btn-primary' onClick={handleResult}>Ergebnis</button>
 							<button id='load-example-btn' className='btn btn-secondary' onClick={loadExample}>Beispiel laden</button>
 						</div>
+						<div className="word-row">
+							<select
+								className="word-input"
+								value={transformation}
+								onChange={(e) => setTransformation(e.target.value)}
+								title="Umformung, die Schritt für Schritt abgespielt wird"
+							>
+								<option value="gnf">Greibach-Normalform (GNF)</option>
+								<option value="left-recursion">Linksrekursion entfernen</option>
+								<option value="left-factoring">Linksfaktorisieren</option>
+							</select>
+							<button id='transform-btn' className='btn btn-secondary' onClick={handleTransform}>Umformen</button>
+						</div>
+						<button id='first-follow-btn' className='btn btn-secondary full-width' onClick={handleFirstFollow}>FIRST- und FOLLOW-Mengen</button>
+						<button id='ll1-table-btn' className='btn btn-secondary full-width' onClick={() => handleLL1(false)}>LL(1)-Tabelle</button>
+						<div className="word-row">
+							<select
+								className="word-input"
+								value={lrMethod}
+								onChange={(e) => setLrMethod(e.target.value)}
+								title="Tabelle, die aus dem LR(0)-Automaten abgeleitet wird"
+							>
+								{Object.entries(LR_METHODS).map(([method, label]) => (
+									<option key={method} value={method}>{label}</option>
+								))}
+							</select>
+							<button id='lr-btn' className='btn btn-secondary' onClick={() => handleLR(false)}>LR-Automat</button>
+						</div>
+						<div className="word-row">
+							<select
+								className="word-input"
+								value={pdaVariant}
+								onChange={(e) => setPdaVariant(e.target.value)}
+								title="Konstruktion des Kellerautomaten mit einem Zustand"
+							>
+								{Object.entries(PDA_VARIANTS).map(([variant, label]) => (
+									<option key={variant} value={variant}>{label}</option>
+								))}
+							</select>
+							<button id='pda-btn' className='btn btn-secondary' onClick={() => handlePDA(false)}>Kellerautomat</button>
+						</div>
+						{regularType && (
+							<div className="word-row">
+								<span className="word-row-label">Regulär ({REGULAR_TYPES[regularType]})</span>
+								<button id='nfa-btn' className='btn btn-secondary' onClick={() => handleRegular(false)}>NFA</button>
+								<button id='dfa-btn' className='btn btn-secondary' onClick={() => handleRegular(true)} title="NFA, Potenzmengenkonstruktion und Minimierung">Min. DFA</button>
+							</div>
+						)}
+						<button id='import-btn' className='btn btn-secondary full-width' onClick={() => fileInputRef.current?.click()}>Datei importieren (BNF, yacc, ANTLR, JFLAP)</button>
+						<button id='export-jflap-btn' className='btn btn-secondary full-width' onClick={handleExportJFLAP}>Als JFLAP (.jff) speichern</button>
+						<div className="actions-row two-col">
+							<button id='save-project-btn' className='btn btn-secondary' onClick={handleSaveProject}>Projekt speichern</button>
+							<button id='load-project-btn' className='btn btn-secondary' onClick={() => projectInputRef.current?.click()}>Projekt laden</button>
+						</div>
+						<input
+							ref={fileInputRef}
+							type="file"
+							accept={IMPORT_FILE_ACCEPT}
+							onChange={handleFileSelect}
+							style={{ display: 'none' }}
+						/>
+						<input
+							ref={projectInputRef}
+							type="file"
+							accept={PROJECT_FILE_ACCEPT}
+							onChange={handleProjectSelect}
+							style={{ display: 'none' }}
+						/>
 					</div>
 				</div>
 			</div>
 		</div>
 	);
-}
+});
+
+export default SidebarLeft;
+
+const SEVERITY_RANK = { info: 1, warning: 2, error: 3 };
+const SEVERITY_SYMBOL = { info: 'i', warning: '!', error: '✖' };
 
 /**
- * Kombiniert alle CFG-Transformationsschritte in Reihenfolge.
+ * Bestimmt je Eingabezeile den schwersten Diagnose-Eintrag fuer die Randspalte.
  */
-function buildAllSteps(parsed) {
-	const productiveSteps = generateIsProductiveSteps(parsed);
-	const isEmptyLanguage = getLastIsEmptyLanguage(productiveSteps);
-	
-	// Wenn die Sprache leer ist, beende hier und zeige nur das LEERHEITSPROBLEM
-	if (isEmptyLanguage) {
-		const finalStep = productiveSteps[productiveSteps.length - 1];
-		if (finalStep) {
-			finalStep.description += `\n\nDa die Startvariable nicht produktiv ist, ist L(G) = ∅ (leer).\nDie Sprache enthält 0 Wörter und ist daher endlich.\nWeiterführung der CNF-Minimierung entfällt.`;
-		}
-		return productiveSteps;
-	}
-	
-	const productiveVars = getLastProductiveVars(productiveSteps);
+function getLineMarkers(text, diagnostics) {
+	const markers = text.split('\n').map(() => null);
 
-	const cnfSteps = generateCNFBuildSteps(parsed, productiveVars);
-	const baseCNF = getLastCnfGraph(cnfSteps, {});
+	for (let i = 0; i < diagnostics.length; i++) {
+		const diagnostic = diagnostics[i];
+		const index = diagnostic.line - 1;
+		if (index < 0 || index >= markers.length) continue;
 
-	const epsSteps = generateRemoveEpsilonSteps(parsed, baseCNF);
-	const cnfAfterUnit = getLastCnfGraph(epsSteps, baseCNF);
-	
-	// parsed.startSymbol wird in generateRemoveEpsilonSteps aktualisiert, wenn eps in der Sprache ist
-	// Übergebe die aktualisierte parsed Grammatik zu den folgenden Schritten
-	const longSteps = generateIsolateLongSteps(parsed, cnfAfterUnit);
-	const cnfAfterLong = getLastCnfGraph(longSteps, cnfAfterUnit);
+		const current = markers[index];
+		const title = current ? `${current.title}\n${diagnostic.message}` : diagnostic.message;
+		const severity = !current || SEVERITY_RANK[diagnostic.severity] > SEVERITY_RANK[current.severity]
+			? diagnostic.severity
+			: current.severity;
 
-	const binaryKaskadierungSteps = generateBinaryKaskadierungSteps(parsed, cnfAfterLong);
+		markers[index] = { severity, symbol: SEVERITY_SYMBOL[severity], title };
+	}
 
-	return [...productiveSteps, ...cnfSteps, ...epsSteps, ...longSteps, ...binaryKaskadierungSteps];
+	return markers;
 }
 
 /**
- * Extrahiert den isEmptyLanguage-Status aus dem letzten CFG-Step.
+ * Rechnet Zeile/Spalte eines Diagnose-Eintrags in Textpositionen um.
  */
-function getLastIsEmptyLanguage(steps) {
-	const lastStep = steps[steps.length - 1];
-	return lastStep?.state?.isEmptyLanguage || false;
-}
+function getDiagnosticRange(text, diagnostic) {
+	const lines = text.split('\n');
+	let offset = 0;
 
-/**
- * Extrahiert die Produktivitaetsmenge V' aus dem letzten CFG-Step.
- */
-function getLastProductiveVars(steps) {
-	const lastStep = steps[steps.length - 1];
-	return lastStep?.state?.productiveVars || new Set();
+	for (let i = 0; i < diagnostic.line - 1 && i < lines.length; i++) {
+		offset += lines[i].length + 1;
+	}
+
+	return {
+		start: offset + diagnostic.column - 1,
+		end: offset + diagnostic.endColumn - 1,
+	};
 }
 
 /**
- * Nimmt den letzten CNF-Graphen als Basis fuer Folgeschritte.
+ * Meldet, warum eine Grammatik nicht verglichen werden kann, sonst null.
  */
-function getLastCnfGraph(steps, fallback) {
-	const lastStep = steps[steps.length - 1];
-	return lastStep?.cnfGraph || fallback;
-}
\ No newline at end of file
+function getCompareProblem(grammar, name) {
+	if (Object.keys(grammar.productions).length === 0) return `${name} enthält keine Produktionen`;
+	if (grammar.errors.length > 0) return `${name} enthält eine ungültige Zeile: ${grammar.errors[0]}`;
+	return null;
+}
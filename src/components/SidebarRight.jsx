@@ -1,13 +1,30 @@
 import React from 'react';
 import '../styles/sidebars.css';
+import exportJFLAP from '../algorithm/formats/exportJFLAP.js';
+import downloadFile from '../algorithm/formats/downloadFile.js';
+import { getJFLAPExportMessage } from '../algorithm/logging/getInfoMessage.js';
+import { describeLanguageCheck } from '../algorithm/languageCheck.js';
+import FirstFollowTable from './FirstFollowTable.jsx';
 
 /**
  * Log-Seitenleiste fuer Ausgaben der CFG-Analyse.
  */
-export default function SidebarRight({ grammar, open, locked, toggleSidebarRight, onOpenLogsModal, currentLogs, onCurrentLogsChange }) {
+export default function SidebarRight({ grammar, stepGrammar, languageCheck, open, locked, toggleSidebarRight, onOpenLogsModal, onOpenWordsModal, currentLogs, onCurrentLogsChange, onInfoMessage }) {
 	const hasGrammar = grammar && grammar.productions && Object.keys(grammar.productions).length > 0;
     const canToggle = hasGrammar && !locked;
 
+	/**
+	 * Speichert die Grammatik des aktuellen Schritts (sonst die Eingabe) als JFLAP-Datei.
+	 */
+	const handleExportJFLAP = () => {
+		const fileName = stepGrammar ? 'schritt.jff' : 'grammatik.jff';
+		const result = exportJFLAP(stepGrammar || grammar);
+		if (result.xml) {
+			downloadFile(fileName, result.xml, 'application/xml');
+		}
+		if (onInfoMessage) onInfoMessage(getJFLAPExportMessage(fileName, result));
+	};
+
 	return (
 		<div className={`sidebar sidebar-right ${open ? 'open' : 'closed'}`}>
 			{canToggle && (
@@ -20,6 +37,15 @@ export default function SidebarRight({ grammar, open, locked, toggleSidebarRight
 				</button>
 			)}
 			<h2>Logs</h2>
+			{languageCheck && (
+				<div
+					className={`language-check-badge ${getBadgeVariant(languageCheck)}`}
+					title={`Vergleich mit der Originalgrammatik nach der Phase ${languageCheck.phase}`}
+				>
+					{languageCheck.preserved ? '✓' : '✗'} {languageCheck.phase}: {describeLanguageCheck(languageCheck)}
+				</div>
+			)}
+			<FirstFollowTable />
 			<textarea
 				className={'logs-textarea'}
 				value={currentLogs}
@@ -29,7 +55,26 @@ export default function SidebarRight({ grammar, open, locked, toggleSidebarRight
 				<button className="btn btn-secondary full-width" onClick={onOpenLogsModal}>
 					Gesamte Logs einsehen
 				</button>
+				{hasGrammar && (
+					<button className="btn btn-secondary full-width" style={{ marginTop: '8px' }} onClick={onOpenWordsModal}>
+						Wörter erzeugen
+					</button>
+				)}
+				{hasGrammar && (
+					<button className="btn btn-secondary full-width" style={{ marginTop: '8px' }} onClick={handleExportJFLAP}>
+						{stepGrammar ? 'Schritt als JFLAP (.jff) speichern' : 'Grammatik als JFLAP (.jff) speichern'}
+					</button>
+				)}
 			</div>
 		</div>
 	);
 }
+
+/**
+ * Waehlt die Badge-Farbe: gruen bei erhaltener Sprache, rot bei Abweichung,
+ * neutral, wenn die Aufzaehlung gekuerzt wurde.
+ */
+function getBadgeVariant(languageCheck) {
+	if (!languageCheck.preserved) return 'language-check-failed';
+	return languageCheck.truncated ? 'language-check-partial' : 'language-check-ok';
+}
@@ -0,0 +1,129 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import '../styles/modal.css';
+import enumerateWords, { MAX_ENUMERATION_LENGTH, formatWord, getMaxWordLength } from '../algorithm/enumerateWords.js';
+import { getStartSymbol } from '../algorithm/parseGrammar.js';
+import buildAllSteps, { getFinalCNF } from '../algorithm/visualization/buildAllSteps.js';
+
+const DEFAULT_LENGTH = 6;
+
+/**
+ * Modal "Woerter erzeugen": listet alle Woerter von L(G) bis zu einer Laenge,
+ * wahlweise aus der Originalgrammatik oder der fertigen CNF.
+ * Mit listAll wird bei endlicher Sprache direkt die ganze Sprache gezeigt.
+ */
+export default function WordsModal({ isOpen, onClose, grammar, listAll = false }) {
+	const [source, setSource] = useState('original');
+	const [maxLength, setMaxLength] = useState(DEFAULT_LENGTH);
+	const [result, setResult] = useState(null);
+
+	const cnf = useMemo(() => {
+		if (!isOpen || !grammar) return null;
+		const copy = structuredClone(grammar);
+		return getFinalCNF(buildAllSteps(copy), copy);
+	}, [isOpen, grammar]);
+
+	const longestWord = cnf && !cnf.isInfinite ? getMaxWordLength(cnf.cnfGraph, cnf.startSymbol) : null;
+
+	/**
+	 * Erzeugt die Woerter bis zur gewaehlten Laenge aus der gewaehlten Grammatik.
+	 */
+	const generate = (length) => {
+		const productions = source === 'cnf' ? cnf.cnfGraph : grammar.productions;
+		const startSymbol = source === 'cnf' ? cnf.startSymbol : getStartSymbol(grammar);
+		setMaxLength(length);
+		setResult({ ...enumerateWords(productions, startSymbol, length), source, maxLength: length });
+	};
+
+	const generateRef = useRef(generate);
+	generateRef.current = generate;
+
+	useEffect(() => {
+		if (!isOpen) {
+			setResult(null);
+			return;
+		}
+		if (listAll && longestWord !== null) {
+			generateRef.current(Math.min(longestWord, MAX_ENUMERATION_LENGTH));
+		}
+	}, [isOpen, listAll, longestWord]);
+
+	if (!isOpen) return null;
+
+	return (
+		<div className="modal-backdrop" onClick={onClose}>
+			<div className="modal-container" onClick={(e) => e.stopPropagation()}>
+				<div className="modal-header">
+					<h2>Wörter erzeugen</h2>
+					<button className="modal-close" onClick={onClose}>×</button>
+				</div>
+				<div className="modal-body">
+					<div className="words-controls">
+						<label>
+							Grammatik
+							<select value={source} onChange={(e) => setSource(e.target.value)}>
+								<option value="original">Originalgrammatik</option>
+								<option value="cnf">CNF</option>
+							</select>
+						</label>
+						<label>
+							bis Länge
+							<input
+								type="number"
+								min="0"
+								max={MAX_ENUMERATION_LENGTH}
+								value={maxLength}
+								onChange={(e) => setMaxLength(Number(e.target.value))}
+							/>
+						</label>
+						<button className="btn btn-primary" onClick={() => generate(maxLength)}>Erzeugen</button>
+						{longestWord !== null && (
+							<button
+								className="btn btn-secondary"
+								onClick={() => generate(Math.min(longestWord, MAX_ENUMERATION_LENGTH))}
+								title={`Die Sprache ist endlich, das längste Wort hat Länge ${longestWord}`}
+							>
+								Ganze Sprache auflisten
+							</button>
+						)}
+					</div>
+					{result && renderResult(result, longestWord)}
+				</div>
+			</div>
+		</div>
+	);
+}
+
+/**
+ * Rendert die erzeugten Woerter gruppiert nach Laenge.
+ */
+function renderResult(result, longestWord) {
+	const isComplete = longestWord !== null && result.maxLength >= longestWord && !result.truncated;
+
+	return (
+		<div className="words-result">
+			<p className="words-summary">
+				{result.total} {result.total === 1 ? 'Wort' : 'Wörter'} bis Länge {result.maxLength}
+				{result.source === 'cnf' ? ' (CNF)' : ''}
+				{isComplete && ' – das ist die ganze Sprache'}
+			</p>
+			{result.truncated && (
+				<p className="words-warning">
+					Abgebrochen: zu viele Wörter, die Liste ist unvollständig.
+				</p>
+			)}
+			{longestWord !== null && longestWord > MAX_ENUMERATION_LENGTH && (
+				<p className="words-warning">
+					Das längste Wort hat Länge {longestWord}; angezeigt wird höchstens Länge {MAX_ENUMERATION_LENGTH}.
+				</p>
+			)}
+			{result.lengths.map(({ length, words }) => (
+				<div key={length} className="words-length">
+					<div className="words-length-title">Länge {length}: {words.length}</div>
+					{words.length > 0 && (
+						<div className="words-list">{words.map(formatWord).join(', ')}</div>
+					)}
+				</div>
+			))}
+		</div>
+	);
+}
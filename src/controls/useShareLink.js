@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from 'react';
+import { decodeShareFragment, encodeShareFragment } from '../algorithm/formats/shareLink.js';
+import { stepManager } from '../algorithm/steps.js';
+
+/**
+ * Haelt das URL-Fragment (#g=...&step=...&view=...) synchron zur Sitzung
+ * und oeffnet beim Start eine geteilte Grammatik aus dem Fragment.
+ * Schritt und Ansicht stehen nur im Link, solange die Analyse-Pipeline
+ * (buildAllSteps) aktiv ist; nur sie wird beim Oeffnen neu aufgebaut.
+ */
+export default function useShareLink({ getSession, onOpen, onOpenError, grammar, analyzeFlag, showCNFCanvas }) {
+	const [stepIndex, setStepIndex] = useState(stepManager.currentIndex);
+	const [steps, setSteps] = useState(stepManager.getSteps());
+	const [ready, setReady] = useState(false);
+	const writeIdRef = useRef(0);
+	const callbacksRef = useRef(null);
+	callbacksRef.current = { getSession, onOpen, onOpenError };
+
+	useEffect(() => {
+		const unsubscribe = stepManager.subscribe(status => {
+			setStepIndex(status.currentIndex);
+			setSteps(stepManager.getSteps());
+		});
+		return unsubscribe;
+	}, []);
+
+	useEffect(() => {
+		let cancelled = false;
+
+		decodeShareFragment(window.location.hash)
+			.then(session => {
+				if (!cancelled && session) callbacksRef.current.onOpen(session);
+			})
+			.catch(error => {
+				if (!cancelled && callbacksRef.current.onOpenError) callbacksRef.current.onOpenError(error);
+			})
+			.finally(() => {
+				if (!cancelled) setReady(true);
+			});
+
+		return () => {
+			cancelled = true;
+		};
+	}, []);
+
+	useEffect(() => {
+		if (!ready) return;
+
+		const writeId = ++writeIdRef.current;
+		const { input, ebnfMode, isCNFPipeline } = callbacksRef.current.getSession() || {};
+		const hasSteps = analyzeFlag && isCNFPipeline && steps.length > 0;
+
+		encodeShareFragment({
+			input,
+			ebnfMode,
+			step: hasSteps ? stepIndex : null,
+			view: hasSteps ? (showCNFCanvas ? 'cnf' : 'grammar') : null,
+		}).then(fragment => {
+			// Nur das Ergebnis der juengsten Aenderung schreiben
+			if (writeId !== writeIdRef.current) return;
+			const url = `${window.location.pathname}${window.location.search}${fragment ? `#${fragment}` : ''}`;
+			window.history.replaceState(null, '', url);
+		});
+	}, [ready, grammar, analyzeFlag, showCNFCanvas, stepIndex, steps]);
+}
@@ -89,6 +89,12 @@ export default function useViewportControls(canvasRef, { canvasWidth, canvasHeig
 		setOffset({ x: 0, y: 0 });
 	};
 
+	const restoreView = (view) => {
+		if (!view) return;
+		setScale(clampScale(view.scale ?? 1, 0.1));
+		setOffset({ x: view.offset?.x ?? 0, y: view.offset?.y ?? 0 });
+	};
+
 	const onMouseDown = e => {
 		if (e.button !== 0) return;
 		setIsPanning(true);
@@ -118,6 +124,7 @@ export default function useViewportControls(canvasRef, { canvasWidth, canvasHeig
 		zoomIn: () => zoomAt(0.1),
 		zoomOut: () => zoomAt(-0.1),
 		resetView,
+		restoreView,
 		setOffsetClamped,
 		clampOffset,
 		onMouseDown,
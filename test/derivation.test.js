@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import parseGrammar, { getStartSymbol } from '../src/algorithm/parseGrammar.js';
+import enumerateWords from '../src/algorithm/enumerateWords.js';
+import { DERIVATION_MODES, derivationForms, deriveWord } from '../src/algorithm/derivation.js';
+import { isEpsilon, parseSymbols } from '../src/algorithm/grammarSymbols.js';
+
+// Die CNF benutzt B (bzw. A) wieder als Terminalvariable fuer b (bzw. a)
+const GRAMMARS = [
+	'S -> Bb\nB -> b',
+	'S -> C\nA -> B | _\nB -> b | _\nC -> bAa',
+	'S -> AS | Bb\nA -> a\nB -> b | _',
+	'S -> aSB | a\nB -> b',
+];
+
+for (const text of GRAMMARS) {
+	test(`automatische Ableitung fuer alle Woerter von ${text.replace(/\n/g, '; ')}`, () => {
+		const grammar = parseGrammar(text);
+		const startSymbol = getStartSymbol(grammar);
+		const { lengths } = enumerateWords(grammar.productions, startSymbol, 6);
+		const words = lengths.flatMap(entry => entry.words);
+		assert.ok(words.length > 0);
+
+		for (const word of words) {
+			for (const mode of DERIVATION_MODES) {
+				const applications = deriveWord(grammar, word, mode);
+				assert.ok(applications, `keine ${mode}-Ableitung fuer "${word.join(' ')}"`);
+
+				for (const { variable, production } of applications) {
+					const normalize = rhs => (isEpsilon(rhs) ? '' : parseSymbols(rhs).join(' '));
+					const allowed = grammar.productions[variable].map(normalize);
+					assert.ok(allowed.includes(normalize(production)), `${variable} -> ${production} gehoert nicht zur Grammatik`);
+				}
+				const forms = derivationForms(startSymbol, applications);
+				assert.deepEqual(forms[forms.length - 1], word);
+			}
+		}
+	});
+}
+
+test('automatische Ableitung lehnt Woerter ausserhalb der Sprache ab', () => {
+	const grammar = parseGrammar('S -> Bb\nB -> b');
+	assert.equal(deriveWord(grammar, ['b'], 'leftmost'), null);
+	assert.equal(deriveWord(grammar, ['b', 'b', 'b'], 'rightmost'), null);
+});
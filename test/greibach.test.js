@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import parseGrammar, { getStartSymbol, isEpsilon } from '../src/algorithm/parseGrammar.js';
+import buildAllSteps, { getFinalCNF } from '../src/algorithm/visualization/buildAllSteps.js';
+import generateGNFSteps from '../src/algorithm/visualization/step_12_greibach.js';
+import enumerateWords from '../src/algorithm/enumerateWords.js';
+import { countParseTrees } from '../src/algorithm/ambiguity.js';
+
+// Wenige Variablen, aber mehr als MAX_GNF_PRODUCTIONS Produktionen unterwegs
+const OVERSIZED = [
+	'S -> AB | CB\nA -> abB | b\nB -> _ | _ | SB\nC -> CaS | SCb | _',
+	'S -> C\nA -> b | a | _\nB -> abS | SaC\nC -> CbS | SBa | A',
+];
+
+/**
+ * Woerter bis zur Laenge maxLength, mit Leerzeichen verbunden.
+ */
+function wordsUpTo(productions, startSymbol, maxLength) {
+	return enumerateWords(productions, startSymbol, maxLength).lengths.flatMap(entry => entry.words.map(word => word.join(' ')));
+}
+
+for (const text of OVERSIZED) {
+	test(`GNF-Abbruch behaelt die Sprache bei: ${text.replace(/\n/g, '; ')}`, () => {
+		const grammar = parseGrammar(text);
+		const { cnfGraph, startSymbol } = getFinalCNF(buildAllSteps(parseGrammar(text)), grammar);
+		const steps = generateGNFSteps(cnfGraph, startSymbol);
+		const last = steps[steps.length - 1];
+
+		assert.equal(last.id, 'gnf-aborted');
+		assert.equal(last.delta.isGNF, false);
+		assert.match(last.description, /unfertiger Zwischenstand, nicht die GNF/);
+
+		const acceptsEpsilon = countParseTrees(grammar, []) > 0;
+		assert.equal((last.cnfGraph[startSymbol] || []).some(isEpsilon), acceptsEpsilon);
+		assert.deepEqual(
+			wordsUpTo(last.cnfGraph, startSymbol, 3),
+			wordsUpTo(grammar.productions, getStartSymbol(grammar), 3),
+		);
+	});
+}